@@ -0,0 +1,92 @@
+// config/protocol-loader.js - Loads and validates study protocol files (main process)
+// A protocol is a JSON file describing suites, per-test parameter overrides,
+// music conditions, counterbalancing and breaks. See config/protocols/default.json.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const ProtocolValidator = require('../js/core/protocol-validator');
+const TestRegistry = require('../js/core/test-registry');
+const { addTestConfigurations } = require('./test-suites');
+
+// Test defaults are declared by the test plugins in js/tests/
+TestRegistry.discover();
+addTestConfigurations(TestRegistry.getDefaultConfigurations(), TestRegistry.configure);
+
+const PROTOCOLS_DIR = path.join(__dirname, 'protocols');
+const DEFAULT_PROTOCOL_FILE = path.join(PROTOCOLS_DIR, 'default.json');
+const schema = require('./protocol-schema.json');
+
+function createValidator() {
+    return new ProtocolValidator(schema, { registry: TestRegistry });
+}
+
+/**
+ * SHA-256 of the canonical JSON, stored with every session so results can be
+ * traced back to the exact protocol they were collected under
+ */
+function hashProtocol(protocol) {
+    return crypto.createHash('sha256')
+        .update(ProtocolValidator.canonicalize(protocol))
+        .digest('hex');
+}
+
+function validateProtocol(protocol) {
+    return createValidator().validate(protocol);
+}
+
+/**
+ * Read, parse and validate a protocol file.
+ * Throws with every validation error listed if the file is not usable.
+ */
+function loadProtocol(filePath = DEFAULT_PROTOCOL_FILE) {
+    let protocol;
+    try {
+        protocol = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read protocol ${filePath}: ${error.message}`);
+    }
+
+    const { valid, errors } = validateProtocol(protocol);
+    if (!valid) {
+        throw new Error(`Invalid protocol ${path.basename(filePath)}:\n${errors.join('\n')}`);
+    }
+
+    return {
+        protocol: protocol,
+        hash: hashProtocol(protocol),
+        file: filePath
+    };
+}
+
+/**
+ * Validate and write a protocol to config/protocols/<id>.json.
+ * The bundled default.json is never overwritten.
+ */
+function saveProtocol(protocol) {
+    const { valid, errors } = validateProtocol(protocol);
+    if (!valid) {
+        throw new Error(`Invalid protocol:\n${errors.join('\n')}`);
+    }
+
+    const filePath = path.join(PROTOCOLS_DIR, `${protocol.id}.json`);
+    if (filePath === DEFAULT_PROTOCOL_FILE) {
+        throw new Error('The protocol id "default" is reserved for the bundled protocol');
+    }
+    fs.writeFileSync(filePath, JSON.stringify(protocol, null, 4) + '\n');
+
+    return {
+        protocol: protocol,
+        hash: hashProtocol(protocol),
+        file: filePath
+    };
+}
+
+module.exports = {
+    PROTOCOLS_DIR,
+    DEFAULT_PROTOCOL_FILE,
+    hashProtocol,
+    validateProtocol,
+    loadProtocol,
+    saveProtocol
+};
@@ -1,11 +1,14 @@
 // js/config/test-suites.js - Test Suite Configurations
 // Two distinct test suites optimized for ~17 min each (with 3 music conditions)
 
+// Built-in defaults, matching config/protocols/default.json. The active study
+// protocol replaces these at startup (see applyProtocol below). Keyed by suite id.
 const TEST_SUITES = {
     // Suite 1: Reaction & Inhibition (~4 min per condition × 3 = 12 min + overhead)
-    reactionInhibition: {
+    'reaction-inhibition': {
         id: 'reaction-inhibition',
         name: 'Reaction & Inhibition',
+        icon: '⚡',
         description: 'Measures processing speed, response inhibition, and selective attention',
         estimatedTime: '17 minutes',
         tests: ['simple-reaction', 'go-nogo', 'stroop'],
@@ -13,114 +16,21 @@ const TEST_SUITES = {
     },
     
     // Suite 2: Cognitive Load (~5.5 min per condition × 3 = 16.5 min + overhead)
-    cognitiveLoad: {
+    'cognitive-load': {
         id: 'cognitive-load',
         name: 'Cognitive Load',
+        icon: '🧠',
         description: 'Measures decision making, working memory capacity, and memory updating',
         estimatedTime: '17 minutes',
         tests: ['choice-reaction', 'digit-span', 'n-back']
     }
 };
 
-// Individual test configurations with reduced durations
-const TEST_CONFIGURATIONS = {
-    // === SUITE 1: Reaction & Inhibition ===
-    
-    'simple-reaction': {
-        name: 'Simple Reaction Time',
-        suite: 'reaction-inhibition',
-        duration: 60000,        // 1 minute
-        targetTrials: 18,       // ~3 sec average interval
-        minInterval: 2000,      // 2 sec minimum between stimuli
-        maxInterval: 4000,      // 4 sec maximum between stimuli
-        buttonConfig: 'single',
-        description: 'Press the button as quickly as possible when the stimulus appears',
-        metrics: ['meanRT', 'medianRT', 'sdRT', 'lapses', 'falseStarts'],
-        cognitiveConstruct: 'Processing Speed'
-    },
-    
-    'go-nogo': {
-        name: 'Go/No-Go Task',
-        suite: 'reaction-inhibition',
-        duration: 90000,        // 1.5 minutes
-        targetTrials: 45,       // ~2 sec per trial
-        goTrialProbability: 0.75,  // 75% go trials (prepotent response)
-        stimulusDuration: 500,
-        responseWindow: 1000,
-        minInterval: 1200,
-        maxInterval: 2000,
-        buttonConfig: 'single',
-        description: 'Press for GREEN, do NOT press for RED',
-        metrics: ['goRT', 'goAccuracy', 'nogoAccuracy', 'commissionErrors', 'omissionErrors'],
-        cognitiveConstruct: 'Response Inhibition'
-    },
-    
-    'stroop': {
-        name: 'Stroop Test',
-        suite: 'reaction-inhibition',
-        duration: 90000,        // 1.5 minutes
-        targetTrials: 36,       // ~2.5 sec per trial
-        trialTypes: {
-            congruent: 0.33,    // Word matches color
-            incongruent: 0.34,  // Word conflicts with color
-            neutral: 0.33       // Colored rectangles
-        },
-        stimulusDuration: 2500,
-        minInterval: 500,
-        maxInterval: 1000,
-        buttonConfig: 'all_four',
-        description: 'Press the button matching the COLOR of the text, ignore what the word says',
-        metrics: ['congruentRT', 'incongruentRT', 'stroopEffect', 'accuracy'],
-        cognitiveConstruct: 'Cognitive Control / Selective Attention'
-    },
-    
-    // === SUITE 2: Cognitive Load ===
-    
-    'choice-reaction': {
-        name: 'Choice Reaction Time',
-        suite: 'cognitive-load',
-        duration: 90000,        // 1.5 minutes
-        targetTrials: 36,       // ~2.5 sec per trial
-        stimulusDuration: 2000,
-        minInterval: 1000,
-        maxInterval: 1500,
-        buttonConfig: 'all_four',
-        description: 'Press the button that matches the lit LED color',
-        metrics: ['meanRT', 'accuracy', 'errorRate'],
-        cognitiveConstruct: 'Decision Speed'
-    },
-    
-    'digit-span': {
-        name: 'Digit Span',
-        suite: 'cognitive-load',
-        duration: 120000,       // 2 minutes
-        startingLength: 3,
-        maxLength: 9,
-        digitDisplayDuration: 800,
-        interDigitInterval: 400,
-        trialsPerLength: 2,
-        phases: ['forward'],    // Forward only to save time (remove backward)
-        buttonConfig: 'all_four',
-        description: 'Watch the sequence of lights, then reproduce it in the same order',
-        metrics: ['maxSpan', 'accuracy', 'longestCorrect'],
-        cognitiveConstruct: 'Working Memory Capacity'
-    },
-    
-    'n-back': {
-        name: 'N-Back (2-Back)',
-        suite: 'cognitive-load',
-        duration: 120000,       // 2 minutes
-        nBack: 2,
-        targetTrials: 40,       // ~3 sec per stimulus
-        stimulusDuration: 500,
-        interStimulusInterval: 2500,
-        matchProbability: 0.30, // 30% of trials are matches
-        buttonConfig: 'single',
-        description: 'Press when the current stimulus matches the one from 2 positions back',
-        metrics: ['hits', 'misses', 'falseAlarms', 'correctRejections', 'dPrime', 'accuracy'],
-        cognitiveConstruct: 'Working Memory Updating'
-    }
-};
+// Current settings of every test, keyed by test id. Each test declares its
+// defaults in its plugin definition (js/tests/*.js); addTestConfigurations()
+// fills this in once the plugins are discovered, and the active protocol's
+// overrides are applied on top (see applyProtocol below).
+const TEST_CONFIGURATIONS = {};
 
 // Music conditions for the study
 const MUSIC_CONDITIONS = [
@@ -132,18 +42,18 @@ const MUSIC_CONDITIONS = [
         description: 'Baseline condition with no audio'
     },
     {
-        id: 'classical-80bpm',
-        name: '80 BPM Classical',
+        id: 'classical',
+        name: 'Classical',
         type: 'music',
-        file: 'audio/classical-80bpm.mp3',
-        tempo: 80,
+        file: 'audio/classical_60bpm.mp3',
+        tempo: 60,
         description: 'Low tempo classical music'
     },
     {
-        id: 'electronic-140bpm',
-        name: '140 BPM Electronic',
+        id: 'electronic',
+        name: 'Electronic',
         type: 'music',
-        file: 'audio/electronic-140bpm.mp3',
+        file: 'audio/electronic_140bpm.mp3',
         tempo: 140,
         description: 'High tempo electronic music'
     }
@@ -182,6 +92,13 @@ const ALTERNATIVE_CONDITIONS = {
     }
 };
 
+// Counterbalancing of music condition order across participants
+// design: 'latin-square' | 'full-permutation' | 'block-randomised' | 'fixed'
+const COUNTERBALANCING = {
+    design: 'latin-square',
+    seed: 1                     // Only used by 'block-randomised'
+};
+
 // Session timing estimates
 const TIMING_ESTIMATES = {
     formCompletion: 120000,      // 2 minutes
@@ -190,14 +107,79 @@ const TIMING_ESTIMATES = {
     resultsReview: 60000         // 1 minute
 };
 
-// Calculate total session time
-function estimateSessionTime(selectedSuites, numConditions = 3) {
+// Untouched copies of the built-in settings, so applying a protocol always
+// starts from the defaults rather than from a previous protocol
+const DEFAULT_TEST_CONFIGURATIONS = {};
+const DEFAULT_COUNTERBALANCING = { ...COUNTERBALANCING };
+const DEFAULT_TIMING_ESTIMATES = { ...TIMING_ESTIMATES };
+
+// Identity of the protocol currently applied (null fields = built-in defaults)
+const ACTIVE_PROTOCOL = {
+    id: null,
+    name: null,
+    version: null,
+    hash: null
+};
+
+// Merges a test's defaults with protocol overrides - TestRegistry.configure
+// once plugins are added, so names that depend on parameters stay right
+let configureTest = (testId, defaults, overrides) => ({ ...defaults, ...overrides });
+
+/**
+ * Add the defaults of discovered test plugins (TestRegistry
+ * .getDefaultConfigurations()) and how to configure them
+ * (TestRegistry.configure). Call before applying a protocol.
+ */
+function addTestConfigurations(configurations, configure = null) {
+    if (configure) configureTest = configure;
+    Object.entries(configurations).forEach(([testId, defaults]) => {
+        DEFAULT_TEST_CONFIGURATIONS[testId] = JSON.parse(JSON.stringify(defaults));
+        TEST_CONFIGURATIONS[testId] = JSON.parse(JSON.stringify(defaults));
+    });
+}
+
+/**
+ * Replace suites, test parameters, conditions, counterbalancing and breaks
+ * with those of a validated study protocol. Objects are updated in place so
+ * scripts holding references to them see the new values.
+ */
+function applyProtocol(protocol, hash = null) {
+    Object.keys(TEST_SUITES).forEach(key => delete TEST_SUITES[key]);
+    protocol.suites.forEach(suite => {
+        TEST_SUITES[suite.id] = { ...suite, tests: [...suite.tests] };
+    });
+
+    Object.keys(DEFAULT_TEST_CONFIGURATIONS).forEach(testId => {
+        TEST_CONFIGURATIONS[testId] = configureTest(testId,
+            JSON.parse(JSON.stringify(DEFAULT_TEST_CONFIGURATIONS[testId])),
+            (protocol.tests || {})[testId] || {});
+    });
+
+    MUSIC_CONDITIONS.splice(0, MUSIC_CONDITIONS.length, ...protocol.conditions.map(c => ({ ...c })));
+
+    Object.assign(COUNTERBALANCING, DEFAULT_COUNTERBALANCING, protocol.counterbalancing || {});
+    Object.assign(TIMING_ESTIMATES, DEFAULT_TIMING_ESTIMATES, protocol.breaks || {});
+
+    Object.assign(ACTIVE_PROTOCOL, {
+        id: protocol.id,
+        name: protocol.name,
+        version: protocol.version,
+        hash: hash
+    });
+}
+
+// Calculate total session time. The protocol editor passes its draft suites,
+// test parameters and breaks through options; otherwise the active ones are used.
+function estimateSessionTime(selectedSuites, numConditions = 3, options = {}) {
+    const suites = options.suites || TEST_SUITES;
+    const configurations = options.configurations || TEST_CONFIGURATIONS;
+    const timing = options.timing || TIMING_ESTIMATES;
     let totalTestTime = 0;
     
     selectedSuites.forEach(suiteId => {
-        const suite = TEST_SUITES[suiteId];
+        const suite = suites[suiteId];
         suite.tests.forEach(testId => {
-            totalTestTime += TEST_CONFIGURATIONS[testId].duration;
+            totalTestTime += configurations[testId].duration;
         });
     });
     
@@ -205,24 +187,24 @@ function estimateSessionTime(selectedSuites, numConditions = 3) {
     const testTimeWithConditions = totalTestTime * numConditions;
     
     // Add overhead
-    const numTests = selectedSuites.reduce((sum, s) => sum + TEST_SUITES[s].tests.length, 0);
-    const transitions = (numTests * numConditions - 1) * TIMING_ESTIMATES.testTransition;
-    const conditionChanges = (numConditions - 1) * TIMING_ESTIMATES.conditionTransition;
+    const numTests = selectedSuites.reduce((sum, s) => sum + suites[s].tests.length, 0);
+    const transitions = Math.max(0, numTests * numConditions - 1) * timing.testTransition;
+    const conditionChanges = Math.max(0, numConditions - 1) * timing.conditionTransition;
     
-    const total = TIMING_ESTIMATES.formCompletion 
+    const total = timing.formCompletion 
                 + testTimeWithConditions 
                 + transitions 
                 + conditionChanges 
-                + TIMING_ESTIMATES.resultsReview;
+                + timing.resultsReview;
     
     return {
         totalMs: total,
         totalMinutes: Math.ceil(total / 60000),
         breakdown: {
-            form: TIMING_ESTIMATES.formCompletion / 60000,
+            form: timing.formCompletion / 60000,
             testing: testTimeWithConditions / 60000,
             transitions: (transitions + conditionChanges) / 60000,
-            results: TIMING_ESTIMATES.resultsReview / 60000
+            results: timing.resultsReview / 60000
         }
     };
 }
@@ -234,7 +216,13 @@ if (typeof module !== 'undefined' && module.exports) {
         TEST_CONFIGURATIONS,
         MUSIC_CONDITIONS,
         ALTERNATIVE_CONDITIONS,
+        COUNTERBALANCING,
         TIMING_ESTIMATES,
+        DEFAULT_TEST_CONFIGURATIONS,
+        DEFAULT_TIMING_ESTIMATES,
+        ACTIVE_PROTOCOL,
+        addTestConfigurations,
+        applyProtocol,
         estimateSessionTime
     };
 }
@@ -7,12 +7,20 @@
 const initSqlJs = require('sql.js');
 const fs = require('fs');
 const path = require('path');
+const MIGRATIONS = require('./migrations');
 
 class CognitionDatabase {
     constructor(dbPath = null) {
         this.dbPath = dbPath || path.join(__dirname, 'cognition_data.db');
+        this.journalPath = `${this.dbPath}.journal`;
         this.db = null;
         this.SQL = null;
+        
+        // Trial inserts are appended to the journal and only folded into
+        // the .db file every `compactionInterval` trials (or at test end)
+        this.journalSeq = 0;
+        this.uncompactedTrials = 0;
+        this.compactionInterval = 50;
     }
 
     /**
@@ -23,19 +31,106 @@ class CognitionDatabase {
         this.SQL = await initSqlJs();
         
         // Load existing database or create new one
-        if (fs.existsSync(this.dbPath)) {
+        const isExisting = fs.existsSync(this.dbPath);
+        if (isExisting) {
             console.log(`Loading existing database: ${this.dbPath}`);
             const fileBuffer = fs.readFileSync(this.dbPath);
             this.db = new this.SQL.Database(fileBuffer);
         } else {
             console.log(`Creating new database: ${this.dbPath}`);
             this.db = new this.SQL.Database();
-            this.createTables();
         }
         
+        this.runMigrations(isExisting);
+        this.replayJournal();
+        
         return this;
     }
 
+    // ========================================
+    // SCHEMA MIGRATIONS
+    // ========================================
+
+    /**
+     * Get the schema version stored in the database file
+     */
+    getSchemaVersion() {
+        const result = this.db.exec('PRAGMA user_version');
+        return result[0].values[0][0];
+    }
+
+    /**
+     * Get the schema version this build of the app expects
+     */
+    getLatestSchemaVersion() {
+        return MIGRATIONS.length > 0 ? MIGRATIONS[MIGRATIONS.length - 1].version : 0;
+    }
+
+    /**
+     * Apply pending migrations in order, backing up existing files first
+     */
+    runMigrations(isExisting = true) {
+        const currentVersion = this.getSchemaVersion();
+        const pending = MIGRATIONS
+            .filter(m => m.version > currentVersion)
+            .sort((a, b) => a.version - b.version);
+        
+        if (pending.length === 0) return currentVersion;
+        
+        if (isExisting) {
+            this.backupDatabase(currentVersion);
+        }
+        
+        for (const migration of pending) {
+            console.log(`Applying migration ${migration.version}: ${migration.description}`);
+            this.db.run('BEGIN TRANSACTION');
+            try {
+                migration.up(this);
+                // PRAGMA does not accept bound parameters
+                this.db.run(`PRAGMA user_version = ${Number(migration.version)}`);
+                this.db.run('COMMIT');
+            } catch (error) {
+                this.db.run('ROLLBACK');
+                throw new Error(`Migration ${migration.version} (${migration.description}) failed: ${error.message}`);
+            }
+        }
+        
+        this.save();
+        
+        const newVersion = this.getSchemaVersion();
+        console.log(`Database schema upgraded from v${currentVersion} to v${newVersion}`);
+        return newVersion;
+    }
+
+    /**
+     * Copy the database file aside before it is upgraded
+     */
+    backupDatabase(version) {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const backupPath = `${this.dbPath}.v${version}-${stamp}.bak`;
+        fs.copyFileSync(this.dbPath, backupPath);
+        console.log(`Database backed up to ${backupPath}`);
+        return backupPath;
+    }
+
+    /**
+     * Check whether a table already has a column
+     */
+    _columnExists(table, column) {
+        const result = this.db.exec(`PRAGMA table_info(${table})`);
+        if (result.length === 0) return false;
+        return result[0].values.some(row => row[1] === column);
+    }
+
+    /**
+     * Add a column unless it is already present (for use in migrations)
+     */
+    _addColumn(table, column, definition) {
+        if (!this._columnExists(table, column)) {
+            this.db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        }
+    }
+
     /**
      * Create all database tables
      */
@@ -165,11 +260,23 @@ class CognitionDatabase {
 
     /**
      * Save database to file
+     * Writes to a temp file and renames it over the original, so a crash
+     * mid-write leaves the previous snapshot intact
      */
     save() {
         const data = this.db.export();
         const buffer = Buffer.from(data);
-        fs.writeFileSync(this.dbPath, buffer);
+        const tempPath = `${this.dbPath}.tmp`;
+        
+        const fd = fs.openSync(tempPath, 'w');
+        try {
+            fs.writeSync(fd, buffer);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tempPath, this.dbPath);
+        
         console.log(`Database saved to ${this.dbPath}`);
     }
 
@@ -178,12 +285,88 @@ class CognitionDatabase {
      */
     close() {
         if (this.db) {
-            this.save();
+            this.compact();
             this.db.close();
             this.db = null;
         }
     }
 
+    // ========================================
+    // TRIAL JOURNAL
+    // ========================================
+
+    /**
+     * Append an entry to the write-ahead journal and flush it to disk
+     */
+    _appendJournal(entry) {
+        const fd = fs.openSync(this.journalPath, 'a');
+        try {
+            fs.writeSync(fd, JSON.stringify(entry) + '\n');
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * Read the last journal sequence number folded into the database
+     */
+    _getJournalSeq() {
+        const result = this.db.exec(`SELECT value FROM app_meta WHERE key = 'journal_seq'`);
+        if (result.length === 0 || result[0].values.length === 0) return 0;
+        return parseInt(result[0].values[0][0], 10) || 0;
+    }
+
+    /**
+     * Re-apply journalled trials that never made it into the .db snapshot
+     */
+    replayJournal() {
+        this.journalSeq = this._getJournalSeq();
+        
+        if (!fs.existsSync(this.journalPath)) return 0;
+        
+        const lines = fs.readFileSync(this.journalPath, 'utf8').split('\n');
+        let replayed = 0;
+        
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                // A torn final line means the crash happened mid-append
+                console.warn('Ignoring incomplete journal entry');
+                break;
+            }
+            
+            if (entry.seq <= this.journalSeq) continue;
+            
+            this._insertTrial(entry.testRunId, entry.trial);
+            this.journalSeq = entry.seq;
+            this.db.run(`UPDATE app_meta SET value = ? WHERE key = 'journal_seq'`, [String(this.journalSeq)]);
+            replayed++;
+        }
+        
+        if (replayed > 0) {
+            console.log(`Replayed ${replayed} journalled trials`);
+        }
+        
+        this.compact();
+        return replayed;
+    }
+
+    /**
+     * Fold the journal into the database file and truncate it
+     */
+    compact() {
+        this.save();
+        if (fs.existsSync(this.journalPath)) {
+            fs.unlinkSync(this.journalPath);
+        }
+        this.uncompactedTrials = 0;
+    }
+
     // ========================================
     // PARTICIPANT METHODS
     // ========================================
@@ -333,15 +516,24 @@ class CognitionDatabase {
     // ========================================
 
     /**
-     * Create a new session
+     * Create a new session, tagged with the study protocol ({ id, version, hash })
+     * it runs under
      */
-    createSession(participantId, deviceInfo = null) {
+    createSession(participantId, deviceInfo = null, protocol = null) {
         const code = `S${Date.now()}`;
         
         this.db.run(`
-            INSERT INTO sessions (session_code, participant_id, device_info)
-            VALUES (?, ?, ?)
-        `, [code, participantId, deviceInfo ? JSON.stringify(deviceInfo) : null]);
+            INSERT INTO sessions (session_code, participant_id, device_info,
+                                  protocol_id, protocol_version, protocol_hash)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [
+            code,
+            participantId,
+            deviceInfo ? JSON.stringify(deviceInfo) : null,
+            protocol ? protocol.id : null,
+            protocol ? protocol.version : null,
+            protocol ? protocol.hash : null
+        ]);
         
         const id = this.db.exec("SELECT last_insert_rowid()")[0].values[0][0];
         this.save();
@@ -384,18 +576,56 @@ class CognitionDatabase {
         this.save();
     }
 
+    /**
+     * Mark a session as resumed after an interruption
+     */
+    markSessionResumed(sessionId) {
+        this.db.run(`
+            UPDATE sessions 
+            SET status = 'in_progress',
+                resume_count = COALESCE(resume_count, 0) + 1,
+                last_resumed_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [sessionId]);
+        this.save();
+    }
+
+    /**
+     * Store the counterbalanced music condition order assigned to a session
+     */
+    setSessionConditionOrder(sessionId, assignment) {
+        this.db.run(`
+            UPDATE sessions 
+            SET counterbalance_design = ?, counterbalance_index = ?, condition_order = ?
+            WHERE id = ?
+        `, [
+            assignment.design || null,
+            assignment.orderIndex !== undefined ? assignment.orderIndex : null,
+            JSON.stringify(assignment.order || []),
+            sessionId
+        ]);
+        this.save();
+    }
+
     // ========================================
     // TEST RUN METHODS
     // ========================================
 
     /**
-     * Create a new test run
+     * Create a new test run. staircase is the adaptive-difficulty summary
+     * (Staircase.getSummary()) for runs that adapted a parameter.
      */
-    createTestRun(sessionId, testType, musicCondition, config = null) {
+    createTestRun(sessionId, testType, musicCondition, config = null, staircase = null) {
         this.db.run(`
-            INSERT INTO test_runs (session_id, test_type, music_condition, config_json)
-            VALUES (?, ?, ?, ?)
-        `, [sessionId, testType, musicCondition, config ? JSON.stringify(config) : null]);
+            INSERT INTO test_runs (session_id, test_type, music_condition, config_json,
+                adaptive_parameter, adaptive_threshold, staircase_json)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [
+            sessionId, testType, musicCondition, config ? JSON.stringify(config) : null,
+            staircase ? staircase.parameter : null,
+            staircase ? staircase.threshold : null,
+            staircase ? JSON.stringify(staircase) : null
+        ]);
         
         const id = this.db.exec("SELECT last_insert_rowid()")[0].values[0][0];
         this.save();
@@ -427,15 +657,28 @@ class CognitionDatabase {
     }
 
     /**
-     * End a test run
+     * End a test run. Runs are created when a test starts, so the final
+     * config (with the generated trial list) and the staircase summary are
+     * stored here when given.
      */
-    endTestRun(testRunId, trialCount) {
+    endTestRun(testRunId, trialCount, config = null, staircase = null) {
         this.db.run(`
             UPDATE test_runs 
             SET end_time = CURRENT_TIMESTAMP, status = 'completed', trial_count = ?
             WHERE id = ?
         `, [trialCount, testRunId]);
-        this.save();
+        
+        if (config) {
+            this.db.run(`UPDATE test_runs SET config_json = ? WHERE id = ?`, [JSON.stringify(config), testRunId]);
+        }
+        if (staircase) {
+            this.db.run(`
+                UPDATE test_runs 
+                SET adaptive_parameter = ?, adaptive_threshold = ?, staircase_json = ?
+                WHERE id = ?
+            `, [staircase.parameter, staircase.threshold, JSON.stringify(staircase), testRunId]);
+        }
+        this.compact();
     }
 
     // ========================================
@@ -444,44 +687,63 @@ class CognitionDatabase {
 
     /**
      * Record a trial
+     * The trial is journalled before it is applied, so it survives a crash
+     * even though the .db file is only rewritten on compaction
      */
     recordTrial(testRunId, trialData) {
+        const seq = this.journalSeq + 1;
+        this._appendJournal({ seq, testRunId, trial: trialData });
+        
+        this._insertTrial(testRunId, trialData);
+        this.journalSeq = seq;
+        this.db.run(`UPDATE app_meta SET value = ? WHERE key = 'journal_seq'`, [String(seq)]);
+        
+        this.uncompactedTrials++;
+        if (this.uncompactedTrials >= this.compactionInterval) {
+            this.compact();
+        }
+    }
+
+    /**
+     * Insert a trial row without journalling
+     */
+    _insertTrial(testRunId, trialData) {
+        // null means unscored (e.g. a false start), not incorrect
+        const correct = trialData.is_correct ?? trialData.isCorrect ?? trialData.correct;
+        
         this.db.run(`
             INSERT INTO trials (
                 test_run_id, trial_number, stimulus_type, stimulus_value,
                 expected_response, actual_response, is_correct, reaction_time_ms,
-                stimulus_onset_time, response_time, button_pressed, extra_data_json
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                stimulus_onset_time, response_time, button_pressed, extra_data_json,
+                is_practice
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `, [
             testRunId,
-            trialData.trial_number || trialData.trialNumber,
-            trialData.stimulus_type || trialData.stimulusType || null,
-            trialData.stimulus_value || trialData.stimulusValue || null,
-            trialData.expected_response || trialData.expectedResponse || null,
-            trialData.actual_response || trialData.actualResponse || null,
-            trialData.is_correct !== undefined ? (trialData.is_correct ? 1 : 0) : 
-                (trialData.isCorrect !== undefined ? (trialData.isCorrect ? 1 : 0) : null),
-            trialData.reaction_time_ms || trialData.reactionTime || null,
-            trialData.stimulus_onset_time || trialData.stimulusOnsetTime || null,
-            trialData.response_time || trialData.responseTime || null,
-            trialData.button_pressed || trialData.buttonPressed || null,
-            trialData.extra_data ? JSON.stringify(trialData.extra_data) : null
+            trialData.trial_number ?? trialData.trialNumber ?? trialData.trial,
+            trialData.stimulus_type ?? trialData.stimulusType ?? null,
+            trialData.stimulus_value ?? trialData.stimulusValue ?? null,
+            trialData.expected_response ?? trialData.expectedResponse ?? null,
+            trialData.actual_response ?? trialData.actualResponse ?? null,
+            correct === undefined || correct === null ? null : (correct ? 1 : 0),
+            trialData.reaction_time_ms ?? trialData.reactionTime ?? null,
+            trialData.stimulus_onset_time ?? trialData.stimulusOnsetTime ?? null,
+            trialData.response_time ?? trialData.responseTime ?? null,
+            trialData.button_pressed ?? trialData.buttonPressed ?? null,
+            trialData.extra_data ? JSON.stringify(trialData.extra_data) : null,
+            (trialData.is_practice || trialData.practice) ? 1 : 0
         ]);
-        
-        // Auto-save every 10 trials for safety
-        if ((trialData.trial_number || trialData.trialNumber) % 10 === 0) {
-            this.save();
-        }
     }
 
     /**
      * Record multiple trials at once
+     * Tests hand these over as CognitionTestBase.toTrialRecords() rows
      */
     recordTrials(testRunId, trials) {
         for (const trial of trials) {
             this.recordTrial(testRunId, trial);
         }
-        this.save();
+        this.compact();
     }
 
     /**
@@ -503,16 +765,23 @@ class CognitionDatabase {
     // ========================================
 
     /**
-     * Create test summary from trial data
+     * Create test summary from trial data. mapped is the test plugin's view
+     * of its own metrics (TestRegistry.summarize): its columns replace the
+     * generic trial-based values and its extra metrics are kept as JSON.
      */
-    createTestSummary(testRunId) {
-        const trials = this.getTestRunTrials(testRunId);
+    createTestSummary(testRunId, mapped = null) {
+        // Practice trials are stored for reference but never scored
+        const trials = this.getTestRunTrials(testRunId).filter(t => t.is_practice !== 1);
         
         if (trials.length === 0) {
             return null;
         }
         
+        // Unscored rows (is_correct null, e.g. false starts) count as trials
+        // but not towards accuracy
+        const scoredTrials = trials.filter(t => t.is_correct !== null);
         const correctTrials = trials.filter(t => t.is_correct === 1);
+        const noResponse = t => t.actual_response === null || t.actual_response === 'none';
         const reactionTimes = trials
             .filter(t => t.reaction_time_ms !== null && t.reaction_time_ms > 0)
             .map(t => t.reaction_time_ms);
@@ -520,16 +789,24 @@ class CognitionDatabase {
         const summary = {
             total_trials: trials.length,
             correct_trials: correctTrials.length,
-            accuracy_percent: (correctTrials.length / trials.length) * 100,
+            accuracy_percent: scoredTrials.length > 0 ? (correctTrials.length / scoredTrials.length) * 100 : null,
             mean_rt_ms: reactionTimes.length > 0 ? this._mean(reactionTimes) : null,
             median_rt_ms: reactionTimes.length > 0 ? this._median(reactionTimes) : null,
             std_rt_ms: reactionTimes.length > 0 ? this._std(reactionTimes) : null,
             min_rt_ms: reactionTimes.length > 0 ? Math.min(...reactionTimes) : null,
             max_rt_ms: reactionTimes.length > 0 ? Math.max(...reactionTimes) : null,
-            omission_errors: trials.filter(t => t.actual_response === null || t.actual_response === 'none').length,
-            commission_errors: trials.filter(t => t.is_correct === 0 && t.actual_response !== null).length
+            // Errors without a response (misses) and with one (false alarms,
+            // wrong buttons); correctly withheld responses are neither
+            omission_errors: trials.filter(t => t.is_correct === 0 && noResponse(t)).length,
+            commission_errors: trials.filter(t => t.is_correct === 0 && !noResponse(t)).length
         };
         
+        const { extra = null, ...columns } = mapped || {};
+        Object.keys(columns)
+            .filter(column => column in summary)
+            .forEach(column => { summary[column] = columns[column]; });
+        summary.extra_metrics = extra;
+        
         // Delete existing summary if present
         this.db.run(`DELETE FROM test_summaries WHERE test_run_id = ?`, [testRunId]);
         
@@ -538,8 +815,8 @@ class CognitionDatabase {
             INSERT INTO test_summaries (
                 test_run_id, total_trials, correct_trials, accuracy_percent,
                 mean_rt_ms, median_rt_ms, std_rt_ms, min_rt_ms, max_rt_ms,
-                omission_errors, commission_errors
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                omission_errors, commission_errors, extra_metrics_json
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `, [
             testRunId,
             summary.total_trials,
@@ -551,10 +828,11 @@ class CognitionDatabase {
             summary.min_rt_ms,
             summary.max_rt_ms,
             summary.omission_errors,
-            summary.commission_errors
+            summary.commission_errors,
+            extra ? JSON.stringify(extra) : null
         ]);
         
-        this.save();
+        this.compact();
         return summary;
     }
 
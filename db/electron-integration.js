@@ -5,15 +5,50 @@
 
 const { app, ipcMain } = require('electron');
 const path = require('path');
+const fs = require('fs');
 const CognitionDatabase = require('./CognitionDatabase');
+const protocolLoader = require('../config/protocol-loader');
 
 let db = null;
+let activeProtocol = null;   // { protocol, hash, file }
+
+// The protocol main.js made active (data/active_protocol.json), so sessions
+// record the same protocol id, version and hash
+function loadActiveProtocol() {
+    const settingsFile = path.join(__dirname, '..', 'data', 'active_protocol.json');
+    let protocolFile = protocolLoader.DEFAULT_PROTOCOL_FILE;
+    
+    if (fs.existsSync(settingsFile)) {
+        try {
+            protocolFile = JSON.parse(fs.readFileSync(settingsFile, 'utf8')).file || protocolFile;
+        } catch (error) {
+            console.warn('Could not read protocol settings:', error.message);
+        }
+    }
+    
+    try {
+        return protocolLoader.loadProtocol(protocolFile);
+    } catch (error) {
+        console.error('Protocol load failed:', error.message);
+        return protocolLoader.loadProtocol(protocolLoader.DEFAULT_PROTOCOL_FILE);
+    }
+}
+
+function getProtocolInfo() {
+    if (!activeProtocol) return null;
+    return {
+        id: activeProtocol.protocol.id,
+        version: activeProtocol.protocol.version,
+        hash: activeProtocol.hash
+    };
+}
 
 // Initialize database when app is ready
 app.whenReady().then(async () => {
     const dbPath = path.join(app.getPath('userData'), 'cognition_data.db');
     db = await new CognitionDatabase(dbPath).initialize();
     console.log('Database initialized at:', dbPath);
+    activeProtocol = loadActiveProtocol();
 });
 
 // Save database when app closes
@@ -63,7 +98,7 @@ ipcMain.handle('db:getAllParticipants', async () => {
 // Session handlers
 ipcMain.handle('db:createSession', async (event, participantId, deviceInfo) => {
     try {
-        return { success: true, result: db.createSession(participantId, deviceInfo) };
+        return { success: true, result: db.createSession(participantId, deviceInfo, getProtocolInfo()) };
     } catch (error) {
         return { success: false, error: error.message };
     }
@@ -78,18 +113,36 @@ ipcMain.handle('db:endSession', async (event, sessionId, notes) => {
     }
 });
 
+ipcMain.handle('db:markSessionResumed', async (event, sessionId) => {
+    try {
+        db.markSessionResumed(sessionId);
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('db:setSessionConditionOrder', async (event, sessionId, assignment) => {
+    try {
+        db.setSessionConditionOrder(sessionId, assignment);
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
 // Test run handlers
-ipcMain.handle('db:createTestRun', async (event, sessionId, testType, musicCondition, config) => {
+ipcMain.handle('db:createTestRun', async (event, sessionId, testType, musicCondition, config, staircase) => {
     try {
-        return { success: true, result: db.createTestRun(sessionId, testType, musicCondition, config) };
+        return { success: true, result: db.createTestRun(sessionId, testType, musicCondition, config, staircase) };
     } catch (error) {
         return { success: false, error: error.message };
     }
 });
 
-ipcMain.handle('db:endTestRun', async (event, testRunId, trialCount) => {
+ipcMain.handle('db:endTestRun', async (event, testRunId, trialCount, config, staircase) => {
     try {
-        db.endTestRun(testRunId, trialCount);
+        db.endTestRun(testRunId, trialCount, config, staircase);
         return { success: true };
     } catch (error) {
         return { success: false, error: error.message };
@@ -116,9 +169,9 @@ ipcMain.handle('db:recordTrials', async (event, testRunId, trials) => {
 });
 
 // Summary handlers
-ipcMain.handle('db:createTestSummary', async (event, testRunId) => {
+ipcMain.handle('db:createTestSummary', async (event, testRunId, mapped) => {
     try {
-        return { success: true, result: db.createTestSummary(testRunId) };
+        return { success: true, result: db.createTestSummary(testRunId, mapped) };
     } catch (error) {
         return { success: false, error: error.message };
     }
@@ -0,0 +1,78 @@
+/**
+ * Music Cognition Testing Platform - Schema Migrations
+ * Ordered list of schema upgrades applied by CognitionDatabase.initialize()
+ *
+ * Each migration receives the CognitionDatabase instance. The schema version
+ * is stored in SQLite's PRAGMA user_version, so a migration runs exactly once
+ * per database file. Never edit a migration that has shipped - append a new
+ * one with the next version number instead.
+ */
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Baseline schema',
+        up(database) {
+            // Uses CREATE ... IF NOT EXISTS, so databases created before
+            // versioning existed pass through unchanged
+            database.createTables();
+        }
+    },
+    {
+        version: 2,
+        description: 'Key/value metadata table (trial journal sequence)',
+        up(database) {
+            database.db.run(`
+                CREATE TABLE IF NOT EXISTS app_meta (
+                    key TEXT PRIMARY KEY,
+                    value TEXT
+                )
+            `);
+            database.db.run(`INSERT OR IGNORE INTO app_meta (key, value) VALUES ('journal_seq', '0')`);
+        }
+    },
+    {
+        version: 3,
+        description: 'Track resumed sessions',
+        up(database) {
+            database._addColumn('sessions', 'resume_count', 'INTEGER DEFAULT 0');
+            database._addColumn('sessions', 'last_resumed_at', 'DATETIME');
+        }
+    },
+    {
+        version: 4,
+        description: 'Store counterbalanced condition order on sessions',
+        up(database) {
+            database._addColumn('sessions', 'counterbalance_design', 'TEXT');
+            database._addColumn('sessions', 'counterbalance_index', 'INTEGER');
+            database._addColumn('sessions', 'condition_order', 'TEXT');
+        }
+    },
+    {
+        version: 5,
+        description: 'Record the study protocol each session ran under',
+        up(database) {
+            database._addColumn('sessions', 'protocol_id', 'TEXT');
+            database._addColumn('sessions', 'protocol_version', 'TEXT');
+            database._addColumn('sessions', 'protocol_hash', 'TEXT');
+        }
+    },
+    {
+        version: 6,
+        description: 'Flag practice trials',
+        up(database) {
+            database._addColumn('trials', 'is_practice', 'INTEGER DEFAULT 0');
+        }
+    },
+    {
+        version: 7,
+        description: 'Store adaptive staircase thresholds and reversal history on test runs',
+        up(database) {
+            database._addColumn('test_runs', 'adaptive_parameter', 'TEXT');
+            database._addColumn('test_runs', 'adaptive_threshold', 'REAL');
+            database._addColumn('test_runs', 'staircase_json', 'TEXT');
+        }
+    }
+];
+
+module.exports = MIGRATIONS;
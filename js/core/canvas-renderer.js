@@ -0,0 +1,104 @@
+// js/core/canvas-renderer.js - The test display: a canvas with a DOM layer over it
+// Tests reach it as platform.renderer. Text screens (instructions, practice
+// results, messages between tests) are drawn on the canvas; while a block
+// runs, the test draws its interactive display into `content`, the layer
+// over the canvas, which is hidden again when the test is done.
+
+class CanvasRenderer {
+    static BACKGROUND = '#1a1a2e';
+
+    constructor(canvas, content) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.content = content;
+    }
+
+    clear() {
+        this.ctx.fillStyle = CanvasRenderer.BACKGROUND;
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    // One centred line, e.g. 'Test Complete!'
+    drawMessage(text, color) {
+        this.hideContent();
+        this.clear();
+
+        const ctx = this.ctx;
+        ctx.fillStyle = color;
+        ctx.font = 'bold 36px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, this.canvas.width / 2, this.canvas.height / 2);
+    }
+
+    /**
+     * A screen of text: { title, lines, prompt }. Lines are wrapped to the
+     * canvas width; the prompt (what to press) is drawn last, highlighted.
+     */
+    drawScreen({ title, lines = [], prompt = null }) {
+        this.hideContent();
+        this.clear();
+
+        const ctx = this.ctx;
+        const centre = this.canvas.width / 2;
+        const maxWidth = this.canvas.width - 120;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+
+        let y = 70;
+        ctx.fillStyle = '#ffffff';
+        ctx.font = 'bold 32px Arial';
+        this.wrapText(title, maxWidth).forEach(line => {
+            ctx.fillText(line, centre, y);
+            y += 42;
+        });
+
+        y += 20;
+        ctx.font = '20px Arial';
+        lines.forEach(text => {
+            this.wrapText(text, maxWidth).forEach(line => {
+                ctx.fillText(line, centre, y);
+                y += 28;
+            });
+            y += 12;
+        });
+
+        if (prompt) {
+            ctx.fillStyle = '#4ade80';
+            ctx.font = 'bold 22px Arial';
+            ctx.fillText(prompt, centre, Math.max(y + 20, this.canvas.height - 80));
+        }
+    }
+
+    // Splits text into lines no wider than maxWidth in the current font
+    wrapText(text, maxWidth) {
+        const lines = [];
+        let line = '';
+        String(text).split(/\s+/).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && this.ctx.measureText(candidate).width > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+        if (line) lines.push(line);
+        return lines;
+    }
+
+    // The layer a running test draws into
+    showContent() {
+        this.content.classList.remove('hidden');
+    }
+
+    hideContent() {
+        this.content.classList.add('hidden');
+        this.content.innerHTML = '';
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CanvasRenderer;
+}
@@ -0,0 +1,131 @@
+// js/core/counterbalancing.js - Counterbalancing of music condition order
+// Assigns each participant a condition order from a balanced design, based on
+// their position in the participant sequence (P000001 → first order, etc.)
+
+const CounterbalanceRandom = typeof SeededRandom !== 'undefined'
+    ? SeededRandom
+    : require('./seeded-random');
+
+class Counterbalancer {
+    static DESIGNS = ['latin-square', 'full-permutation', 'block-randomised', 'fixed'];
+
+    constructor(conditions, options = {}) {
+        this.conditions = [...conditions];
+        this.design = options.design || 'latin-square';
+        this.seed = options.seed !== undefined ? options.seed : 1;
+
+        if (!Counterbalancer.DESIGNS.includes(this.design)) {
+            throw new Error(`Unknown counterbalancing design: ${this.design}`);
+        }
+    }
+
+    // === DESIGNS ===
+
+    /**
+     * Williams balanced Latin square: every condition appears once in each
+     * position and follows every other condition equally often. Odd numbers
+     * of conditions need the mirrored rows as well (2n orders).
+     */
+    static balancedLatinSquare(n) {
+        const rows = [];
+
+        for (let r = 0; r < n; r++) {
+            const row = [];
+            let j = 0;
+            let h = 0;
+            for (let i = 0; i < n; i++) {
+                let value;
+                if (i < 2 || i % 2 !== 0) {
+                    value = j++;
+                } else {
+                    value = n - h++ - 1;
+                }
+                row.push((value + r) % n);
+            }
+            rows.push(row);
+        }
+
+        if (n % 2 !== 0) {
+            rows.push(...rows.map(row => [...row].reverse()));
+        }
+
+        return rows;
+    }
+
+    static permutations(items) {
+        if (items.length <= 1) return [[...items]];
+
+        const result = [];
+        items.forEach((item, i) => {
+            const rest = [...items.slice(0, i), ...items.slice(i + 1)];
+            Counterbalancer.permutations(rest).forEach(perm => result.push([item, ...perm]));
+        });
+        return result;
+    }
+
+    /**
+     * All orders for the design, as arrays of condition ids. For the
+     * block-randomised design this is the shuffled order list of one block.
+     */
+    getOrders(blockIndex = 0) {
+        switch (this.design) {
+            case 'latin-square':
+                return Counterbalancer.balancedLatinSquare(this.conditions.length)
+                    .map(row => row.map(i => this.conditions[i]));
+
+            case 'full-permutation':
+                return Counterbalancer.permutations(this.conditions);
+
+            case 'block-randomised': {
+                // Each block of n! participants receives every order exactly once,
+                // shuffled with a seed derived from the block number
+                const rng = new CounterbalanceRandom(`${this.seed}:${blockIndex}`);
+                return rng.shuffle(Counterbalancer.permutations(this.conditions));
+            }
+
+            case 'fixed':
+            default:
+                return [[...this.conditions]];
+        }
+    }
+
+    // === ASSIGNMENT ===
+
+    /**
+     * Zero-based position of a participant in the sequence, from the numeric
+     * part of their code (P000042 → 41)
+     */
+    static participantIndex(participantCode) {
+        const digits = String(participantCode || '').match(/\d+/);
+        if (!digits) return 0;
+        return Math.max(0, parseInt(digits[0], 10) - 1);
+    }
+
+    orderForIndex(index) {
+        const orderCount = this.getOrders().length;
+        const blockIndex = Math.floor(index / orderCount);
+        const orders = this.getOrders(blockIndex);
+        const orderIndex = index % orderCount;
+
+        return {
+            design: this.design,
+            participantIndex: index,
+            orderIndex: orderIndex,
+            blockIndex: blockIndex,
+            order: orders[orderIndex]
+        };
+    }
+
+    assign(participantCode) {
+        return {
+            ...this.orderForIndex(Counterbalancer.participantIndex(participantCode)),
+            participantCode: participantCode,
+            seed: this.design === 'block-randomised' ? this.seed : null
+        };
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Counterbalancer;
+}
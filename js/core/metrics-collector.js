@@ -315,8 +315,8 @@ class MetricsCollector {
     }
 
     // Musical entrainment analysis
-    analyzeRhythmicSynchronization(responseTime, beatTime, targetPhase = 0) {
-        const phase = ((responseTime - beatTime) % 1000) / 1000; // Normalize to 0-1
+    analyzeRhythmicSynchronization(responseTime, beatTime, targetPhase = 0, beatInterval = 1000) {
+        const phase = ((responseTime - beatTime) % beatInterval) / beatInterval; // Normalize to 0-1
         const phaseError = Math.min(Math.abs(phase - targetPhase), 1 - Math.abs(phase - targetPhase));
         
         this.rhythmMetrics.beatPhase.push({
@@ -0,0 +1,256 @@
+// js/core/protocol-validator.js - Validation of study protocol files
+// Checks a protocol against config/protocol-schema.json (the subset of JSON
+// Schema the schema uses: type, enum, required, properties,
+// additionalProperties, items, minItems, minLength, minimum, maximum, pattern
+// and local $refs) and each test's overrides against the parameters its
+// plugin declares, then applies the cross-field rules a schema cannot express.
+
+class ProtocolValidator {
+    constructor(schema, options = {}) {
+        this.schema = schema;
+        this.registry = options.registry || null;  // TestRegistry, with plugins loaded
+    }
+
+    // === ENTRY POINT ===
+
+    /**
+     * Validate a parsed protocol. Returns { valid, errors } where each error
+     * is a readable "path: message" string.
+     */
+    validate(protocol) {
+        const errors = [];
+        this.checkSchema(protocol, this.schema, 'protocol', errors);
+
+        // Cross-field rules assume the basic shape is right
+        if (errors.length === 0) {
+            this.checkProtocol(protocol, errors);
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    // === SCHEMA ===
+
+    resolveRef(ref) {
+        if (!ref.startsWith('#/')) {
+            throw new Error(`Unsupported schema reference: ${ref}`);
+        }
+        return ref.slice(2).split('/').reduce((node, key) => node[key], this.schema);
+    }
+
+    static typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number' && !isFinite(value)) return 'invalid number';
+        if (Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+
+    static matchesType(value, type) {
+        const actual = ProtocolValidator.typeOf(value);
+        if (type === 'number') return actual === 'number' || actual === 'integer';
+        return actual === type;
+    }
+
+    checkSchema(value, schema, path, errors) {
+        if (schema.$ref) {
+            schema = this.resolveRef(schema.$ref);
+        }
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => ProtocolValidator.matchesType(value, type))) {
+                errors.push(`${path}: expected ${types.join(' or ')}, got ${ProtocolValidator.typeOf(value)}`);
+                return;
+            }
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+            return;
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push(`${path}: must not be empty`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors.push(`${path}: "${value}" does not match ${schema.pattern}`);
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push(`${path}: must be >= ${schema.minimum}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push(`${path}: must be <= ${schema.maximum}`);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push(`${path}: needs at least ${schema.minItems} item(s)`);
+            }
+            if (schema.items) {
+                value.forEach((item, i) => this.checkSchema(item, schema.items, `${path}[${i}]`, errors));
+            }
+        }
+
+        if (ProtocolValidator.typeOf(value) === 'object') {
+            (schema.required || []).forEach(key => {
+                if (!(key in value)) {
+                    errors.push(`${path}: missing required property "${key}"`);
+                }
+            });
+
+            const properties = schema.properties || {};
+            Object.keys(value).forEach(key => {
+                if (properties[key]) {
+                    this.checkSchema(value[key], properties[key], `${path}.${key}`, errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push(`${path}: unknown property "${key}"`);
+                } else if (typeof schema.additionalProperties === 'object') {
+                    this.checkSchema(value[key], schema.additionalProperties, `${path}.${key}`, errors);
+                }
+            });
+        }
+    }
+
+    // === CROSS-FIELD RULES ===
+
+    checkProtocol(protocol, errors) {
+        ProtocolValidator.checkUnique(protocol.suites, 'protocol.suites', errors);
+        ProtocolValidator.checkUnique(protocol.conditions, 'protocol.conditions', errors);
+
+        const knownTests = this.registry ? this.registry.ids() : null;
+
+        protocol.suites.forEach((suite, i) => {
+            suite.tests.forEach((testId, j) => {
+                if (knownTests && !knownTests.includes(testId)) {
+                    errors.push(`protocol.suites[${i}].tests[${j}]: unknown test "${testId}"`);
+                }
+            });
+        });
+
+        Object.entries(protocol.tests || {}).forEach(([testId, overrides]) => {
+            const path = `protocol.tests.${testId}`;
+            if (knownTests && !knownTests.includes(testId)) {
+                errors.push(`${path}: unknown test "${testId}"`);
+                return;
+            }
+
+            if (!this.registry) {
+                ProtocolValidator.checkTestParameters(overrides)
+                    .forEach(message => errors.push(`${path}: ${message}`));
+                return;
+            }
+
+            // Only parameters the test declares, within the limits it declares
+            const errorCount = errors.length;
+            this.checkSchema(overrides, this.registry.getParameterSchema(testId), path, errors);
+            if (errors.length > errorCount) return;
+
+            // Rules apply to the parameters the test will actually run with
+            const params = { ...this.registry.get(testId).defaults, ...overrides };
+            [...ProtocolValidator.checkTestParameters(params), ...this.registry.checkParameters(testId, params)]
+                .forEach(message => errors.push(`${path}: ${message}`));
+        });
+    }
+
+    static checkUnique(items, path, errors) {
+        const seen = new Set();
+        items.forEach((item, i) => {
+            if (seen.has(item.id)) {
+                errors.push(`${path}[${i}]: duplicate id "${item.id}"`);
+            }
+            seen.add(item.id);
+        });
+    }
+
+    /**
+     * Rules between parameters shared by many tests. Rules specific to one
+     * test live in its plugin (TestRegistry.checkParameters). Returns plain
+     * messages; the caller adds the path.
+     */
+    static checkTestParameters(params) {
+        const errors = [];
+
+        if (params.minInterval !== undefined && params.maxInterval !== undefined &&
+            params.minInterval > params.maxInterval) {
+            errors.push(`minInterval (${params.minInterval}) must not exceed maxInterval (${params.maxInterval})`);
+        }
+
+        if (params.startingLength !== undefined && params.maxLength !== undefined &&
+            params.startingLength > params.maxLength) {
+            errors.push(`startingLength (${params.startingLength}) must not exceed maxLength (${params.maxLength})`);
+        }
+
+        if (params.adaptive) {
+            ProtocolValidator.checkAdaptive(params.adaptive, params)
+                .forEach(message => errors.push(`adaptive: ${message}`));
+        }
+
+        return errors;
+    }
+
+    // Staircase settings. Which parameters a test can adapt is only known to
+    // the test class, so an unknown parameter is caught when the test starts.
+    static checkAdaptive(adaptive, params) {
+        const errors = [];
+        const { min, max } = adaptive;
+        const start = adaptive.start ?? params[adaptive.parameter];
+
+        if (min !== undefined && max !== undefined && min >= max) {
+            errors.push(`min (${min}) must be less than max (${max})`);
+        } else if (typeof start === 'number' &&
+                   ((min !== undefined && start < min) || (max !== undefined && start > max))) {
+            errors.push(`start (${start}) must lie between min and max`);
+        }
+
+        if (adaptive.step === 0) {
+            errors.push('step must be greater than 0');
+        }
+
+        const guessRate = adaptive.guessRate ?? 0;
+        const lapseRate = adaptive.lapseRate ?? 0.02;
+        if (adaptive.targetAccuracy !== undefined &&
+            (adaptive.targetAccuracy <= guessRate || adaptive.targetAccuracy >= 1 - lapseRate)) {
+            errors.push(`targetAccuracy (${adaptive.targetAccuracy}) must lie between the guess rate and 1 - lapse rate`);
+        }
+
+        if (adaptive.procedure === 'weighted' || adaptive.procedure === 'quest') {
+            if (adaptive.down !== undefined || adaptive.up !== undefined) {
+                errors.push('down and up only apply to the up-down procedure');
+            }
+        } else if (adaptive.targetAccuracy !== undefined) {
+            errors.push('targetAccuracy only applies to the weighted and quest procedures - up-down targets follow from down and up');
+        }
+
+        return errors;
+    }
+
+    // === HASHING SUPPORT ===
+
+    /**
+     * JSON with object keys sorted, so formatting and key order in the file
+     * do not change the protocol hash
+     */
+    static canonicalize(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => ProtocolValidator.canonicalize(item)).join(',')}]`;
+        }
+        if (value !== null && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${ProtocolValidator.canonicalize(value[key])}`)
+                .join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProtocolValidator;
+}
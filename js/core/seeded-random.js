@@ -0,0 +1,85 @@
+// js/core/seeded-random.js - Deterministic pseudo-random number generator
+// mulberry32: small, fast and good enough for experimental randomisation.
+// The same seed always produces the same sequence, so any randomised
+// design decision can be reproduced and audited later.
+
+class SeededRandom {
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    static generateSeed() {
+        return Math.floor(Math.random() * 0xFFFFFFFF) >>> 0;
+    }
+
+    // Accepts numbers or strings (e.g. participant codes) as seeds
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && isFinite(seed)) {
+            return seed >>> 0;
+        }
+
+        // FNV-1a hash for string seeds
+        const text = String(seed);
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Float in [0, 1) - drop-in replacement for Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // Integer in [min, max] inclusive
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    // Key of { key: weight }, drawn in proportion to the weights
+    weighted(weights) {
+        const keys = Object.keys(weights);
+        const total = keys.reduce((sum, key) => sum + weights[key], 0);
+        let threshold = this.next() * total;
+        for (const key of keys) {
+            threshold -= weights[key];
+            if (threshold < 0) return key;
+        }
+        return keys[keys.length - 1];
+    }
+
+    // Fisher-Yates shuffle, returns a new array
+    shuffle(array) {
+        const shuffled = [...array];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(this.next() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+}
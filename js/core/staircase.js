@@ -0,0 +1,220 @@
+// js/core/staircase.js - Adaptive staircase procedures for test difficulty
+// Adapts one test parameter (a display duration, a response window, a
+// playback speed) trial by trial so accuracy settles near a target level,
+// and estimates the parameter value that gives that accuracy (the threshold).
+//
+// Procedures:
+//   'up-down'  - transformed up/down (Levitt, 1971): `down` correct in a row
+//                make it harder, `up` errors in a row make it easier.
+//                1-up/2-down tracks 70.7% correct, 1-up/3-down 79.4%.
+//   'weighted' - weighted up/down (Kaernbach, 1991): one step harder after
+//                each correct trial, target / (1 - target) steps easier
+//                after each error, tracking any targetAccuracy.
+//   'quest'    - Bayesian (after Watson & Pelli, 1983): a posterior over the
+//                threshold is updated after every trial and the next trial
+//                is run at its mean.
+
+class Staircase {
+    static PROCEDURES = ['up-down', 'weighted', 'quest'];
+
+    /**
+     * options: {
+     *   parameter, procedure, start, min, max, step,
+     *   harder: 'decrease' | 'increase'   which way makes the task harder
+     *   down, up                          up-down rule (default 1-up/2-down)
+     *   targetAccuracy                    weighted and quest (default 0.75)
+     *   thresholdReversals                reversals averaged for the threshold
+     *   guessRate, lapseRate, slope, priorSD, gridSize   quest only
+     * }
+     */
+    constructor(options) {
+        this.parameter = options.parameter;
+        this.procedure = options.procedure || 'up-down';
+        if (!Staircase.PROCEDURES.includes(this.procedure)) {
+            throw new Error(`Unknown staircase procedure: ${this.procedure}`);
+        }
+
+        this.min = options.min;
+        this.max = options.max;
+        this.start = Staircase.clamp(options.start, this.min, this.max);
+        this.step = options.step;
+        this.harder = options.harder || 'decrease';
+        // Whole-number parameters (milliseconds) stay whole numbers
+        this.integer = Number.isInteger(options.start) && Number.isInteger(options.step);
+
+        this.down = options.down || 2;
+        this.up = options.up || 1;
+        this.targetAccuracy = this.procedure === 'up-down' ?
+            (this.up === 1 ? Math.pow(0.5, 1 / this.down) : null) :
+            (options.targetAccuracy ?? 0.75);
+        this.thresholdReversals = options.thresholdReversals || 6;
+
+        // QUEST psychometric function and prior
+        this.guessRate = options.guessRate ?? 0;
+        this.lapseRate = options.lapseRate ?? 0.02;
+        this.slope = options.slope || 10 / (this.max - this.min);
+        this.priorSD = options.priorSD || (this.max - this.min) / 4;
+        this.gridSize = options.gridSize || 101;
+
+        this.reset(this.start);
+    }
+
+    static clamp(value, min, max) {
+        return Math.min(max, Math.max(min, value));
+    }
+
+    // Start a fresh track at `value` - e.g. the main block after practice
+    reset(value = this.value) {
+        this.value = this.round(Staircase.clamp(value, this.min, this.max));
+        this.history = [];
+        this.reversals = [];
+        this.correctRun = 0;
+        this.errorRun = 0;
+        this.lastDirection = 0;
+
+        if (this.procedure === 'quest') {
+            this.grid = [];
+            this.logPosterior = [];
+            for (let i = 0; i < this.gridSize; i++) {
+                const threshold = this.min + (this.max - this.min) * i / (this.gridSize - 1);
+                this.grid.push(threshold);
+                this.logPosterior.push(-0.5 * ((threshold - this.value) / this.priorSD) ** 2);
+            }
+        }
+    }
+
+    round(value) {
+        return this.integer ? Math.round(value) : Math.round(value * 1000) / 1000;
+    }
+
+    // Move by `steps` in the harder (positive) or easier (negative) direction
+    move(steps) {
+        const sign = this.harder === 'decrease' ? -1 : 1;
+        return this.value + sign * steps * this.step;
+    }
+
+    /**
+     * Record the outcome of a trial run at the current value and return the
+     * value for the next trial
+     */
+    update(correct, trial = this.history.length + 1) {
+        const entry = { trial: trial, value: this.value, correct: !!correct, reversal: false };
+        this.history.push(entry);
+
+        let next;
+        if (this.procedure === 'quest') {
+            next = this.updateQuest(entry.value, entry.correct);
+        } else if (this.procedure === 'weighted') {
+            const p = this.targetAccuracy;
+            next = correct ? this.move(1) : this.move(-p / (1 - p));
+        } else {
+            next = this.updateUpDown(entry.correct);
+        }
+        next = this.round(Staircase.clamp(next, this.min, this.max));
+
+        // A reversal is a change in the direction the value moves
+        const direction = Math.sign(next - this.value);
+        if (direction !== 0) {
+            if (this.lastDirection !== 0 && direction !== this.lastDirection) {
+                entry.reversal = true;
+                this.reversals.push(this.value);
+            }
+            this.lastDirection = direction;
+        }
+
+        this.value = next;
+        return next;
+    }
+
+    updateUpDown(correct) {
+        if (correct) {
+            this.correctRun++;
+            this.errorRun = 0;
+            if (this.correctRun >= this.down) {
+                this.correctRun = 0;
+                return this.move(1);
+            }
+        } else {
+            this.errorRun++;
+            this.correctRun = 0;
+            if (this.errorRun >= this.up) {
+                this.errorRun = 0;
+                return this.move(-1);
+            }
+        }
+        return this.value;
+    }
+
+    // === QUEST ===
+
+    // Probability of a correct response at `value` if the threshold (the
+    // value giving targetAccuracy) is `threshold`: a logistic function of
+    // how much easier `value` is than the threshold
+    probabilityCorrect(value, threshold) {
+        const range = 1 - this.guessRate - this.lapseRate;
+        const q = (this.targetAccuracy - this.guessRate) / range;
+        const easier = this.harder === 'decrease' ? value - threshold : threshold - value;
+        const z = this.slope * easier + Math.log(q / (1 - q));
+        return this.guessRate + range / (1 + Math.exp(-z));
+    }
+
+    updateQuest(value, correct) {
+        this.grid.forEach((threshold, i) => {
+            const p = this.probabilityCorrect(value, threshold);
+            this.logPosterior[i] += Math.log(correct ? p : 1 - p);
+        });
+        return this.posterior().mean;
+    }
+
+    posterior() {
+        const maxLog = Math.max(...this.logPosterior);
+        const weights = this.logPosterior.map(log => Math.exp(log - maxLog));
+        const total = weights.reduce((a, b) => a + b, 0);
+        const mean = this.grid.reduce((sum, threshold, i) => sum + threshold * weights[i], 0) / total;
+        const variance = this.grid.reduce((sum, threshold, i) => sum + (threshold - mean) ** 2 * weights[i], 0) / total;
+        return { mean: mean, sd: Math.sqrt(variance) };
+    }
+
+    // === RESULTS ===
+
+    // QUEST: the posterior mean. Up/down procedures: the mean of the last
+    // thresholdReversals reversal values (null before the first reversal).
+    getThreshold() {
+        if (this.procedure === 'quest') {
+            return this.history.length > 0 ? this.posterior().mean : null;
+        }
+        const last = this.reversals.slice(-this.thresholdReversals);
+        return last.length > 0 ? last.reduce((a, b) => a + b, 0) / last.length : null;
+    }
+
+    // Everything needed to reconstruct the track, stored with the test run
+    getSummary() {
+        const threshold = this.getThreshold();
+        const correct = this.history.filter(h => h.correct).length;
+
+        return {
+            parameter: this.parameter,
+            procedure: this.procedure,
+            harder: this.harder,
+            targetAccuracy: this.targetAccuracy,
+            rule: this.procedure === 'up-down' ? `${this.up}-up/${this.down}-down` : null,
+            start: this.start,
+            min: this.min,
+            max: this.max,
+            step: this.step,
+            finalValue: this.value,
+            threshold: threshold !== null ? this.round(threshold) : null,
+            thresholdSD: this.procedure === 'quest' && this.history.length > 0 ?
+                this.round(this.posterior().sd) : null,
+            trials: this.history.length,
+            accuracy: this.history.length > 0 ? correct / this.history.length : null,
+            reversals: [...this.reversals],
+            history: this.history.map(h => ({ ...h }))
+        };
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Staircase;
+}
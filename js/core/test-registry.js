@@ -0,0 +1,293 @@
+// js/core/test-registry.js - Registry of cognitive test plugins
+// Every file in js/tests/ (apart from test-base.js) is a test plugin: a
+// CognitionTestBase subclass followed by a TestRegistry.register() call that
+// declares everything the rest of the app needs to know about it. Adding a
+// paradigm means adding one file there - nothing else needs to change.
+//
+// Plugins are discovered from the folder, not listed anywhere:
+//   main process - TestRegistry.discover() evaluates them in a sandbox, so
+//                  protocols can be validated against their defaults
+//   renderer     - TestRegistry.loadScripts() adds them as <script> tags,
+//                  using the file list from the 'get-test-plugins' IPC call
+
+class TestRegistry {
+    static plugins = new Map();
+
+    // test_summaries columns a plugin's summarize() may fill
+    static SUMMARY_COLUMNS = [
+        'total_trials', 'correct_trials', 'accuracy_percent',
+        'mean_rt_ms', 'median_rt_ms', 'std_rt_ms', 'min_rt_ms', 'max_rt_ms',
+        'omission_errors', 'commission_errors'
+    ];
+
+    static BUTTON_CONFIGS = ['single', 'dual', 'all_four'];
+
+    // Metrics any test reports when it adapts a parameter (see
+    // CognitionTestBase.complete), in the adapted parameter's unit
+    static ADAPTIVE_METRICS = {
+        threshold: 'parameter',
+        reversalCount: 'count',
+        finalValue: 'parameter'
+    };
+
+    // Parameters every test accepts on top of its own. Parameter schemas use
+    // the JSON Schema subset ProtocolValidator understands; $refs point into
+    // config/protocol-schema.json. A `label` (and `step`) puts a numeric
+    // parameter in the protocol editor.
+    static COMMON_PARAMETERS = {
+        name: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        suite: { type: ['string', 'null'] },
+        cognitiveConstruct: { type: 'string' },
+        duration: { type: 'integer', minimum: 1000, label: 'Duration (ms)', step: 1000 },
+        practice: { $ref: '#/definitions/practice' },
+        adaptive: { $ref: '#/definitions/adaptive' }
+    };
+
+    /**
+     * Register a test. definition: {
+     *   id            test id used in suites, protocols and the database
+     *   testClass     the CognitionTestBase subclass
+     *   defaults      default config (name, duration, buttonConfig, ...);
+     *                 protocols override these per study
+     *   parameters    schema of the test's own parameters: { name: schema };
+     *                 protocols may only set these and COMMON_PARAMETERS
+     *   validate      optional check of rules between parameters: gets the
+     *                 parameters a run would use, returns error messages
+     *   describe      optional { name, description } derived from the
+     *                 parameters, for tests whose name depends on them
+     *   buttonConfigs button layouts the test can run with
+     *   metrics       metric schema: { metricName: unit } for the numeric
+     *                 fields of calculateMetrics() worth keeping in summaries
+     *                 (units: ms, %, count, items, score, proportion, ratio,
+     *                 d-prime, ...; 'flag' for booleans, stored as 1/0)
+     *   summarize     optional mapper from (numeric) metrics to
+     *                 test_summaries columns the test measures better than
+     *                 the generic trial-based summary
+     * }
+     */
+    static register(definition) {
+        const { id, testClass, defaults, buttonConfigs } = definition;
+
+        if (!id || typeof testClass !== 'function' || !defaults) {
+            throw new Error(`Test plugin ${id || '(no id)'} needs an id, a testClass and defaults`);
+        }
+        if (TestRegistry.plugins.has(id)) {
+            throw new Error(`Test plugin "${id}" is registered twice`);
+        }
+        if (!Array.isArray(buttonConfigs) || buttonConfigs.length === 0 ||
+            buttonConfigs.some(config => !TestRegistry.BUTTON_CONFIGS.includes(config))) {
+            throw new Error(`Test plugin "${id}": buttonConfigs must list some of ${TestRegistry.BUTTON_CONFIGS.join(', ')}`);
+        }
+        if (defaults.buttonConfig && !buttonConfigs.includes(defaults.buttonConfig)) {
+            throw new Error(`Test plugin "${id}": default buttonConfig "${defaults.buttonConfig}" is not in its buttonConfigs`);
+        }
+        const parameters = definition.parameters || {};
+        const undeclared = Object.keys(defaults)
+            .filter(key => key !== 'buttonConfig' && !TestRegistry.COMMON_PARAMETERS[key] && !parameters[key]);
+        if (undeclared.length > 0) {
+            throw new Error(`Test plugin "${id}": defaults ${undeclared.join(', ')} are not declared in its parameters`);
+        }
+
+        TestRegistry.plugins.set(id, {
+            id: id,
+            testClass: testClass,
+            defaults: { buttonConfig: buttonConfigs[0], ...defaults },
+            buttonConfigs: [...buttonConfigs],
+            parameters: parameters,
+            validate: definition.validate || null,
+            describe: definition.describe || null,
+            metrics: definition.metrics || {},
+            summarize: definition.summarize || null
+        });
+    }
+
+    // === LOOKUP ===
+
+    static get(id) {
+        return TestRegistry.plugins.get(id) || null;
+    }
+
+    static ids() {
+        return [...TestRegistry.plugins.keys()];
+    }
+
+    static getTestClass(id) {
+        const plugin = TestRegistry.get(id);
+        return plugin ? plugin.testClass : null;
+    }
+
+    // Fresh copies of every test's defaults, keyed by id (TEST_CONFIGURATIONS)
+    static getDefaultConfigurations() {
+        const configurations = {};
+        TestRegistry.plugins.forEach((plugin, id) => {
+            configurations[id] = TestRegistry.configure(id, JSON.parse(JSON.stringify(plugin.defaults)));
+        });
+        return configurations;
+    }
+
+    /**
+     * Defaults plus overrides, named and described from the resulting
+     * parameters when the plugin derives those - unless the overrides set
+     * them explicitly
+     */
+    static configure(id, defaults, overrides = {}) {
+        const plugin = TestRegistry.get(id);
+        const config = { ...defaults, ...overrides };
+        return plugin && plugin.describe ? { ...config, ...plugin.describe(config), ...overrides } : config;
+    }
+
+    /**
+     * Instantiate a test. Returns null for an unknown id; a button layout the
+     * test does not support falls back to its default with a warning.
+     */
+    static createTest(id, config, platform) {
+        const plugin = TestRegistry.get(id);
+        if (!plugin) return null;
+
+        if (config.buttonConfig && !plugin.buttonConfigs.includes(config.buttonConfig)) {
+            console.warn(`${id} does not support the "${config.buttonConfig}" button layout - using "${plugin.defaults.buttonConfig}"`);
+            config = { ...config, buttonConfig: plugin.defaults.buttonConfig };
+        }
+
+        return new plugin.testClass(config, platform);
+    }
+
+    // === PARAMETERS ===
+
+    // Schema of the parameters a protocol may set for a test (null if unknown)
+    static getParameterSchema(id) {
+        const plugin = TestRegistry.get(id);
+        if (!plugin) return null;
+
+        return {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                ...TestRegistry.COMMON_PARAMETERS,
+                buttonConfig: { enum: [...plugin.buttonConfigs] },
+                ...plugin.parameters
+            }
+        };
+    }
+
+    // The plugin's rules between parameters, for the parameters a run would use
+    static checkParameters(id, params) {
+        const plugin = TestRegistry.get(id);
+        return plugin && plugin.validate ? plugin.validate(params) : [];
+    }
+
+    // Numeric parameters the protocol editor shows for a test:
+    // [{ key, label, min, max, step }] in declaration order
+    static getEditorFields(id) {
+        const schema = TestRegistry.getParameterSchema(id);
+        if (!schema) return [];
+
+        return Object.entries(schema.properties)
+            .filter(([, property]) => property.label)
+            .map(([key, property]) => ({
+                key: key,
+                label: property.label,
+                min: property.minimum,
+                max: property.maximum,
+                step: property.step
+            }));
+    }
+
+    // === SUMMARIES ===
+
+    // calculateMetrics() returns many values as toFixed() strings
+    static toNumber(value) {
+        if (typeof value === 'number') return isFinite(value) ? value : null;
+        if (typeof value === 'string' && value.trim() !== '' && isFinite(Number(value))) return Number(value);
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        return null;
+    }
+
+    /**
+     * Map a run's final metrics to the database summary: the columns the
+     * test's mapper supplies, plus every metric in its schema under `extra`
+     * (stored as extra_metrics_json). Unknown tests get no overrides.
+     */
+    static summarize(id, metrics = {}) {
+        const plugin = TestRegistry.get(id);
+        if (!plugin) return null;
+
+        const numeric = {};
+        Object.keys(metrics).forEach(key => {
+            const value = TestRegistry.toNumber(metrics[key]);
+            if (value !== null) numeric[key] = value;
+        });
+
+        const summary = {};
+        const mapped = plugin.summarize ? plugin.summarize(numeric) : {};
+        Object.keys(mapped).forEach(column => {
+            if (!TestRegistry.SUMMARY_COLUMNS.includes(column)) {
+                console.warn(`${id} summary maps to unknown column "${column}"`);
+            } else if (mapped[column] !== undefined && mapped[column] !== null) {
+                summary[column] = mapped[column];
+            }
+        });
+
+        summary.extra = {};
+        Object.keys({ ...plugin.metrics, ...TestRegistry.ADAPTIVE_METRICS }).forEach(key => {
+            if (numeric[key] !== undefined) summary.extra[key] = numeric[key];
+        });
+
+        return summary;
+    }
+
+    // === DISCOVERY ===
+
+    // Plugin files in a tests folder, in load order
+    static listPluginFiles(testsDir) {
+        const fs = require('fs');
+        return fs.readdirSync(testsDir)
+            .filter(file => file.endsWith('.js') && file !== 'test-base.js')
+            .sort();
+    }
+
+    /**
+     * Main process: evaluate the base class and every plugin in one sandbox,
+     * as the renderer's script tags would. Test classes only touch the DOM
+     * once they run, so loading them for their definitions is safe.
+     */
+    static discover(testsDir = require('path').join(__dirname, '..', 'tests')) {
+        const fs = require('fs');
+        const path = require('path');
+        const vm = require('vm');
+
+        const context = vm.createContext({
+            console: console,
+            TestRegistry: TestRegistry,
+            SeededRandom: require('./seeded-random'),
+            Staircase: require('./staircase')
+        });
+
+        ['test-base.js', ...TestRegistry.listPluginFiles(testsDir)].forEach(file => {
+            const filename = path.join(testsDir, file);
+            vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+        });
+
+        return TestRegistry.ids();
+    }
+
+    // Renderer: load plugin scripts one after another, in order
+    static async loadScripts(sources) {
+        for (const src of sources) {
+            await new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = src;
+                script.onload = resolve;
+                script.onerror = () => reject(new Error(`Could not load test plugin ${src}`));
+                document.head.appendChild(script);
+            });
+        }
+        return TestRegistry.ids();
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TestRegistry;
+}
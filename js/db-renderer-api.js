@@ -57,18 +57,28 @@ const dbAPI = {
         if (!result.success) throw new Error(result.error);
     },
     
+    async markSessionResumed(sessionId) {
+        const result = await ipcRenderer.invoke('db:markSessionResumed', sessionId);
+        if (!result.success) throw new Error(result.error);
+    },
+    
+    async setSessionConditionOrder(sessionId, assignment) {
+        const result = await ipcRenderer.invoke('db:setSessionConditionOrder', sessionId, assignment);
+        if (!result.success) throw new Error(result.error);
+    },
+    
     // ========================================
     // TEST RUNS
     // ========================================
     
-    async createTestRun(sessionId, testType, musicCondition, config = null) {
-        const result = await ipcRenderer.invoke('db:createTestRun', sessionId, testType, musicCondition, config);
+    async createTestRun(sessionId, testType, musicCondition, config = null, staircase = null) {
+        const result = await ipcRenderer.invoke('db:createTestRun', sessionId, testType, musicCondition, config, staircase);
         if (!result.success) throw new Error(result.error);
         return result.result;
     },
     
-    async endTestRun(testRunId, trialCount) {
-        const result = await ipcRenderer.invoke('db:endTestRun', testRunId, trialCount);
+    async endTestRun(testRunId, trialCount, config = null, staircase = null) {
+        const result = await ipcRenderer.invoke('db:endTestRun', testRunId, trialCount, config, staircase);
         if (!result.success) throw new Error(result.error);
     },
     
@@ -90,8 +100,8 @@ const dbAPI = {
     // SUMMARIES
     // ========================================
     
-    async createTestSummary(testRunId) {
-        const result = await ipcRenderer.invoke('db:createTestSummary', testRunId);
+    async createTestSummary(testRunId, mapped = null) {
+        const result = await ipcRenderer.invoke('db:createTestSummary', testRunId, mapped);
         if (!result.success) throw new Error(result.error);
         return result.result;
     },
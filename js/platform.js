@@ -19,6 +19,8 @@ class MusicCognitionPlatform {
         this.musicAnalyzer = null;
         this.audioBuffer = null;
         this.audioSource = null;
+        this.musicStartTime = null;  // audioContext time the current track started
+        this.musicTempo = 0;         // BPM of the current condition (0 = unknown)
         
         // Hardware interface - Microbit
         this.microbitInterface = null;
@@ -33,8 +35,7 @@ class MusicCognitionPlatform {
         // Current screen management
         this.currentScreen = 'welcomeScreen';
         
-        // Test configurations
-        this.testConfigurations = this.setupTestConfigurations();
+        // Music conditions
         this.musicConditions = this.setupMusicConditions();
         
         // Initialize platform
@@ -465,73 +466,8 @@ class MusicCognitionPlatform {
         console.log('Event listeners setup complete');
     }
 
-    setupTestConfigurations() {
-        return {
-            'simple-reaction': {
-                name: 'Simple Reaction Time',
-                class: 'SimpleReactionTest',
-                duration: 120000, // 2 minutes
-                buttonConfig: 'single',
-                description: 'Press the button as quickly as possible when stimulus appears',
-                metrics: ['reactionTime', 'consistency', 'lapses']
-            },
-            'choice-reaction': {
-                name: 'Choice Reaction Time',
-                class: 'ChoiceReactionTest',
-                duration: 180000, // 3 minutes
-                buttonConfig: 'all_four',
-                description: 'Press the correct button based on stimulus type',
-                metrics: ['reactionTime', 'accuracy', 'interference']
-            },
-            'vigilance': {
-                name: 'Sustained Attention',
-                class: 'VigilanceTest',
-                duration: 600000, // 10 minutes
-                buttonConfig: 'single',
-                description: 'Monitor for rare target stimuli over extended period',
-                metrics: ['hitRate', 'falseAlarms', 'vigilanceDecrement']
-            },
-            'n-back': {
-                name: 'Working Memory (N-Back)',
-                class: 'NBackTest',
-                duration: 300000, // 5 minutes
-                buttonConfig: 'dual',
-                description: 'Identify when current stimulus matches one N trials back',
-                metrics: ['accuracy', 'dprime', 'workingMemoryCapacity']
-            },
-            'rhythm-sync': {
-                name: 'Rhythm Synchronization',
-                class: 'RhythmSyncTest',
-                duration: 240000, // 4 minutes
-                buttonConfig: 'rhythm_tap',
-                description: 'Synchronize button presses with musical beats',
-                metrics: ['timingError', 'synchronization', 'adaptability']
-            },
-            'multi-stream': {
-                name: 'Multi-Stream Attention',
-                class: 'MultiStreamTest',
-                duration: 360000, // 6 minutes
-                buttonConfig: 'all_four',
-                description: 'Monitor multiple streams simultaneously',
-                metrics: ['dividedAttention', 'switchingCosts', 'overallAccuracy']
-            },
-            'stroop': {
-                name: 'Stroop Interference',
-                class: 'StroopTest',
-                duration: 180000, // 3 minutes
-                buttonConfig: 'color_mapping',
-                description: 'Respond to ink color while ignoring word meaning',
-                metrics: ['interferenceEffect', 'cognitiveControl', 'processingSpeed']
-            },
-            'dual-task': {
-                name: 'Dual-Task Paradigm',
-                class: 'DualTaskTest',
-                duration: 300000, // 5 minutes
-                buttonConfig: 'dual_task',
-                description: 'Perform two tasks simultaneously',
-                metrics: ['dualTaskCost', 'taskPrioritization', 'multitaskingEfficiency']
-            }
-        };
+    getTestConfiguration(testType) {
+        return TEST_CONFIGURATIONS[testType];
     }
 
     setupMusicConditions() {
@@ -541,7 +477,7 @@ class MusicCognitionPlatform {
                 type: 'none',
                 description: 'No background music - baseline condition',
                 arousal: 'neutral',
-                bpm: 0
+                tempo: 0
             },
             'classical_low': {
                 name: 'Classical - Low Tempo',
@@ -549,7 +485,7 @@ class MusicCognitionPlatform {
                 file: 'audio/classical_60bpm.mp3',
                 description: 'Classical music at 60 BPM',
                 arousal: 'low',
-                bpm: 60
+                tempo: 60
             },
             'classical_high': {
                 name: 'Classical - High Tempo',
@@ -557,7 +493,7 @@ class MusicCognitionPlatform {
                 file: 'audio/classical_120bpm.mp3',
                 description: 'Classical music at 120 BPM',
                 arousal: 'high',
-                bpm: 120
+                tempo: 120
             },
             'ambient': {
                 name: 'Ambient',
@@ -565,7 +501,7 @@ class MusicCognitionPlatform {
                 file: 'audio/ambient.mp3',
                 description: 'Ambient instrumental music',
                 arousal: 'low',
-                bpm: 70
+                tempo: 70
             },
             'electronic': {
                 name: 'Electronic',
@@ -573,7 +509,7 @@ class MusicCognitionPlatform {
                 file: 'audio/electronic_140bpm.mp3',
                 description: 'Electronic music at 140 BPM',
                 arousal: 'high',
-                bpm: 140
+                tempo: 140
             },
             'white_noise': {
                 name: 'White Noise',
@@ -793,28 +729,26 @@ class MusicCognitionPlatform {
     createTestQueue(tests, conditions) {
         const queue = [];
         
-        // Create all test-condition combinations
-        tests.forEach(testType => {
-            conditions.forEach(condition => {
+        // Counterbalanced condition order for this participant
+        const participant = this.currentSession.participant || {};
+        const participantCode = participant.participant_code || this.currentSession.participantId;
+        const assignment = new Counterbalancer(conditions, COUNTERBALANCING).assign(participantCode);
+        this.currentSession.counterbalancing = assignment;
+        
+        console.log(`Condition order (${assignment.design} #${assignment.orderIndex}): ${assignment.order.join(' → ')}`);
+        
+        // Conditions run as blocks, each containing all selected tests
+        assignment.order.forEach(condition => {
+            tests.forEach(testType => {
                 queue.push({
                     testType: testType,
                     musicCondition: condition,
-                    config: this.testConfigurations[testType]
+                    config: this.getTestConfiguration(testType)
                 });
             });
         });
         
-        // Randomize order (counterbalancing)
-        return this.shuffleArray(queue);
-    }
-
-    shuffleArray(array) {
-        const shuffled = [...array];
-        for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-        }
-        return shuffled;
+        return queue;
     }
 
     async startNextTest() {
@@ -856,18 +790,15 @@ class MusicCognitionPlatform {
     async initializeTest(testConfig) {
         console.log(`Initializing test: ${testConfig.testType}`);
         
-        // Get test class
-        const TestClass = this.getTestClass(testConfig.testType);
-        if (!TestClass) {
-            console.error(`Test class not found: ${testConfig.testType}`);
+        // Create the test from its plugin
+        this.testInstance = TestRegistry.createTest(testConfig.testType, testConfig.config, this);
+        if (!this.testInstance) {
+            console.error(`Test plugin not found: ${testConfig.testType}`);
             this.testIndex++;
             this.startNextTest();
             return;
         }
         
-        // Create test instance
-        this.testInstance = new TestClass(testConfig.config, this);
-        
         // Initialize and run test
         try {
             await this.testInstance.initialize();
@@ -878,21 +809,6 @@ class MusicCognitionPlatform {
         }
     }
 
-    getTestClass(testType) {
-        const testClasses = {
-            'simple-reaction': typeof SimpleReactionTest !== 'undefined' ? SimpleReactionTest : null,
-            'choice-reaction': typeof ChoiceReactionTest !== 'undefined' ? ChoiceReactionTest : null,
-            'vigilance': typeof VigilanceTest !== 'undefined' ? VigilanceTest : null,
-            'n-back': typeof NBackTest !== 'undefined' ? NBackTest : null,
-            'rhythm-sync': typeof RhythmSyncTest !== 'undefined' ? RhythmSyncTest : null,
-            'multi-stream': typeof MultiStreamTest !== 'undefined' ? MultiStreamTest : null,
-            'stroop': typeof StroopTest !== 'undefined' ? StroopTest : null,
-            'dual-task': typeof DualTaskTest !== 'undefined' ? DualTaskTest : null
-        };
-        
-        return testClasses[testType];
-    }
-
     async completeCurrentTest() {
         if (!this.testInstance) return;
         
@@ -1017,6 +933,7 @@ class MusicCognitionPlatform {
 
     async setupMusicCondition(conditionKey) {
         const condition = this.musicConditions[conditionKey];
+        this.musicTempo = condition.tempo || 0;
         
         if (condition.type === 'none') {
             // Silence - stop any current audio
@@ -1066,6 +983,7 @@ class MusicCognitionPlatform {
             
             // Start playback
             this.audioSource.start();
+            this.musicStartTime = this.audioContext.currentTime;  // Beat grid origin for rhythm tests
             
         } catch (error) {
             console.error('Audio loading error:', error);
@@ -1147,6 +1065,7 @@ class MusicCognitionPlatform {
             }
             this.audioSource = null;
         }
+        this.musicStartTime = null;
     }
 
     updateMusicIndicator(conditionKey) {
@@ -1174,13 +1093,7 @@ class MusicCognitionPlatform {
         
         // Forward to current test
         if (this.testInstance && this.testInstance.handleButtonPress) {
-            // Convert 0-based index to 1-based for test
-            const buttonData = {
-                button: buttonIndex + 1,
-                timestamp: timestamp,
-                ...data
-            };
-            this.testInstance.handleButtonPress(buttonData);
+            this.testInstance.handleButtonPress(buttonIndex, timestamp, data || {});
         }
     }
 
@@ -1194,12 +1107,7 @@ class MusicCognitionPlatform {
         });
         
         if (this.testInstance && this.testInstance.handleButtonRelease) {
-            const buttonData = {
-                button: buttonIndex + 1,
-                timestamp: timestamp,
-                ...data
-            };
-            this.testInstance.handleButtonRelease(buttonData);
+            this.testInstance.handleButtonRelease(buttonIndex, timestamp, data || {});
         }
     }
 
@@ -4,7 +4,7 @@ class SessionController {
     constructor(platform) {
         this.platform = platform;
         this.selectedSuites = ['reaction-inhibition']; // Default to Suite 1
-        this.musicConditions = ['silence', 'classical-80bpm', 'electronic-140bpm'];
+        this.conditionOrder = null; // Counterbalanced order for the current session
         
         // Session state
         this.currentSession = null;
@@ -17,6 +17,11 @@ class SessionController {
         this.startTesting = this.startTesting.bind(this);
     }
 
+    // Conditions come from the active study protocol
+    get musicConditions() {
+        return MUSIC_CONDITIONS.map(c => c.id);
+    }
+
     // === SUITE SELECTION ===
     
     toggleSuite(cardElement) {
@@ -48,7 +53,8 @@ class SessionController {
         let testTimePerCondition = 0;
         
         this.selectedSuites.forEach(suiteId => {
-            const suite = TEST_SUITES[suiteId === 'reaction-inhibition' ? 'reactionInhibition' : 'cognitiveLoad'];
+            const suite = TEST_SUITES[suiteId];
+            if (!suite) return;
             testsPerCondition += suite.tests.length;
             suite.tests.forEach(testId => {
                 testTimePerCondition += TEST_CONFIGURATIONS[testId].duration;
@@ -94,13 +100,17 @@ class SessionController {
             return;
         }
 
-        // Build test queue
+        this.currentSession = this.currentSession || this.platform.currentSession || {};
+        
+        // Assign this participant's condition order, then build test queue
+        await this.assignConditionOrder();
         this.buildTestQueue();
         
         // Initialize session data
+        this.currentSession.status = 'active';
         this.currentSession.testQueue = this.testQueue;
         this.currentSession.selectedSuites = [...this.selectedSuites];
-        this.currentSession.musicConditions = [...this.musicConditions];
+        this.currentSession.musicConditions = [...this.conditionOrder];
         this.currentSession.startTime = new Date().toISOString();
         this.currentSession.results = [];
         
@@ -108,6 +118,10 @@ class SessionController {
         this.currentTestIndex = 0;
         this.currentConditionIndex = 0;
         
+        // Checkpoint before the first test so a crash during it is resumable
+        this.updateCheckpoint();
+        await this.saveSession();
+        
         // Show test screen
         this.platform.showScreen('testScreen');
         
@@ -115,18 +129,113 @@ class SessionController {
         await this.startNextCondition();
     }
 
+    // === CHECKPOINT & RESUME ===
+    
+    getQueueKey(testItem) {
+        return `${testItem.testId}@${testItem.conditionId}`;
+    }
+
+    updateCheckpoint(completedItem = null) {
+        const checkpoint = this.currentSession.checkpoint || {
+            testQueue: this.currentSession.testQueue.map(item => ({
+                testId: item.testId,
+                conditionId: item.conditionId,
+                suiteId: item.suiteId
+            })),
+            completedTests: []
+        };
+        
+        if (completedItem) {
+            const key = this.getQueueKey(completedItem);
+            if (!checkpoint.completedTests.includes(key)) {
+                checkpoint.completedTests.push(key);
+            }
+        }
+        
+        // Position in the full checkpoint queue - after a resume, testQueue
+        // only holds the tests that were still to run
+        const current = this.testQueue[this.currentTestIndex];
+        checkpoint.currentTestIndex = current ?
+            checkpoint.testQueue.findIndex(item => this.getQueueKey(item) === this.getQueueKey(current)) :
+            checkpoint.testQueue.length;
+        checkpoint.dbSessionId = this.currentSession.dbId || null;
+        checkpoint.updatedAt = new Date().toISOString();
+        
+        this.currentSession.checkpoint = checkpoint;
+    }
+
+    /**
+     * Continue a session restored by the main process 'resume-session' handler.
+     * Rebuilds the queue from the checkpoint and skips completed test×condition pairs.
+     */
+    async resumeSession(savedSession) {
+        const checkpoint = savedSession.checkpoint;
+        if (!checkpoint) {
+            this.showMessage('This session has no saved progress to resume', 'error');
+            return;
+        }
+        
+        this.currentSession = savedSession;
+        this.currentSession.status = 'active';
+        this.currentSession.results = this.currentSession.results || [];
+        this.selectedSuites = [...(savedSession.selectedSuites || this.selectedSuites)];
+        this.conditionOrder = [...(savedSession.musicConditions || this.musicConditions)];
+        
+        // Rebuild full queue, then drop what was already completed
+        this.buildTestQueue();
+        const completed = new Set(checkpoint.completedTests || []);
+        const queueOrder = checkpoint.testQueue.map(item => this.getQueueKey(item));
+        this.testQueue = this.testQueue
+            .filter(item => queueOrder.includes(this.getQueueKey(item)))
+            .sort((a, b) => queueOrder.indexOf(this.getQueueKey(a)) - queueOrder.indexOf(this.getQueueKey(b)))
+            .filter(item => !completed.has(this.getQueueKey(item)));
+        
+        this.currentTestIndex = 0;
+        this.currentConditionIndex = 0;
+        
+        console.log(`Resuming session with ${this.testQueue.length} of ${queueOrder.length} tests remaining`);
+        
+        if (typeof ipcRenderer !== 'undefined' && checkpoint.dbSessionId) {
+            await ipcRenderer.invoke('db:markSessionResumed', checkpoint.dbSessionId);
+        }
+        
+        this.updateCheckpoint();
+        await this.saveSession();
+        
+        this.platform.showScreen('testScreen');
+        await this.startNextCondition();
+    }
+
+    async assignConditionOrder() {
+        const participant = this.currentSession.participant || {};
+        const participantCode = participant.participant_code || this.currentSession.participantId;
+        
+        const counterbalancer = new Counterbalancer(this.musicConditions, COUNTERBALANCING);
+        const assignment = counterbalancer.assign(participantCode);
+        
+        this.conditionOrder = assignment.order;
+        this.currentSession.counterbalancing = assignment;
+        
+        console.log(`Condition order (${assignment.design} #${assignment.orderIndex}): ${assignment.order.join(' → ')}`);
+        
+        if (typeof ipcRenderer !== 'undefined' && this.currentSession.dbId) {
+            await ipcRenderer.invoke('db:setSessionConditionOrder', this.currentSession.dbId, assignment);
+        }
+    }
+
     buildTestQueue() {
         this.testQueue = [];
+        const conditionOrder = this.conditionOrder || this.musicConditions;
         
         // For each condition
-        this.musicConditions.forEach((conditionId, condIndex) => {
+        conditionOrder.forEach((conditionId, condIndex) => {
             const condition = MUSIC_CONDITIONS.find(c => c.id === conditionId) || 
                              { id: conditionId, name: conditionId };
             
             // For each selected suite
             this.selectedSuites.forEach(suiteId => {
-                const suiteKey = suiteId === 'reaction-inhibition' ? 'reactionInhibition' : 'cognitiveLoad';
-                const suite = TEST_SUITES[suiteKey];
+                const suite = TEST_SUITES[suiteId];
+                if (!suite) return;
                 
                 // For each test in suite
                 suite.tests.forEach(testId => {
@@ -237,9 +346,9 @@ class SessionController {
     getConditionInstruction(conditionId) {
         const instructions = {
             'silence': 'This block will be completed in silence. Focus on the tests.',
-            'classical-80bpm': 'You will hear slow classical music during this block.',
+            'classical': 'You will hear slow classical music during this block.',
             'classical-120bpm': 'You will hear medium-tempo classical music during this block.',
-            'electronic-140bpm': 'You will hear fast electronic music during this block.',
+            'electronic': 'You will hear fast electronic music during this block.',
             'white-noise': 'You will hear white noise during this block.',
             'ambient': 'You will hear ambient soundscape during this block.',
             'binaural': 'You will hear binaural beats during this block. Use headphones for best effect.'
@@ -279,24 +388,28 @@ class SessionController {
         // Update UI
         this.updateTestProgress(testItem);
         
-        // Get the test class
-        const TestClass = this.getTestClass(testItem.testId);
+        // Create the test from its plugin
+        const testInstance = TestRegistry.createTest(testItem.testId, testItem.testConfig, this.platform);
         
-        if (!TestClass) {
-            console.error(`Test class not found for: ${testItem.testId}`);
+        if (!testInstance) {
+            console.error(`Test plugin not found for: ${testItem.testId}`);
             this.currentTestIndex++;
             await this.startNextCondition();
             return;
         }
         
-        // Create and run test instance
-        const testInstance = new TestClass(testItem.testConfig, this.platform);
-        
         try {
-            await testInstance.initialize();
+            // Trials are journalled to the database as the test logs them
+            const testRunId = await this.startTestRun(testItem, testInstance);
             
-            // Wait for test completion
-            const results = await testInstance.complete();
+            // Instructions, practice and the main block
+            const results = await testInstance.run();
+            if (!results) {
+                throw new Error(`${testItem.testConfig.name} was stopped before it finished`);
+            }
+            
+            // Store the run config, including seed and generated trial list
+            await this.recordTestRun(testRunId, testItem, results);
             
             // Store results
             this.currentSession.results.push({
@@ -314,6 +427,10 @@ class SessionController {
             // Move to next test
             this.currentTestIndex++;
             
+            // Checkpoint progress so an interrupted session can be resumed
+            this.updateCheckpoint(testItem);
+            await this.saveSession();
+            
             // Brief pause between tests
             await this.delay(2000);
             
@@ -327,6 +444,47 @@ class SessionController {
         }
     }
 
+    // Create the test run as the test starts and journal each trial record
+    // to it as the test logs it. Returns the run id, or null without a database.
+    async startTestRun(testItem, testInstance) {
+        if (typeof ipcRenderer === 'undefined' || !this.currentSession.dbId) return null;
+        
+        try {
+            const testRun = await ipcRenderer.invoke('db:createTestRun',
+                this.currentSession.dbId,
+                testItem.testId,
+                testItem.conditionId,
+                testInstance.getRunConfig(),
+                null
+            );
+            if (!testRun.success) return null;
+            
+            const testRunId = testRun.result.id;
+            testInstance.recordTrial = record => ipcRenderer.invoke('db:recordTrial', testRunId, record)
+                .catch(error => console.error('Error journalling trial:', error));
+            return testRunId;
+        } catch (error) {
+            console.error('Error creating test run:', error);
+            return null;
+        }
+    }
+    
+    // Complete the run with its final config and staircase, and summarise
+    // the journalled trials (IPC calls are handled in order)
+    async recordTestRun(testRunId, testItem, results) {
+        if (!testRunId) return;
+        
+        try {
+            await ipcRenderer.invoke('db:endTestRun', testRunId,
+                results.metrics.totalTrials ?? results.metrics.trialCount ?? 0,
+                results.config, results.staircase || null);
+            await ipcRenderer.invoke('db:createTestSummary', testRunId,
+                TestRegistry.summarize(testItem.testId, results.metrics));
+        } catch (error) {
+            console.error('Error recording test run:', error);
+        }
+    }
+
     updateTestProgress(testItem) {
         const progressFill = document.getElementById('progressFill');
         const currentTestName = document.getElementById('currentTestName');
@@ -348,18 +506,6 @@ class SessionController {
         }
     }
 
-    getTestClass(testId) {
-        const classMap = {
-            'simple-reaction': typeof SimpleReactionTest !== 'undefined' ? SimpleReactionTest : null,
-            'go-nogo': typeof GoNoGoTest !== 'undefined' ? GoNoGoTest : null,
-            'stroop': typeof StroopTest !== 'undefined' ? StroopTest : null,
-            'choice-reaction': typeof ChoiceReactionTest !== 'undefined' ? ChoiceReactionTest : null,
-            'digit-span': typeof DigitSpanTest !== 'undefined' ? DigitSpanTest : null,
-            'n-back': typeof NBackTest !== 'undefined' ? NBackTest : null
-        };
-        return classMap[testId] || null;
-    }
-
     // === SESSION COMPLETION ===
     
     async completeSession() {
@@ -430,11 +576,12 @@ class SessionController {
         try {
             // Save via IPC to main process
             if (typeof ipcRenderer !== 'undefined') {
-                await ipcRenderer.invoke('save-session', this.currentSession);
+                await ipcRenderer.invoke('update-session', this.currentSession);
             }
             
-            // Also save to localStorage as backup
-            const sessions = JSON.parse(localStorage.getItem('sessions') || '[]');
+            // Also save to localStorage as backup (replacing earlier checkpoints)
+            const sessions = JSON.parse(localStorage.getItem('sessions') || '[]')
+                .filter(s => !this.currentSession.id || s.id !== this.currentSession.id);
             sessions.push(this.currentSession);
             localStorage.setItem('sessions', JSON.stringify(sessions));
             
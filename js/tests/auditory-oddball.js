@@ -0,0 +1,517 @@
+// js/tests/auditory-oddball.js - Auditory Oddball (Three-Stimulus) Test
+
+class AuditoryOddballTest extends CognitionTestBase {
+    constructor(config, platform) {
+        super(config, platform);
+
+        // Three sounds: frequent standard tones, rare target tones that differ
+        // in pitch or duration (press), and rare white-noise distractors (ignore)
+        this.deviantType = config.deviantType || 'pitch';   // 'pitch' or 'duration'
+        this.targetProbability = config.targetProbability ?? 0.1;
+        this.distractorProbability = config.distractorProbability ?? 0.1;
+
+        this.sounds = {
+            standard: { frequency: 1000, duration: 100 },
+            target: this.deviantType === 'duration' ?
+                { frequency: 1000, duration: 250 } :
+                { frequency: 1250, duration: 100 },
+            distractor: { noise: true, duration: 150 }
+        };
+        this.toneVolume = config.toneVolume ?? 0.5;   // Against the background music
+
+        // Timing - onset-to-onset interval, jittered
+        this.minInterval = config.minInterval || 1000;
+        this.maxInterval = config.maxInterval || 1400;
+        this.responseWindow = config.responseWindow || 900;
+        this.scheduleAhead = 100;   // ms - sounds are put on the audio clock this far ahead
+
+        // Targets with a distractor among the preceding sounds, for distractor-induced slowing
+        this.distractorWindow = 2;
+
+        this.soundTimer = null;
+        this.windowTimers = [];
+        this.nextOnset = null;
+        this.audioAvailable = true;
+
+        // One entry per sound: { trial, type, onset, responded, reactionTime, afterDistractor }
+        this.trialLog = [];
+        this.strayResponses = 0;
+    }
+
+    async setupLEDPatterns() {
+        await this.platform.setAllLEDs(false);
+    }
+
+    async runTest() {
+        const testContent = this.getDisplay();
+        const targetDescription = this.deviantType === 'duration' ? 'LONGER' : 'HIGHER';
+
+        testContent.innerHTML = `
+            <div class="oddball-test">
+                <div class="instruction-box">
+                    <h3>Press the GREEN button for the ${targetDescription} tone</h3>
+                    <p>Ignore the usual tone and any noise bursts</p>
+                </div>
+
+                <div class="stimulus-area">
+                    <div class="sound-indicator" id="soundIndicator">&#9834;</div>
+                </div>
+
+                <div class="test-stats">
+                    <div class="stat">
+                        <span class="stat-label">Sounds:</span>
+                        <span class="stat-value" id="trialCount">0</span>
+                    </div>
+                    <div class="stat">
+                        <span class="stat-label">Time:</span>
+                        <span class="stat-value" id="timeRemaining"></span>
+                    </div>
+                </div>
+            </div>
+
+            <style>
+                .oddball-test {
+                    text-align: center;
+                    padding: 20px;
+                }
+
+                .instruction-box {
+                    background: rgba(255,255,255,0.1);
+                    padding: 20px;
+                    border-radius: 10px;
+                    margin-bottom: 40px;
+                }
+
+                .instruction-box h3 {
+                    margin: 0 0 10px 0;
+                    color: #4ade80;
+                    font-size: 1.4em;
+                }
+
+                .instruction-box p {
+                    margin: 0;
+                    color: rgba(255,255,255,0.8);
+                    font-size: 1.1em;
+                }
+
+                .stimulus-area {
+                    margin: 40px 0;
+                    min-height: 200px;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                }
+
+                .sound-indicator {
+                    width: 150px;
+                    height: 150px;
+                    border-radius: 50%;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    font-size: 4em;
+                    color: rgba(255,255,255,0.3);
+                    background: rgba(255,255,255,0.05);
+                    border: 4px solid rgba(255,255,255,0.2);
+                    transition: background 0.05s;
+                }
+
+                /* Only used when there is no audio output */
+                .sound-indicator.standard { background: rgba(255,255,255,0.6); }
+                .sound-indicator.target { background: #fbbf24; }
+                .sound-indicator.distractor { background: #6b7280; }
+
+                .test-stats {
+                    display: flex;
+                    justify-content: center;
+                    gap: 30px;
+                    margin-top: 20px;
+                }
+
+                .stat {
+                    background: rgba(255,255,255,0.1);
+                    padding: 10px 20px;
+                    border-radius: 8px;
+                }
+
+                .stat-label {
+                    color: rgba(255,255,255,0.7);
+                    margin-right: 8px;
+                }
+
+                .stat-value {
+                    color: #fff;
+                    font-weight: bold;
+                    font-size: 1.2em;
+                }
+            </style>
+        `;
+
+        if (!this.getAudioContext()) {
+            console.warn('Auditory oddball: no audio context, sounds will be shown on screen instead');
+            this.audioAvailable = false;
+        }
+
+        this.updateTimer();
+        await this.platform.delay(2000);
+        this.nextOnset = performance.now() + this.scheduleAhead;
+        this.scheduleNextSound();
+    }
+
+    // Standards open the sequence, and the same deviant never occurs twice
+    // in a row, so each target and distractor stands out from a run of
+    // standards. A target may directly follow a distractor.
+    generateTrialList(rng) {
+        const trials = [];
+        const count = this.config.targetTrials || this.estimateMaxTrials(this.minInterval);
+        const leadInStandards = 3;
+
+        for (let i = 1; i <= count; i++) {
+            const previous = trials[trials.length - 1];
+            let type = 'standard';
+            if (i > leadInStandards) {
+                const draw = rng.next();
+                if (draw < this.targetProbability) {
+                    type = 'target';
+                } else if (draw < this.targetProbability + this.distractorProbability) {
+                    type = 'distractor';
+                }
+                if (previous && previous.type === type) type = 'standard';
+            }
+
+            trials.push({
+                trial: i,
+                type: type,
+                interval: Math.round(rng.range(this.minInterval, this.maxInterval))
+            });
+        }
+
+        return trials;
+    }
+
+    scheduleNextSound() {
+        if (!this.isRunning) return;
+
+        const timeElapsed = Date.now() - this.startTime;
+        this.updatePracticeFeedback();
+        const nextTrial = this.getNextTrialSpec();
+        if (timeElapsed >= this.config.duration || !nextTrial) {
+            // Let the last response window run out first
+            this.soundTimer = setTimeout(() => this.complete(), this.responseWindow);
+            return;
+        }
+
+        // Wake up shortly before the onset and put the sound on the audio clock
+        const onset = this.nextOnset;
+        this.nextOnset = onset + nextTrial.interval;
+        this.soundTimer = setTimeout(() => {
+            if (this.isRunning) {
+                this.presentSound(onset);
+            }
+        }, Math.max(0, onset - this.scheduleAhead - performance.now()));
+    }
+
+    // === SOUNDS ===
+
+    async presentSound(onset) {
+        this.currentTrial++;
+        document.getElementById('trialCount').textContent = this.currentTrial;
+
+        const spec = this.getTrialSpec();
+        const sound = this.sounds[spec.type];
+        const heard = this.playSound(onset, sound);
+
+        // Distractors among the preceding sounds
+        const recent = this.trialLog.slice(-this.distractorWindow);
+        const entry = {
+            trial: this.currentTrial,
+            type: spec.type,
+            onset: heard,
+            responded: false,
+            reactionTime: null,
+            afterDistractor: recent.some(t => t.type === 'distractor')
+        };
+        this.trialLog.push(entry);
+
+        this.testData.push({
+            type: 'stimulus',
+            trial: this.currentTrial,
+            timestamp: heard,
+            relativeTime: heard - this.startTime,
+            soundType: spec.type,
+            deviantType: this.deviantType,
+            frequency: sound.frequency || null,
+            soundDuration: sound.duration,
+            afterDistractor: entry.afterDistractor,
+            musicPlaying: !!this.platform.audioSource
+        });
+
+        // Score the sound once its response window has passed
+        this.windowTimers.push(setTimeout(() => this.closeWindow(entry),
+            heard + this.responseWindow - performance.now()));
+
+        this.scheduleNextSound();
+    }
+
+    // Plays a sound at a performance.now() time and returns when it will be
+    // heard. Without audio the indicator flashes at that time instead.
+    playSound(time, sound) {
+        if (!this.audioAvailable) {
+            this.windowTimers.push(setTimeout(() => this.flashIndicator(sound), time - performance.now()));
+            return time;
+        }
+        if (sound.noise) {
+            return this.scheduleNoise(time, sound.duration, this.toneVolume);
+        }
+        return this.scheduleTone(time, sound.frequency, sound.duration, this.toneVolume);
+    }
+
+    // White-noise burst on the audio clock, as scheduleTone does for tones
+    scheduleNoise(time, duration, volume) {
+        const audioContext = this.getAudioContext();
+        const when = audioContext.currentTime + Math.max(0, time - performance.now()) / 1000;
+
+        const length = Math.ceil(audioContext.sampleRate * duration / 1000);
+        const buffer = audioContext.createBuffer(1, length, audioContext.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+
+        const source = audioContext.createBufferSource();
+        const gain = audioContext.createGain();
+        source.buffer = buffer;
+        gain.gain.setValueAtTime(volume, when);
+        gain.gain.exponentialRampToValueAtTime(0.001, when + duration / 1000);
+
+        source.connect(gain);
+        gain.connect(audioContext.destination);
+        source.start(when);
+
+        const latency = ((audioContext.baseLatency || 0) + (audioContext.outputLatency || 0)) * 1000;
+        return Math.max(time, performance.now()) + latency;
+    }
+
+    flashIndicator(sound) {
+        const indicator = document.getElementById('soundIndicator');
+        if (!indicator || !this.isRunning) return;
+
+        const type = Object.keys(this.sounds).find(key => this.sounds[key] === sound);
+        indicator.classList.add(type);
+        setTimeout(() => indicator.classList.remove(type), sound.duration);
+    }
+
+    // The sound a press at `time` answers: the latest one already heard
+    soundAt(time) {
+        for (let i = this.trialLog.length - 1; i >= 0; i--) {
+            if (this.trialLog[i].onset <= time) return this.trialLog[i];
+        }
+        return null;
+    }
+
+    async handleButtonPress(buttonIndex, timestamp, buttonData) {
+        if (this.dismissInstructions()) return;
+
+        if (!this.isRunning) return;
+
+        const responseTime = timestamp;
+        const entry = this.soundAt(responseTime);
+        const inWindow = entry && !entry.responded && responseTime - entry.onset <= this.responseWindow;
+
+        if (!inWindow) {
+            // Before the first sound, a repeat press, or after the window
+            this.strayResponses++;
+            this.testData.push({
+                type: 'response',
+                trial: entry ? entry.trial : 0,
+                timestamp: responseTime,
+                relativeTime: responseTime - this.startTime,
+                button: buttonIndex,
+                outcome: 'stray',
+                correct: false
+            });
+            return;
+        }
+
+        entry.responded = true;
+        entry.reactionTime = responseTime - entry.onset;
+        const isTarget = entry.type === 'target';
+
+        this.testData.push({
+            type: 'response',
+            trial: entry.trial,
+            timestamp: responseTime,
+            relativeTime: responseTime - this.startTime,
+            button: buttonIndex,
+            soundType: entry.type,
+            afterDistractor: entry.afterDistractor,
+            reactionTime: entry.reactionTime,
+            outcome: isTarget ? 'hit' : 'false_alarm',
+            correct: isTarget
+        });
+    }
+
+    closeWindow(entry) {
+        if (!this.isRunning || entry.responded) return;
+
+        const isTarget = entry.type === 'target';
+        this.testData.push({
+            type: 'no_response',
+            trial: entry.trial,
+            timestamp: performance.now(),
+            relativeTime: performance.now() - this.startTime,
+            soundType: entry.type,
+            outcome: isTarget ? 'miss' : 'correct_rejection',
+            correct: !isTarget
+        });
+    }
+
+    updateTimer() {
+        if (!this.isRunning) return;
+
+        const elapsed = Date.now() - this.startTime;
+        const remaining = Math.max(0, this.config.duration - elapsed);
+        const seconds = Math.floor(remaining / 1000);
+        const minutes = Math.floor(seconds / 60);
+        const secs = seconds % 60;
+
+        const timeDisplay = document.getElementById('timeRemaining');
+        if (timeDisplay) {
+            timeDisplay.textContent = `${minutes}:${secs.toString().padStart(2, '0')}`;
+        }
+
+        if (remaining > 0) {
+            setTimeout(() => this.updateTimer(), 100);
+        }
+    }
+
+    resetTrialState() {
+        super.resetTrialState();
+        this.clearTimers();
+        this.trialLog = [];
+        this.strayResponses = 0;
+    }
+
+    clearTimers() {
+        clearTimeout(this.soundTimer);
+        this.soundTimer = null;
+        this.windowTimers.forEach(timer => clearTimeout(timer));
+        this.windowTimers = [];
+    }
+
+    // === METRICS ===
+
+    calculateMetrics() {
+        const byType = type => this.trialLog.filter(t => t.type === type);
+        const targets = byType('target');
+        const standards = byType('standard');
+        const distractors = byType('distractor');
+        const hits = targets.filter(t => t.responded);
+
+        const mean = values => values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+        const rate = (count, total) => total > 0 ? count / total * 100 : null;
+        const format = (value, digits = 2) => value !== null ? value.toFixed(digits) : null;
+
+        const hitRTs = hits.map(t => t.reactionTime).sort((a, b) => a - b);
+        const meanRT = mean(hitRTs);
+        const medianRT = hitRTs.length > 0 ?
+            (hitRTs[Math.floor((hitRTs.length - 1) / 2)] + hitRTs[Math.ceil((hitRTs.length - 1) / 2)]) / 2 : null;
+        const sdRT = hitRTs.length > 1 ?
+            Math.sqrt(hitRTs.reduce((sum, rt) => sum + (rt - meanRT) ** 2, 0) / (hitRTs.length - 1)) : null;
+
+        // Distractor-induced slowing: target RT shortly after a noise burst
+        // minus target RT with only standards before it
+        const afterDistractorRT = mean(hits.filter(t => t.afterDistractor).map(t => t.reactionTime));
+        const afterStandardRT = mean(hits.filter(t => !t.afterDistractor).map(t => t.reactionTime));
+
+        const standardFalseAlarms = standards.filter(t => t.responded).length;
+        const distractorFalseAlarms = distractors.filter(t => t.responded).length;
+
+        return {
+            testName: 'Auditory Oddball',
+            totalTrials: this.currentTrial,
+            deviantType: this.deviantType,
+            audioAvailable: this.audioAvailable,
+            musicPlaying: !!this.platform.audioSource,
+            targets: targets.length,
+            hits: hits.length,
+            misses: targets.length - hits.length,
+            hitRate: format(rate(hits.length, targets.length)),
+            meanHitRT: format(meanRT),
+            medianHitRT: format(medianRT),
+            sdHitRT: format(sdRT),
+            targetRTAfterDistractor: format(afterDistractorRT),
+            targetRTAfterStandard: format(afterStandardRT),
+            distractorSlowing: format(afterDistractorRT !== null && afterStandardRT !== null ?
+                afterDistractorRT - afterStandardRT : null),
+            falseAlarms: standardFalseAlarms + distractorFalseAlarms,
+            standardFalseAlarms: standardFalseAlarms,
+            distractorFalseAlarms: distractorFalseAlarms,
+            standardFalseAlarmRate: format(rate(standardFalseAlarms, standards.length)),
+            distractorFalseAlarmRate: format(rate(distractorFalseAlarms, distractors.length)),
+            strayResponses: this.strayResponses
+        };
+    }
+
+    destroy() {
+        super.destroy();
+        this.clearTimers();
+    }
+}
+
+// === PLUGIN ===
+
+TestRegistry.register({
+    id: 'auditory-oddball',
+    testClass: AuditoryOddballTest,
+    buttonConfigs: ['single'],
+    defaults: {
+        name: 'Auditory Oddball',
+        suite: null,
+        duration: 300000,       // 5 minutes
+        deviantType: 'pitch',   // Targets differ from standards in 'pitch' or 'duration'
+        targetProbability: 0.10,
+        distractorProbability: 0.10,  // White-noise bursts, to be ignored
+        toneVolume: 0.5,        // Relative to the background music
+        minInterval: 1000,      // Onset to onset
+        maxInterval: 1400,
+        responseWindow: 900,
+        buttonConfig: 'single',
+        description: 'Press for the odd tone out; ignore the usual tones and noise bursts',
+        cognitiveConstruct: 'Auditory Attention / Distraction'
+    },
+    parameters: {
+        targetTrials: { type: 'integer', minimum: 1, label: 'Target trials', step: 1 },
+        deviantType: { enum: ['pitch', 'duration'] },
+        targetProbability: { type: 'number', minimum: 0, maximum: 1 },
+        distractorProbability: { type: 'number', minimum: 0, maximum: 1, label: 'Distractor probability', step: 0.05 },
+        toneVolume: { type: 'number', minimum: 0, maximum: 1, label: 'Tone volume', step: 0.05 },
+        minInterval: { type: 'integer', minimum: 0, label: 'Min ISI (ms)', step: 100 },
+        maxInterval: { type: 'integer', minimum: 0, label: 'Max ISI (ms)', step: 100 },
+        responseWindow: { type: 'integer', minimum: 0, label: 'Response window (ms)', step: 100 }
+    },
+    validate: params => (params.targetProbability + params.distractorProbability > 1 ?
+        ['targetProbability and distractorProbability together must not exceed 1'] : []),
+    metrics: {
+        hits: 'count',
+        misses: 'count',
+        hitRate: '%',
+        meanHitRT: 'ms',
+        medianHitRT: 'ms',
+        sdHitRT: 'ms',
+        targetRTAfterDistractor: 'ms',
+        targetRTAfterStandard: 'ms',
+        distractorSlowing: 'ms',
+        falseAlarms: 'count',
+        standardFalseAlarms: 'count',
+        distractorFalseAlarms: 'count',
+        strayResponses: 'count'
+    },
+    summarize: metrics => ({
+        mean_rt_ms: metrics.meanHitRT,
+        median_rt_ms: metrics.medianHitRT,
+        std_rt_ms: metrics.sdHitRT,
+        omission_errors: metrics.misses,
+        commission_errors: metrics.falseAlarms
+    })
+});
@@ -15,11 +15,13 @@ class ChoiceReactionTest extends CognitionTestBase {
         this.currentTarget = null;
         this.stimulusStartTime = null;
         this.waitingForResponse = false;
-        this.minInterval = 1500;
-        this.maxInterval = 3000;
+        this.stimulusDuration = config.stimulusDuration || 2000;  // Time to respond
+        this.minInterval = config.minInterval ?? 1000;
+        this.maxInterval = config.maxInterval ?? 1500;
         this.reactionTimes = [];
         this.correctResponses = 0;
         this.incorrectResponses = 0;
+        this.missedResponses = 0;
     }
 
     async setupLEDPatterns() {
@@ -28,7 +30,7 @@ class ChoiceReactionTest extends CognitionTestBase {
     }
 
     async runTest() {
-        const testContent = document.getElementById('testContent');
+        const testContent = this.getDisplay();
         testContent.innerHTML = `
             <div class="choice-reaction-test">
                 <div class="instruction-box">
@@ -188,13 +190,15 @@ class ChoiceReactionTest extends CognitionTestBase {
         if (!this.isRunning) return;
         
         const timeElapsed = Date.now() - this.startTime;
-        if (timeElapsed >= this.config.duration) {
+        this.updatePracticeFeedback();
+        const nextTrial = this.getNextTrialSpec();
+        if (timeElapsed >= this.config.duration || !nextTrial) {
             this.complete();
             return;
         }
 
-        // Random interval between stimuli
-        const interval = Math.random() * (this.maxInterval - this.minInterval) + this.minInterval;
+        // Pre-generated interval between stimuli
+        const interval = nextTrial.interval;
         
         setTimeout(() => {
             if (this.isRunning) {
@@ -203,10 +207,25 @@ class ChoiceReactionTest extends CognitionTestBase {
         }, interval);
     }
 
+    generateTrialList(rng) {
+        const trials = [];
+        const count = this.config.targetTrials || this.estimateMaxTrials(this.minInterval);
+        
+        for (let i = 1; i <= count; i++) {
+            trials.push({
+                trial: i,
+                interval: Math.round(rng.range(this.minInterval, this.maxInterval)),
+                target: rng.int(0, this.buttonColors.length - 1)
+            });
+        }
+        
+        return trials;
+    }
+
     async presentStimulus() {
-        // Choose random button
-        this.currentTarget = Math.floor(Math.random() * 4);
         this.currentTrial++;
+        // Target button from the pre-generated list
+        this.currentTarget = this.getTrialSpec().target;
         
         document.getElementById('trialCount').textContent = this.currentTrial;
         
@@ -237,9 +256,40 @@ class ChoiceReactionTest extends CognitionTestBase {
             targetButton: this.currentTarget,
             targetColor: this.buttonColors[this.currentTarget].color
         });
+
+        // Move on if there is no response
+        const trialNumber = this.currentTrial;
+        setTimeout(() => {
+            if (this.waitingForResponse && this.currentTrial === trialNumber) {
+                this.handleNoResponse();
+            }
+        }, this.stimulusDuration);
+    }
+
+    async handleNoResponse() {
+        this.waitingForResponse = false;
+        this.missedResponses++;
+
+        await this.platform.setLED(this.currentTarget + 1, false);
+        document.querySelectorAll('.button-indicator').forEach(ind => {
+            ind.classList.remove('active');
+            ind.querySelector('.led-circle').classList.remove('lit');
+        });
+
+        this.testData.push({
+            type: 'timeout',
+            trial: this.currentTrial,
+            timestamp: performance.now(),
+            relativeTime: Date.now() - this.startTime,
+            targetButton: this.currentTarget
+        });
+
+        this.scheduleNextStimulus();
     }
 
     async handleButtonPress(buttonIndex, timestamp, buttonData) {
+        if (this.dismissInstructions()) return;
+        
         if (!this.waitingForResponse) return;
         
         this.waitingForResponse = false;
@@ -308,6 +358,16 @@ class ChoiceReactionTest extends CognitionTestBase {
         }
     }
 
+    resetTrialState() {
+        super.resetTrialState();
+        this.currentTarget = null;
+        this.waitingForResponse = false;
+        this.reactionTimes = [];
+        this.correctResponses = 0;
+        this.incorrectResponses = 0;
+        this.missedResponses = 0;
+    }
+
     calculateMetrics() {
         const validRTs = this.reactionTimes.filter(rt => rt > 100 && rt < 2000);
         
@@ -329,6 +389,7 @@ class ChoiceReactionTest extends CognitionTestBase {
             totalTrials: this.currentTrial,
             correctResponses: this.correctResponses,
             incorrectResponses: this.incorrectResponses,
+            missedResponses: this.missedResponses,
             accuracy: accuracy.toFixed(2),
             meanReactionTime: meanRT.toFixed(2),
             sdReactionTime: sdRT.toFixed(2),
@@ -346,3 +407,44 @@ class ChoiceReactionTest extends CognitionTestBase {
             : sorted[mid];
     }
 }
+
+// === PLUGIN ===
+
+TestRegistry.register({
+    id: 'choice-reaction',
+    testClass: ChoiceReactionTest,
+    buttonConfigs: ['all_four'],
+    defaults: {
+        name: 'Choice Reaction Time',
+        suite: 'cognitive-load',
+        duration: 90000,        // 1.5 minutes
+        targetTrials: 36,       // ~2.5 sec per trial
+        stimulusDuration: 2000,
+        minInterval: 1000,
+        maxInterval: 1500,
+        buttonConfig: 'all_four',
+        description: 'Press the button that matches the lit LED color',
+        cognitiveConstruct: 'Decision Speed'
+    },
+    parameters: {
+        targetTrials: { type: 'integer', minimum: 1, label: 'Target trials', step: 1 },
+        stimulusDuration: { type: 'integer', minimum: 0, label: 'Stimulus duration (ms)', step: 100 },
+        minInterval: { type: 'integer', minimum: 0, label: 'Min ISI (ms)', step: 100 },
+        maxInterval: { type: 'integer', minimum: 0, label: 'Max ISI (ms)', step: 100 }
+    },
+    metrics: {
+        correctResponses: 'count',
+        incorrectResponses: 'count',
+        missedResponses: 'count',
+        accuracy: '%',
+        meanReactionTime: 'ms',
+        medianReactionTime: 'ms',
+        sdReactionTime: 'ms'
+    },
+    summarize: metrics => ({
+        accuracy_percent: metrics.accuracy,
+        mean_rt_ms: metrics.meanReactionTime,
+        median_rt_ms: metrics.medianReactionTime,
+        std_rt_ms: metrics.sdReactionTime
+    })
+});
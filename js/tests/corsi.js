@@ -0,0 +1,544 @@
+// js/tests/corsi.js - Corsi Block-Tapping Test for Visuospatial Span
+
+class CorsiTest extends CognitionTestBase {
+    constructor(config, platform) {
+        super(config, platform);
+
+        // 'buttons': the four LED buttons (mirrored on screen) are the blocks
+        // 'grid': nine blocks in the classic irregular layout, tapped on screen
+        this.layout = config.layout || 'buttons';
+        this.blocks = this.layout === 'grid' ? [
+            { x: 15, y: 72 }, { x: 42, y: 84 }, { x: 76, y: 78 },
+            { x: 26, y: 50 }, { x: 56, y: 58 }, { x: 84, y: 42 },
+            { x: 10, y: 20 }, { x: 48, y: 30 }, { x: 72, y: 12 }
+        ] : [
+            { x: 12, y: 50, color: '#4ade80' }, { x: 37, y: 50, color: '#ffffff' },
+            { x: 62, y: 50, color: '#ff6b6b' }, { x: 87, y: 50, color: '#22c55e' }
+        ];
+
+        this.phases = {
+            forward: 'forward',
+            backward: 'backward'
+        };
+        this.phaseOrder = (config.phases || [this.phases.forward, this.phases.backward])
+            .filter(phase => this.phases[phase]);
+        this.phaseIndex = 0;
+        this.currentPhase = this.phaseOrder[0];
+
+        // Standard procedure: trialsPerLength sequences at each length, one
+        // longer after at least one is correct, stop when all are wrong
+        this.startingLength = config.startingLength || 2;
+        this.maxLength = config.maxLength || 9;
+        this.trialsPerLength = config.trialsPerLength || 2;
+
+        // Fixed presentation rate
+        this.stimulusDuration = config.stimulusDuration || 700;
+        this.interStimulusInterval = config.interStimulusInterval || 300;
+
+        this.sequenceLength = this.startingLength;
+        this.trialsAtLength = 0;
+        this.correctAtLength = 0;
+        this.currentSequence = [];
+        this.userResponse = [];
+        this.showingSequence = false;
+        this.collectingResponse = false;
+        this.responseStartTime = null;
+
+        // Per phase: { trials: [{ sequenceLength, correct, serialErrors }] }
+        this.phaseStats = CorsiTest.emptyPhaseStats(this.phaseOrder);
+    }
+
+    static emptyPhaseStats(phaseOrder) {
+        const stats = {};
+        phaseOrder.forEach(phase => {
+            stats[phase] = { trials: [] };
+        });
+        return stats;
+    }
+
+    async setupLEDPatterns() {
+        await this.platform.setAllLEDs(false);
+    }
+
+    async runTest() {
+        const testContent = this.getDisplay();
+        const blocks = this.blocks.map((block, index) => `
+            <div class="corsi-block" id="corsiBlock${index}" data-block="${index}"
+                 style="left: ${block.x}%; top: ${block.y}%; ${block.color ? `border-color: ${block.color};` : ''}"></div>
+        `).join('');
+
+        testContent.innerHTML = `
+            <div class="corsi-test">
+                <div class="instruction-box">
+                    <h3 id="phaseTitle"></h3>
+                    <p id="phaseInstruction"></p>
+                </div>
+
+                <div class="status-message" id="statusMessage">Get Ready...</div>
+
+                <div class="corsi-board ${this.layout}" id="corsiBoard">${blocks}</div>
+
+                <div class="test-stats">
+                    <div class="stat">
+                        <span class="stat-label">Length:</span>
+                        <span class="stat-value" id="currentLength">${this.sequenceLength}</span>
+                    </div>
+                    <div class="stat">
+                        <span class="stat-label">Span:</span>
+                        <span class="stat-value" id="spanValue">-</span>
+                    </div>
+                    <div class="stat">
+                        <span class="stat-label">Trial:</span>
+                        <span class="stat-value" id="trialCount">0</span>
+                    </div>
+                    <div class="stat">
+                        <span class="stat-label">Time:</span>
+                        <span class="stat-value" id="timeRemaining"></span>
+                    </div>
+                </div>
+            </div>
+
+            <style>
+                .corsi-test {
+                    text-align: center;
+                    padding: 20px;
+                }
+
+                .instruction-box {
+                    background: rgba(255,255,255,0.1);
+                    padding: 15px;
+                    border-radius: 10px;
+                    margin-bottom: 20px;
+                }
+
+                .instruction-box h3 {
+                    margin: 0 0 10px 0;
+                    color: #fff;
+                    font-size: 1.3em;
+                }
+
+                .instruction-box p {
+                    margin: 0;
+                    color: rgba(255,255,255,0.8);
+                }
+
+                .status-message {
+                    font-size: 1.4em;
+                    color: #fbbf24;
+                    font-weight: 600;
+                    min-height: 40px;
+                }
+
+                .corsi-board {
+                    position: relative;
+                    width: 480px;
+                    max-width: 100%;
+                    height: 360px;
+                    margin: 20px auto;
+                    background: rgba(0,0,0,0.3);
+                    border-radius: 10px;
+                }
+
+                .corsi-board.buttons {
+                    height: 160px;
+                }
+
+                .corsi-block {
+                    position: absolute;
+                    width: 60px;
+                    height: 60px;
+                    margin: -30px 0 0 -30px;
+                    background: rgba(255,255,255,0.15);
+                    border: 4px solid rgba(255,255,255,0.4);
+                    border-radius: 8px;
+                    cursor: pointer;
+                    transition: background 0.1s;
+                }
+
+                .corsi-block.lit {
+                    background: #60a5fa;
+                    box-shadow: 0 0 30px #60a5fa;
+                }
+
+                .corsi-block.tapped {
+                    background: rgba(255,255,255,0.6);
+                }
+
+                .test-stats {
+                    display: flex;
+                    justify-content: center;
+                    gap: 30px;
+                    margin-top: 20px;
+                    flex-wrap: wrap;
+                }
+
+                .stat {
+                    background: rgba(255,255,255,0.1);
+                    padding: 10px 20px;
+                    border-radius: 8px;
+                }
+
+                .stat-label {
+                    color: rgba(255,255,255,0.7);
+                    margin-right: 8px;
+                }
+
+                .stat-value {
+                    color: #fff;
+                    font-weight: bold;
+                    font-size: 1.2em;
+                }
+            </style>
+        `;
+
+        // Grid blocks can only be answered on screen; button blocks either way
+        this.blocks.forEach((block, index) => {
+            document.getElementById(`corsiBlock${index}`)
+                .addEventListener('click', () => this.selectBlock(index, performance.now()));
+        });
+
+        this.showPhaseInstructions();
+        this.updateTimer();
+        await this.platform.delay(2000);
+        this.startTrial();
+    }
+
+    showPhaseInstructions() {
+        const backward = this.currentPhase === this.phases.backward;
+        document.getElementById('phaseTitle').textContent = backward ? 'BACKWARD SPAN' : 'FORWARD SPAN';
+        document.getElementById('phaseInstruction').innerHTML =
+            `Watch the blocks light up, then ${this.layout === 'grid' ? 'tap' : 'press'} them in ` +
+            (backward ? 'the <strong>REVERSE ORDER</strong>' : 'the <strong>SAME ORDER</strong>');
+    }
+
+    // Each trial carries a max-length sequence; the current length decides
+    // how much of it is shown. Grid sequences never revisit a block; with
+    // four buttons blocks can recur, but never twice in a row.
+    generateTrialList(rng) {
+        const trials = [];
+        const minTrialDuration = 1000 +
+            this.startingLength * (this.stimulusDuration + this.interStimulusInterval);
+        const count = this.estimateMaxTrials(minTrialDuration);
+        const positions = this.blocks.map((block, index) => index);
+
+        for (let i = 1; i <= count; i++) {
+            let sequence;
+            if (this.layout === 'grid') {
+                sequence = rng.shuffle(positions).slice(0, this.maxLength);
+            } else {
+                sequence = [];
+                while (sequence.length < this.maxLength) {
+                    const previous = sequence[sequence.length - 1];
+                    sequence.push(rng.pick(positions.filter(p => p !== previous)));
+                }
+            }
+            trials.push({ trial: i, sequence: sequence });
+        }
+
+        return trials;
+    }
+
+    async startTrial() {
+        if (!this.isRunning) return;
+
+        const timeElapsed = Date.now() - this.startTime;
+        this.updatePracticeFeedback();
+        const nextTrial = this.getNextTrialSpec();
+        if (timeElapsed >= this.config.duration || !nextTrial) {
+            this.complete();
+            return;
+        }
+
+        this.currentTrial++;
+        document.getElementById('trialCount').textContent = this.currentTrial;
+        document.getElementById('currentLength').textContent = this.sequenceLength;
+        document.getElementById('statusMessage').textContent = 'Watch the blocks...';
+
+        this.currentSequence = nextTrial.sequence.slice(0, this.sequenceLength);
+        this.userResponse = [];
+
+        this.testData.push({
+            type: 'trial_start',
+            trial: this.currentTrial,
+            timestamp: performance.now(),
+            relativeTime: performance.now() - this.startTime,
+            phase: this.currentPhase,
+            layout: this.layout,
+            sequenceLength: this.sequenceLength,
+            sequence: [...this.currentSequence]
+        });
+
+        await this.platform.delay(1000);
+        await this.showSequence();
+    }
+
+    async showSequence() {
+        this.showingSequence = true;
+
+        for (let i = 0; i < this.currentSequence.length; i++) {
+            if (!this.isRunning) return;
+            const position = this.currentSequence[i];
+
+            await this.setBlock(position, true);
+            await this.platform.delay(this.stimulusDuration);
+            await this.setBlock(position, false);
+
+            if (i < this.currentSequence.length - 1) {
+                await this.platform.delay(this.interStimulusInterval);
+            }
+        }
+
+        this.showingSequence = false;
+        await this.platform.delay(500);
+
+        this.collectingResponse = true;
+        this.responseStartTime = performance.now();
+        document.getElementById('statusMessage').textContent =
+            this.currentPhase === this.phases.backward ? 'Your turn - REVERSE order' : 'Your turn - SAME order';
+    }
+
+    async setBlock(position, lit) {
+        document.getElementById(`corsiBlock${position}`).classList.toggle('lit', lit);
+        if (this.layout === 'buttons') {
+            await this.platform.setLED(position + 1, lit);
+        }
+    }
+
+    async handleButtonPress(buttonIndex, timestamp, buttonData) {
+        if (this.dismissInstructions()) return;
+
+        // The grid has more blocks than there are buttons
+        if (this.layout !== 'buttons') return;
+        this.selectBlock(buttonIndex, timestamp);
+    }
+
+    async selectBlock(position, timestamp) {
+        if (!this.collectingResponse || position >= this.blocks.length) return;
+
+        this.userResponse.push({ position: position, time: timestamp - this.responseStartTime });
+
+        const blockEl = document.getElementById(`corsiBlock${position}`);
+        blockEl.classList.add('tapped');
+        setTimeout(() => blockEl.classList.remove('tapped'), 150);
+        if (this.layout === 'buttons') {
+            this.platform.flashLED(position + 1, 1, 150);
+        }
+
+        if (this.userResponse.length === this.currentSequence.length) {
+            this.collectingResponse = false;
+            await this.platform.delay(500);
+            this.evaluateResponse();
+        }
+    }
+
+    async evaluateResponse() {
+        const statusMessage = document.getElementById('statusMessage');
+        const expected = this.currentPhase === this.phases.backward ?
+            [...this.currentSequence].reverse() : [...this.currentSequence];
+        const response = this.userResponse.map(r => r.position);
+
+        // Serial positions (1-based) answered wrongly
+        const serialErrors = [];
+        expected.forEach((position, index) => {
+            if (response[index] !== position) serialErrors.push(index + 1);
+        });
+        const correct = serialErrors.length === 0;
+
+        this.testData.push({
+            type: 'response',
+            trial: this.currentTrial,
+            timestamp: performance.now(),
+            relativeTime: performance.now() - this.startTime,
+            phase: this.currentPhase,
+            layout: this.layout,
+            sequenceLength: this.sequenceLength,
+            expectedSequence: expected,
+            userResponse: response,
+            tapTimes: this.userResponse.map(r => r.time),
+            serialErrors: serialErrors,
+            correct: correct,
+            responseTime: performance.now() - this.responseStartTime
+        });
+
+        this.phaseStats[this.currentPhase].trials.push({
+            sequenceLength: this.sequenceLength,
+            correct: correct,
+            serialErrors: serialErrors
+        });
+        document.getElementById('spanValue').textContent =
+            CorsiTest.phaseMetrics(this.phaseStats[this.currentPhase], this.maxLength).span || '-';
+
+        statusMessage.textContent = correct ? '✓ Correct!' : '✗ Incorrect';
+        statusMessage.style.color = correct ? '#4ade80' : '#ff6b6b';
+        await this.platform.delay(1500);
+        statusMessage.style.color = '#fbbf24';
+
+        this.trialsAtLength++;
+        if (correct) this.correctAtLength++;
+
+        if (this.trialsAtLength >= this.trialsPerLength) {
+            const failedLength = this.correctAtLength === 0;
+            this.trialsAtLength = 0;
+            this.correctAtLength = 0;
+
+            if (failedLength || this.sequenceLength >= this.maxLength) {
+                this.nextPhase();
+                return;
+            }
+            this.sequenceLength++;
+        }
+
+        this.startTrial();
+    }
+
+    async nextPhase() {
+        this.phaseIndex++;
+        if (this.phaseIndex >= this.phaseOrder.length) {
+            this.complete();
+            return;
+        }
+
+        this.currentPhase = this.phaseOrder[this.phaseIndex];
+        this.sequenceLength = this.startingLength;
+        this.trialsAtLength = 0;
+        this.correctAtLength = 0;
+
+        this.showPhaseInstructions();
+        document.getElementById('spanValue').textContent = '-';
+        document.getElementById('statusMessage').textContent = `Starting ${this.currentPhase.toUpperCase()} SPAN phase...`;
+
+        await this.platform.delay(3000);
+        this.startTrial();
+    }
+
+    updateTimer() {
+        if (!this.isRunning) return;
+
+        const elapsed = Date.now() - this.startTime;
+        const remaining = Math.max(0, this.config.duration - elapsed);
+        const seconds = Math.floor(remaining / 1000);
+        const minutes = Math.floor(seconds / 60);
+        const secs = seconds % 60;
+
+        const timeDisplay = document.getElementById('timeRemaining');
+        if (timeDisplay) {
+            timeDisplay.textContent = `${minutes}:${secs.toString().padStart(2, '0')}`;
+        }
+
+        if (remaining > 0) {
+            setTimeout(() => this.updateTimer(), 100);
+        }
+    }
+
+    resetTrialState() {
+        super.resetTrialState();
+        this.phaseIndex = 0;
+        this.currentPhase = this.phaseOrder[0];
+        this.sequenceLength = this.startingLength;
+        this.trialsAtLength = 0;
+        this.correctAtLength = 0;
+        this.currentSequence = [];
+        this.userResponse = [];
+        this.showingSequence = false;
+        this.collectingResponse = false;
+        this.phaseStats = CorsiTest.emptyPhaseStats(this.phaseOrder);
+    }
+
+    // === METRICS ===
+
+    // Span is the longest length with at least one correct sequence; the
+    // product score (span x total correct) is the usual composite.
+    static phaseMetrics(stats, maxLength) {
+        const trials = stats.trials;
+        const correctTrials = trials.filter(t => t.correct);
+        const span = correctTrials.length > 0 ? Math.max(...correctTrials.map(t => t.sequenceLength)) : 0;
+
+        // Error rate at each serial position, over the trials that reached it
+        const serialPositionErrors = [];
+        for (let position = 1; position <= maxLength; position++) {
+            const reached = trials.filter(t => t.sequenceLength >= position);
+            if (reached.length === 0) break;
+            const errors = reached.filter(t => t.serialErrors.includes(position)).length;
+            serialPositionErrors.push({
+                position: position,
+                trials: reached.length,
+                errors: errors,
+                errorRate: (errors / reached.length * 100).toFixed(2)
+            });
+        }
+
+        return {
+            span: span,
+            totalTrials: trials.length,
+            totalCorrect: correctTrials.length,
+            productScore: span * correctTrials.length,
+            accuracy: trials.length > 0 ? (correctTrials.length / trials.length * 100).toFixed(2) : null,
+            serialPositionErrors: serialPositionErrors
+        };
+    }
+
+    calculateMetrics() {
+        const phases = {};
+        Object.entries(this.phaseStats).forEach(([phase, stats]) => {
+            phases[phase] = CorsiTest.phaseMetrics(stats, this.maxLength);
+        });
+
+        const metrics = {
+            testName: 'Corsi Block-Tapping',
+            totalTrials: this.currentTrial,
+            layout: this.layout,
+            phases: phases
+        };
+
+        Object.entries(phases).forEach(([phase, result]) => {
+            metrics[`${phase}Span`] = result.span;
+            metrics[`${phase}TotalCorrect`] = result.totalCorrect;
+            metrics[`${phase}ProductScore`] = result.productScore;
+        });
+
+        return metrics;
+    }
+}
+
+// === PLUGIN ===
+
+TestRegistry.register({
+    id: 'corsi',
+    testClass: CorsiTest,
+    buttonConfigs: ['all_four'],
+    defaults: {
+        name: 'Corsi Block-Tapping',
+        suite: null,
+        duration: 300000,       // 5 minutes (upper limit)
+        layout: 'buttons',      // 'buttons' (four LED buttons) or 'grid' (nine on-screen blocks)
+        phases: ['forward', 'backward'],
+        startingLength: 2,
+        maxLength: 9,
+        trialsPerLength: 2,     // Phase ends when every sequence at a length is wrong
+        stimulusDuration: 700,  // Fixed rate: one block per second
+        interStimulusInterval: 300,
+        buttonConfig: 'all_four',
+        description: 'Watch the blocks light up, then tap them in the same (or reverse) order',
+        cognitiveConstruct: 'Visuospatial Working Memory'
+    },
+    parameters: {
+        layout: { enum: ['buttons', 'grid'] },
+        phases: { type: 'array', minItems: 1, items: { enum: ['forward', 'backward'] } },
+        startingLength: { type: 'integer', minimum: 1, label: 'Starting length', step: 1 },
+        maxLength: { type: 'integer', minimum: 1, label: 'Max length', step: 1 },
+        trialsPerLength: { type: 'integer', minimum: 1, label: 'Trials per length', step: 1 },
+        stimulusDuration: { type: 'integer', minimum: 0, label: 'Stimulus duration (ms)', step: 100 },
+        interStimulusInterval: { type: 'integer', minimum: 0, label: 'ISI (ms)', step: 100 }
+    },
+    // Grid sequences never revisit a block
+    validate: params => (params.layout === 'grid' && params.maxLength > 9 ?
+        [`maxLength (${params.maxLength}) cannot exceed the 9 blocks of the grid layout`] : []),
+    metrics: {
+        forwardSpan: 'items',
+        forwardTotalCorrect: 'count',
+        forwardProductScore: 'score',
+        backwardSpan: 'items',
+        backwardTotalCorrect: 'count',
+        backwardProductScore: 'score'
+    }
+});
@@ -14,36 +14,67 @@ class DigitSpanTest extends CognitionTestBase {
         
         this.digits = [1, 2, 3, 4];
         
-        // Test phases
+        // Test phases - each asks for the sequence back in a different order
         this.phases = {
             forward: 'forward',
-            backward: 'backward'
+            backward: 'backward',
+            sequencing: 'sequencing'  // Smallest to largest
         };
         
-        this.currentPhase = this.phases.forward;
+        this.phaseInfo = {
+            forward: {
+                title: 'Forward Span',
+                instruction: 'reproduce it in the <strong>SAME ORDER</strong>',
+                prompt: 'Enter the sequence in the same order →',
+                color: '#4ade80'
+            },
+            backward: {
+                title: 'Backward Span',
+                instruction: 'reproduce it in <strong>REVERSE ORDER</strong>',
+                prompt: 'Enter the sequence in reverse order ←',
+                color: '#fbbf24'
+            },
+            sequencing: {
+                title: 'Sequencing Span',
+                instruction: 'press the numbers from <strong>SMALLEST to LARGEST</strong>',
+                prompt: 'Enter the numbers from smallest to largest ↑',
+                color: '#a78bfa'
+            }
+        };
+        
+        // Phases run in the configured order, each with an equal share of the time
+        this.phaseOrder = config.phases || [this.phases.forward, this.phases.backward];
+        this.phaseIndex = 0;
+        this.phaseStartTime = null;
+        
+        this.currentPhase = this.phaseOrder[0];
         this.currentSequence = [];
         this.userResponse = [];
-        this.sequenceLength = 3; // Start with 3 digits
-        this.maxSequenceLength = 9;
-        this.minSequenceLength = 3;
+        this.minSequenceLength = config.startingLength || 3;
+        this.maxSequenceLength = config.maxLength || 9;
+        this.sequenceLength = this.minSequenceLength;
         
         // Timing
-        this.digitDisplayDuration = 1000; // Show each digit for 1 second
-        this.interDigitInterval = 500; // 500ms between digits
+        this.digitDisplayDuration = config.digitDisplayDuration || 1000;
+        this.interDigitInterval = config.interDigitInterval || 500;
         
-        // Scoring
-        this.forwardSpan = 0;
-        this.backwardSpan = 0;
-        this.forwardCorrect = 0;
-        this.forwardIncorrect = 0;
-        this.backwardCorrect = 0;
-        this.backwardIncorrect = 0;
+        // 'standard': trialsPerLength trials at each length - longer after all
+        // correct, shorter after all wrong, and the phase ends when all are
+        // wrong at the starting length.
+        // 'adaptive': one-up/two-down - one longer after each correct trial,
+        // one shorter after two errors in a row, for adaptiveTrials per phase.
+        this.procedure = config.procedure || 'standard';
+        this.adaptiveTrials = config.adaptiveTrials || 12;
+        this.adaptiveMinLength = 2;
+        
+        // Scoring, per phase: { span, correct, incorrect, trials: [{ sequenceLength, correct, partialCredit }] }
+        this.phaseStats = DigitSpanTest.emptyPhaseStats(this.phaseOrder);
         
         // Adaptive testing
         this.consecutiveCorrect = 0;
         this.consecutiveIncorrect = 0;
         this.trialsAtCurrentLength = 0;
-        this.maxTrialsPerLength = 2; // Two trials at each length
+        this.maxTrialsPerLength = config.trialsPerLength || 2;
         
         // State
         this.showingSequence = false;
@@ -51,20 +82,25 @@ class DigitSpanTest extends CognitionTestBase {
         this.responseStartTime = null;
     }
 
+    static emptyPhaseStats(phaseOrder) {
+        const stats = {};
+        phaseOrder.forEach(phase => {
+            stats[phase] = { span: 0, correct: 0, incorrect: 0, trials: [] };
+        });
+        return stats;
+    }
+
     async setupLEDPatterns() {
         await this.platform.setAllLEDs(false);
     }
 
     async runTest() {
-        const testContent = document.getElementById('testContent');
+        const testContent = this.getDisplay();
         testContent.innerHTML = `
             <div class="digit-span-test">
                 <div class="instruction-box">
                     <h3>Digit Span Test - Working Memory</h3>
-                    <div id="phaseInstructions" class="phase-instructions">
-                        <h4>FORWARD SPAN</h4>
-                        <p>Watch the sequence of lights, then reproduce it in the <strong>SAME ORDER</strong></p>
-                    </div>
+                    <div id="phaseInstructions" class="phase-instructions"></div>
                     
                     <div class="button-reference">
                         <div class="button-ref">
@@ -106,29 +142,19 @@ class DigitSpanTest extends CognitionTestBase {
                 
                 <div class="performance-stats">
                     <div class="span-results">
-                        <div class="span-group forward-span">
-                            <h4>Forward Span</h4>
-                            <div class="span-display">
-                                <div class="span-value" id="forwardSpanValue">-</div>
-                                <div class="span-label">Longest Sequence</div>
-                            </div>
-                            <div class="span-stats">
-                                <span>Correct: <strong id="forwardCorrect">0</strong></span>
-                                <span>Incorrect: <strong id="forwardIncorrect">0</strong></span>
-                            </div>
-                        </div>
-                        
-                        <div class="span-group backward-span">
-                            <h4>Backward Span</h4>
+                        ${this.phaseOrder.map(phase => `
+                        <div class="span-group" style="border-top: 3px solid ${this.phaseInfo[phase].color}">
+                            <h4>${this.phaseInfo[phase].title}</h4>
                             <div class="span-display">
-                                <div class="span-value" id="backwardSpanValue">-</div>
+                                <div class="span-value" id="${phase}SpanValue">-</div>
                                 <div class="span-label">Longest Sequence</div>
                             </div>
                             <div class="span-stats">
-                                <span>Correct: <strong id="backwardCorrect">0</strong></span>
-                                <span>Incorrect: <strong id="backwardIncorrect">0</strong></span>
+                                <span>Correct: <strong id="${phase}Correct">0</strong></span>
+                                <span>Incorrect: <strong id="${phase}Incorrect">0</strong></span>
                             </div>
                         </div>
+                        `).join('')}
                         
                         <div class="span-group total-span">
                             <h4>Total Span</h4>
@@ -346,14 +372,6 @@ class DigitSpanTest extends CognitionTestBase {
                     font-size: 1.2em;
                 }
                 
-                .forward-span {
-                    border-top: 3px solid #4ade80;
-                }
-                
-                .backward-span {
-                    border-top: 3px solid #fbbf24;
-                }
-                
                 .total-span {
                     border-top: 3px solid #60a5fa;
                 }
@@ -408,30 +426,69 @@ class DigitSpanTest extends CognitionTestBase {
             </style>
         `;
 
+        this.showPhaseInstructions();
+        this.phaseStartTime = Date.now();
         this.updateTimer();
         await this.platform.delay(2000);
         this.startTrial();
     }
 
+    showPhaseInstructions() {
+        const info = this.phaseInfo[this.currentPhase];
+        const phaseInstructions = document.getElementById('phaseInstructions');
+        phaseInstructions.innerHTML = `
+            <h4>${info.title.toUpperCase()}</h4>
+            <p>Watch the sequence of lights, then ${info.instruction}</p>
+        `;
+        phaseInstructions.style.borderColor = info.color;
+        phaseInstructions.querySelector('h4').style.color = info.color;
+    }
+
+    generateTrialList(rng) {
+        const trials = [];
+        // Shortest possible trial: minimum-length sequence plus lead-in
+        const minTrialDuration = 1000 + 
+            this.minSequenceLength * (this.digitDisplayDuration + this.interDigitInterval);
+        const count = this.estimateMaxTrials(minTrialDuration);
+        
+        // Each trial carries a max-length sequence; the adaptive length
+        // decides how much of it is shown
+        for (let i = 1; i <= count; i++) {
+            const digits = [];
+            for (let j = 0; j < this.maxSequenceLength; j++) {
+                digits.push(rng.pick(this.digits));
+            }
+            trials.push({ trial: i, digits: digits });
+        }
+        
+        return trials;
+    }
+
     async startTrial() {
         if (!this.isRunning) return;
         
         const timeElapsed = Date.now() - this.startTime;
-        if (timeElapsed >= this.config.duration) {
+        this.updatePracticeFeedback();
+        const nextTrial = this.getNextTrialSpec();
+        if (timeElapsed >= this.config.duration || !nextTrial) {
             this.complete();
             return;
         }
+        
+        // Move on once this phase has used its share of the time
+        const phaseBudget = this.config.duration / this.phaseOrder.length;
+        if (Date.now() - this.phaseStartTime >= phaseBudget && this.phaseIndex < this.phaseOrder.length - 1) {
+            this.nextPhase();
+            return;
+        }
 
         this.currentTrial++;
         document.getElementById('trialCount').textContent = this.currentTrial;
         document.getElementById('currentLength').textContent = this.sequenceLength;
         document.getElementById('statusMessage').textContent = 'Watch the sequence...';
         
-        // Generate random sequence
-        this.currentSequence = [];
-        for (let i = 0; i < this.sequenceLength; i++) {
-            this.currentSequence.push(this.digits[Math.floor(Math.random() * this.digits.length)]);
-        }
+        // Take the sequence from the pre-generated list (length is adaptive)
+        this.currentSequence = nextTrial.digits.slice(0, this.sequenceLength);
         
         this.userResponse = [];
         
@@ -506,22 +563,16 @@ class DigitSpanTest extends CognitionTestBase {
         this.collectingResponse = true;
         this.responseStartTime = performance.now();
         
-        const statusMessage = document.getElementById('statusMessage');
-        const responsePrompt = document.getElementById('responsePrompt');
-        
-        if (this.currentPhase === this.phases.forward) {
-            statusMessage.textContent = 'Recall: Press buttons in SAME order';
-            responsePrompt.textContent = 'Enter the sequence in the same order →';
-        } else {
-            statusMessage.textContent = 'Recall: Press buttons in REVERSE order';
-            responsePrompt.textContent = 'Enter the sequence in reverse order ←';
-        }
+        document.getElementById('statusMessage').textContent = 'Recall the sequence';
+        document.getElementById('responsePrompt').textContent = this.phaseInfo[this.currentPhase].prompt;
         
         // Clear response display
         document.getElementById('responseSequence').innerHTML = '';
     }
 
     async handleButtonPress(buttonIndex, timestamp, buttonData) {
+        if (this.dismissInstructions()) return;
+        
         if (!this.collectingResponse) return;
         
         // Map button to digit
@@ -561,19 +612,25 @@ class DigitSpanTest extends CognitionTestBase {
         }
     }
 
+    // The order the participant should enter the presented sequence in
+    expectedSequence(phase, sequence) {
+        if (phase === this.phases.backward) {
+            return [...sequence].reverse();
+        }
+        if (phase === this.phases.sequencing) {
+            return [...sequence].sort((a, b) => a - b);
+        }
+        return [...sequence];
+    }
+
     async evaluateResponse() {
         const statusMessage = document.getElementById('statusMessage');
+        const expectedSequence = this.expectedSequence(this.currentPhase, this.currentSequence);
         
-        // Determine expected sequence
-        let expectedSequence;
-        if (this.currentPhase === this.phases.forward) {
-            expectedSequence = [...this.currentSequence];
-        } else {
-            expectedSequence = [...this.currentSequence].reverse();
-        }
-        
-        // Check if correct
-        const correct = this.userResponse.every((digit, index) => digit === expectedSequence[index]);
+        // Partial-credit unit score: proportion of items in the right position
+        const positionsCorrect = this.userResponse.filter((digit, index) => digit === expectedSequence[index]).length;
+        const partialCredit = positionsCorrect / expectedSequence.length;
+        const correct = positionsCorrect === expectedSequence.length;
         
         // Record response
         this.testData.push({
@@ -586,38 +643,27 @@ class DigitSpanTest extends CognitionTestBase {
             expectedSequence: expectedSequence,
             userResponse: [...this.userResponse],
             correct: correct,
+            partialCredit: partialCredit,
             responseTime: performance.now() - this.responseStartTime
         });
         
         // Update statistics
-        if (this.currentPhase === this.phases.forward) {
-            if (correct) {
-                this.forwardCorrect++;
-                document.getElementById('forwardCorrect').textContent = this.forwardCorrect;
-                if (this.sequenceLength > this.forwardSpan) {
-                    this.forwardSpan = this.sequenceLength;
-                    document.getElementById('forwardSpanValue').textContent = this.forwardSpan;
-                }
-            } else {
-                this.forwardIncorrect++;
-                document.getElementById('forwardIncorrect').textContent = this.forwardIncorrect;
+        const stats = this.phaseStats[this.currentPhase];
+        stats.trials.push({ sequenceLength: this.sequenceLength, correct: correct, partialCredit: partialCredit });
+        if (correct) {
+            stats.correct++;
+            document.getElementById(`${this.currentPhase}Correct`).textContent = stats.correct;
+            if (this.sequenceLength > stats.span) {
+                stats.span = this.sequenceLength;
+                document.getElementById(`${this.currentPhase}SpanValue`).textContent = stats.span;
             }
         } else {
-            if (correct) {
-                this.backwardCorrect++;
-                document.getElementById('backwardCorrect').textContent = this.backwardCorrect;
-                if (this.sequenceLength > this.backwardSpan) {
-                    this.backwardSpan = this.sequenceLength;
-                    document.getElementById('backwardSpanValue').textContent = this.backwardSpan;
-                }
-            } else {
-                this.backwardIncorrect++;
-                document.getElementById('backwardIncorrect').textContent = this.backwardIncorrect;
-            }
+            stats.incorrect++;
+            document.getElementById(`${this.currentPhase}Incorrect`).textContent = stats.incorrect;
         }
         
         // Update total span
-        const totalSpan = this.forwardSpan + this.backwardSpan;
+        const totalSpan = Object.values(this.phaseStats).reduce((sum, phase) => sum + phase.span, 0);
         document.getElementById('totalSpanValue').textContent = totalSpan;
         
         // Show feedback
@@ -637,62 +683,76 @@ class DigitSpanTest extends CognitionTestBase {
         
         await this.platform.delay(2000);
         
-        // Adaptive difficulty adjustment
-        this.trialsAtCurrentLength++;
+        const previousLength = this.sequenceLength;
+        const phaseFinished = this.procedure === 'adaptive' ?
+            this.updateAdaptiveLength(correct) : this.updateStandardLength();
         
-        if (this.trialsAtCurrentLength >= this.maxTrialsPerLength) {
-            // Move to next length
-            this.trialsAtCurrentLength = 0;
-            
-            if (this.consecutiveCorrect >= this.maxTrialsPerLength && this.sequenceLength < this.maxSequenceLength) {
-                // Increase difficulty
-                this.sequenceLength++;
-                statusMessage.textContent = 'Increasing difficulty!';
-                statusMessage.style.color = '#fbbf24';
-                await this.platform.delay(1500);
-            } else if (this.consecutiveIncorrect >= this.maxTrialsPerLength && this.sequenceLength > this.minSequenceLength) {
-                // Decrease difficulty
-                this.sequenceLength--;
-                statusMessage.textContent = 'Adjusting difficulty...';
-                statusMessage.style.color = '#fbbf24';
-                await this.platform.delay(1500);
-            } else if (this.consecutiveIncorrect >= this.maxTrialsPerLength) {
-                // Switch phase if at minimum length
-                if (this.currentPhase === this.phases.forward) {
-                    this.switchToBackwardPhase();
-                    return;
-                } else {
-                    // End test if failing at minimum length in backward phase
-                    this.complete();
-                    return;
-                }
-            }
+        if (phaseFinished) {
+            this.nextPhase();
+            return;
+        }
+        
+        if (this.sequenceLength !== previousLength) {
+            statusMessage.textContent = this.sequenceLength > previousLength ?
+                'Increasing difficulty!' : 'Adjusting difficulty...';
+            statusMessage.style.color = '#fbbf24';
+            await this.platform.delay(1500);
         }
         
         statusMessage.style.color = '#fbbf24';
         this.startTrial();
     }
 
-    async switchToBackwardPhase() {
-        this.currentPhase = this.phases.backward;
-        this.sequenceLength = 3; // Reset to starting length
+    // Fixed number of trials per length. Returns true when the phase is over.
+    updateStandardLength() {
+        this.trialsAtCurrentLength++;
+        if (this.trialsAtCurrentLength < this.maxTrialsPerLength) return false;
+        
+        this.trialsAtCurrentLength = 0;
+        
+        if (this.consecutiveCorrect >= this.maxTrialsPerLength && this.sequenceLength < this.maxSequenceLength) {
+            this.sequenceLength++;
+        } else if (this.consecutiveIncorrect >= this.maxTrialsPerLength) {
+            if (this.sequenceLength <= this.minSequenceLength) {
+                // Failing at the starting length ends the phase
+                return true;
+            }
+            this.sequenceLength--;
+        }
+        return false;
+    }
+
+    // One-up/two-down. Returns true when the phase is over.
+    updateAdaptiveLength(correct) {
+        if (correct) {
+            this.sequenceLength = Math.min(this.maxSequenceLength, this.sequenceLength + 1);
+        } else if (this.consecutiveIncorrect >= 2) {
+            this.sequenceLength = Math.max(this.adaptiveMinLength, this.sequenceLength - 1);
+            this.consecutiveIncorrect = 0;
+        }
+        return this.phaseStats[this.currentPhase].trials.length >= this.adaptiveTrials;
+    }
+
+    async nextPhase() {
+        this.phaseIndex++;
+        if (this.phaseIndex >= this.phaseOrder.length) {
+            this.complete();
+            return;
+        }
+        
+        this.currentPhase = this.phaseOrder[this.phaseIndex];
+        this.sequenceLength = this.minSequenceLength; // Reset to starting length
         this.consecutiveCorrect = 0;
         this.consecutiveIncorrect = 0;
         this.trialsAtCurrentLength = 0;
         
-        const phaseInstructions = document.getElementById('phaseInstructions');
-        phaseInstructions.innerHTML = `
-            <h4>BACKWARD SPAN</h4>
-            <p>Watch the sequence of lights, then reproduce it in <strong>REVERSE ORDER</strong></p>
-        `;
-        phaseInstructions.style.background = 'rgba(251,191,36,0.15)';
-        phaseInstructions.style.borderColor = '#fbbf24';
-        phaseInstructions.querySelector('h4').style.color = '#fbbf24';
+        this.showPhaseInstructions();
         
         const statusMessage = document.getElementById('statusMessage');
-        statusMessage.textContent = 'Starting BACKWARD SPAN phase...';
+        statusMessage.textContent = `Starting ${this.phaseInfo[this.currentPhase].title.toUpperCase()} phase...`;
         
         await this.platform.delay(3000);
+        this.phaseStartTime = Date.now();
         this.startTrial();
     }
 
@@ -715,28 +775,135 @@ class DigitSpanTest extends CognitionTestBase {
         }
     }
 
-    calculateMetrics() {
-        const totalSpan = this.forwardSpan + this.backwardSpan;
-        const forwardTotal = this.forwardCorrect + this.forwardIncorrect;
-        const backwardTotal = this.backwardCorrect + this.backwardIncorrect;
+    resetTrialState() {
+        super.resetTrialState();
+        this.phaseIndex = 0;
+        this.phaseStartTime = Date.now();
+        this.currentPhase = this.phaseOrder[0];
+        this.currentSequence = [];
+        this.userResponse = [];
+        this.sequenceLength = this.minSequenceLength;
+        this.phaseStats = DigitSpanTest.emptyPhaseStats(this.phaseOrder);
+        this.consecutiveCorrect = 0;
+        this.consecutiveIncorrect = 0;
+        this.trialsAtCurrentLength = 0;
+        this.showingSequence = false;
+        this.collectingResponse = false;
+    }
+
+    // === METRICS ===
+
+    static phaseMetrics(stats) {
+        const trials = stats.trials;
+        
+        // Longest length answered correctly on at least half of its trials
+        const byLength = {};
+        trials.forEach(t => {
+            byLength[t.sequenceLength] = byLength[t.sequenceLength] || { correct: 0, total: 0 };
+            byLength[t.sequenceLength].total++;
+            if (t.correct) byLength[t.sequenceLength].correct++;
+        });
+        const passedLengths = Object.entries(byLength)
+            .filter(([, counts]) => counts.correct / counts.total >= 0.5)
+            .map(([length]) => parseInt(length));
         
-        const forwardAccuracy = forwardTotal > 0 ? (this.forwardCorrect / forwardTotal) * 100 : 0;
-        const backwardAccuracy = backwardTotal > 0 ? (this.backwardCorrect / backwardTotal) * 100 : 0;
+        const partialCredit = trials.length > 0 ?
+            trials.reduce((sum, t) => sum + t.partialCredit, 0) / trials.length : null;
         
         return {
+            span: stats.span,
+            span50: passedLengths.length > 0 ? Math.max(...passedLengths) : 0,
+            totalTrials: trials.length,
+            totalCorrect: stats.correct,
+            totalIncorrect: stats.incorrect,
+            accuracy: trials.length > 0 ? (stats.correct / trials.length * 100).toFixed(2) : null,
+            partialCreditUnit: partialCredit !== null ? partialCredit.toFixed(3) : null
+        };
+    }
+
+    calculateMetrics() {
+        const phases = {};
+        Object.entries(this.phaseStats).forEach(([phase, stats]) => {
+            phases[phase] = DigitSpanTest.phaseMetrics(stats);
+        });
+        
+        const totalSpan = Object.values(phases).reduce((sum, phase) => sum + phase.span, 0);
+        
+        const metrics = {
             testName: 'Digit Span',
             totalTrials: this.currentTrial,
-            forwardSpan: this.forwardSpan,
-            backwardSpan: this.backwardSpan,
+            procedure: this.procedure,
+            phases: phases,
             totalSpan: totalSpan,
-            forwardCorrect: this.forwardCorrect,
-            forwardIncorrect: this.forwardIncorrect,
-            forwardAccuracy: forwardAccuracy.toFixed(2),
-            backwardCorrect: this.backwardCorrect,
-            backwardIncorrect: this.backwardIncorrect,
-            backwardAccuracy: backwardAccuracy.toFixed(2),
-            workingMemoryCapacity: totalSpan,
-            executiveFunction: this.backwardSpan // Backward span is a measure of executive function
+            workingMemoryCapacity: totalSpan
         };
+        
+        // Flat per-phase fields (forwardSpan, backwardCorrect, ...) for summaries and export
+        Object.entries(phases).forEach(([phase, result]) => {
+            metrics[`${phase}Span`] = result.span;
+            metrics[`${phase}Span50`] = result.span50;
+            metrics[`${phase}Correct`] = result.totalCorrect;
+            metrics[`${phase}Incorrect`] = result.totalIncorrect;
+            metrics[`${phase}Accuracy`] = result.accuracy;
+            metrics[`${phase}PartialCredit`] = result.partialCreditUnit;
+        });
+        
+        if (phases.backward) {
+            metrics.executiveFunction = phases.backward.span; // Backward span is a measure of executive function
+        }
+        
+        return metrics;
     }
 }
+
+// === PLUGIN ===
+
+TestRegistry.register({
+    id: 'digit-span',
+    testClass: DigitSpanTest,
+    buttonConfigs: ['all_four'],
+    defaults: {
+        name: 'Digit Span',
+        suite: 'cognitive-load',
+        duration: 120000,       // 2 minutes
+        startingLength: 3,
+        maxLength: 9,
+        digitDisplayDuration: 800,
+        interDigitInterval: 400,
+        trialsPerLength: 2,
+        procedure: 'standard',  // 'standard' (trialsPerLength per length) or 'adaptive' (one-up/two-down)
+        adaptiveTrials: 12,     // Trials per phase in the adaptive procedure
+        phases: ['forward'],    // Any of 'forward', 'backward', 'sequencing'; forward only to save time
+        buttonConfig: 'all_four',
+        description: 'Watch the sequence of lights, then reproduce it in the same order',
+        cognitiveConstruct: 'Working Memory Capacity'
+    },
+    parameters: {
+        startingLength: { type: 'integer', minimum: 1, label: 'Starting length', step: 1 },
+        maxLength: { type: 'integer', minimum: 1, label: 'Max length', step: 1 },
+        digitDisplayDuration: { type: 'integer', minimum: 0, label: 'Digit display (ms)', step: 100 },
+        interDigitInterval: { type: 'integer', minimum: 0, label: 'Inter-digit interval (ms)', step: 100 },
+        trialsPerLength: { type: 'integer', minimum: 1, label: 'Trials per length', step: 1 },
+        procedure: { enum: ['standard', 'adaptive'] },
+        adaptiveTrials: { type: 'integer', minimum: 1, label: 'Adaptive trials per phase', step: 1 },
+        phases: { type: 'array', minItems: 1, items: { enum: ['forward', 'backward', 'sequencing'] } }
+    },
+    metrics: {
+        totalSpan: 'items',
+        forwardSpan: 'items',
+        forwardSpan50: 'items',
+        forwardCorrect: 'count',
+        forwardAccuracy: '%',
+        forwardPartialCredit: 'proportion',
+        backwardSpan: 'items',
+        backwardSpan50: 'items',
+        backwardCorrect: 'count',
+        backwardAccuracy: '%',
+        backwardPartialCredit: 'proportion',
+        sequencingSpan: 'items',
+        sequencingSpan50: 'items',
+        sequencingCorrect: 'count',
+        sequencingAccuracy: '%',
+        sequencingPartialCredit: 'proportion'
+    }
+});
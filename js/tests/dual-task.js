@@ -0,0 +1,655 @@
+// js/tests/dual-task.js - Dual-Task Paradigm (Choice Reaction + Auditory Monitoring)
+
+class DualTaskTest extends CognitionTestBase {
+    constructor(config, platform) {
+        super(config, platform);
+
+        // Primary task: three-choice reaction on buttons 1-3.
+        // Secondary task: press button 4 for high tones, ignore low tones.
+        this.primaryButtons = [
+            { button: 0, color: 'green', name: 'Green 1', rgb: '#4ade80' },
+            { button: 1, color: 'white', name: 'White', rgb: '#ffffff' },
+            { button: 2, color: 'red', name: 'Red', rgb: '#ff6b6b' }
+        ];
+        this.secondaryButton = 3;
+
+        // Block order - 'primary' and 'secondary' are the single-task baselines
+        this.blocks = config.blocks || ['primary', 'secondary', 'dual', 'dual', 'secondary', 'primary'];
+        this.trialsPerBlock = config.trialsPerBlock || 12;
+        this.trialDuration = config.trialDuration || 2500;     // Fixed slot per trial
+        this.toneResponseWindow = config.toneResponseWindow || 1200;
+        this.targetProbability = config.targetProbability ?? 0.25;  // High (target) tones
+        this.minInterval = config.minInterval || 500;
+        this.maxInterval = config.maxInterval || 1000;
+        this.blockBreak = config.blockBreak || 4000;
+
+        this.toneFrequencies = { standard: 500, target: 1000 };
+
+        this.trialTimers = [];
+        this.resetTrialFlags();
+        this.counts = DualTaskTest.emptyCounts();
+    }
+
+    static emptyCounts() {
+        const counts = {};
+        ['primary', 'secondary', 'dual'].forEach(condition => {
+            counts[condition] = {
+                primaryRTs: [],
+                primaryCorrect: 0,
+                primaryErrors: 0,
+                primaryMisses: 0,
+                toneRTs: [],
+                hits: 0,
+                misses: 0,
+                falseAlarms: 0,
+                correctRejections: 0
+            };
+        });
+        return counts;
+    }
+
+    resetTrialFlags() {
+        this.trialSpec = null;
+        this.primaryOnset = null;
+        this.primaryResponded = false;
+        this.toneOnset = null;
+        this.toneResponded = false;
+    }
+
+    async setupLEDPatterns() {
+        await this.platform.setAllLEDs(false);
+    }
+
+    async runTest() {
+        const testContent = this.getDisplay();
+        testContent.innerHTML = `
+            <div class="dual-task-test">
+                <div class="instruction-box">
+                    <h3 id="blockInstruction">Get ready...</h3>
+                    <p>Buttons 1-3: match the lit colour &nbsp;·&nbsp; Button 4: HIGH tone only</p>
+                </div>
+
+                <div class="button-display">
+                    <div class="button-indicator" data-button="0">
+                        <div class="led-circle green"></div>
+                        <span>Button 1 (Green)</span>
+                    </div>
+                    <div class="button-indicator" data-button="1">
+                        <div class="led-circle white"></div>
+                        <span>Button 2 (White)</span>
+                    </div>
+                    <div class="button-indicator" data-button="2">
+                        <div class="led-circle red"></div>
+                        <span>Button 3 (Red)</span>
+                    </div>
+                    <div class="button-indicator tone-indicator" data-button="3">
+                        <div class="led-circle tone">♪</div>
+                        <span>Button 4 (High tone)</span>
+                    </div>
+                </div>
+
+                <div class="test-stats">
+                    <div class="stat">
+                        <span class="stat-label">Block:</span>
+                        <span class="stat-value" id="blockCount">0</span>
+                    </div>
+                    <div class="stat">
+                        <span class="stat-label">Trial:</span>
+                        <span class="stat-value" id="trialCount">0</span>
+                    </div>
+                    <div class="stat">
+                        <span class="stat-label">Time:</span>
+                        <span class="stat-value" id="timeRemaining"></span>
+                    </div>
+                </div>
+            </div>
+
+            <style>
+                .dual-task-test {
+                    text-align: center;
+                    padding: 20px;
+                }
+
+                .instruction-box {
+                    background: rgba(255,255,255,0.1);
+                    padding: 15px;
+                    border-radius: 10px;
+                    margin-bottom: 30px;
+                }
+
+                .instruction-box h3 {
+                    margin: 0 0 10px 0;
+                    color: #fff;
+                    font-size: 1.3em;
+                }
+
+                .instruction-box p {
+                    margin: 0;
+                    color: rgba(255,255,255,0.8);
+                }
+
+                .button-display {
+                    display: flex;
+                    justify-content: center;
+                    gap: 20px;
+                    margin: 40px 0;
+                    flex-wrap: wrap;
+                }
+
+                .button-indicator {
+                    display: flex;
+                    flex-direction: column;
+                    align-items: center;
+                    gap: 10px;
+                    padding: 15px;
+                    background: rgba(255,255,255,0.1);
+                    border-radius: 10px;
+                    min-width: 120px;
+                }
+
+                .button-indicator.active {
+                    background: rgba(255,255,255,0.3);
+                    box-shadow: 0 0 20px rgba(255,255,255,0.5);
+                }
+
+                .button-indicator.inactive {
+                    opacity: 0.3;
+                }
+
+                .led-circle {
+                    width: 60px;
+                    height: 60px;
+                    border-radius: 50%;
+                    border: 3px solid rgba(255,255,255,0.3);
+                    transition: all 0.2s;
+                }
+
+                .led-circle.green { background-color: #4ade80; }
+                .led-circle.white { background-color: #ffffff; }
+                .led-circle.red { background-color: #ff6b6b; }
+                .led-circle.tone {
+                    background-color: rgba(96,165,250,0.3);
+                    line-height: 60px;
+                    font-size: 28px;
+                }
+
+                .led-circle.lit {
+                    box-shadow: 0 0 30px currentColor;
+                    transform: scale(1.1);
+                }
+
+                .test-stats {
+                    display: flex;
+                    justify-content: center;
+                    gap: 30px;
+                    margin-top: 30px;
+                    flex-wrap: wrap;
+                }
+
+                .stat {
+                    background: rgba(255,255,255,0.1);
+                    padding: 10px 20px;
+                    border-radius: 8px;
+                }
+
+                .stat-label {
+                    color: rgba(255,255,255,0.7);
+                    margin-right: 8px;
+                }
+
+                .stat-value {
+                    color: #fff;
+                    font-weight: bold;
+                    font-size: 1.2em;
+                }
+            </style>
+        `;
+
+        if (!this.getAudioContext()) {
+            console.warn('Dual-task: no audio context, secondary tones will be silent');
+        }
+
+        this.updateTimer();
+        await this.platform.delay(1000);
+        this.scheduleNextTrial();
+    }
+
+    generateTrialList(rng) {
+        const trials = [];
+
+        this.blocks.forEach((condition, blockIndex) => {
+            for (let i = 0; i < this.trialsPerBlock; i++) {
+                const spec = {
+                    trial: trials.length + 1,
+                    block: blockIndex + 1,
+                    condition: condition,
+                    interval: Math.round(rng.range(this.minInterval, this.maxInterval)),
+                    target: null,
+                    tone: null
+                };
+
+                if (condition !== 'secondary') {
+                    spec.target = rng.int(0, this.primaryButtons.length - 1);
+                }
+
+                // The tone falls anywhere in the slot that still leaves a full
+                // response window, so it often overlaps the primary response
+                if (condition !== 'primary') {
+                    spec.tone = {
+                        offset: Math.round(rng.range(100, this.trialDuration - this.toneResponseWindow)),
+                        isTarget: rng.chance(this.targetProbability)
+                    };
+                }
+
+                trials.push(spec);
+            }
+        });
+
+        return trials;
+    }
+
+    scheduleNextTrial() {
+        if (!this.isRunning) return;
+
+        const timeElapsed = Date.now() - this.startTime;
+        this.updatePracticeFeedback();
+        const nextTrial = this.getNextTrialSpec();
+        if (timeElapsed >= this.config.duration || !nextTrial) {
+            this.complete();
+            return;
+        }
+
+        const previous = this.getTrialSpec();
+        if (!previous || previous.block !== nextTrial.block) {
+            this.startBlock(nextTrial);
+            return;
+        }
+
+        this.trialTimers.push(setTimeout(() => {
+            if (this.isRunning) {
+                this.startTrial();
+            }
+        }, nextTrial.interval));
+    }
+
+    // Tell the participant which task(s) the coming block needs
+    startBlock(spec) {
+        const instructions = {
+            primary: 'Colour task only - press the button matching the lit colour',
+            secondary: 'Tone task only - press button 4 for HIGH tones',
+            dual: 'BOTH tasks - match colours AND press button 4 for HIGH tones'
+        };
+
+        document.getElementById('blockCount').textContent = spec.block;
+        document.getElementById('blockInstruction').textContent = instructions[spec.condition];
+        document.querySelectorAll('.button-indicator').forEach(ind => {
+            const isTone = ind.classList.contains('tone-indicator');
+            const used = spec.condition === 'dual' || (spec.condition === 'secondary') === isTone;
+            ind.classList.toggle('inactive', !used);
+        });
+
+        this.testData.push({
+            type: 'block_start',
+            trial: spec.trial,
+            timestamp: performance.now(),
+            relativeTime: performance.now() - this.startTime,
+            block: spec.block,
+            condition: spec.condition
+        });
+
+        this.trialTimers.push(setTimeout(() => {
+            if (this.isRunning) {
+                this.startTrial();
+            }
+        }, this.blockBreak));
+    }
+
+    // === TRIAL ===
+
+    async startTrial() {
+        this.currentTrial++;
+        this.resetTrialFlags();
+        this.trialSpec = this.getTrialSpec();
+        const spec = this.trialSpec;
+        const trialStart = performance.now();
+
+        document.getElementById('trialCount').textContent = this.currentTrial;
+
+        if (spec.tone) {
+            this.trialTimers.push(setTimeout(() => this.presentTone(), spec.tone.offset));
+        }
+
+        this.trialTimers.push(setTimeout(() => this.endTrial(), this.trialDuration));
+
+        if (spec.target !== null) {
+            await this.platform.setLED(spec.target + 1, true);
+            this.highlightTarget(spec.target);
+            this.primaryOnset = performance.now();
+
+            this.testData.push({
+                type: 'stimulus',
+                task: 'primary',
+                trial: this.currentTrial,
+                timestamp: this.primaryOnset,
+                relativeTime: this.primaryOnset - this.startTime,
+                condition: spec.condition,
+                block: spec.block,
+                targetButton: spec.target,
+                targetColor: this.primaryButtons[spec.target].color,
+                trialStart: trialStart - this.startTime
+            });
+        }
+    }
+
+    presentTone() {
+        if (!this.isRunning || !this.trialSpec) return;
+
+        const tone = this.trialSpec.tone;
+        const frequency = tone.isTarget ? this.toneFrequencies.target : this.toneFrequencies.standard;
+        this.toneOnset = this.scheduleTone(performance.now(), frequency, 150) ?? performance.now();
+
+        this.testData.push({
+            type: 'stimulus',
+            task: 'secondary',
+            trial: this.currentTrial,
+            timestamp: this.toneOnset,
+            relativeTime: this.toneOnset - this.startTime,
+            condition: this.trialSpec.condition,
+            block: this.trialSpec.block,
+            isTarget: tone.isTarget,
+            frequency: frequency
+        });
+    }
+
+    async handleButtonPress(buttonIndex, timestamp, buttonData) {
+        if (this.dismissInstructions()) return;
+
+        const spec = this.trialSpec;
+        if (!spec) return;
+
+        const responseTime = timestamp;
+
+        if (buttonIndex === this.secondaryButton) {
+            this.handleToneResponse(spec, responseTime);
+            return;
+        }
+
+        // Primary response - only the first press counts
+        if (spec.target === null || this.primaryOnset === null || this.primaryResponded) return;
+        this.primaryResponded = true;
+
+        const reactionTime = responseTime - this.primaryOnset;
+        const correct = buttonIndex === spec.target;
+        const counts = this.counts[spec.condition];
+
+        if (correct) {
+            counts.primaryCorrect++;
+            counts.primaryRTs.push(reactionTime);
+        } else {
+            counts.primaryErrors++;
+        }
+
+        this.clearTarget(spec.target);
+
+        this.testData.push({
+            type: 'response',
+            task: 'primary',
+            trial: this.currentTrial,
+            timestamp: responseTime,
+            relativeTime: responseTime - this.startTime,
+            condition: spec.condition,
+            block: spec.block,
+            button: buttonIndex,
+            targetButton: spec.target,
+            correct: correct,
+            reactionTime: reactionTime
+        });
+    }
+
+    handleToneResponse(spec, responseTime) {
+        // Single-task primary blocks have no tones - presses there are ignored
+        if (!spec.tone || this.toneResponded) return;
+
+        const counts = this.counts[spec.condition];
+        const toneHeard = this.toneOnset !== null && responseTime >= this.toneOnset;
+
+        // A press before the tone is a false alarm but still leaves the
+        // tone itself to be answered
+        if (toneHeard) {
+            this.toneResponded = true;
+        }
+        const inWindow = toneHeard && responseTime - this.toneOnset <= this.toneResponseWindow;
+        const hit = inWindow && spec.tone.isTarget;
+
+        if (hit) {
+            counts.hits++;
+            counts.toneRTs.push(responseTime - this.toneOnset);
+        } else {
+            counts.falseAlarms++;
+        }
+
+        this.testData.push({
+            type: 'response',
+            task: 'secondary',
+            trial: this.currentTrial,
+            timestamp: responseTime,
+            relativeTime: responseTime - this.startTime,
+            condition: spec.condition,
+            block: spec.block,
+            button: this.secondaryButton,
+            isTarget: spec.tone.isTarget,
+            reactionTime: toneHeard ? responseTime - this.toneOnset : null,
+            outcome: hit ? 'hit' : 'false_alarm'
+        });
+    }
+
+    endTrial() {
+        if (!this.isRunning || !this.trialSpec) return;
+
+        const spec = this.trialSpec;
+        const counts = this.counts[spec.condition];
+        const now = performance.now();
+
+        if (spec.target !== null && !this.primaryResponded) {
+            counts.primaryMisses++;
+            this.clearTarget(spec.target);
+            this.testData.push({
+                type: 'timeout',
+                task: 'primary',
+                trial: this.currentTrial,
+                timestamp: now,
+                relativeTime: now - this.startTime,
+                condition: spec.condition,
+                block: spec.block,
+                targetButton: spec.target
+            });
+        }
+
+        if (spec.tone && !this.toneResponded) {
+            if (spec.tone.isTarget) {
+                counts.misses++;
+            } else {
+                counts.correctRejections++;
+            }
+            this.testData.push({
+                type: 'no_response',
+                task: 'secondary',
+                trial: this.currentTrial,
+                timestamp: now,
+                relativeTime: now - this.startTime,
+                condition: spec.condition,
+                block: spec.block,
+                isTarget: spec.tone.isTarget,
+                outcome: spec.tone.isTarget ? 'miss' : 'correct_rejection'
+            });
+        }
+
+        this.trialSpec = null;
+        this.trialTimers = [];
+        this.scheduleNextTrial();
+    }
+
+    highlightTarget(target) {
+        document.querySelectorAll('.button-indicator').forEach((ind, idx) => {
+            const lit = idx === target;
+            ind.classList.toggle('active', lit);
+            ind.querySelector('.led-circle').classList.toggle('lit', lit);
+        });
+    }
+
+    clearTarget(target) {
+        this.platform.setLED(target + 1, false);
+        this.highlightTarget(null);
+    }
+
+    updateTimer() {
+        if (!this.isRunning) return;
+
+        const elapsed = Date.now() - this.startTime;
+        const remaining = Math.max(0, this.config.duration - elapsed);
+        const seconds = Math.floor(remaining / 1000);
+        const minutes = Math.floor(seconds / 60);
+        const secs = seconds % 60;
+
+        const timeDisplay = document.getElementById('timeRemaining');
+        if (timeDisplay) {
+            timeDisplay.textContent = `${minutes}:${secs.toString().padStart(2, '0')}`;
+        }
+
+        if (remaining > 0) {
+            setTimeout(() => this.updateTimer(), 100);
+        }
+    }
+
+    resetTrialState() {
+        super.resetTrialState();
+        this.clearTimers();
+        this.resetTrialFlags();
+        this.counts = DualTaskTest.emptyCounts();
+    }
+
+    clearTimers() {
+        this.trialTimers.forEach(timer => clearTimeout(timer));
+        this.trialTimers = [];
+    }
+
+    // === METRICS ===
+
+    static summarize(counts) {
+        const mean = values => values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+        const primaryTrials = counts.primaryCorrect + counts.primaryErrors + counts.primaryMisses;
+        const targets = counts.hits + counts.misses;
+        const nonTargets = counts.falseAlarms + counts.correctRejections;
+
+        return {
+            primaryRT: mean(counts.primaryRTs.filter(rt => rt > 100 && rt < 2500)),
+            primaryAccuracy: primaryTrials > 0 ? counts.primaryCorrect / primaryTrials * 100 : null,
+            toneRT: mean(counts.toneRTs.filter(rt => rt > 100)),
+            toneHitRate: targets > 0 ? counts.hits / targets * 100 : null,
+            toneFalseAlarmRate: nonTargets > 0 ? counts.falseAlarms / nonTargets * 100 : null
+        };
+    }
+
+    // Dual minus single for RT (positive = slower under dual-task),
+    // single minus dual for accuracy (positive = less accurate)
+    static costs(single, dual, rtKey, accuracyKey) {
+        const available = (a, b) => a !== null && b !== null;
+        return {
+            rtCost: available(single[rtKey], dual[rtKey]) ? dual[rtKey] - single[rtKey] : null,
+            rtCostPercent: available(single[rtKey], dual[rtKey]) && single[rtKey] > 0 ?
+                (dual[rtKey] - single[rtKey]) / single[rtKey] * 100 : null,
+            accuracyCost: available(single[accuracyKey], dual[accuracyKey]) ?
+                single[accuracyKey] - dual[accuracyKey] : null
+        };
+    }
+
+    calculateMetrics() {
+        const single = {
+            primary: DualTaskTest.summarize(this.counts.primary),
+            secondary: DualTaskTest.summarize(this.counts.secondary)
+        };
+        const dual = DualTaskTest.summarize(this.counts.dual);
+
+        const primaryCost = DualTaskTest.costs(single.primary, dual, 'primaryRT', 'primaryAccuracy');
+        const secondaryCost = DualTaskTest.costs(single.secondary, dual, 'toneRT', 'toneHitRate');
+        const format = (value, digits = 2) => value !== null ? value.toFixed(digits) : null;
+
+        return {
+            testName: 'Dual-Task Paradigm',
+            totalTrials: this.currentTrial,
+            singlePrimaryRT: format(single.primary.primaryRT),
+            dualPrimaryRT: format(dual.primaryRT),
+            singlePrimaryAccuracy: format(single.primary.primaryAccuracy),
+            dualPrimaryAccuracy: format(dual.primaryAccuracy),
+            singleToneRT: format(single.secondary.toneRT),
+            dualToneRT: format(dual.toneRT),
+            singleToneHitRate: format(single.secondary.toneHitRate),
+            dualToneHitRate: format(dual.toneHitRate),
+            singleToneFalseAlarmRate: format(single.secondary.toneFalseAlarmRate),
+            dualToneFalseAlarmRate: format(dual.toneFalseAlarmRate),
+            primaryRTCost: format(primaryCost.rtCost),
+            primaryRTCostPercent: format(primaryCost.rtCostPercent),
+            primaryAccuracyCost: format(primaryCost.accuracyCost),
+            secondaryRTCost: format(secondaryCost.rtCost),
+            secondaryRTCostPercent: format(secondaryCost.rtCostPercent),
+            secondaryAccuracyCost: format(secondaryCost.accuracyCost)
+        };
+    }
+
+    destroy() {
+        super.destroy();
+        this.clearTimers();
+    }
+}
+
+// === PLUGIN ===
+
+TestRegistry.register({
+    id: 'dual-task',
+    testClass: DualTaskTest,
+    buttonConfigs: ['all_four'],
+    defaults: {
+        name: 'Dual-Task Paradigm',
+        suite: null,
+        duration: 300000,       // 5 minutes (upper limit)
+        blocks: ['primary', 'secondary', 'dual', 'dual', 'secondary', 'primary'],
+        trialsPerBlock: 12,
+        trialDuration: 2500,    // Fixed slot per trial
+        toneResponseWindow: 1200,
+        targetProbability: 0.25,  // Proportion of high (target) tones
+        minInterval: 500,
+        maxInterval: 1000,
+        blockBreak: 4000,
+        buttonConfig: 'all_four',
+        description: 'Match the lit colour with buttons 1-3 while pressing button 4 for high tones',
+        cognitiveConstruct: 'Divided Attention / Multitasking'
+    },
+    parameters: {
+        blocks: { type: 'array', minItems: 1, items: { enum: ['primary', 'secondary', 'dual'] } },
+        trialsPerBlock: { type: 'integer', minimum: 1, label: 'Trials per block', step: 1 },
+        trialDuration: { type: 'integer', minimum: 0, label: 'Trial duration (ms)', step: 100 },
+        toneResponseWindow: { type: 'integer', minimum: 0, label: 'Tone response window (ms)', step: 100 },
+        targetProbability: { type: 'number', minimum: 0, maximum: 1 },
+        minInterval: { type: 'integer', minimum: 0, label: 'Min ISI (ms)', step: 100 },
+        maxInterval: { type: 'integer', minimum: 0, label: 'Max ISI (ms)', step: 100 },
+        blockBreak: { type: 'integer', minimum: 0, label: 'Block break (ms)', step: 500 }
+    },
+    validate: params => (params.toneResponseWindow + 100 > params.trialDuration ?
+        [`toneResponseWindow (${params.toneResponseWindow}) must be at least 100 ms shorter than trialDuration (${params.trialDuration})`] : []),
+    metrics: {
+        singlePrimaryRT: 'ms',
+        dualPrimaryRT: 'ms',
+        singlePrimaryAccuracy: '%',
+        dualPrimaryAccuracy: '%',
+        singleToneRT: 'ms',
+        dualToneRT: 'ms',
+        singleToneHitRate: '%',
+        dualToneHitRate: '%',
+        primaryRTCost: 'ms',
+        primaryRTCostPercent: '%',
+        primaryAccuracyCost: '%',
+        secondaryRTCost: 'ms',
+        secondaryRTCostPercent: '%',
+        secondaryAccuracyCost: '%'
+    }
+});
@@ -0,0 +1,514 @@
+// js/tests/flanker.js - Eriksen Flanker Test for Selective Attention
+
+class FlankerTest extends CognitionTestBase {
+    constructor(config, platform) {
+        super(config, platform);
+
+        // Response options - one per button. Arrow mode uses four directions,
+        // colour mode the four button colours.
+        this.responses = [
+            { buttonIndex: 0, arrow: '←', rgb: '#4ade80', buttonName: 'Green Button 1' },
+            { buttonIndex: 1, arrow: '↑', rgb: '#ffffff', buttonName: 'White Button' },
+            { buttonIndex: 2, arrow: '↓', rgb: '#ff6b6b', buttonName: 'Red Button' },
+            { buttonIndex: 3, arrow: '→', rgb: '#22c55e', buttonName: 'Green Button 2' }
+        ];
+        this.neutralArrow = '◇';
+        this.neutralRGB = '#888888';
+
+        this.trialTypes = {
+            congruent: 'congruent',     // Flankers match the target
+            incongruent: 'incongruent', // Flankers point to / show another response
+            neutral: 'neutral'          // Flankers carry no response
+        };
+
+        this.stimulusSet = config.stimulusSet || 'arrow';
+        this.flankerCount = config.flankerCount || 2;           // Per side
+        this.congruencyRatio = config.congruencyRatio ?? 0.5;   // Congruent share of non-neutral trials
+        this.neutralProportion = config.neutralProportion ?? 0.2;
+
+        // Timing
+        this.stimulusDuration = config.stimulusDuration || 2000;  // Response deadline
+        this.minInterval = config.minInterval || 600;
+        this.maxInterval = config.maxInterval || 1000;
+        this.feedbackDuration = 500;
+
+        this.currentStimulus = null;
+        this.stimulusStartTime = null;
+        this.waitingForResponse = false;
+
+        // One entry per completed trial: { trial, type, correct, reactionTime }
+        this.trialLog = [];
+    }
+
+    async setupLEDPatterns() {
+        await this.platform.setAllLEDs(false);
+    }
+
+    async runTest() {
+        const testContent = this.getDisplay();
+        const legend = this.responses.map(response => `
+            <div class="flanker-key">
+                <span class="key-symbol" style="color: ${response.rgb}">
+                    ${this.stimulusSet === 'arrow' ? response.arrow : '■'}
+                </span>
+                <span>${response.buttonName}</span>
+            </div>
+        `).join('');
+
+        testContent.innerHTML = `
+            <div class="flanker-test">
+                <div class="instruction-box">
+                    <h3>Respond to the MIDDLE ${this.stimulusSet === 'arrow' ? 'arrow' : 'square'} only</h3>
+                    <p>Ignore the ones either side</p>
+                </div>
+
+                <div class="flanker-keys">${legend}</div>
+
+                <div class="stimulus-area">
+                    <div class="flanker-array" id="flankerArray">+</div>
+                </div>
+
+                <div class="feedback-display" id="feedbackDisplay"></div>
+
+                <div class="test-stats">
+                    <div class="stat">
+                        <span class="stat-label">Correct:</span>
+                        <span class="stat-value" id="correctCount">0</span>
+                    </div>
+                    <div class="stat">
+                        <span class="stat-label">Trial:</span>
+                        <span class="stat-value" id="trialCount">0</span>
+                    </div>
+                    <div class="stat">
+                        <span class="stat-label">Time:</span>
+                        <span class="stat-value" id="timeRemaining"></span>
+                    </div>
+                </div>
+            </div>
+
+            <style>
+                .flanker-test {
+                    text-align: center;
+                    padding: 20px;
+                }
+
+                .instruction-box {
+                    background: rgba(255,255,255,0.1);
+                    padding: 15px;
+                    border-radius: 10px;
+                    margin-bottom: 20px;
+                }
+
+                .instruction-box h3 {
+                    margin: 0 0 10px 0;
+                    color: #fff;
+                    font-size: 1.3em;
+                }
+
+                .instruction-box p {
+                    margin: 0;
+                    color: rgba(255,255,255,0.8);
+                }
+
+                .flanker-keys {
+                    display: flex;
+                    justify-content: center;
+                    gap: 20px;
+                    flex-wrap: wrap;
+                }
+
+                .flanker-key {
+                    display: flex;
+                    flex-direction: column;
+                    align-items: center;
+                    gap: 5px;
+                    padding: 10px 15px;
+                    background: rgba(255,255,255,0.1);
+                    border-radius: 8px;
+                    min-width: 110px;
+                }
+
+                .key-symbol {
+                    font-size: 32px;
+                }
+
+                .stimulus-area {
+                    margin: 40px 0;
+                    min-height: 150px;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                }
+
+                .flanker-array {
+                    font-size: 80px;
+                    letter-spacing: 20px;
+                    color: #fff;
+                }
+
+                .feedback-display {
+                    min-height: 40px;
+                    font-size: 1.3em;
+                    font-weight: bold;
+                }
+
+                .feedback-display.correct { color: #4ade80; }
+                .feedback-display.incorrect { color: #ff6b6b; }
+
+                .test-stats {
+                    display: flex;
+                    justify-content: center;
+                    gap: 30px;
+                    margin-top: 20px;
+                }
+
+                .stat {
+                    background: rgba(255,255,255,0.1);
+                    padding: 10px 20px;
+                    border-radius: 8px;
+                }
+
+                .stat-label {
+                    color: rgba(255,255,255,0.7);
+                    margin-right: 8px;
+                }
+
+                .stat-value {
+                    color: #fff;
+                    font-weight: bold;
+                    font-size: 1.2em;
+                }
+            </style>
+        `;
+
+        this.updateTimer();
+        await this.platform.delay(1000);
+        this.scheduleNextStimulus();
+    }
+
+    scheduleNextStimulus() {
+        if (!this.isRunning) return;
+
+        const timeElapsed = Date.now() - this.startTime;
+        this.updatePracticeFeedback();
+        const nextTrial = this.getNextTrialSpec();
+        if (timeElapsed >= this.config.duration || !nextTrial) {
+            this.complete();
+            return;
+        }
+
+        setTimeout(() => {
+            if (this.isRunning) {
+                this.presentStimulus();
+            }
+        }, nextTrial.interval);
+    }
+
+    generateTrialList(rng) {
+        const trials = [];
+        const count = this.config.targetTrials ||
+            this.estimateMaxTrials(this.minInterval + this.feedbackDuration);
+
+        for (let i = 1; i <= count; i++) {
+            let trialType;
+            if (rng.chance(this.neutralProportion)) {
+                trialType = this.trialTypes.neutral;
+            } else if (rng.chance(this.congruencyRatio)) {
+                trialType = this.trialTypes.congruent;
+            } else {
+                trialType = this.trialTypes.incongruent;
+            }
+
+            const target = rng.int(0, this.responses.length - 1);
+            let flanker = null;
+            if (trialType === this.trialTypes.congruent) {
+                flanker = target;
+            } else if (trialType === this.trialTypes.incongruent) {
+                flanker = rng.pick(this.responses.filter(r => r.buttonIndex !== target)).buttonIndex;
+            }
+
+            trials.push({
+                trial: i,
+                interval: Math.round(rng.range(this.minInterval, this.maxInterval)),
+                type: trialType,
+                target: target,
+                flanker: flanker   // null = neutral flankers
+            });
+        }
+
+        return trials;
+    }
+
+    // Flanker array markup: flankers either side of the target
+    renderArray(target, flanker) {
+        const item = (index) => {
+            if (this.stimulusSet === 'arrow') {
+                const symbol = index === null ? this.neutralArrow : this.responses[index].arrow;
+                return `<span>${symbol}</span>`;
+            }
+            const rgb = index === null ? this.neutralRGB : this.responses[index].rgb;
+            return `<span style="color: ${rgb}">■</span>`;
+        };
+
+        const side = Array(this.flankerCount).fill(item(flanker)).join('');
+        return side + item(target) + side;
+    }
+
+    async presentStimulus() {
+        this.currentTrial++;
+        document.getElementById('trialCount').textContent = this.currentTrial;
+
+        const spec = this.getTrialSpec();
+        const previous = this.trialLog[this.trialLog.length - 1] || null;
+
+        this.currentStimulus = {
+            trialNumber: this.currentTrial,
+            type: spec.type,
+            target: spec.target,
+            flanker: spec.flanker,
+            // Sequence context for conflict adaptation and post-error slowing
+            previousType: previous ? previous.type : null,
+            previousCorrect: previous ? previous.correct : null
+        };
+
+        document.getElementById('flankerArray').innerHTML = this.renderArray(spec.target, spec.flanker);
+        document.getElementById('feedbackDisplay').textContent = '';
+
+        this.stimulusStartTime = performance.now();
+        this.waitingForResponse = true;
+
+        this.testData.push({
+            type: 'stimulus',
+            trial: this.currentTrial,
+            timestamp: this.stimulusStartTime,
+            relativeTime: this.stimulusStartTime - this.startTime,
+            trialType: spec.type,
+            stimulusSet: this.stimulusSet,
+            target: spec.target,
+            flanker: spec.flanker,
+            correctButton: spec.target,
+            previousType: this.currentStimulus.previousType
+        });
+
+        // Only time out this trial - a quick response may already have moved on
+        const trialNumber = this.currentTrial;
+        setTimeout(() => {
+            if (this.waitingForResponse && this.currentStimulus.trialNumber === trialNumber) {
+                this.handleTimeout();
+            }
+        }, this.stimulusDuration);
+    }
+
+    async handleButtonPress(buttonIndex, timestamp, buttonData) {
+        if (this.dismissInstructions()) return;
+
+        if (!this.waitingForResponse) return;
+
+        this.waitingForResponse = false;
+        const responseTime = timestamp;
+        const reactionTime = responseTime - this.stimulusStartTime;
+        const stimulus = this.currentStimulus;
+        const correct = buttonIndex === stimulus.target;
+
+        this.logTrial(stimulus, correct, reactionTime);
+        this.showFeedback(correct ? '✓' : '✗', correct);
+
+        this.testData.push({
+            type: 'response',
+            trial: stimulus.trialNumber,
+            timestamp: responseTime,
+            relativeTime: responseTime - this.startTime,
+            button: buttonIndex,
+            trialType: stimulus.type,
+            target: stimulus.target,
+            flanker: stimulus.flanker,
+            previousType: stimulus.previousType,
+            previousCorrect: stimulus.previousCorrect,
+            correct: correct,
+            reactionTime: reactionTime
+        });
+
+        this.endTrial();
+    }
+
+    handleTimeout() {
+        this.waitingForResponse = false;
+        const stimulus = this.currentStimulus;
+
+        this.logTrial(stimulus, false, null);
+        this.showFeedback('Too slow!', false);
+
+        this.testData.push({
+            type: 'timeout',
+            trial: stimulus.trialNumber,
+            timestamp: performance.now(),
+            relativeTime: performance.now() - this.startTime,
+            trialType: stimulus.type,
+            previousType: stimulus.previousType,
+            previousCorrect: stimulus.previousCorrect
+        });
+
+        this.endTrial();
+    }
+
+    logTrial(stimulus, correct, reactionTime) {
+        this.trialLog.push({
+            trial: stimulus.trialNumber,
+            type: stimulus.type,
+            previousType: stimulus.previousType,
+            previousCorrect: stimulus.previousCorrect,
+            correct: correct,
+            reactionTime: reactionTime
+        });
+        document.getElementById('correctCount').textContent = this.trialLog.filter(t => t.correct).length;
+    }
+
+    showFeedback(text, correct) {
+        const feedbackDisplay = document.getElementById('feedbackDisplay');
+        feedbackDisplay.textContent = text;
+        feedbackDisplay.className = `feedback-display ${correct ? 'correct' : 'incorrect'}`;
+    }
+
+    endTrial() {
+        setTimeout(() => {
+            document.getElementById('flankerArray').textContent = '+';
+            document.getElementById('feedbackDisplay').textContent = '';
+            this.scheduleNextStimulus();
+        }, this.feedbackDuration);
+    }
+
+    updateTimer() {
+        if (!this.isRunning) return;
+
+        const elapsed = Date.now() - this.startTime;
+        const remaining = Math.max(0, this.config.duration - elapsed);
+        const seconds = Math.floor(remaining / 1000);
+        const minutes = Math.floor(seconds / 60);
+        const secs = seconds % 60;
+
+        const timeDisplay = document.getElementById('timeRemaining');
+        if (timeDisplay) {
+            timeDisplay.textContent = `${minutes}:${secs.toString().padStart(2, '0')}`;
+        }
+
+        if (remaining > 0) {
+            setTimeout(() => this.updateTimer(), 100);
+        }
+    }
+
+    resetTrialState() {
+        super.resetTrialState();
+        this.currentStimulus = null;
+        this.waitingForResponse = false;
+        this.trialLog = [];
+    }
+
+    // === METRICS ===
+
+    meanRT(trials) {
+        const rts = trials.filter(t => t.correct && t.reactionTime > 100).map(t => t.reactionTime);
+        return rts.length > 0 ? rts.reduce((a, b) => a + b, 0) / rts.length : null;
+    }
+
+    accuracy(trials) {
+        return trials.length > 0 ? trials.filter(t => t.correct).length / trials.length * 100 : null;
+    }
+
+    calculateMetrics() {
+        const byType = type => this.trialLog.filter(t => t.type === type);
+        const congruent = byType(this.trialTypes.congruent);
+        const incongruent = byType(this.trialTypes.incongruent);
+        const neutral = byType(this.trialTypes.neutral);
+
+        const difference = (a, b) => a !== null && b !== null ? a - b : null;
+        const format = (value, digits = 2) => value !== null ? value.toFixed(digits) : null;
+
+        const congruentRT = this.meanRT(congruent);
+        const incongruentRT = this.meanRT(incongruent);
+
+        // Gratton effect: the congruency effect is smaller after an
+        // incongruent trial. Only sequences of two correct trials count.
+        const sequence = (previousType, type) => this.meanRT(this.trialLog.filter(t =>
+            t.type === type && t.previousType === previousType && t.previousCorrect));
+        const effectAfterCongruent = difference(
+            sequence(this.trialTypes.congruent, this.trialTypes.incongruent),
+            sequence(this.trialTypes.congruent, this.trialTypes.congruent));
+        const effectAfterIncongruent = difference(
+            sequence(this.trialTypes.incongruent, this.trialTypes.incongruent),
+            sequence(this.trialTypes.incongruent, this.trialTypes.congruent));
+
+        // Post-error slowing: correct RT after an error vs after a correct response
+        const postErrorRT = this.meanRT(this.trialLog.filter(t => t.previousCorrect === false));
+        const postCorrectRT = this.meanRT(this.trialLog.filter(t => t.previousCorrect === true));
+
+        return {
+            testName: 'Eriksen Flanker',
+            totalTrials: this.currentTrial,
+            stimulusSet: this.stimulusSet,
+            accuracy: format(this.accuracy(this.trialLog)),
+            congruentAvgRT: format(congruentRT),
+            incongruentAvgRT: format(incongruentRT),
+            neutralAvgRT: format(this.meanRT(neutral)),
+            congruentAccuracy: format(this.accuracy(congruent)),
+            incongruentAccuracy: format(this.accuracy(incongruent)),
+            neutralAccuracy: format(this.accuracy(neutral)),
+            flankerEffect: format(difference(incongruentRT, congruentRT)),
+            flankerAccuracyEffect: format(difference(this.accuracy(congruent), this.accuracy(incongruent))),
+            congruencyEffectAfterCongruent: format(effectAfterCongruent),
+            congruencyEffectAfterIncongruent: format(effectAfterIncongruent),
+            conflictAdaptation: format(difference(effectAfterCongruent, effectAfterIncongruent)),
+            postErrorRT: format(postErrorRT),
+            postCorrectRT: format(postCorrectRT),
+            postErrorSlowing: format(difference(postErrorRT, postCorrectRT)),
+            errors: this.trialLog.filter(t => !t.correct).length
+        };
+    }
+}
+
+// === PLUGIN ===
+
+TestRegistry.register({
+    id: 'flanker',
+    testClass: FlankerTest,
+    buttonConfigs: ['all_four'],
+    defaults: {
+        name: 'Eriksen Flanker',
+        suite: null,
+        duration: 120000,       // 2 minutes
+        targetTrials: 60,
+        stimulusSet: 'arrow',   // 'arrow' (four directions) or 'colour'
+        flankerCount: 2,        // Flankers each side of the target
+        congruencyRatio: 0.5,   // Congruent share of non-neutral trials
+        neutralProportion: 0.2,
+        stimulusDuration: 2000, // Response deadline
+        minInterval: 600,
+        maxInterval: 1000,
+        buttonConfig: 'all_four',
+        description: 'Press the button for the MIDDLE item and ignore the items either side',
+        cognitiveConstruct: 'Selective Attention / Conflict Monitoring'
+    },
+    parameters: {
+        targetTrials: { type: 'integer', minimum: 1, label: 'Target trials', step: 1 },
+        stimulusSet: { enum: ['arrow', 'colour'] },
+        flankerCount: { type: 'integer', minimum: 1, maximum: 4, label: 'Flankers per side', step: 1 },
+        congruencyRatio: { type: 'number', minimum: 0, maximum: 1, label: 'Congruent proportion', step: 0.05 },
+        neutralProportion: { type: 'number', minimum: 0, maximum: 1, label: 'Neutral proportion', step: 0.05 },
+        stimulusDuration: { type: 'integer', minimum: 0, label: 'Stimulus duration (ms)', step: 100 },
+        minInterval: { type: 'integer', minimum: 0, label: 'Min ISI (ms)', step: 100 },
+        maxInterval: { type: 'integer', minimum: 0, label: 'Max ISI (ms)', step: 100 }
+    },
+    metrics: {
+        accuracy: '%',
+        congruentAvgRT: 'ms',
+        incongruentAvgRT: 'ms',
+        neutralAvgRT: 'ms',
+        flankerEffect: 'ms',
+        flankerAccuracyEffect: '%',
+        conflictAdaptation: 'ms',
+        postErrorSlowing: 'ms',
+        errors: 'count'
+    },
+    summarize: metrics => ({
+        accuracy_percent: metrics.accuracy
+    })
+});
@@ -27,13 +27,13 @@ class GoNoGoTest extends CognitionTestBase {
         this.waitingForResponse = false;
         
         // Timing parameters
-        this.stimulusDuration = 1000; // Show stimulus for 1 second
-        this.minInterval = 1500;
-        this.maxInterval = 3000;
-        this.responseWindow = 1000; // 1 second to respond
+        this.stimulusDuration = config.stimulusDuration || 500;
+        this.minInterval = config.minInterval ?? 1200;
+        this.maxInterval = config.maxInterval ?? 2000;
+        this.responseWindow = config.responseWindow || 1000; // Time to respond; adaptive
         
         // Go trial probability (typically 70-80% to create prepotent response)
-        this.goTrialProbability = 0.75; // 75% go trials
+        this.goTrialProbability = config.goTrialProbability ?? 0.75;
         
         // Performance tracking
         this.goHits = 0;          // Correct responses to GO
@@ -47,8 +47,16 @@ class GoNoGoTest extends CognitionTestBase {
         await this.platform.setAllLEDs(false);
     }
 
+    // A shorter window demands faster go responses; only go trials update
+    // the staircase, so no-go accuracy stays a clean inhibition measure
+    getAdaptiveParameters() {
+        return {
+            responseWindow: { min: 200, max: 1500, step: 50, harder: 'decrease' }
+        };
+    }
+
     async runTest() {
-        const testContent = document.getElementById('testContent');
+        const testContent = this.getDisplay();
         testContent.innerHTML = `
             <div class="gonogo-test">
                 <div class="instruction-box">
@@ -371,12 +379,14 @@ class GoNoGoTest extends CognitionTestBase {
         if (!this.isRunning) return;
         
         const timeElapsed = Date.now() - this.startTime;
-        if (timeElapsed >= this.config.duration) {
+        this.updatePracticeFeedback();
+        const nextTrial = this.getNextTrialSpec();
+        if (timeElapsed >= this.config.duration || !nextTrial) {
             this.complete();
             return;
         }
 
-        const interval = Math.random() * (this.maxInterval - this.minInterval) + this.minInterval;
+        const interval = nextTrial.interval;
         
         setTimeout(() => {
             if (this.isRunning) {
@@ -385,16 +395,32 @@ class GoNoGoTest extends CognitionTestBase {
         }, interval);
     }
 
+    generateTrialList(rng) {
+        const trials = [];
+        const count = this.config.targetTrials || this.estimateMaxTrials(this.minInterval);
+        
+        for (let i = 1; i <= count; i++) {
+            trials.push({
+                trial: i,
+                interval: Math.round(rng.range(this.minInterval, this.maxInterval)),
+                isGo: rng.chance(this.goTrialProbability)
+            });
+        }
+        
+        return trials;
+    }
+
     async presentStimulus() {
         this.currentTrial++;
         document.getElementById('trialCount').textContent = this.currentTrial;
         
-        // Determine trial type (Go or No-Go)
-        const isGoTrial = Math.random() < this.goTrialProbability;
+        // Trial type (Go or No-Go) from the pre-generated list
+        const isGoTrial = this.getTrialSpec().isGo;
         this.currentStimulusType = isGoTrial ? this.stimulusTypes.go : this.stimulusTypes.nogo;
         
         this.stimulusStartTime = performance.now();
         this.waitingForResponse = true;
+        const responseWindow = this.adaptiveValue('responseWindow', this.responseWindow);
         
         const stimulusCircle = document.getElementById('stimulusCircle');
         const stimulusLabel = document.getElementById('stimulusLabel');
@@ -419,7 +445,8 @@ class GoNoGoTest extends CognitionTestBase {
             timestamp: this.stimulusStartTime,
             relativeTime: this.stimulusStartTime - this.startTime,
             stimulusType: this.currentStimulusType.name,
-            shouldRespond: this.currentStimulusType.shouldRespond
+            shouldRespond: this.currentStimulusType.shouldRespond,
+            responseWindow: responseWindow
         });
         
         // Hide stimulus after duration
@@ -430,14 +457,17 @@ class GoNoGoTest extends CognitionTestBase {
         }, this.stimulusDuration);
         
         // Check for response after response window
+        const trialNumber = this.currentTrial;
         setTimeout(() => {
-            if (this.waitingForResponse) {
+            if (this.waitingForResponse && this.currentTrial === trialNumber) {
                 this.handleNoResponse();
             }
-        }, this.responseWindow);
+        }, responseWindow);
     }
 
     async handleButtonPress(buttonIndex, timestamp, buttonData) {
+        if (this.dismissInstructions()) return;
+        
         if (!this.waitingForResponse) return;
         
         this.waitingForResponse = false;
@@ -451,6 +481,7 @@ class GoNoGoTest extends CognitionTestBase {
             this.goHits++;
             this.goReactionTimes.push(reactionTime);
             document.getElementById('goHitsCount').textContent = this.goHits;
+            this.updateStaircase(true);
             
             feedbackDisplay.textContent = `✓ Correct! ${reactionTime.toFixed(0)}ms`;
             feedbackDisplay.className = 'feedback-display correct';
@@ -503,6 +534,7 @@ class GoNoGoTest extends CognitionTestBase {
             // GO trial - no response is incorrect (omission error)
             this.goMisses++;
             document.getElementById('goMissesCount').textContent = this.goMisses;
+            this.updateStaircase(false);
             
             feedbackDisplay.textContent = '✗ Too slow! Should have pressed!';
             feedbackDisplay.className = 'feedback-display incorrect';
@@ -578,6 +610,17 @@ class GoNoGoTest extends CognitionTestBase {
         }
     }
 
+    resetTrialState() {
+        super.resetTrialState();
+        this.currentStimulusType = null;
+        this.waitingForResponse = false;
+        this.goHits = 0;
+        this.goMisses = 0;
+        this.nogoHits = 0;
+        this.nogoFalseAlarms = 0;
+        this.goReactionTimes = [];
+    }
+
     calculateMetrics() {
         const totalGoTrials = this.goHits + this.goMisses;
         const totalNoGoTrials = this.nogoHits + this.nogoFalseAlarms;
@@ -630,3 +673,53 @@ class GoNoGoTest extends CognitionTestBase {
         };
     }
 }
+
+// === PLUGIN ===
+
+TestRegistry.register({
+    id: 'go-nogo',
+    testClass: GoNoGoTest,
+    buttonConfigs: ['single'],
+    defaults: {
+        name: 'Go/No-Go Task',
+        suite: 'reaction-inhibition',
+        duration: 90000,        // 1.5 minutes
+        targetTrials: 45,       // ~2 sec per trial
+        goTrialProbability: 0.75,  // 75% go trials (prepotent response)
+        stimulusDuration: 500,
+        responseWindow: 1000,
+        minInterval: 1200,
+        maxInterval: 2000,
+        buttonConfig: 'single',
+        description: 'Press for GREEN, do NOT press for RED',
+        cognitiveConstruct: 'Response Inhibition'
+    },
+    parameters: {
+        targetTrials: { type: 'integer', minimum: 1, label: 'Target trials', step: 1 },
+        goTrialProbability: { type: 'number', minimum: 0, maximum: 1, label: 'Go probability', step: 0.05 },
+        stimulusDuration: { type: 'integer', minimum: 0, label: 'Stimulus duration (ms)', step: 100 },
+        responseWindow: { type: 'integer', minimum: 0, label: 'Response window (ms)', step: 100 },
+        minInterval: { type: 'integer', minimum: 0, label: 'Min ISI (ms)', step: 100 },
+        maxInterval: { type: 'integer', minimum: 0, label: 'Max ISI (ms)', step: 100 }
+    },
+    metrics: {
+        goHits: 'count',
+        goMisses: 'count',
+        nogoHits: 'count',
+        nogoFalseAlarms: 'count',
+        goAccuracy: '%',
+        nogoAccuracy: '%',
+        overallAccuracy: '%',
+        commissionErrorRate: '%',
+        omissionErrorRate: '%',
+        avgGoReactionTime: 'ms',
+        sdGoReactionTime: 'ms'
+    },
+    summarize: metrics => ({
+        accuracy_percent: metrics.overallAccuracy,
+        mean_rt_ms: metrics.avgGoReactionTime,
+        std_rt_ms: metrics.sdGoReactionTime,
+        omission_errors: metrics.goMisses,
+        commission_errors: metrics.nogoFalseAlarms
+    })
+});
@@ -0,0 +1,553 @@
+// js/tests/multi-stream.js - Multi-Stream Divided Attention Test
+
+class MultiStreamTest extends CognitionTestBase {
+    constructor(config, platform) {
+        super(config, platform);
+
+        // One stream per button/LED
+        this.streams = [
+            { button: 0, name: 'Green 1', rgb: '#4ade80' },
+            { button: 1, name: 'White', rgb: '#ffffff' },
+            { button: 2, name: 'Red', rgb: '#ff6b6b' },
+            { button: 3, name: 'Green 2', rgb: '#22c55e' }
+        ];
+
+        // Number of streams to monitor in each block - the load manipulation
+        this.streamCounts = config.streamCounts || [1, 2, 4, 4, 2, 1];
+        this.blockDuration = config.blockDuration || 40000;
+        this.targetProbability = config.targetProbability ?? 0.15;
+        this.stimulusDuration = config.stimulusDuration || 250;
+        this.responseWindow = config.responseWindow || 1200;
+        // Per-stream event spacing; at least the response window so every
+        // press maps to a single event on its stream
+        this.minInterval = Math.max(config.minInterval || 1500, this.responseWindow);
+        this.maxInterval = Math.max(config.maxInterval || 3000, this.minInterval);
+        this.blockBreak = config.blockBreak || 4000;
+
+        this.trialTimers = [];
+        this.openEvents = {};       // stream -> event awaiting a response
+        this.currentBlock = null;
+        this.currentStreamCount = null;
+        this.counts = MultiStreamTest.emptyCounts();
+    }
+
+    static emptyCounts() {
+        return {
+            byStream: {},   // stream -> { hits, misses, falseAlarms, correctRejections, strayPresses, hitRTs }
+            byLoad: {}      // stream count -> same
+        };
+    }
+
+    countsFor(group, key) {
+        if (!this.counts[group][key]) {
+            this.counts[group][key] = {
+                hits: 0, misses: 0, falseAlarms: 0, correctRejections: 0, strayPresses: 0, hitRTs: []
+            };
+        }
+        return this.counts[group][key];
+    }
+
+    tally(event, outcome, reactionTime = null) {
+        const groups = [this.countsFor('byStream', event.stream)];
+        // Only events with a known load count towards the per-load summary
+        if (Number.isInteger(event.streamCount)) {
+            groups.push(this.countsFor('byLoad', event.streamCount));
+        }
+        groups.forEach(counts => {
+            counts[outcome]++;
+            if (outcome === 'hits') counts.hitRTs.push(reactionTime);
+        });
+    }
+
+    async setupLEDPatterns() {
+        await this.platform.setAllLEDs(false);
+    }
+
+    async runTest() {
+        const testContent = this.getDisplay();
+        testContent.innerHTML = `
+            <div class="multi-stream-test">
+                <div class="instruction-box">
+                    <h3 id="streamInstruction">Get ready...</h3>
+                    <p>Press a stream's button when it flashes YELLOW. Ignore its normal flashes.</p>
+                </div>
+
+                <div class="stream-display">
+                    ${this.streams.map(stream => `
+                        <div class="stream-panel" id="stream${stream.button}" style="--stream-color: ${stream.rgb}">
+                            <div class="stream-light"></div>
+                            <span>Button ${stream.button + 1} (${stream.name})</span>
+                        </div>
+                    `).join('')}
+                </div>
+
+                <div class="test-stats">
+                    <div class="stat">
+                        <span class="stat-label">Block:</span>
+                        <span class="stat-value" id="blockCount">0</span>
+                    </div>
+                    <div class="stat">
+                        <span class="stat-label">Streams:</span>
+                        <span class="stat-value" id="streamCount">-</span>
+                    </div>
+                    <div class="stat">
+                        <span class="stat-label">Time:</span>
+                        <span class="stat-value" id="timeRemaining"></span>
+                    </div>
+                </div>
+            </div>
+
+            <style>
+                .multi-stream-test {
+                    text-align: center;
+                    padding: 20px;
+                }
+
+                .instruction-box {
+                    background: rgba(255,255,255,0.1);
+                    padding: 15px;
+                    border-radius: 10px;
+                    margin-bottom: 30px;
+                }
+
+                .instruction-box h3 {
+                    margin: 0 0 10px 0;
+                    color: #fff;
+                    font-size: 1.3em;
+                }
+
+                .instruction-box p {
+                    margin: 0;
+                    color: rgba(255,255,255,0.8);
+                }
+
+                .stream-display {
+                    display: grid;
+                    grid-template-columns: repeat(4, 1fr);
+                    gap: 20px;
+                    margin: 40px 0;
+                }
+
+                .stream-panel {
+                    display: flex;
+                    flex-direction: column;
+                    align-items: center;
+                    gap: 10px;
+                    padding: 20px;
+                    background: rgba(255,255,255,0.1);
+                    border-radius: 10px;
+                    transition: opacity 0.3s;
+                }
+
+                .stream-panel.inactive {
+                    opacity: 0.15;
+                }
+
+                .stream-light {
+                    width: 80px;
+                    height: 80px;
+                    border-radius: 50%;
+                    background: rgba(255,255,255,0.1);
+                    border: 4px solid var(--stream-color);
+                    transition: all 0.05s;
+                }
+
+                .stream-light.flash {
+                    background: var(--stream-color);
+                    box-shadow: 0 0 30px var(--stream-color);
+                }
+
+                .stream-light.target {
+                    background: #fbbf24;
+                    box-shadow: 0 0 30px #fbbf24;
+                }
+
+                .test-stats {
+                    display: flex;
+                    justify-content: center;
+                    gap: 30px;
+                    margin-top: 30px;
+                }
+
+                .stat {
+                    background: rgba(255,255,255,0.1);
+                    padding: 10px 20px;
+                    border-radius: 8px;
+                }
+
+                .stat-label {
+                    color: rgba(255,255,255,0.7);
+                    margin-right: 8px;
+                }
+
+                .stat-value {
+                    color: #fff;
+                    font-weight: bold;
+                    font-size: 1.2em;
+                }
+            </style>
+        `;
+
+        this.updateTimer();
+        await this.platform.delay(1000);
+        this.startNextBlock();
+    }
+
+    /**
+     * Each stream gets its own event train for the block, so the per-stream
+     * event rate is the same at every load. Trials are the merged events in
+     * time order.
+     */
+    generateTrialList(rng) {
+        const trials = [];
+
+        this.streamCounts.forEach((streamCount, blockIndex) => {
+            const active = rng.shuffle(this.streams.map(s => s.button))
+                .slice(0, Math.min(streamCount, this.streams.length))
+                .sort();
+
+            const events = [];
+            active.forEach(stream => {
+                let time = Math.round(rng.range(0, this.maxInterval));
+                while (time + this.responseWindow <= this.blockDuration) {
+                    events.push({ stream: stream, time: time, isTarget: rng.chance(this.targetProbability) });
+                    time += Math.round(rng.range(this.minInterval, this.maxInterval));
+                }
+            });
+
+            events.sort((a, b) => a.time - b.time).forEach(event => {
+                trials.push({
+                    trial: trials.length + 1,
+                    block: blockIndex + 1,
+                    streamCount: active.length,
+                    activeStreams: active,
+                    ...event
+                });
+            });
+        });
+
+        return trials;
+    }
+
+    // === BLOCKS ===
+
+    startNextBlock() {
+        if (!this.isRunning) return;
+
+        const timeElapsed = Date.now() - this.startTime;
+        this.updatePracticeFeedback();
+        const first = this.getNextTrialSpec();
+        if (timeElapsed >= this.config.duration || !first) {
+            this.complete();
+            return;
+        }
+
+        this.currentBlock = first.block;
+        this.currentStreamCount = first.streamCount;
+        const events = this.trialList.filter(trial => trial.block === first.block);
+
+        document.getElementById('blockCount').textContent = first.block;
+        document.getElementById('streamCount').textContent = first.streamCount;
+        document.getElementById('streamInstruction').textContent =
+            `Watch ${first.streamCount} stream${first.streamCount > 1 ? 's' : ''}`;
+        this.streams.forEach(stream => {
+            document.getElementById(`stream${stream.button}`)
+                .classList.toggle('inactive', !first.activeStreams.includes(stream.button));
+        });
+
+        this.testData.push({
+            type: 'block_start',
+            trial: first.trial,
+            timestamp: performance.now(),
+            relativeTime: performance.now() - this.startTime,
+            block: first.block,
+            streamCount: first.streamCount,
+            activeStreams: first.activeStreams
+        });
+
+        // Events are timed from the block start rather than chained, so
+        // the streams stay independent of each other and of responses
+        this.trialTimers.push(setTimeout(() => {
+            events.forEach(event => {
+                this.trialTimers.push(setTimeout(() => this.presentEvent(event), event.time));
+            });
+
+            const last = events[events.length - 1];
+            this.trialTimers.push(setTimeout(() => this.startNextBlock(),
+                last.time + this.responseWindow + 100));
+        }, this.blockBreak));
+    }
+
+    async presentEvent(event) {
+        if (!this.isRunning) return;
+
+        this.currentTrial = event.trial;
+        const onset = performance.now();
+        this.openEvents[event.stream] = { ...event, onset: onset, responded: false };
+
+        const light = document.querySelector(`#stream${event.stream} .stream-light`);
+        light.classList.add(event.isTarget ? 'target' : 'flash');
+        this.platform.setLED(event.stream + 1, true);
+
+        this.testData.push({
+            type: 'stimulus',
+            trial: event.trial,
+            timestamp: onset,
+            relativeTime: onset - this.startTime,
+            block: event.block,
+            streamCount: event.streamCount,
+            stream: event.stream,
+            isTarget: event.isTarget
+        });
+
+        this.trialTimers.push(setTimeout(() => {
+            light.classList.remove('target', 'flash');
+            this.platform.setLED(event.stream + 1, false);
+        }, this.stimulusDuration));
+
+        this.trialTimers.push(setTimeout(() => this.closeEvent(event.stream, event.trial), this.responseWindow));
+    }
+
+    async handleButtonPress(buttonIndex, timestamp, buttonData) {
+        if (this.dismissInstructions()) return;
+        if (this.currentBlock === null) return;
+
+        const event = this.openEvents[buttonIndex];
+        const responseTime = timestamp;
+
+        if (!event || event.responded) {
+            // Press on a stream with nothing to respond to. Counted
+            // separately, as d' only uses responses to non-target events.
+            const stray = {
+                trial: this.currentTrial,
+                block: this.currentBlock,
+                stream: buttonIndex,
+                // The block's load - there may be no event yet (block break)
+                streamCount: this.currentStreamCount
+            };
+
+            this.tally(stray, 'strayPresses');
+            this.recordResponse(stray, responseTime, null, 'stray_press');
+            return;
+        }
+
+        event.responded = true;
+        const reactionTime = responseTime - event.onset;
+
+        if (event.isTarget) {
+            this.tally(event, 'hits', reactionTime);
+            this.recordResponse(event, responseTime, reactionTime, 'hit');
+        } else {
+            this.tally(event, 'falseAlarms');
+            this.recordResponse(event, responseTime, reactionTime, 'false_alarm');
+        }
+    }
+
+    recordResponse(event, responseTime, reactionTime, outcome) {
+        this.testData.push({
+            type: 'response',
+            trial: event.trial,
+            timestamp: responseTime,
+            relativeTime: responseTime - this.startTime,
+            block: event.block,
+            streamCount: event.streamCount,
+            stream: event.stream,
+            button: event.stream,
+            isTarget: !!event.isTarget,
+            reactionTime: reactionTime,
+            outcome: outcome
+        });
+    }
+
+    closeEvent(stream, trial) {
+        const event = this.openEvents[stream];
+        if (!event || event.trial !== trial) return;
+        delete this.openEvents[stream];
+
+        if (event.responded) return;
+
+        const outcome = event.isTarget ? 'miss' : 'correct_rejection';
+        this.tally(event, event.isTarget ? 'misses' : 'correctRejections');
+
+        this.testData.push({
+            type: 'no_response',
+            trial: event.trial,
+            timestamp: performance.now(),
+            relativeTime: performance.now() - this.startTime,
+            block: event.block,
+            streamCount: event.streamCount,
+            stream: event.stream,
+            isTarget: event.isTarget,
+            outcome: outcome
+        });
+    }
+
+    updateTimer() {
+        if (!this.isRunning) return;
+
+        const elapsed = Date.now() - this.startTime;
+        const remaining = Math.max(0, this.config.duration - elapsed);
+        const seconds = Math.floor(remaining / 1000);
+        const minutes = Math.floor(seconds / 60);
+        const secs = seconds % 60;
+
+        const timeDisplay = document.getElementById('timeRemaining');
+        if (timeDisplay) {
+            timeDisplay.textContent = `${minutes}:${secs.toString().padStart(2, '0')}`;
+        }
+
+        if (remaining > 0) {
+            setTimeout(() => this.updateTimer(), 100);
+        }
+    }
+
+    resetTrialState() {
+        super.resetTrialState();
+        this.trialTimers.forEach(timer => clearTimeout(timer));
+        this.trialTimers = [];
+        this.openEvents = {};
+        this.currentBlock = null;
+        this.currentStreamCount = null;
+        this.counts = MultiStreamTest.emptyCounts();
+    }
+
+    // === METRICS ===
+
+    summarize(counts) {
+        const targets = counts.hits + counts.misses;
+        const nonTargets = counts.falseAlarms + counts.correctRejections;
+        const hitRate = targets > 0 ? counts.hits / targets : 0;
+        const falseAlarmRate = nonTargets > 0 ? counts.falseAlarms / nonTargets : 0;
+        const meanRT = counts.hitRTs.length > 0 ?
+            counts.hitRTs.reduce((a, b) => a + b, 0) / counts.hitRTs.length : 0;
+
+        return {
+            hits: counts.hits,
+            misses: counts.misses,
+            falseAlarms: counts.falseAlarms,
+            correctRejections: counts.correctRejections,
+            strayPresses: counts.strayPresses,
+            hitRate: (hitRate * 100).toFixed(2),
+            falseAlarmRate: (falseAlarmRate * 100).toFixed(2),
+            // Undefined without both targets and non-targets on the stream
+            dPrime: targets > 0 && nonTargets > 0 ?
+                (this.zScore(hitRate) - this.zScore(falseAlarmRate)).toFixed(3) : null,
+            meanHitRT: meanRT.toFixed(2)
+        };
+    }
+
+    calculateMetrics() {
+        const perStream = {};
+        Object.keys(this.counts.byStream).sort().forEach(stream => {
+            perStream[`stream${Number(stream) + 1}`] = this.summarize(this.counts.byStream[stream]);
+        });
+
+        const perLoad = {};
+        const loads = Object.keys(this.counts.byLoad).map(Number)
+            .filter(load => Number.isInteger(load))
+            .sort((a, b) => a - b);
+        loads.forEach(load => {
+            perLoad[`${load}-stream`] = this.summarize(this.counts.byLoad[load]);
+        });
+
+        // Sensitivity lost going from the lowest to the highest load
+        const lowest = loads.length > 1 ? perLoad[`${loads[0]}-stream`].dPrime : null;
+        const highest = loads.length > 1 ? perLoad[`${loads[loads.length - 1]}-stream`].dPrime : null;
+        const dPrimeCost = lowest !== null && highest !== null ? (lowest - highest).toFixed(3) : null;
+
+        const overall = { hits: 0, misses: 0, falseAlarms: 0, correctRejections: 0, strayPresses: 0, hitRTs: [] };
+        Object.values(this.counts.byStream).forEach(counts => {
+            ['hits', 'misses', 'falseAlarms', 'correctRejections', 'strayPresses'].forEach(key => { overall[key] += counts[key]; });
+            overall.hitRTs.push(...counts.hitRTs);
+        });
+        const summary = this.summarize(overall);
+
+        return {
+            testName: 'Multi-Stream Attention',
+            totalTrials: this.currentTrial,
+            hits: summary.hits,
+            misses: summary.misses,
+            falseAlarms: summary.falseAlarms,
+            correctRejections: summary.correctRejections,
+            strayPresses: summary.strayPresses,
+            hitRate: summary.hitRate,
+            falseAlarmRate: summary.falseAlarmRate,
+            dPrime: summary.dPrime,
+            dPrimeLoadCost: dPrimeCost,
+            perStream: perStream,
+            perLoad: perLoad
+        };
+    }
+
+    zScore(p) {
+        // Convert proportion to z-score
+        // Adjust extreme values to avoid infinity
+        if (p >= 0.9999) p = 0.9999;
+        if (p <= 0.0001) p = 0.0001;
+
+        // Approximation of inverse normal CDF
+        const t = Math.sqrt(-2 * Math.log(Math.min(p, 1 - p)));
+        const c = [2.515517, 0.802853, 0.010328];
+        const d = [1.432788, 0.189269, 0.001308];
+
+        const z = t - ((c[0] + c[1] * t + c[2] * t * t) /
+                       (1 + d[0] * t + d[1] * t * t + d[2] * t * t * t));
+
+        return p < 0.5 ? -z : z;
+    }
+
+    destroy() {
+        super.destroy();
+        this.trialTimers.forEach(timer => clearTimeout(timer));
+        this.trialTimers = [];
+    }
+}
+
+// === PLUGIN ===
+
+TestRegistry.register({
+    id: 'multi-stream',
+    testClass: MultiStreamTest,
+    buttonConfigs: ['all_four'],
+    defaults: {
+        name: 'Multi-Stream Attention',
+        suite: null,
+        duration: 360000,       // 6 minutes (upper limit)
+        streamCounts: [1, 2, 4, 4, 2, 1],  // Streams monitored in each block (load)
+        blockDuration: 40000,
+        targetProbability: 0.15,
+        stimulusDuration: 250,
+        responseWindow: 1200,
+        minInterval: 1500,      // Per-stream spacing between events
+        maxInterval: 3000,
+        blockBreak: 4000,
+        buttonConfig: 'all_four',
+        description: 'Watch several lights at once and press a light\'s button when it flashes yellow',
+        cognitiveConstruct: 'Divided Attention'
+    },
+    parameters: {
+        streamCounts: { type: 'array', minItems: 1, items: { type: 'integer', minimum: 1, maximum: 4 } },
+        blockDuration: { type: 'integer', minimum: 1000, label: 'Block duration (ms)', step: 1000 },
+        targetProbability: { type: 'number', minimum: 0, maximum: 1 },
+        stimulusDuration: { type: 'integer', minimum: 0, label: 'Stimulus duration (ms)', step: 100 },
+        responseWindow: { type: 'integer', minimum: 0, label: 'Response window (ms)', step: 100 },
+        minInterval: { type: 'integer', minimum: 0, label: 'Min ISI (ms)', step: 100 },
+        maxInterval: { type: 'integer', minimum: 0, label: 'Max ISI (ms)', step: 100 },
+        blockBreak: { type: 'integer', minimum: 0, label: 'Block break (ms)', step: 500 }
+    },
+    metrics: {
+        hits: 'count',
+        misses: 'count',
+        falseAlarms: 'count',
+        correctRejections: 'count',
+        strayPresses: 'count',
+        hitRate: '%',
+        falseAlarmRate: '%',
+        dPrime: 'd-prime',
+        dPrimeLoadCost: 'd-prime'
+    },
+    summarize: metrics => ({
+        omission_errors: metrics.misses,
+        commission_errors: metrics.falseAlarms
+    })
+});
@@ -4,23 +4,50 @@ class NBackTest extends CognitionTestBase {
     constructor(config, platform) {
         super(config, platform);
         
-        this.nBack = 2; // 2-back task
+        // 0-back is the control condition: match a fixed target instead of
+        // an earlier item
+        this.nBack = config.nBack !== undefined ? config.nBack : 2;
+        this.matchProbability = config.matchProbability !== undefined ? config.matchProbability : 0.3;
+        
+        // 'single' is the visual stream alone; 'dual' adds an auditory
+        // tone stream with its own match sequence and response button
+        this.mode = config.mode || 'single';
+        this.streams = this.mode === 'dual' ? ['visual', 'audio'] : ['visual'];
+        
         this.stimulusSequence = [];
+        this.audioSequence = [];
         this.responseHistory = [];
         this.currentStimulus = null;
         this.stimulusStartTime = null;
         this.waitingForResponse = false;
+        this.respondedStreams = new Set();
+        this.responseTimer = null;
         
-        this.stimulusDuration = 500; // Show stimulus for 500ms
-        this.interStimulusInterval = 2000; // 2 seconds between stimuli
+        this.stimulusDuration = config.stimulusDuration || 500;
+        this.interStimulusInterval = config.interStimulusInterval || 2500;
         
         // Use button numbers as stimuli (0, 1, 2, 3)
         this.stimuliSet = [0, 1, 2, 3];
         
-        this.hits = 0;
-        this.misses = 0;
-        this.falseAlarms = 0;
-        this.correctRejections = 0;
+        // Auditory stream - four tones of a C major arpeggio
+        this.toneSet = [262, 330, 392, 523];
+        this.toneNames = ['C', 'E', 'G', 'high C'];
+        
+        // 0-back targets: LED 1 for the visual stream, the low C for audio
+        this.zeroBackTarget = 0;
+        
+        // In dual mode Button 1 answers the visual stream and Button 4 the audio
+        this.streamButtons = { visual: 0, audio: 3 };
+        
+        this.counts = this.createCounts();
+    }
+
+    createCounts() {
+        const counts = {};
+        this.streams.forEach(stream => {
+            counts[stream] = { hits: 0, misses: 0, falseAlarms: 0, correctRejections: 0 };
+        });
+        return counts;
     }
 
     async setupLEDPatterns() {
@@ -28,12 +55,12 @@ class NBackTest extends CognitionTestBase {
     }
 
     async runTest() {
-        const testContent = document.getElementById('testContent');
+        const testContent = this.getDisplay();
         testContent.innerHTML = `
             <div class="nback-test">
                 <div class="instruction-box">
-                    <h3>${this.nBack}-Back Working Memory Task</h3>
-                    <p>Press GREEN button if the current LED matches the one from ${this.nBack} positions back</p>
+                    <h3>${this.getTaskName()}</h3>
+                    <p>${this.getInstructions()}</p>
                 </div>
                 
                 <div class="button-reference">
@@ -57,6 +84,7 @@ class NBackTest extends CognitionTestBase {
                 
                 <div class="stimulus-display" id="stimulusDisplay">
                     <div class="current-stimulus" id="currentStimulus"></div>
+                    ${this.mode === 'dual' ? '<div class="audio-indicator" id="audioIndicator">&#9834;</div>' : ''}
                     <div class="sequence-history" id="sequenceHistory"></div>
                 </div>
                 
@@ -177,6 +205,17 @@ class NBackTest extends CognitionTestBase {
                     box-shadow: 0 0 40px rgba(255,255,255,0.5);
                 }
                 
+                .audio-indicator {
+                    font-size: 2em;
+                    color: rgba(255,255,255,0.2);
+                    margin-bottom: 20px;
+                    transition: color 0.1s;
+                }
+                
+                .audio-indicator.active {
+                    color: #fbbf24;
+                }
+                
                 .sequence-history {
                     display: flex;
                     justify-content: center;
@@ -248,16 +287,54 @@ class NBackTest extends CognitionTestBase {
             </style>
         `;
 
+        if (this.mode === 'dual' && !this.getAudioContext()) {
+            console.warn('N-Back: no audio context, running the visual stream only');
+            this.mode = 'single';
+            this.streams = ['visual'];
+            this.counts = this.createCounts();
+        }
+
         this.updateTimer();
         await this.platform.delay(2000);
         this.scheduleNextStimulus();
     }
 
+    getTaskName() {
+        const load = `${this.nBack}-Back`;
+        return this.mode === 'dual' ? `Dual ${load}` : `${load} Working Memory`;
+    }
+
+    // Registry name and summary for a configuration (see the plugin's describe)
+    static describe(nBack, mode) {
+        const load = `${nBack}-Back`;
+        const streams = mode === 'dual' ? 'light or tone' : 'stimulus';
+        return {
+            name: mode === 'dual' ? `Dual N-Back (${load})` : `N-Back (${load})`,
+            description: nBack === 0 ?
+                `Press when the ${streams} is the fixed target` :
+                `Press when the current ${streams} matches the one from ${nBack} position${nBack === 1 ? '' : 's'} back`
+        };
+    }
+
+    getInstructions() {
+        if (this.nBack === 0) {
+            return this.mode === 'dual' ?
+                `Press Button 1 whenever LED 1 lights, and Button 4 whenever you hear the ${this.toneNames[this.zeroBackTarget]} tone` :
+                'Press the GREEN button whenever LED 1 lights';
+        }
+        const back = `the one from ${this.nBack} position${this.nBack === 1 ? '' : 's'} back`;
+        return this.mode === 'dual' ?
+            `Press Button 1 if the LED matches ${back}, and Button 4 if the tone matches ${back}` :
+            `Press GREEN button if the current LED matches ${back}`;
+    }
+
     scheduleNextStimulus() {
         if (!this.isRunning) return;
         
         const timeElapsed = Date.now() - this.startTime;
-        if (timeElapsed >= this.config.duration) {
+        this.updatePracticeFeedback();
+        const nextTrial = this.getNextTrialSpec();
+        if (timeElapsed >= this.config.duration || !nextTrial) {
             this.complete();
             return;
         }
@@ -269,31 +346,67 @@ class NBackTest extends CognitionTestBase {
         }, this.interStimulusInterval);
     }
 
+    generateTrialList(rng) {
+        const count = this.config.targetTrials || this.estimateMaxTrials(this.interStimulusInterval);
+        const visual = this.generateStream(rng, this.stimuliSet, count);
+        // Drawn after the visual stream so single-mode lists are unchanged
+        const audio = this.mode === 'dual' ? this.generateStream(rng, this.toneSet.map((_, i) => i), count) : null;
+        
+        return visual.map((item, i) => {
+            const trial = { trial: i + 1, stimulus: item.stimulus, isMatch: item.isMatch };
+            if (audio) {
+                trial.tone = audio[i].stimulus;
+                trial.isAudioMatch = audio[i].isMatch;
+            }
+            return trial;
+        });
+    }
+
+    // One stimulus sequence with matches at matchProbability. For N >= 1 a
+    // match repeats the item N positions back; for 0-back it is the fixed target.
+    generateStream(rng, stimuli, count) {
+        const sequence = [];
+        const items = [];
+        
+        for (let i = 0; i < count; i++) {
+            const reference = this.nBack === 0 ? this.zeroBackTarget :
+                (sequence.length >= this.nBack ? sequence[sequence.length - this.nBack] : null);
+            const shouldMatch = reference !== null && rng.chance(this.matchProbability);
+            
+            // Non-match: choose a random stimulus different from the reference
+            const stimulus = shouldMatch ? reference : rng.pick(stimuli.filter(s => s !== reference));
+            
+            sequence.push(stimulus);
+            items.push({ stimulus: stimulus, isMatch: shouldMatch });
+        }
+        
+        return items;
+    }
+
     async presentStimulus() {
         this.currentTrial++;
         document.getElementById('trialCount').textContent = this.currentTrial;
         
-        // Determine if this should be a match trial (30% probability after n trials)
-        let stimulus;
-        const shouldMatch = this.stimulusSequence.length >= this.nBack && Math.random() < 0.3;
-        
-        if (shouldMatch) {
-            // Match: Use the stimulus from n-back position
-            stimulus = this.stimulusSequence[this.stimulusSequence.length - this.nBack];
-        } else {
-            // Non-match: Choose random stimulus different from n-back
-            const validStimuli = this.stimuliSet.filter(s => 
-                this.stimulusSequence.length < this.nBack || 
-                s !== this.stimulusSequence[this.stimulusSequence.length - this.nBack]
-            );
-            stimulus = validStimuli[Math.floor(Math.random() * validStimuli.length)];
-        }
+        // Stimulus from the pre-generated sequence
+        const spec = this.getTrialSpec();
+        const stimulus = spec.stimulus;
+        const trialNumber = this.currentTrial;
         
         this.currentStimulus = stimulus;
         this.stimulusSequence.push(stimulus);
         
         this.stimulusStartTime = performance.now();
         this.waitingForResponse = true;
+        this.respondedStreams = new Set();
+        
+        // Audio stream - scheduled on the audio clock for the same onset
+        let toneOnset = null;
+        if (this.mode === 'dual') {
+            this.audioSequence.push(spec.tone);
+            toneOnset = this.scheduleTone(this.stimulusStartTime, this.toneSet[spec.tone], this.stimulusDuration, 0.4);
+            const indicator = document.getElementById('audioIndicator');
+            if (indicator) indicator.classList.add('active');
+        }
         
         // Display stimulus
         const currentStimulusEl = document.getElementById('currentStimulus');
@@ -312,35 +425,48 @@ class NBackTest extends CognitionTestBase {
         this.updateHistoryDisplay();
         
         // Record stimulus
-        const isMatch = this.stimulusSequence.length > this.nBack && 
-                       this.currentStimulus === this.stimulusSequence[this.stimulusSequence.length - this.nBack - 1];
-        
-        this.testData.push({
+        const record = {
             type: 'stimulus',
             trial: this.currentTrial,
             timestamp: this.stimulusStartTime,
             relativeTime: this.stimulusStartTime - this.startTime,
+            nBack: this.nBack,
             stimulus: stimulus,
-            isMatch: isMatch,
-            nBackStimulus: this.stimulusSequence.length > this.nBack ? 
-                          this.stimulusSequence[this.stimulusSequence.length - this.nBack - 1] : null
-        });
+            isMatch: spec.isMatch,
+            nBackStimulus: this.referenceStimulus(this.stimulusSequence)
+        };
+        if (this.mode === 'dual') {
+            record.tone = spec.tone;
+            record.toneFrequency = this.toneSet[spec.tone];
+            record.toneOnset = toneOnset;
+            record.isAudioMatch = spec.isAudioMatch;
+            record.nBackTone = this.referenceStimulus(this.audioSequence);
+        }
+        this.testData.push(record);
         
         // Turn off stimulus after duration
         setTimeout(async () => {
             currentStimulusEl.classList.remove('active');
             currentStimulusEl.style.background = 'rgba(255,255,255,0.05)';
+            const indicator = document.getElementById('audioIndicator');
+            if (indicator) indicator.classList.remove('active');
             await this.platform.setLED(stimulus + 1, false);
         }, this.stimulusDuration);
         
         // Handle no response after full interval
-        setTimeout(() => {
-            if (this.waitingForResponse) {
+        this.responseTimer = setTimeout(() => {
+            if (this.waitingForResponse && this.currentTrial === trialNumber) {
                 this.handleNoResponse();
             }
         }, this.interStimulusInterval - 100);
     }
 
+    // Item the current one is compared against (the fixed target for 0-back)
+    referenceStimulus(sequence) {
+        if (this.nBack === 0) return this.zeroBackTarget;
+        return sequence.length > this.nBack ? sequence[sequence.length - this.nBack - 1] : null;
+    }
+
     updateHistoryDisplay() {
         const historyEl = document.getElementById('sequenceHistory');
         historyEl.innerHTML = '';
@@ -357,7 +483,7 @@ class NBackTest extends CognitionTestBase {
             item.style.color = this.stimulusSequence[i] === 1 ? '#000' : '#fff';
             
             // Highlight the n-back position
-            if (i === this.stimulusSequence.length - this.nBack - 1) {
+            if (this.nBack > 0 && i === this.stimulusSequence.length - this.nBack - 1) {
                 item.classList.add('highlight');
             }
             
@@ -365,26 +491,38 @@ class NBackTest extends CognitionTestBase {
         }
     }
 
+    // Single mode: any button answers the visual stream. Dual mode: each
+    // stream has its own button and both may be answered in one trial.
+    getResponseStream(buttonIndex) {
+        if (this.mode !== 'dual') return 'visual';
+        return this.streams.find(stream => this.streamButtons[stream] === buttonIndex) || null;
+    }
+
+    isStreamMatch(spec, stream) {
+        return stream === 'audio' ? spec.isAudioMatch : spec.isMatch;
+    }
+
     async handleButtonPress(buttonIndex, timestamp, buttonData) {
+        if (this.dismissInstructions()) return;
+        
         if (!this.waitingForResponse) return;
         
-        this.waitingForResponse = false;
+        const stream = this.getResponseStream(buttonIndex);
+        if (!stream || this.respondedStreams.has(stream)) return;
+        this.respondedStreams.add(stream);
+        
         const responseTime = timestamp;
         const reactionTime = responseTime - this.stimulusStartTime;
-        
-        // Check if it's a match trial
-        const isMatch = this.stimulusSequence.length > this.nBack && 
-                       this.currentStimulus === this.stimulusSequence[this.stimulusSequence.length - this.nBack - 1];
+        const isMatch = this.isStreamMatch(this.getTrialSpec(), stream);
+        const counts = this.counts[stream];
         
         if (isMatch) {
             // Correct hit
-            this.hits++;
-            document.getElementById('hitsCount').textContent = this.hits;
+            counts.hits++;
             await this.platform.flashLED(1, 1, 100);
         } else {
             // False alarm
-            this.falseAlarms++;
-            document.getElementById('falseAlarmsCount').textContent = this.falseAlarms;
+            counts.falseAlarms++;
             await this.platform.flashLED(2, 2, 100);
         }
         
@@ -397,48 +535,73 @@ class NBackTest extends CognitionTestBase {
             timestamp: responseTime,
             relativeTime: responseTime - this.startTime,
             button: buttonIndex,
+            stream: stream,
             isMatch: isMatch,
             reactionTime: reactionTime,
-            outcome: isMatch ? 'hit' : 'false_alarm'
+            outcome: isMatch ? 'hit' : 'false_alarm',
+            correct: isMatch
         });
         
-        this.scheduleNextStimulus();
+        // The trial ends once every stream has an answer
+        if (this.respondedStreams.size === this.streams.length) {
+            this.endTrial();
+        }
     }
 
     handleNoResponse() {
-        this.waitingForResponse = false;
-        
-        const isMatch = this.stimulusSequence.length > this.nBack && 
-                       this.currentStimulus === this.stimulusSequence[this.stimulusSequence.length - this.nBack - 1];
-        
-        if (isMatch) {
-            // Miss
-            this.misses++;
-            document.getElementById('missesCount').textContent = this.misses;
-        } else {
-            // Correct rejection
-            this.correctRejections++;
-        }
-        
-        this.updateAccuracy();
-        
-        // Record no response
-        this.testData.push({
-            type: 'no_response',
-            trial: this.currentTrial,
-            timestamp: performance.now(),
-            relativeTime: performance.now() - this.startTime,
-            isMatch: isMatch,
-            outcome: isMatch ? 'miss' : 'correct_rejection'
+        const spec = this.getTrialSpec();
+        
+        // Streams left unanswered are misses or correct rejections
+        this.streams.filter(stream => !this.respondedStreams.has(stream)).forEach(stream => {
+            const isMatch = this.isStreamMatch(spec, stream);
+            if (isMatch) {
+                this.counts[stream].misses++;
+            } else {
+                this.counts[stream].correctRejections++;
+            }
+            
+            // Record no response
+            this.testData.push({
+                type: 'no_response',
+                trial: this.currentTrial,
+                timestamp: performance.now(),
+                relativeTime: performance.now() - this.startTime,
+                stream: stream,
+                isMatch: isMatch,
+                outcome: isMatch ? 'miss' : 'correct_rejection',
+                correct: !isMatch
+            });
         });
         
+        this.updateAccuracy();
+        this.endTrial();
+    }
+
+    endTrial() {
+        this.waitingForResponse = false;
+        clearTimeout(this.responseTimer);
+        this.responseTimer = null;
         this.scheduleNextStimulus();
     }
 
+    // Totals across streams for the on-screen counters
+    getTotals() {
+        const totals = { hits: 0, misses: 0, falseAlarms: 0, correctRejections: 0 };
+        Object.values(this.counts).forEach(counts => {
+            Object.keys(totals).forEach(key => totals[key] += counts[key]);
+        });
+        return totals;
+    }
+
     updateAccuracy() {
-        const total = this.hits + this.misses + this.falseAlarms + this.correctRejections;
+        const totals = this.getTotals();
+        document.getElementById('hitsCount').textContent = totals.hits;
+        document.getElementById('missesCount').textContent = totals.misses;
+        document.getElementById('falseAlarmsCount').textContent = totals.falseAlarms;
+        
+        const total = totals.hits + totals.misses + totals.falseAlarms + totals.correctRejections;
         if (total > 0) {
-            const accuracy = ((this.hits + this.correctRejections) / total) * 100;
+            const accuracy = ((totals.hits + totals.correctRejections) / total) * 100;
             document.getElementById('accuracyPercent').textContent = accuracy.toFixed(1) + '%';
         }
     }
@@ -462,42 +625,80 @@ class NBackTest extends CognitionTestBase {
         }
     }
 
-    calculateMetrics() {
-        const totalTargets = this.hits + this.misses;
-        const totalNonTargets = this.falseAlarms + this.correctRejections;
+    resetTrialState() {
+        super.resetTrialState();
+        clearTimeout(this.responseTimer);
+        this.responseTimer = null;
+        this.stimulusSequence = [];
+        this.audioSequence = [];
+        this.responseHistory = [];
+        this.currentStimulus = null;
+        this.waitingForResponse = false;
+        this.respondedStreams = new Set();
+        this.counts = this.createCounts();
+    }
+
+    // Signal detection measures for one stream
+    streamMetrics(counts) {
+        const totalTargets = counts.hits + counts.misses;
+        const totalNonTargets = counts.falseAlarms + counts.correctRejections;
         const total = totalTargets + totalNonTargets;
         
-        const hitRate = totalTargets > 0 ? this.hits / totalTargets : 0;
-        const falseAlarmRate = totalNonTargets > 0 ? this.falseAlarms / totalNonTargets : 0;
-        const accuracy = total > 0 ? (this.hits + this.correctRejections) / total : 0;
-        
-        // Calculate d' (sensitivity)
-        const dPrime = this.calculateDPrime(hitRate, falseAlarmRate);
+        // Without both targets and non-targets the rates, d' and c are undefined
+        const hitRate = totalTargets > 0 ? counts.hits / totalTargets : null;
+        const falseAlarmRate = totalNonTargets > 0 ? counts.falseAlarms / totalNonTargets : null;
+        const detectable = hitRate !== null && falseAlarmRate !== null;
+        const accuracy = total > 0 ? (counts.hits + counts.correctRejections) / total : 0;
         
         return {
-            testName: `${this.nBack}-Back Working Memory`,
-            totalTrials: this.currentTrial,
-            hits: this.hits,
-            misses: this.misses,
-            falseAlarms: this.falseAlarms,
-            correctRejections: this.correctRejections,
-            hitRate: (hitRate * 100).toFixed(2),
-            falseAlarmRate: (falseAlarmRate * 100).toFixed(2),
+            hits: counts.hits,
+            misses: counts.misses,
+            falseAlarms: counts.falseAlarms,
+            correctRejections: counts.correctRejections,
+            hitRate: detectable ? (hitRate * 100).toFixed(2) : null,
+            falseAlarmRate: detectable ? (falseAlarmRate * 100).toFixed(2) : null,
             accuracy: (accuracy * 100).toFixed(2),
-            dPrime: dPrime.toFixed(3),
+            // Calculate d' (sensitivity) and c (response bias)
+            dPrime: detectable ? this.calculateDPrime(hitRate, falseAlarmRate).toFixed(3) : null,
+            criterion: detectable ? this.calculateCriterion(hitRate, falseAlarmRate).toFixed(3) : null
+        };
+    }
+
+    calculateMetrics() {
+        const metrics = {
+            testName: this.getTaskName(),
+            totalTrials: this.currentTrial,
+            mode: this.mode,
+            nBack: this.nBack,
+            // The visual stream keeps the unprefixed names used by single mode
+            ...this.streamMetrics(this.counts.visual),
             workingMemoryCapacity: this.nBack
         };
+        
+        if (this.mode === 'dual') {
+            const audio = this.streamMetrics(this.counts.audio);
+            Object.keys(audio).forEach(key => {
+                metrics[`audio${key.charAt(0).toUpperCase()}${key.slice(1)}`] = audio[key];
+            });
+        }
+        
+        return metrics;
+    }
+
+    // Clamp rates away from 0 and 1 so the z-scores stay finite
+    clampRate(rate) {
+        return Math.min(0.9999, Math.max(0.0001, rate));
+    }
+
+    calculateCriterion(hitRate, faRate) {
+        // c = -(z(H) + z(FA)) / 2; positive values mean a conservative bias
+        return -(this.inverseNormalCDF(this.clampRate(hitRate)) +
+                 this.inverseNormalCDF(this.clampRate(faRate))) / 2;
     }
 
     calculateDPrime(hitRate, faRate) {
-        // Adjust extreme values
-        if (hitRate >= 0.9999) hitRate = 0.9999;
-        if (hitRate <= 0.0001) hitRate = 0.0001;
-        if (faRate >= 0.9999) faRate = 0.9999;
-        if (faRate <= 0.0001) faRate = 0.0001;
-        
-        const zHit = this.inverseNormalCDF(hitRate);
-        const zFA = this.inverseNormalCDF(faRate);
+        const zHit = this.inverseNormalCDF(this.clampRate(hitRate));
+        const zFA = this.inverseNormalCDF(this.clampRate(faRate));
         
         return zHit - zFA;
     }
@@ -534,4 +735,58 @@ class NBackTest extends CognitionTestBase {
         
         return x;
     }
+
+    destroy() {
+        super.destroy();
+        clearTimeout(this.responseTimer);
+    }
 }
+
+// === PLUGIN ===
+
+TestRegistry.register({
+    id: 'n-back',
+    testClass: NBackTest,
+    buttonConfigs: ['single'],
+    defaults: {
+        suite: 'cognitive-load',
+        duration: 120000,       // 2 minutes
+        nBack: 2,               // 0 (control: match a fixed target) to 4
+        mode: 'single',         // 'single' (visual) or 'dual' (visual + tones)
+        targetTrials: 40,       // ~3 sec per stimulus
+        stimulusDuration: 500,
+        interStimulusInterval: 2500,
+        matchProbability: 0.30, // 30% of trials are matches, per stream
+        buttonConfig: 'single',
+        cognitiveConstruct: 'Working Memory Updating'
+    },
+    // Name and description follow the configured N and mode
+    describe: config => NBackTest.describe(config.nBack, config.mode),
+    parameters: {
+        nBack: { type: 'integer', minimum: 0, maximum: 4, label: 'N', step: 1 },
+        mode: { enum: ['single', 'dual'] },
+        targetTrials: { type: 'integer', minimum: 1, label: 'Target trials', step: 1 },
+        stimulusDuration: { type: 'integer', minimum: 0, label: 'Stimulus duration (ms)', step: 100 },
+        interStimulusInterval: { type: 'integer', minimum: 0, label: 'ISI (ms)', step: 100 },
+        matchProbability: { type: 'number', minimum: 0, maximum: 1, label: 'Match probability', step: 0.05 }
+    },
+    metrics: {
+        hits: 'count',
+        misses: 'count',
+        falseAlarms: 'count',
+        correctRejections: 'count',
+        hitRate: '%',
+        accuracy: '%',
+        dPrime: 'd-prime',
+        criterion: 'c',
+        audioHitRate: '%',
+        audioAccuracy: '%',
+        audioDPrime: 'd-prime',
+        audioCriterion: 'c'
+    },
+    summarize: metrics => ({
+        accuracy_percent: metrics.accuracy,
+        omission_errors: metrics.misses,
+        commission_errors: metrics.falseAlarms
+    })
+});
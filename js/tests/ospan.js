@@ -0,0 +1,670 @@
+// js/tests/ospan.js - Automated Operation Span (OSPAN) Test
+
+class OperationSpanTest extends CognitionTestBase {
+    constructor(config, platform) {
+        super(config, platform);
+
+        // To-be-remembered items: letters on screen (recalled on a letter
+        // grid) or lit LEDs (recalled by pressing the buttons)
+        this.stimulusSet = config.stimulusSet || 'letter';
+        this.letters = ['F', 'H', 'J', 'K', 'L', 'N', 'P', 'Q', 'R', 'S', 'T', 'Y'];
+        this.ledColours = ['#4ade80', '#ffffff', '#ff6b6b', '#22c55e'];
+
+        // Sets of 3-7 problem/item pairs, trialsPerLength of each size, in random order
+        this.setSizes = config.setSizes || [3, 4, 5, 6, 7];
+        this.trialsPerLength = config.trialsPerLength || 3;
+
+        // Maths verification: TRUE on the green button, FALSE on the red
+        this.trueButton = 0;
+        this.falseButton = 2;
+        this.mathTimeLimit = config.mathTimeLimit || 5000;          // Unanswered = speed error
+        this.processingCriterion = config.processingCriterion ?? 0.85;  // Minimum maths accuracy
+
+        // Letters are recalled by clicking them, or by moving the highlight
+        // with Buttons 1 and 2 and choosing with Button 4
+        this.cursorButtons = { previous: 0, next: 1, select: 3 };
+        this.recallCursor = 0;
+
+        // Timing
+        this.stimulusDuration = config.stimulusDuration || 800;    // Per memory item
+        this.interStimulusInterval = config.interStimulusInterval || 200;
+        this.recallTimeLimit = config.recallTimeLimit || 30000;    // Per set; positions left count as blanks
+        this.feedbackDuration = 2000;
+
+        this.phase = null;          // 'math' | 'item' | 'recall' | null between sets
+        this.setSpec = null;
+        this.elementIndex = 0;
+        this.problemStartTime = null;
+        this.mathTimer = null;
+        this.recallTimer = null;
+        this.recallStartTime = null;
+        this.recall = [];
+
+        // Per set: { setSize, items, recalled, correctPositions, perfect, mathErrors, timedOut }
+        this.setLog = [];
+        // Per problem: { set, isTrue, answer, correct, timedOut, reactionTime }
+        this.mathLog = [];
+    }
+
+    async setupLEDPatterns() {
+        await this.platform.setAllLEDs(false);
+    }
+
+    async runTest() {
+        const testContent = this.getDisplay();
+        const recallKeys = this.stimulusSet === 'led' ? '' : `
+            <div class="ospan-letters" id="ospanLetters">
+                ${this.letters.map(letter => `<div class="ospan-letter" data-letter="${letter}">${letter}</div>`).join('')}
+                <div class="ospan-letter blank" data-letter="">Blank</div>
+            </div>`;
+
+        testContent.innerHTML = `
+            <div class="ospan-test">
+                <div class="instruction-box">
+                    <h3>Check each sum, then remember the ${this.stimulusSet === 'led' ? 'light' : 'letter'} that follows</h3>
+                    <p>GREEN button = TRUE, RED button = FALSE. At the end of each set, recall the
+                       ${this.stimulusSet === 'led' ? 'lights by pressing their buttons' :
+                           'letters by clicking them, or with Buttons 1 and 2 to move and Button 4 to choose,'} in order.</p>
+                </div>
+
+                <div class="ospan-display" id="ospanDisplay">+</div>
+                <div class="status-message" id="statusMessage">Get Ready...</div>
+                <div class="ospan-recall" id="ospanRecall"></div>
+                ${recallKeys}
+
+                <div class="test-stats">
+                    <div class="stat">
+                        <span class="stat-label">Set:</span>
+                        <span class="stat-value" id="trialCount">0</span>
+                    </div>
+                    <div class="stat">
+                        <span class="stat-label">Maths:</span>
+                        <span class="stat-value" id="mathAccuracy">-</span>
+                    </div>
+                    <div class="stat">
+                        <span class="stat-label">Time:</span>
+                        <span class="stat-value" id="timeRemaining"></span>
+                    </div>
+                </div>
+            </div>
+
+            <style>
+                .ospan-test {
+                    text-align: center;
+                    padding: 20px;
+                }
+
+                .instruction-box {
+                    background: rgba(255,255,255,0.1);
+                    padding: 15px;
+                    border-radius: 10px;
+                    margin-bottom: 30px;
+                }
+
+                .instruction-box h3 {
+                    margin: 0 0 10px 0;
+                    color: #fff;
+                    font-size: 1.3em;
+                }
+
+                .instruction-box p {
+                    margin: 0;
+                    color: rgba(255,255,255,0.8);
+                }
+
+                .ospan-display {
+                    min-height: 140px;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    font-size: 3em;
+                    font-weight: bold;
+                    color: #fff;
+                }
+
+                .ospan-display .led-item {
+                    width: 120px;
+                    height: 120px;
+                    border-radius: 50%;
+                }
+
+                .status-message {
+                    min-height: 1.5em;
+                    font-size: 1.2em;
+                    color: #fbbf24;
+                    margin-bottom: 15px;
+                }
+
+                .ospan-recall {
+                    min-height: 40px;
+                    font-size: 1.6em;
+                    letter-spacing: 0.4em;
+                    color: #fff;
+                    margin-bottom: 15px;
+                }
+
+                .ospan-letters {
+                    display: none;
+                    grid-template-columns: repeat(5, 70px);
+                    gap: 10px;
+                    justify-content: center;
+                    margin-bottom: 20px;
+                }
+
+                .ospan-letters.active {
+                    display: grid;
+                }
+
+                .ospan-letter {
+                    padding: 15px 0;
+                    background: rgba(255,255,255,0.15);
+                    border-radius: 8px;
+                    font-size: 1.3em;
+                    font-weight: bold;
+                    color: #fff;
+                    cursor: pointer;
+                }
+
+                .ospan-letter.blank {
+                    grid-column: span 3;
+                    font-size: 1em;
+                }
+
+                .ospan-letter:active {
+                    background: rgba(255,255,255,0.5);
+                }
+
+                .ospan-letter.cursor {
+                    box-shadow: 0 0 0 3px #fbbf24;
+                }
+
+                .test-stats {
+                    display: flex;
+                    justify-content: center;
+                    gap: 30px;
+                    margin-top: 20px;
+                }
+
+                .stat {
+                    background: rgba(255,255,255,0.1);
+                    padding: 10px 20px;
+                    border-radius: 8px;
+                }
+
+                .stat-label {
+                    color: rgba(255,255,255,0.7);
+                    margin-right: 8px;
+                }
+
+                .stat-value {
+                    color: #fff;
+                    font-weight: bold;
+                    font-size: 1.2em;
+                }
+            </style>
+        `;
+
+        if (this.stimulusSet !== 'led') {
+            document.querySelectorAll('.ospan-letter').forEach(key => {
+                key.addEventListener('click', () => this.selectItem(key.dataset.letter || null, performance.now()));
+            });
+        }
+
+        this.updateTimer();
+        await this.platform.delay(2000);
+        this.startSet();
+    }
+
+    // Each set carries its items and one problem per item. Half the
+    // problems show the right answer; the others are off by 1-3.
+    generateTrialList(rng) {
+        const sizes = [];
+        this.setSizes.forEach(size => {
+            for (let i = 0; i < this.trialsPerLength; i++) sizes.push(size);
+        });
+
+        return rng.shuffle(sizes).map((setSize, index) => {
+            const items = [];
+            const pool = this.stimulusSet === 'led' ? [0, 1, 2, 3] : this.letters;
+            if (this.stimulusSet === 'led') {
+                // Four LEDs: items recur, but never twice in a row
+                while (items.length < setSize) {
+                    const previous = items[items.length - 1];
+                    items.push(rng.pick(pool.filter(item => item !== previous)));
+                }
+            } else {
+                items.push(...rng.shuffle(pool).slice(0, setSize));
+            }
+
+            return {
+                trial: index + 1,
+                setSize: setSize,
+                items: items,
+                problems: items.map(() => this.generateProblem(rng))
+            };
+        });
+    }
+
+    // "(a × b) + c" or "(a ÷ b) - c" with a proposed answer
+    generateProblem(rng) {
+        const b = rng.int(1, 9);
+        let text;
+        let result;
+        if (rng.chance(0.5)) {
+            const a = rng.int(1, 9);
+            const c = rng.int(1, 9);
+            text = `(${a} × ${b}) + ${c}`;
+            result = a * b + c;
+        } else {
+            const quotient = rng.int(1, 9);
+            const c = rng.int(1, quotient);
+            text = `(${quotient * b} ÷ ${b}) - ${c}`;
+            result = quotient - c;
+        }
+
+        const isTrue = rng.chance(0.5);
+        let proposed = result;
+        if (!isTrue) {
+            const offset = rng.int(1, 3);
+            proposed = result - offset >= 0 && rng.chance(0.5) ? result - offset : result + offset;
+        }
+
+        return { text: text, proposed: proposed, isTrue: isTrue };
+    }
+
+    // === SET FLOW ===
+
+    async startSet() {
+        if (!this.isRunning) return;
+
+        const timeElapsed = Date.now() - this.startTime;
+        this.updatePracticeFeedback();
+        const nextSet = this.getNextTrialSpec();
+        if (timeElapsed >= this.config.duration || !nextSet) {
+            this.complete();
+            return;
+        }
+
+        this.currentTrial++;
+        document.getElementById('trialCount').textContent = this.currentTrial;
+        document.getElementById('ospanRecall').textContent = '';
+        document.getElementById('statusMessage').textContent = '';
+
+        this.setSpec = nextSet;
+        this.elementIndex = 0;
+        this.recall = [];
+
+        this.testData.push({
+            type: 'trial_start',
+            trial: this.currentTrial,
+            timestamp: performance.now(),
+            relativeTime: performance.now() - this.startTime,
+            stimulusSet: this.stimulusSet,
+            setSize: nextSet.setSize,
+            items: [...nextSet.items]
+        });
+
+        this.presentProblem();
+    }
+
+    presentProblem() {
+        if (!this.isRunning) return;
+
+        const problem = this.setSpec.problems[this.elementIndex];
+        const trialNumber = this.currentTrial;
+        const elementIndex = this.elementIndex;
+
+        document.getElementById('ospanDisplay').textContent = `${problem.text} = ${problem.proposed} ?`;
+        document.getElementById('statusMessage').textContent = 'TRUE or FALSE?';
+
+        this.phase = 'math';
+        this.problemStartTime = performance.now();
+
+        this.testData.push({
+            type: 'stimulus',
+            trial: this.currentTrial,
+            timestamp: this.problemStartTime,
+            relativeTime: this.problemStartTime - this.startTime,
+            element: elementIndex + 1,
+            problem: problem.text,
+            proposed: problem.proposed,
+            isTrue: problem.isTrue,
+            correctButton: problem.isTrue ? this.trueButton : this.falseButton
+        });
+
+        this.mathTimer = setTimeout(() => {
+            if (this.phase === 'math' && this.currentTrial === trialNumber && this.elementIndex === elementIndex) {
+                this.answerProblem(null, performance.now());
+            }
+        }, this.mathTimeLimit);
+    }
+
+    // `answer` is true / false, or null when the time limit ran out
+    answerProblem(answer, timestamp) {
+        this.phase = null;
+        clearTimeout(this.mathTimer);
+
+        const problem = this.setSpec.problems[this.elementIndex];
+        const timedOut = answer === null;
+        const correct = !timedOut && answer === problem.isTrue;
+        const reactionTime = timedOut ? null : timestamp - this.problemStartTime;
+
+        this.mathLog.push({
+            set: this.currentTrial,
+            isTrue: problem.isTrue,
+            answer: answer,
+            correct: correct,
+            timedOut: timedOut,
+            reactionTime: reactionTime
+        });
+        this.updateMathAccuracy();
+
+        this.testData.push({
+            type: timedOut ? 'timeout' : 'response',
+            trial: this.currentTrial,
+            timestamp: timestamp,
+            relativeTime: timestamp - this.startTime,
+            element: this.elementIndex + 1,
+            isTrue: problem.isTrue,
+            answer: answer,
+            reactionTime: reactionTime,
+            outcome: timedOut ? 'speed_error' : (correct ? 'correct' : 'accuracy_error'),
+            correct: correct
+        });
+
+        this.presentItem();
+    }
+
+    async presentItem() {
+        const item = this.setSpec.items[this.elementIndex];
+        const display = document.getElementById('ospanDisplay');
+        document.getElementById('statusMessage').textContent = '';
+
+        this.phase = 'item';
+        if (this.stimulusSet === 'led') {
+            display.innerHTML = `<div class="led-item" style="background: ${this.ledColours[item]}"></div>`;
+            await this.platform.setLED(item + 1, true);
+        } else {
+            display.textContent = item;
+        }
+
+        await this.platform.delay(this.stimulusDuration);
+        if (this.stimulusSet === 'led') {
+            await this.platform.setLED(item + 1, false);
+        }
+        display.textContent = '';
+        await this.platform.delay(this.interStimulusInterval);
+        if (!this.isRunning) return;
+
+        this.elementIndex++;
+        if (this.elementIndex < this.setSpec.setSize) {
+            this.presentProblem();
+        } else {
+            this.startRecall();
+        }
+    }
+
+    startRecall() {
+        this.phase = 'recall';
+        this.recall = [];
+        this.recallStartTime = performance.now();
+
+        document.getElementById('ospanDisplay').textContent = '?';
+        document.getElementById('statusMessage').textContent = this.stimulusSet === 'led' ?
+            `Press the ${this.setSpec.setSize} lights in order` :
+            `Choose the ${this.setSpec.setSize} letters in order (Blank for one you forgot)`;
+        const letters = document.getElementById('ospanLetters');
+        if (letters) letters.classList.add('active');
+        this.recallCursor = 0;
+        this.moveRecallCursor(0);
+
+        const trialNumber = this.currentTrial;
+        this.recallTimer = setTimeout(() => {
+            if (this.phase === 'recall' && this.currentTrial === trialNumber) {
+                this.evaluateRecall(true);
+            }
+        }, this.recallTimeLimit);
+    }
+
+    // Highlight on the letter grid, wrapping around at either end
+    moveRecallCursor(step) {
+        const keys = document.querySelectorAll('.ospan-letter');
+        if (keys.length === 0) return;
+
+        this.recallCursor = (this.recallCursor + step + keys.length) % keys.length;
+        keys.forEach((key, index) => key.classList.toggle('cursor', index === this.recallCursor));
+    }
+
+    async handleButtonPress(buttonIndex, timestamp, buttonData) {
+        if (this.dismissInstructions()) return;
+
+        if (this.phase === 'math') {
+            if (buttonIndex !== this.trueButton && buttonIndex !== this.falseButton) return;
+            this.answerProblem(buttonIndex === this.trueButton, timestamp);
+            return;
+        }
+
+        if (this.phase !== 'recall') return;
+
+        // LED items are recalled on the buttons; letters with the grid highlight
+        if (this.stimulusSet === 'led') {
+            this.platform.flashLED(buttonIndex + 1, 1, 150);
+            this.selectItem(buttonIndex, timestamp);
+        } else if (buttonIndex === this.cursorButtons.previous || buttonIndex === this.cursorButtons.next) {
+            this.moveRecallCursor(buttonIndex === this.cursorButtons.next ? 1 : -1);
+        } else if (buttonIndex === this.cursorButtons.select) {
+            const key = document.querySelectorAll('.ospan-letter')[this.recallCursor];
+            if (key) this.selectItem(key.dataset.letter || null, timestamp);
+        }
+    }
+
+    selectItem(item, timestamp) {
+        if (this.phase !== 'recall') return;
+
+        this.recall.push({ item: item, time: timestamp - this.recallStartTime });
+        document.getElementById('ospanRecall').textContent = this.recall
+            .map(r => r.item === null ? '_' : (this.stimulusSet === 'led' ? r.item + 1 : r.item))
+            .join(' ');
+
+        if (this.recall.length === this.setSpec.setSize) {
+            this.evaluateRecall();
+        }
+    }
+
+    // `timedOut`: the recall time limit ran out - unfilled positions are blanks
+    async evaluateRecall(timedOut = false) {
+        this.phase = null;
+        clearTimeout(this.recallTimer);
+        const letters = document.getElementById('ospanLetters');
+        if (letters) letters.classList.remove('active');
+
+        const items = this.setSpec.items;
+        const response = items.map((item, index) => this.recall[index] ? this.recall[index].item : null);
+        const correctPositions = items.filter((item, index) => response[index] === item).length;
+        const perfect = correctPositions === items.length;
+        const setMath = this.mathLog.filter(m => m.set === this.currentTrial);
+        const mathErrors = setMath.filter(m => !m.correct).length;
+
+        this.setLog.push({
+            setSize: items.length,
+            items: [...items],
+            recalled: response,
+            correctPositions: correctPositions,
+            perfect: perfect,
+            mathErrors: mathErrors,
+            timedOut: timedOut
+        });
+
+        this.testData.push({
+            type: 'response',
+            trial: this.currentTrial,
+            timestamp: performance.now(),
+            relativeTime: performance.now() - this.startTime,
+            setSize: items.length,
+            expectedSequence: [...items],
+            userResponse: response,
+            selectTimes: this.recall.map(r => r.time),
+            correctPositions: correctPositions,
+            mathErrors: mathErrors,
+            timedOut: timedOut,
+            correct: perfect
+        });
+
+        // Feedback after every set, as in the automated OSPAN, with a
+        // reminder whenever maths accuracy has dropped below the criterion
+        const mathAccuracy = this.mathLog.filter(m => m.correct).length / this.mathLog.length;
+        document.getElementById('ospanDisplay').textContent = '';
+        document.getElementById('statusMessage').textContent = (timedOut ? 'Time\'s up · ' : '') +
+            `You recalled ${correctPositions} of ${items.length} correctly · ${mathErrors} maths error${mathErrors === 1 ? '' : 's'} in this set` +
+            (mathAccuracy < this.processingCriterion ?
+                ` · Keep your maths accuracy above ${Math.round(this.processingCriterion * 100)}%` : '');
+        await this.platform.delay(this.feedbackDuration);
+
+        this.startSet();
+    }
+
+    // Running maths accuracy, shown in red below the criterion
+    updateMathAccuracy() {
+        const accuracy = this.mathLog.filter(m => m.correct).length / this.mathLog.length;
+        const accuracyEl = document.getElementById('mathAccuracy');
+        accuracyEl.textContent = `${Math.round(accuracy * 100)}%`;
+        accuracyEl.style.color = accuracy < this.processingCriterion ? '#ff6b6b' : '#fff';
+    }
+
+    updateTimer() {
+        if (!this.isRunning) return;
+
+        const elapsed = Date.now() - this.startTime;
+        const remaining = Math.max(0, this.config.duration - elapsed);
+        const seconds = Math.floor(remaining / 1000);
+        const minutes = Math.floor(seconds / 60);
+        const secs = seconds % 60;
+
+        const timeDisplay = document.getElementById('timeRemaining');
+        if (timeDisplay) {
+            timeDisplay.textContent = `${minutes}:${secs.toString().padStart(2, '0')}`;
+        }
+
+        if (remaining > 0) {
+            setTimeout(() => this.updateTimer(), 100);
+        }
+    }
+
+    resetTrialState() {
+        super.resetTrialState();
+        clearTimeout(this.mathTimer);
+        clearTimeout(this.recallTimer);
+        this.phase = null;
+        this.setSpec = null;
+        this.elementIndex = 0;
+        this.recall = [];
+        this.setLog = [];
+        this.mathLog = [];
+    }
+
+    // === METRICS ===
+
+    calculateMetrics() {
+        const format = (value, digits = 2) => value !== null ? value.toFixed(digits) : null;
+
+        const totalItems = this.setLog.reduce((sum, s) => sum + s.setSize, 0);
+
+        const accuracyErrors = this.mathLog.filter(m => !m.timedOut && !m.correct).length;
+        const speedErrors = this.mathLog.filter(m => m.timedOut).length;
+        const mathAccuracy = this.mathLog.length > 0 ?
+            this.mathLog.filter(m => m.correct).length / this.mathLog.length : null;
+        const mathRTs = this.mathLog.filter(m => m.correct).map(m => m.reactionTime);
+
+        // Span scores only reflect working memory when the processing task
+        // was done properly, so runs below the criterion get none.
+        // Absolute span: items in perfectly recalled sets. Partial span:
+        // items recalled in their serial position, in any set.
+        const meetsCriterion = mathAccuracy !== null && mathAccuracy >= this.processingCriterion;
+        const absoluteSpan = meetsCriterion ?
+            this.setLog.filter(s => s.perfect).reduce((sum, s) => sum + s.setSize, 0) : null;
+        const partialSpan = meetsCriterion ?
+            this.setLog.reduce((sum, s) => sum + s.correctPositions, 0) : null;
+
+        const bySetSize = {};
+        this.setSizes.slice().sort((a, b) => a - b).forEach(size => {
+            const sets = this.setLog.filter(s => s.setSize === size);
+            if (sets.length === 0) return;
+            bySetSize[size] = {
+                sets: sets.length,
+                perfect: sets.filter(s => s.perfect).length,
+                partialProportion: format(sets.reduce((sum, s) => sum + s.correctPositions, 0) / (size * sets.length), 3)
+            };
+        });
+
+        return {
+            testName: 'Operation Span',
+            totalTrials: this.currentTrial,
+            stimulusSet: this.stimulusSet,
+            absoluteSpan: absoluteSpan,
+            partialSpan: partialSpan,
+            totalItems: totalItems,
+            partialSpanProportion: format(partialSpan !== null && totalItems > 0 ? partialSpan / totalItems : null, 3),
+            recallTimeouts: this.setLog.filter(s => s.timedOut).length,
+            mathErrors: accuracyErrors + speedErrors,
+            mathAccuracyErrors: accuracyErrors,
+            mathSpeedErrors: speedErrors,
+            mathAccuracy: format(mathAccuracy !== null ? mathAccuracy * 100 : null),
+            meanMathRT: format(mathRTs.length > 0 ? mathRTs.reduce((a, b) => a + b, 0) / mathRTs.length : null),
+            processingCriterion: this.processingCriterion,
+            meetsProcessingCriterion: meetsCriterion,
+            bySetSize: bySetSize
+        };
+    }
+
+    destroy() {
+        super.destroy();
+        clearTimeout(this.mathTimer);
+        clearTimeout(this.recallTimer);
+    }
+}
+
+// === PLUGIN ===
+
+TestRegistry.register({
+    id: 'ospan',
+    testClass: OperationSpanTest,
+    buttonConfigs: ['all_four'],
+    defaults: {
+        name: 'Operation Span',
+        suite: null,
+        duration: 900000,       // 15 minutes (upper limit)
+        stimulusSet: 'letter',  // 'letter' (on screen) or 'led'
+        setSizes: [3, 4, 5, 6, 7],
+        trialsPerLength: 3,     // Sets of each size, in random order
+        mathTimeLimit: 5000,    // Unanswered problems count as speed errors
+        processingCriterion: 0.85,  // Minimum maths accuracy for a valid span score
+        stimulusDuration: 800,  // Per memory item
+        interStimulusInterval: 200,
+        recallTimeLimit: 30000, // Per set
+        buttonConfig: 'all_four',
+        description: 'Verify simple sums while remembering the letters that follow, then recall them in order',
+        cognitiveConstruct: 'Working Memory Capacity'
+    },
+    parameters: {
+        stimulusSet: { enum: ['letter', 'led'] },
+        setSizes: { type: 'array', minItems: 1, items: { type: 'integer', minimum: 1, maximum: 7 } },
+        trialsPerLength: { type: 'integer', minimum: 1, label: 'Trials per length', step: 1 },
+        mathTimeLimit: { type: 'integer', minimum: 0, label: 'Maths time limit (ms)', step: 500 },
+        processingCriterion: { type: 'number', minimum: 0, maximum: 1, label: 'Maths accuracy criterion', step: 0.05 },
+        stimulusDuration: { type: 'integer', minimum: 0, label: 'Stimulus duration (ms)', step: 100 },
+        interStimulusInterval: { type: 'integer', minimum: 0, label: 'ISI (ms)', step: 100 },
+        recallTimeLimit: { type: 'integer', minimum: 1000, label: 'Recall time limit (ms)', step: 1000 }
+    },
+    metrics: {
+        absoluteSpan: 'score',
+        partialSpan: 'score',
+        partialSpanProportion: 'proportion',
+        mathErrors: 'count',
+        mathAccuracyErrors: 'count',
+        mathSpeedErrors: 'count',
+        mathAccuracy: '%',
+        meanMathRT: 'ms',
+        recallTimeouts: 'count',
+        meetsProcessingCriterion: 'flag'
+    }
+});
@@ -0,0 +1,536 @@
+// js/tests/rhythm-sync.js - Sensorimotor Synchronisation Test (Tapping)
+
+class RhythmSyncTest extends CognitionTestBase {
+    constructor(config, platform) {
+        super(config, platform);
+
+        // 'metronome' = generated clicks; 'music' = beats of the playing track
+        // (falls back to the metronome when no music is playing, and the
+        // trial records that it did)
+        this.pacing = config.pacing || 'metronome';
+        this.beatIntervals = config.beatIntervals || [600];  // ms between beats
+        this.syncBeats = config.syncBeats || 12;             // paced beats per trial
+        this.continuationBeats = config.continuationBeats || 12;  // unpaced beats
+        this.settleBeats = config.settleBeats ?? 3;          // first paced beats not scored
+        this.interTrialInterval = config.interTrialInterval || 3000;
+        this.leadIn = 1000;                                  // ms before the first beat
+
+        this.phase = null;          // 'sync' | 'continuation' | null between trials
+        this.trialPacing = null;
+        this.beatInterval = null;
+        this.beatTimes = [];        // performance.now() time each paced beat is heard
+        this.continuationStart = null;
+        this.trialContinuationBeats = 0;
+        this.taps = [];
+        this.trialTimers = [];
+        this.trialResults = [];
+        this.audioLatency = 0;
+    }
+
+    async setupLEDPatterns() {
+        await this.platform.setLED(1, true);
+    }
+
+    async runTest() {
+        const testContent = this.getDisplay();
+        testContent.innerHTML = `
+            <div class="rhythm-test">
+                <div class="instruction-box">
+                    <h3 id="rhythmInstruction">Tap the button in time with the beat</h3>
+                    <p>When the beat stops, keep tapping at the same pace</p>
+                </div>
+
+                <div class="tap-area">
+                    <div class="tap-circle" id="tapCircle"></div>
+                    <div class="phase-label" id="phaseLabel">Get ready...</div>
+                </div>
+
+                <div class="performance-stats">
+                    <div class="stat-grid">
+                        <div class="stat-item">
+                            <div class="stat-value" id="trialCount">0</div>
+                            <div class="stat-label">Trial</div>
+                        </div>
+                        <div class="stat-item">
+                            <div class="stat-value" id="tapCount">0</div>
+                            <div class="stat-label">Taps</div>
+                        </div>
+                        <div class="stat-item">
+                            <div class="stat-value" id="lastAsynchrony">-</div>
+                            <div class="stat-label">Asynchrony (ms)</div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+
+            <style>
+                .rhythm-test {
+                    text-align: center;
+                    padding: 20px;
+                }
+
+                .rhythm-test .instruction-box {
+                    background: rgba(255,255,255,0.1);
+                    padding: 20px;
+                    border-radius: 10px;
+                    margin-bottom: 40px;
+                }
+
+                .rhythm-test .instruction-box h3 {
+                    margin: 0 0 10px 0;
+                    color: #4ade80;
+                    font-size: 1.4em;
+                }
+
+                .tap-area {
+                    margin: 50px 0;
+                    min-height: 200px;
+                    display: flex;
+                    flex-direction: column;
+                    align-items: center;
+                    justify-content: center;
+                    gap: 20px;
+                }
+
+                .tap-circle {
+                    width: 120px;
+                    height: 120px;
+                    border-radius: 50%;
+                    background: rgba(255,255,255,0.1);
+                    border: 4px solid rgba(255,255,255,0.3);
+                    transition: all 0.05s;
+                }
+
+                .tap-circle.beat {
+                    background: #60a5fa;
+                    box-shadow: 0 0 40px #60a5fa;
+                }
+
+                .tap-circle.tap {
+                    transform: scale(1.1);
+                    border-color: #4ade80;
+                }
+
+                .phase-label {
+                    font-size: 1.2em;
+                    color: rgba(255,255,255,0.7);
+                    min-height: 30px;
+                }
+
+                .rhythm-test .stat-grid {
+                    display: grid;
+                    grid-template-columns: repeat(3, 1fr);
+                    gap: 15px;
+                }
+
+                .rhythm-test .stat-item {
+                    background: rgba(255,255,255,0.1);
+                    padding: 15px;
+                    border-radius: 10px;
+                }
+
+                .rhythm-test .stat-value {
+                    font-size: 2em;
+                    font-weight: bold;
+                    color: #fff;
+                }
+
+                .rhythm-test .stat-label {
+                    font-size: 0.9em;
+                    color: rgba(255,255,255,0.7);
+                    margin-top: 5px;
+                }
+            </style>
+        `;
+
+        await this.platform.delay(2000); // Initial delay
+        this.scheduleNextTrial();
+    }
+
+    generateTrialList(rng) {
+        // Each beat interval is used equally often, in a seeded random order
+        const count = this.config.targetTrials || 6;
+        const intervals = [];
+        for (let i = 0; i < count; i++) {
+            intervals.push(this.beatIntervals[i % this.beatIntervals.length]);
+        }
+
+        return rng.shuffle(intervals).map((beatInterval, i) => ({
+            trial: i + 1,
+            beatInterval: beatInterval
+        }));
+    }
+
+    scheduleNextTrial() {
+        if (!this.isRunning) return;
+
+        const timeElapsed = Date.now() - this.startTime;
+        this.updatePracticeFeedback();
+        const nextTrial = this.getNextTrialSpec();
+        if (timeElapsed >= this.config.duration || !nextTrial) {
+            this.complete();
+            return;
+        }
+
+        const delay = this.currentTrial === 0 ? 0 : this.interTrialInterval;
+        this.trialTimers.push(setTimeout(() => {
+            if (this.isRunning) {
+                this.startTrial();
+            }
+        }, delay));
+    }
+
+    // === TRIAL ===
+
+    startTrial() {
+        this.currentTrial++;
+        document.getElementById('trialCount').textContent = this.currentTrial;
+        document.getElementById('tapCount').textContent = '0';
+
+        const spec = this.getTrialSpec();
+        const audioContext = this.getAudioContext();
+        this.audioLatency = audioContext ?
+            ((audioContext.baseLatency || 0) + (audioContext.outputLatency || 0)) * 1000 : 0;
+
+        this.taps = [];
+        const firstBeat = performance.now() + this.leadIn;
+
+        if (this.pacing === 'music' && this.platform.musicStartTime != null && this.platform.musicTempo > 0) {
+            // Tap along to the track: no continuation phase, as the music keeps playing
+            this.trialPacing = 'music';
+            this.beatInterval = 60000 / this.platform.musicTempo;
+            this.beatTimes = this.getMusicBeatTimes(firstBeat, this.syncBeats);
+            this.trialContinuationBeats = 0;
+        } else {
+            if (this.pacing === 'music') {
+                console.warn(`Trial ${this.currentTrial}: no music with a known tempo is playing, using the metronome`);
+            }
+            this.trialPacing = 'metronome';
+            this.beatInterval = spec.beatInterval;
+            this.beatTimes = [];
+            for (let i = 0; i < this.syncBeats; i++) {
+                this.beatTimes.push(firstBeat + i * this.beatInterval);
+            }
+            this.beatTimes = this.beatTimes.map(time => this.scheduleClick(time));
+            this.trialContinuationBeats = this.continuationBeats;
+        }
+
+        this.testData.push({
+            type: 'trial_start',
+            trial: this.currentTrial,
+            timestamp: firstBeat,
+            relativeTime: firstBeat - this.startTime,
+            requestedPacing: this.pacing,
+            pacing: this.trialPacing,
+            beatInterval: this.beatInterval
+        });
+
+        this.setPhase('sync', 'Tap along with the beat');
+
+        // Continuation starts half a beat after the last paced beat and runs
+        // for the requested number of unpaced intervals
+        const lastBeat = this.beatTimes[this.beatTimes.length - 1];
+        this.continuationStart = lastBeat + this.beatInterval / 2;
+        const trialEnd = lastBeat + (this.trialContinuationBeats + 0.5) * this.beatInterval;
+
+        if (this.trialContinuationBeats > 0) {
+            this.trialTimers.push(setTimeout(() => {
+                this.setPhase('continuation', 'Keep tapping at the same pace');
+            }, this.continuationStart - performance.now()));
+        }
+
+        this.trialTimers.push(setTimeout(() => this.finishTrial(), trialEnd - performance.now()));
+    }
+
+    async handleButtonPress(buttonIndex, timestamp, buttonData) {
+        if (this.dismissInstructions()) return;
+        if (!this.phase) return;
+
+        const tapTime = timestamp || performance.now();
+        this.taps.push({ time: tapTime, phase: this.phase });
+        document.getElementById('tapCount').textContent = this.taps.length;
+
+        const circle = document.getElementById('tapCircle');
+        circle.classList.add('tap');
+        setTimeout(() => circle.classList.remove('tap'), 100);
+
+        // Session-level entrainment tracking
+        if (this.phase === 'sync' && this.platform.metricsCollector) {
+            const beat = RhythmSyncTest.nearestBeat(tapTime, this.beatTimes);
+            this.platform.metricsCollector.analyzeRhythmicSynchronization(
+                tapTime, this.beatTimes[beat], 0, this.beatInterval);
+        }
+    }
+
+    finishTrial() {
+        if (!this.isRunning) return;
+
+        this.setPhase(null, 'Rest...');
+
+        const analysis = RhythmSyncTest.analyzeTrial(this.taps, this.beatTimes, this.beatInterval, {
+            continuationStart: this.continuationStart,
+            settleBeats: this.settleBeats
+        });
+
+        // Trials where the beat was barely followed are kept but flagged
+        const scoredBeats = Math.max(1, this.beatTimes.length - this.settleBeats);
+        const valid = analysis.matchedTaps >= scoredBeats / 2;
+
+        const result = {
+            type: 'sync_trial',
+            trial: this.currentTrial,
+            timestamp: performance.now(),
+            relativeTime: performance.now() - this.startTime,
+            requestedPacing: this.pacing,
+            pacing: this.trialPacing,
+            beatInterval: this.beatInterval,
+            audioLatency: this.audioLatency,
+            ...analysis,
+            correct: valid,
+            beats: this.beatTimes.map(time => time - this.startTime),
+            taps: this.taps.map(tap => ({ time: tap.time - this.startTime, phase: tap.phase }))
+        };
+
+        this.testData.push(result);
+        this.trialResults.push(result);
+
+        document.getElementById('lastAsynchrony').textContent =
+            analysis.meanAsynchrony !== null ? Math.round(analysis.meanAsynchrony) : '-';
+
+        this.scheduleNextTrial();
+    }
+
+    setPhase(phase, label) {
+        this.phase = phase;
+        document.getElementById('phaseLabel').textContent = label;
+    }
+
+    getCurrentPhase() {
+        return this.phase || 'active';
+    }
+
+    // === PACING ===
+
+    // Metronome click on the audio clock, so it is sample-accurate regardless
+    // of timer jitter. Returns the time the click will be heard.
+    scheduleClick(time) {
+        const heard = this.scheduleTone(time, 1000, 50);
+
+        if (heard === null) {
+            // No audio - pulse the circle instead
+            this.trialTimers.push(setTimeout(() => this.pulse(), time - performance.now()));
+            return time;
+        }
+
+        return heard;
+    }
+
+    // Beats of the playing track from its start time and tempo, beginning
+    // with the first beat after `from`
+    getMusicBeatTimes(from, count) {
+        const audioContext = this.getAudioContext();
+        const offset = this.config.beatOffset || 0;  // ms from track start to first beat
+        const trackStart = performance.now() +
+            (this.platform.musicStartTime - audioContext.currentTime) * 1000 + offset + this.audioLatency;
+
+        const firstIndex = Math.max(0, Math.ceil((from - trackStart) / this.beatInterval));
+        const beats = [];
+        for (let i = 0; i < count; i++) {
+            beats.push(trackStart + (firstIndex + i) * this.beatInterval);
+        }
+        return beats;
+    }
+
+    pulse() {
+        const circle = document.getElementById('tapCircle');
+        if (!circle) return;
+
+        circle.classList.add('beat');
+        setTimeout(() => circle.classList.remove('beat'), 100);
+    }
+
+    // === ANALYSIS ===
+
+    static nearestBeat(time, beatTimes) {
+        const interval = beatTimes.length > 1 ? beatTimes[1] - beatTimes[0] : 1;
+        const index = Math.round((time - beatTimes[0]) / interval);
+        return Math.max(0, Math.min(beatTimes.length - 1, index));
+    }
+
+    /**
+     * Synchronisation and continuation measures for one trial.
+     * Asynchrony is tap minus beat (negative = tapping ahead of the beat).
+     * Each scored beat is matched with the closest tap within half an interval.
+     */
+    static analyzeTrial(taps, beatTimes, beatInterval, options = {}) {
+        const settleBeats = options.settleBeats || 0;
+        const continuationStart = options.continuationStart ?? Infinity;
+
+        const syncTaps = taps.filter(tap => tap.time < continuationStart).map(tap => tap.time);
+        const continuationTaps = taps.filter(tap => tap.time >= continuationStart).map(tap => tap.time);
+
+        const asynchronies = [];
+        beatTimes.slice(settleBeats).forEach(beat => {
+            let closest = null;
+            syncTaps.forEach(time => {
+                const asynchrony = time - beat;
+                if (Math.abs(asynchrony) <= beatInterval / 2 &&
+                    (closest === null || Math.abs(asynchrony) < Math.abs(closest))) {
+                    closest = asynchrony;
+                }
+            });
+            if (closest !== null) asynchronies.push(closest);
+        });
+
+        // Relative phase of each tap on the beat cycle (0 = on the beat)
+        const phases = asynchronies.map(asynchrony => asynchrony / beatInterval);
+        const resultant = RhythmSyncTest.resultantLength(phases);
+
+        const syncItis = RhythmSyncTest.intervals(syncTaps);
+        const continuationItis = RhythmSyncTest.intervals(continuationTaps);
+
+        return {
+            tapCount: taps.length,
+            matchedTaps: asynchronies.length,
+            meanAsynchrony: asynchronies.length > 0 ? RhythmSyncTest.mean(asynchronies) : null,
+            sdAsynchrony: asynchronies.length > 1 ? RhythmSyncTest.sd(asynchronies) : null,
+            circularVariance: phases.length > 0 ? 1 - resultant : null,
+            entrainmentStrength: phases.length > 0 ? resultant : null,
+            syncItiCV: RhythmSyncTest.cv(syncItis),
+            continuationMeanIti: continuationItis.length > 0 ? RhythmSyncTest.mean(continuationItis) : null,
+            continuationItiCV: RhythmSyncTest.cv(continuationItis),
+            // Continuation timing is the usual ITI variability measure;
+            // music-paced trials only have the synchronisation phase
+            itiCV: continuationItis.length > 1 ?
+                RhythmSyncTest.cv(continuationItis) : RhythmSyncTest.cv(syncItis)
+        };
+    }
+
+    // Length of the mean phase vector: 1 = perfectly consistent phase, 0 = none
+    static resultantLength(phases) {
+        if (phases.length === 0) return 0;
+        const sinSum = phases.reduce((sum, phase) => sum + Math.sin(2 * Math.PI * phase), 0);
+        const cosSum = phases.reduce((sum, phase) => sum + Math.cos(2 * Math.PI * phase), 0);
+        return Math.sqrt(sinSum * sinSum + cosSum * cosSum) / phases.length;
+    }
+
+    static intervals(times) {
+        const intervals = [];
+        for (let i = 1; i < times.length; i++) {
+            intervals.push(times[i] - times[i - 1]);
+        }
+        return intervals;
+    }
+
+    static mean(values) {
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+
+    static sd(values) {
+        const mean = RhythmSyncTest.mean(values);
+        const variance = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (values.length - 1);
+        return Math.sqrt(variance);
+    }
+
+    static cv(values) {
+        if (values.length < 2) return null;
+        return RhythmSyncTest.sd(values) / RhythmSyncTest.mean(values);
+    }
+
+    resetTrialState() {
+        super.resetTrialState();
+        this.trialTimers.forEach(timer => clearTimeout(timer));
+        this.trialTimers = [];
+        this.phase = null;
+        this.taps = [];
+        this.beatTimes = [];
+        this.trialResults = [];
+    }
+
+    calculateMetrics() {
+        const valid = this.trialResults.filter(result => result.correct);
+        const average = (key) => {
+            const values = valid.map(result => result[key]).filter(value => value !== null);
+            return values.length > 0 ? RhythmSyncTest.mean(values) : null;
+        };
+        const format = (value, digits) => value !== null ? value.toFixed(digits) : null;
+
+        // Per-tempo breakdown, as asynchrony and variability scale with the interval
+        const byInterval = {};
+        valid.forEach(result => {
+            const key = Math.round(result.beatInterval);
+            byInterval[key] = byInterval[key] || [];
+            byInterval[key].push(result.meanAsynchrony);
+        });
+        const asynchronyByInterval = {};
+        Object.entries(byInterval).forEach(([interval, values]) => {
+            const scored = values.filter(value => value !== null);
+            asynchronyByInterval[interval] = scored.length > 0 ? RhythmSyncTest.mean(scored).toFixed(1) : null;
+        });
+
+        return {
+            testName: 'Rhythm Synchronization',
+            totalTrials: this.currentTrial,
+            validTrials: valid.length,
+            requestedPacing: this.pacing,
+            // Trials paced by the metronome because music pacing was unavailable
+            pacingFallbackTrials: this.trialResults.filter(result => result.pacing !== result.requestedPacing).length,
+            meanAsynchrony: format(average('meanAsynchrony'), 1),
+            sdAsynchrony: format(average('sdAsynchrony'), 1),
+            circularVariance: format(average('circularVariance'), 3),
+            entrainmentStrength: format(average('entrainmentStrength'), 3),
+            itiCV: format(average('itiCV'), 3),
+            continuationItiCV: format(average('continuationItiCV'), 3),
+            asynchronyByInterval: asynchronyByInterval
+        };
+    }
+
+    destroy() {
+        super.destroy();
+        this.trialTimers.forEach(timer => clearTimeout(timer));
+        this.trialTimers = [];
+    }
+}
+
+// === PLUGIN ===
+
+TestRegistry.register({
+    id: 'rhythm-sync',
+    testClass: RhythmSyncTest,
+    buttonConfigs: ['single'],
+    defaults: {
+        name: 'Rhythm Synchronization',
+        suite: null,
+        duration: 240000,       // 4 minutes (upper limit)
+        targetTrials: 6,
+        pacing: 'metronome',    // 'metronome' or 'music' (tap to the current track)
+        beatIntervals: [500, 600, 700],  // Inter-onset intervals, ms
+        syncBeats: 12,          // Paced beats per trial
+        continuationBeats: 12,  // Unpaced beats after the pacing stops
+        settleBeats: 3,         // First paced beats not scored
+        interTrialInterval: 3000,
+        buttonConfig: 'single',
+        description: 'Tap in time with the beat, then keep tapping at the same pace when it stops',
+        cognitiveConstruct: 'Sensorimotor Synchronisation'
+    },
+    parameters: {
+        targetTrials: { type: 'integer', minimum: 1, label: 'Target trials', step: 1 },
+        pacing: { enum: ['metronome', 'music'] },
+        beatIntervals: { type: 'array', minItems: 1, items: { type: 'number', minimum: 100 } },
+        beatOffset: { type: 'number', minimum: 0 },
+        syncBeats: { type: 'integer', minimum: 2, label: 'Paced beats', step: 1 },
+        continuationBeats: { type: 'integer', minimum: 0, label: 'Continuation beats', step: 1 },
+        settleBeats: { type: 'integer', minimum: 0 },
+        interTrialInterval: { type: 'integer', minimum: 0, label: 'Inter-trial interval (ms)', step: 100 }
+    },
+    metrics: {
+        validTrials: 'count',
+        pacingFallbackTrials: 'count',
+        meanAsynchrony: 'ms',
+        sdAsynchrony: 'ms',
+        circularVariance: 'proportion',
+        entrainmentStrength: 'proportion',
+        itiCV: 'ratio',
+        continuationItiCV: 'ratio'
+    }
+});
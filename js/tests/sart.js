@@ -0,0 +1,410 @@
+// js/tests/sart.js - Sustained Attention to Response Task (SART)
+
+class SARTTest extends CognitionTestBase {
+    constructor(config, platform) {
+        super(config, platform);
+
+        // Respond to every digit except the target, at a fixed pace
+        this.digits = [1, 2, 3, 4, 5, 6, 7, 8, 9];
+        this.targetDigit = config.targetDigit || 3;
+        this.fontSizes = [48, 72, 94, 100, 120];  // Random sizes stop reliance on shape matching
+
+        // Timing - the next digit follows the mask whether or not a
+        // response was made
+        this.stimulusDuration = config.stimulusDuration || 250;
+        this.maskDuration = config.maskDuration || 900;
+
+        // Go trials before each target compared for pre-error speeding
+        this.preErrorWindow = 4;
+
+        this.trialTimers = [];
+        this.trialActive = false;
+        this.responded = false;
+        this.stimulusStartTime = null;
+
+        // One entry per trial: { trial, digit, isTarget, responded, reactionTime }
+        this.trialLog = [];
+    }
+
+    async setupLEDPatterns() {
+        await this.platform.setAllLEDs(false);
+    }
+
+    async runTest() {
+        const testContent = this.getDisplay();
+        testContent.innerHTML = `
+            <div class="sart-test">
+                <div class="instruction-box">
+                    <h3>Press the GREEN button for every number</h3>
+                    <p>Except <strong>${this.targetDigit}</strong> - do NOT press for ${this.targetDigit}</p>
+                </div>
+
+                <div class="stimulus-area">
+                    <div class="sart-digit" id="sartDigit"></div>
+                </div>
+
+                <div class="test-stats">
+                    <div class="stat">
+                        <span class="stat-label">Trial:</span>
+                        <span class="stat-value" id="trialCount">0</span>
+                    </div>
+                    <div class="stat">
+                        <span class="stat-label">Time:</span>
+                        <span class="stat-value" id="timeRemaining"></span>
+                    </div>
+                </div>
+            </div>
+
+            <style>
+                .sart-test {
+                    text-align: center;
+                    padding: 20px;
+                }
+
+                .instruction-box {
+                    background: rgba(255,255,255,0.1);
+                    padding: 20px;
+                    border-radius: 10px;
+                    margin-bottom: 40px;
+                }
+
+                .instruction-box h3 {
+                    margin: 0 0 10px 0;
+                    color: #4ade80;
+                    font-size: 1.4em;
+                }
+
+                .instruction-box p {
+                    margin: 0;
+                    color: #ff6b6b;
+                    font-size: 1.1em;
+                }
+
+                .stimulus-area {
+                    margin: 40px 0;
+                    min-height: 200px;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                }
+
+                .sart-digit {
+                    color: #fff;
+                    font-weight: bold;
+                    line-height: 1;
+                }
+
+                .sart-digit.mask {
+                    color: rgba(255,255,255,0.7);
+                }
+
+                .test-stats {
+                    display: flex;
+                    justify-content: center;
+                    gap: 30px;
+                    margin-top: 20px;
+                }
+
+                .stat {
+                    background: rgba(255,255,255,0.1);
+                    padding: 10px 20px;
+                    border-radius: 8px;
+                }
+
+                .stat-label {
+                    color: rgba(255,255,255,0.7);
+                    margin-right: 8px;
+                }
+
+                .stat-value {
+                    color: #fff;
+                    font-weight: bold;
+                    font-size: 1.2em;
+                }
+            </style>
+        `;
+
+        this.updateTimer();
+        await this.platform.delay(2000);
+        this.scheduleNextTrial();
+    }
+
+    // Digits are balanced: each appears equally often in every run of nine
+    generateTrialList(rng) {
+        const trials = [];
+        const count = this.config.targetTrials ||
+            this.estimateMaxTrials(this.stimulusDuration + this.maskDuration);
+
+        while (trials.length < count) {
+            rng.shuffle(this.digits).forEach(digit => {
+                if (trials.length >= count) return;
+                trials.push({
+                    trial: trials.length + 1,
+                    digit: digit,
+                    isTarget: digit === this.targetDigit,
+                    fontSize: rng.pick(this.fontSizes)
+                });
+            });
+        }
+
+        return trials;
+    }
+
+    scheduleNextTrial() {
+        if (!this.isRunning) return;
+
+        const timeElapsed = Date.now() - this.startTime;
+        this.updatePracticeFeedback();
+        const nextTrial = this.getNextTrialSpec();
+        if (timeElapsed >= this.config.duration || !nextTrial) {
+            this.complete();
+            return;
+        }
+
+        this.startTrial();
+    }
+
+    // === TRIAL ===
+
+    async startTrial() {
+        this.currentTrial++;
+        document.getElementById('trialCount').textContent = this.currentTrial;
+
+        const spec = this.getTrialSpec();
+        const digitEl = document.getElementById('sartDigit');
+        digitEl.textContent = spec.digit;
+        digitEl.style.fontSize = `${spec.fontSize}px`;
+        digitEl.classList.remove('mask');
+
+        this.trialActive = true;
+        this.responded = false;
+        this.stimulusStartTime = performance.now();
+
+        this.trialTimers.push(setTimeout(() => this.showMask(), this.stimulusDuration));
+        this.trialTimers.push(setTimeout(() => this.endTrial(), this.stimulusDuration + this.maskDuration));
+
+        await this.platform.setLED(1, true);
+
+        this.testData.push({
+            type: 'stimulus',
+            trial: this.currentTrial,
+            timestamp: this.stimulusStartTime,
+            relativeTime: this.stimulusStartTime - this.startTime,
+            digit: spec.digit,
+            isTarget: spec.isTarget,
+            fontSize: spec.fontSize
+        });
+    }
+
+    showMask() {
+        if (!this.isRunning) return;
+
+        const digitEl = document.getElementById('sartDigit');
+        digitEl.textContent = '⊗';
+        digitEl.style.fontSize = '110px';
+        digitEl.classList.add('mask');
+        this.platform.setLED(1, false);
+    }
+
+    async handleButtonPress(buttonIndex, timestamp, buttonData) {
+        if (this.dismissInstructions()) return;
+
+        // Only the first press in each stimulus-mask cycle counts
+        if (!this.trialActive || this.responded) return;
+        this.responded = true;
+
+        const responseTime = timestamp;
+        const reactionTime = responseTime - this.stimulusStartTime;
+        const spec = this.getTrialSpec();
+
+        this.logTrial(spec, true, reactionTime);
+
+        this.testData.push({
+            type: 'response',
+            trial: this.currentTrial,
+            timestamp: responseTime,
+            relativeTime: responseTime - this.startTime,
+            button: buttonIndex,
+            digit: spec.digit,
+            isTarget: spec.isTarget,
+            reactionTime: reactionTime,
+            // Pressing for the target is a commission error
+            outcome: spec.isTarget ? 'commission' : 'hit',
+            correct: !spec.isTarget
+        });
+    }
+
+    endTrial() {
+        if (!this.isRunning || !this.trialActive) return;
+
+        this.trialActive = false;
+        this.trialTimers = [];
+        const spec = this.getTrialSpec();
+
+        if (!this.responded) {
+            this.logTrial(spec, false, null);
+
+            this.testData.push({
+                type: 'no_response',
+                trial: this.currentTrial,
+                timestamp: performance.now(),
+                relativeTime: performance.now() - this.startTime,
+                digit: spec.digit,
+                isTarget: spec.isTarget,
+                outcome: spec.isTarget ? 'correct_withhold' : 'omission',
+                correct: spec.isTarget
+            });
+        }
+
+        this.scheduleNextTrial();
+    }
+
+    logTrial(spec, responded, reactionTime) {
+        this.trialLog.push({
+            trial: this.currentTrial,
+            digit: spec.digit,
+            isTarget: spec.isTarget,
+            responded: responded,
+            reactionTime: reactionTime
+        });
+    }
+
+    updateTimer() {
+        if (!this.isRunning) return;
+
+        const elapsed = Date.now() - this.startTime;
+        const remaining = Math.max(0, this.config.duration - elapsed);
+        const seconds = Math.floor(remaining / 1000);
+        const minutes = Math.floor(seconds / 60);
+        const secs = seconds % 60;
+
+        const timeDisplay = document.getElementById('timeRemaining');
+        if (timeDisplay) {
+            timeDisplay.textContent = `${minutes}:${secs.toString().padStart(2, '0')}`;
+        }
+
+        if (remaining > 0) {
+            setTimeout(() => this.updateTimer(), 100);
+        }
+    }
+
+    resetTrialState() {
+        super.resetTrialState();
+        this.clearTimers();
+        this.trialActive = false;
+        this.responded = false;
+        this.trialLog = [];
+    }
+
+    clearTimers() {
+        this.trialTimers.forEach(timer => clearTimeout(timer));
+        this.trialTimers = [];
+    }
+
+    // === METRICS ===
+
+    // Mean RT of the responded go trials just before each target, split by
+    // whether the target was withheld. Faster responding before commission
+    // errors is taken as a sign of drifting into automatic responding.
+    preTargetRT(targets) {
+        const rts = [];
+        targets.forEach(target => {
+            const index = this.trialLog.indexOf(target);
+            this.trialLog.slice(Math.max(0, index - this.preErrorWindow), index)
+                .filter(t => !t.isTarget && t.responded && t.reactionTime > 100)
+                .forEach(t => rts.push(t.reactionTime));
+        });
+        return rts.length > 0 ? rts.reduce((a, b) => a + b, 0) / rts.length : null;
+    }
+
+    calculateMetrics() {
+        const goTrials = this.trialLog.filter(t => !t.isTarget);
+        const targets = this.trialLog.filter(t => t.isTarget);
+        const commissions = targets.filter(t => t.responded);
+        const withholds = targets.filter(t => !t.responded);
+        const omissions = goTrials.filter(t => !t.responded);
+
+        // Anticipations (< 100 ms) are reported but left out of RT statistics
+        const goRTs = goTrials.filter(t => t.responded && t.reactionTime > 100).map(t => t.reactionTime);
+        const meanRT = goRTs.length > 0 ? goRTs.reduce((a, b) => a + b, 0) / goRTs.length : null;
+        const sdRT = goRTs.length > 1 ?
+            Math.sqrt(goRTs.reduce((sum, rt) => sum + (rt - meanRT) ** 2, 0) / (goRTs.length - 1)) : null;
+
+        const preCommissionRT = this.preTargetRT(commissions);
+        const preWithholdRT = this.preTargetRT(withholds);
+
+        const rate = (count, total) => total > 0 ? count / total * 100 : null;
+        const format = (value, digits = 2) => value !== null ? value.toFixed(digits) : null;
+
+        return {
+            testName: 'Sustained Attention to Response Task',
+            totalTrials: this.currentTrial,
+            targetDigit: this.targetDigit,
+            goTrials: goTrials.length,
+            targetTrials: targets.length,
+            commissionErrors: commissions.length,
+            commissionRate: format(rate(commissions.length, targets.length)),
+            omissionErrors: omissions.length,
+            omissionRate: format(rate(omissions.length, goTrials.length)),
+            anticipations: goTrials.filter(t => t.responded && t.reactionTime <= 100).length,
+            meanGoRT: format(meanRT),
+            sdGoRT: format(sdRT),
+            rtCV: format(meanRT !== null && sdRT !== null ? sdRT / meanRT : null, 3),
+            preCommissionRT: format(preCommissionRT),
+            preWithholdRT: format(preWithholdRT),
+            // Positive = faster before commission errors than before correct withholds
+            preErrorSpeeding: format(preCommissionRT !== null && preWithholdRT !== null ?
+                preWithholdRT - preCommissionRT : null)
+        };
+    }
+
+    destroy() {
+        super.destroy();
+        this.clearTimers();
+    }
+}
+
+// === PLUGIN ===
+
+TestRegistry.register({
+    id: 'sart',
+    testClass: SARTTest,
+    buttonConfigs: ['single'],
+    defaults: {
+        name: 'Sustained Attention to Response Task',
+        suite: null,
+        duration: 270000,       // 4.5 minutes
+        targetTrials: 225,      // 25 of each digit
+        targetDigit: 3,         // Withhold for this digit
+        stimulusDuration: 250,
+        maskDuration: 900,      // Fixed 1150 ms per digit
+        buttonConfig: 'single',
+        description: 'Press for every digit except the target digit',
+        cognitiveConstruct: 'Sustained Attention / Mind Wandering'
+    },
+    parameters: {
+        targetTrials: { type: 'integer', minimum: 1, label: 'Target trials', step: 1 },
+        targetDigit: { type: 'integer', minimum: 1, maximum: 9, label: 'Target digit', step: 1 },
+        stimulusDuration: { type: 'integer', minimum: 0, label: 'Stimulus duration (ms)', step: 100 },
+        maskDuration: { type: 'integer', minimum: 0, label: 'Mask duration (ms)', step: 50 }
+    },
+    metrics: {
+        commissionErrors: 'count',
+        commissionRate: '%',
+        omissionErrors: 'count',
+        omissionRate: '%',
+        anticipations: 'count',
+        meanGoRT: 'ms',
+        sdGoRT: 'ms',
+        rtCV: 'ratio',
+        preCommissionRT: 'ms',
+        preWithholdRT: 'ms',
+        preErrorSpeeding: 'ms'
+    },
+    summarize: metrics => ({
+        mean_rt_ms: metrics.meanGoRT,
+        std_rt_ms: metrics.sdGoRT,
+        omission_errors: metrics.omissionErrors,
+        commission_errors: metrics.commissionErrors
+    })
+});
@@ -22,7 +22,6 @@ class SimonSaysTest extends CognitionTestBase {
         // Timing parameters
         this.baseLEDDuration = 600; // Base duration for LED flash
         this.baseGapDuration = 300; // Base gap between flashes
-        this.speedUpFactor = 0.95; // Speed increases by 5% each level
         
         // Game modes
         this.gameOver = false;
@@ -39,7 +38,8 @@ class SimonSaysTest extends CognitionTestBase {
         this.perfectRounds = 0; // Rounds with no mistakes
         this.averageAccuracyPerRound = [];
         
-        // Speed and difficulty tracking
+        // Speed and difficulty tracking - playback speeds up 5% per level,
+        // or follows the staircase when speed is adaptive
         this.currentSpeed = 1.0;
         this.speedIncreasePerLevel = 0.05;
     }
@@ -48,8 +48,16 @@ class SimonSaysTest extends CognitionTestBase {
         await this.platform.setAllLEDs(false);
     }
 
+    // Playback speed multiplier. When adaptive, a wrong response replays the
+    // sequence more slowly instead of ending the game.
+    getAdaptiveParameters() {
+        return {
+            speed: { start: 1.0, min: 0.5, max: 3.0, step: 0.1, harder: 'increase' }
+        };
+    }
+
     async runTest() {
-        const testContent = document.getElementById('testContent');
+        const testContent = this.getDisplay();
         testContent.innerHTML = `
             <div class="simon-says-test">
                 <div class="game-header">
@@ -398,11 +406,25 @@ class SimonSaysTest extends CognitionTestBase {
         this.startRound();
     }
 
-    async startRound() {
+    generateTrialList(rng) {
+        const trials = [];
+        const count = this.estimateMaxTrials(this.baseLEDDuration + this.baseGapDuration);
+        
+        for (let i = 1; i <= count; i++) {
+            trials.push({ trial: i, button: rng.int(0, this.buttons.length - 1) });
+        }
+        
+        return trials;
+    }
+
+    // repeat: replay the current sequence after an error (adaptive speed)
+    async startRound(repeat = false) {
         if (!this.isRunning || this.gameOver) return;
         
         const timeElapsed = Date.now() - this.startTime;
-        if (timeElapsed >= this.config.duration) {
+        this.updatePracticeFeedback();
+        const nextTrial = this.getNextTrialSpec();
+        if (timeElapsed >= this.config.duration || !nextTrial) {
             this.complete();
             return;
         }
@@ -413,9 +435,10 @@ class SimonSaysTest extends CognitionTestBase {
         // Calculate sequence length: starts at 3, adds 1 every 2 levels
         const sequenceLength = this.startingLength + Math.floor((this.currentLevel - 1) / 2);
         
-        // Add one more button to sequence
-        const newButton = Math.floor(Math.random() * 4);
-        this.currentSequence.push(newButton);
+        // Add one more button to sequence (pre-generated)
+        if (!repeat) {
+            this.currentSequence.push(nextTrial.button);
+        }
         
         this.userSequence = [];
         
@@ -425,7 +448,8 @@ class SimonSaysTest extends CognitionTestBase {
         document.getElementById('totalRounds').textContent = this.totalRounds;
         
         // Calculate current speed
-        this.currentSpeed = 1 + (this.currentLevel - 1) * this.speedIncreasePerLevel;
+        this.currentSpeed = this.adaptiveValue('speed',
+            1 + (this.currentLevel - 1) * this.speedIncreasePerLevel);
         document.getElementById('speedMultiplier').textContent = this.currentSpeed.toFixed(1);
         
         // Record round start
@@ -437,7 +461,8 @@ class SimonSaysTest extends CognitionTestBase {
             level: this.currentLevel,
             sequenceLength: this.currentSequence.length,
             sequence: [...this.currentSequence],
-            speed: this.currentSpeed
+            speed: this.currentSpeed,
+            repeat: repeat
         });
         
         await this.platform.delay(1000);
@@ -511,6 +536,8 @@ class SimonSaysTest extends CognitionTestBase {
     }
 
     async handleButtonPress(buttonIndex, timestamp, buttonData) {
+        if (this.dismissInstructions()) return;
+        
         if (!this.collectingInput || this.showingPattern) return;
         
         const responseTime = timestamp - this.responseStartTime;
@@ -591,6 +618,7 @@ class SimonSaysTest extends CognitionTestBase {
         
         // Update metrics
         this.updateMetrics();
+        this.updateStaircase(true);
         
         // Success feedback
         await this.platform.flashAllLEDs(2, 150);
@@ -612,16 +640,27 @@ class SimonSaysTest extends CognitionTestBase {
 
     async handleError() {
         this.collectingInput = false;
-        this.gameOver = true;
         
         const statusMessage = document.getElementById('statusMessage');
-        statusMessage.textContent = '✗ Game Over!';
         statusMessage.style.color = '#ff6b6b';
         
         this.failedRounds++;
         
         // Update metrics
         this.updateMetrics();
+        this.updateStaircase(false);
+        
+        // Adaptive speed: slow down and replay the same sequence
+        if (this.staircase) {
+            statusMessage.textContent = '✗ Wrong - slowing down, try again';
+            await this.platform.flashLED(2, 3, 200);
+            await this.platform.delay(1500);
+            this.startRound(true);
+            return;
+        }
+        
+        this.gameOver = true;
+        statusMessage.textContent = '✗ Game Over!';
         
         // Error feedback
         await this.platform.flashLED(2, 3, 200);
@@ -672,6 +711,25 @@ class SimonSaysTest extends CognitionTestBase {
         }
     }
 
+    resetTrialState() {
+        super.resetTrialState();
+        this.currentSequence = [];
+        this.userSequence = [];
+        this.currentLevel = 1;
+        this.gameOver = false;
+        this.showingPattern = false;
+        this.collectingInput = false;
+        this.totalRounds = 0;
+        this.correctRounds = 0;
+        this.failedRounds = 0;
+        this.longestSequence = 0;
+        this.totalResponseTime = 0;
+        this.responseCount = 0;
+        this.perfectRounds = 0;
+        this.averageAccuracyPerRound = [];
+        this.currentSpeed = 1.0;
+    }
+
     calculateMetrics() {
         const avgResponseTime = this.responseCount > 0 
             ? this.totalResponseTime / this.responseCount 
@@ -704,3 +762,33 @@ class SimonSaysTest extends CognitionTestBase {
         };
     }
 }
+
+// === PLUGIN ===
+
+TestRegistry.register({
+    id: 'simon-says',
+    testClass: SimonSaysTest,
+    buttonConfigs: ['all_four'],
+    defaults: {
+        name: 'Simon Says',
+        suite: null,
+        duration: 180000,       // 3 minutes (upper limit - ends at the first error unless speed is adaptive)
+        buttonConfig: 'all_four',
+        description: 'Watch the sequence of lights, then repeat it - one more light is added each round',
+        cognitiveConstruct: 'Sequential Working Memory'
+    },
+    metrics: {
+        finalLevel: 'count',
+        longestSequence: 'items',
+        correctRounds: 'count',
+        failedRounds: 'count',
+        perfectRounds: 'count',
+        accuracy: '%',
+        averageResponseTime: 'ms',
+        maxSpeed: 'ratio'
+    },
+    summarize: metrics => ({
+        accuracy_percent: metrics.accuracy,
+        mean_rt_ms: metrics.averageResponseTime
+    })
+});
@@ -6,8 +6,9 @@ class SimpleReactionTest extends CognitionTestBase {
         this.stimulusInterval = null;
         this.stimulusStartTime = null;
         this.waitingForResponse = false;
-        this.minInterval = 2000;  // Minimum 2 seconds between stimuli
-        this.maxInterval = 5000;  // Maximum 5 seconds between stimuli
+        this.minInterval = config.minInterval ?? 2000;  // Between stimuli
+        this.maxInterval = config.maxInterval ?? 4000;
+        this.responseWindow = config.responseWindow || 2000;
         this.reactionTimes = [];
     }
 
@@ -17,7 +18,7 @@ class SimpleReactionTest extends CognitionTestBase {
     }
 
     async runTest() {
-        const testContent = document.getElementById('testContent');
+        const testContent = this.getDisplay();
         testContent.innerHTML = `
             <div class="simple-reaction-test">
                 <div class="fixation-point">+</div>
@@ -38,19 +39,35 @@ class SimpleReactionTest extends CognitionTestBase {
         if (!this.isRunning) return;
         
         const timeElapsed = Date.now() - this.startTime;
-        if (timeElapsed >= this.config.duration) {
+        this.updatePracticeFeedback();
+        const nextTrial = this.getNextTrialSpec();
+        if (timeElapsed >= this.config.duration || !nextTrial) {
             this.complete();
             return;
         }
 
-        // Random interval between stimuli
-        const interval = Math.random() * (this.maxInterval - this.minInterval) + this.minInterval;
+        // Pre-generated interval between stimuli
+        const interval = nextTrial.interval;
         
         this.stimulusInterval = setTimeout(() => {
             this.presentStimulus();
         }, interval);
     }
 
+    generateTrialList(rng) {
+        const trials = [];
+        const count = this.config.targetTrials || this.estimateMaxTrials(this.minInterval);
+        
+        for (let i = 1; i <= count; i++) {
+            trials.push({
+                trial: i,
+                interval: Math.round(rng.range(this.minInterval, this.maxInterval))
+            });
+        }
+        
+        return trials;
+    }
+
     async presentStimulus() {
         if (!this.isRunning) return;
 
@@ -65,7 +82,7 @@ class SimpleReactionTest extends CognitionTestBase {
         // LED stimulus - turn on green button
         await this.platform.setLED(1, true);
         
-        this.stimulusStartTime = Date.now();
+        this.stimulusStartTime = performance.now();
         this.waitingForResponse = true;
 
         // Record stimulus presentation
@@ -73,22 +90,45 @@ class SimpleReactionTest extends CognitionTestBase {
             type: 'stimulus',
             trial: this.currentTrial,
             timestamp: this.stimulusStartTime,
-            relativeTime: this.stimulusStartTime - this.startTime
+            relativeTime: Date.now() - this.startTime
         });
+
+        // Move on if there is no response
+        const trialNumber = this.currentTrial;
+        setTimeout(() => {
+            if (this.waitingForResponse && this.currentTrial === trialNumber) {
+                this.handleNoResponse();
+            }
+        }, this.responseWindow);
     }
 
-    handleButtonPress(buttonData) {
-        if (this.instructionResolver) {
-            super.handleButtonPress(buttonData);
-            return;
-        }
+    handleNoResponse() {
+        this.waitingForResponse = false;
+
+        const stimulusArea = document.getElementById('stimulusArea');
+        stimulusArea.classList.remove('active');
+        stimulusArea.style.backgroundColor = 'transparent';
+        this.platform.setLED(1, false);
+
+        this.testData.push({
+            type: 'timeout',
+            trial: this.currentTrial,
+            timestamp: performance.now(),
+            relativeTime: Date.now() - this.startTime
+        });
+
+        this.scheduleNextStimulus();
+    }
+
+    handleButtonPress(buttonIndex, timestamp, buttonData) {
+        if (this.dismissInstructions()) return;
 
         if (!this.isRunning) return;
 
-        const responseTime = Date.now();
+        const responseTime = timestamp;
         const reactionTime = responseTime - this.stimulusStartTime;
 
-        if (this.waitingForResponse && buttonData.button === 1) {
+        if (this.waitingForResponse && buttonIndex === 0) {
             // Correct response
             this.waitingForResponse = false;
             this.reactionTimes.push(reactionTime);
@@ -106,8 +146,8 @@ class SimpleReactionTest extends CognitionTestBase {
                 type: 'response',
                 trial: this.currentTrial,
                 timestamp: responseTime,
-                relativeTime: responseTime - this.startTime,
-                button: buttonData.button,
+                relativeTime: Date.now() - this.startTime,
+                button: buttonIndex,
                 reactionTime: reactionTime,
                 correct: true
             });
@@ -126,12 +166,12 @@ class SimpleReactionTest extends CognitionTestBase {
                 type: 'false_alarm',
                 trial: this.currentTrial,
                 timestamp: responseTime,
-                relativeTime: responseTime - this.startTime,
-                button: buttonData.button
+                relativeTime: Date.now() - this.startTime,
+                button: buttonIndex
             });
 
             // Penalty feedback
-            this.platform.flashLED(buttonData.button, 3, 100);
+            this.platform.flashLED(buttonIndex + 1, 3, 100);
         }
     }
 
@@ -154,6 +194,13 @@ class SimpleReactionTest extends CognitionTestBase {
         }
     }
 
+    resetTrialState() {
+        super.resetTrialState();
+        this.reactionTimes = [];
+        this.waitingForResponse = false;
+        this.stimulusStartTime = null;
+    }
+
     calculateMetrics() {
         if (this.reactionTimes.length === 0) {
             return {
@@ -195,4 +242,53 @@ class SimpleReactionTest extends CognitionTestBase {
             clearTimeout(this.stimulusInterval);
         }
     }
-}
\ No newline at end of file
+}
+
+// === PLUGIN ===
+
+TestRegistry.register({
+    id: 'simple-reaction',
+    testClass: SimpleReactionTest,
+    buttonConfigs: ['single'],
+    defaults: {
+        name: 'Simple Reaction Time',
+        suite: 'reaction-inhibition',
+        duration: 60000,        // 1 minute
+        targetTrials: 18,       // ~3 sec average interval
+        minInterval: 2000,      // 2 sec minimum between stimuli
+        maxInterval: 4000,      // 4 sec maximum between stimuli
+        responseWindow: 2000,   // Counted as a miss after 2 sec
+        practice: {             // Warm-up trials, excluded from metrics
+            trials: 5,
+            criterion: null
+        },
+        buttonConfig: 'single',
+        description: 'Press the button as quickly as possible when the stimulus appears',
+        cognitiveConstruct: 'Processing Speed'
+    },
+    parameters: {
+        targetTrials: { type: 'integer', minimum: 1, label: 'Target trials', step: 1 },
+        minInterval: { type: 'integer', minimum: 0, label: 'Min ISI (ms)', step: 100 },
+        maxInterval: { type: 'integer', minimum: 0, label: 'Max ISI (ms)', step: 100 },
+        responseWindow: { type: 'integer', minimum: 0, label: 'Response window (ms)', step: 100 }
+    },
+    metrics: {
+        meanRT: 'ms',
+        medianRT: 'ms',
+        sdRT: 'ms',
+        minRT: 'ms',
+        maxRT: 'ms',
+        validTrials: 'count',
+        falseAlarms: 'count',
+        accuracy: '%'
+    },
+    summarize: metrics => ({
+        accuracy_percent: metrics.accuracy,
+        mean_rt_ms: metrics.meanRT,
+        median_rt_ms: metrics.medianRT,
+        std_rt_ms: metrics.sdRT,
+        min_rt_ms: metrics.minRT,
+        max_rt_ms: metrics.maxRT,
+        commission_errors: metrics.falseAlarms
+    })
+});
@@ -0,0 +1,572 @@
+// js/tests/sternberg.js - Sternberg Memory-Scanning Test
+
+class SternbergTest extends CognitionTestBase {
+    constructor(config, platform) {
+        super(config, platform);
+
+        // Memory items: digits, or the four button colours
+        this.stimulusSet = config.stimulusSet || 'digit';
+        this.colours = [
+            { name: 'green', rgb: '#4ade80' },
+            { name: 'white', rgb: '#ffffff' },
+            { name: 'red', rgb: '#ff6b6b' },
+            { name: 'dark green', rgb: '#22c55e' }
+        ];
+        this.itemPool = this.stimulusSet === 'colour' ?
+            this.colours.map((colour, index) => index) :
+            [0, 1, 2, 3, 4, 5, 6, 7, 8, 9];
+
+        // A set must leave at least one item over for negative probes
+        this.setSizes = (config.setSizes || [1, 2, 3, 4, 5, 6])
+            .filter(size => size < this.itemPool.length);
+        this.positiveProbability = config.targetProbability ?? 0.5;
+
+        // YES on the green button, NO on the red
+        this.yesButton = 0;
+        this.noButton = 2;
+
+        // Timing - items one at a time, a blank retention interval, then the probe
+        this.stimulusDuration = config.stimulusDuration || 1000;
+        this.interStimulusInterval = config.interStimulusInterval || 200;
+        this.retentionInterval = config.retentionInterval || 2000;
+        this.responseWindow = config.responseWindow || 3000;
+        this.minInterval = config.minInterval || 1000;
+        this.maxInterval = config.maxInterval || 1500;
+        this.feedbackDuration = 500;
+
+        this.currentStimulus = null;
+        this.stimulusStartTime = null;
+        this.waitingForResponse = false;
+        this.responseTimer = null;
+
+        // One entry per completed trial: { trial, setSize, positive, correct, reactionTime }
+        this.trialLog = [];
+    }
+
+    async setupLEDPatterns() {
+        await this.platform.setAllLEDs(false);
+    }
+
+    async runTest() {
+        const testContent = this.getDisplay();
+        const items = this.stimulusSet === 'colour' ? 'colours' : 'digits';
+
+        testContent.innerHTML = `
+            <div class="sternberg-test">
+                <div class="instruction-box">
+                    <h3>Remember the ${items}</h3>
+                    <p>Was the last item one of them? GREEN button = YES, RED button = NO</p>
+                </div>
+
+                <div class="stimulus-area">
+                    <div class="sternberg-item" id="sternbergItem">+</div>
+                </div>
+
+                <div class="status-message" id="statusMessage"></div>
+
+                <div class="test-stats">
+                    <div class="stat">
+                        <span class="stat-label">Trial:</span>
+                        <span class="stat-value" id="trialCount">0</span>
+                    </div>
+                    <div class="stat">
+                        <span class="stat-label">Correct:</span>
+                        <span class="stat-value" id="correctCount">0</span>
+                    </div>
+                    <div class="stat">
+                        <span class="stat-label">Time:</span>
+                        <span class="stat-value" id="timeRemaining"></span>
+                    </div>
+                </div>
+            </div>
+
+            <style>
+                .sternberg-test {
+                    text-align: center;
+                    padding: 20px;
+                }
+
+                .instruction-box {
+                    background: rgba(255,255,255,0.1);
+                    padding: 20px;
+                    border-radius: 10px;
+                    margin-bottom: 40px;
+                }
+
+                .instruction-box h3 {
+                    margin: 0 0 10px 0;
+                    color: #fff;
+                    font-size: 1.4em;
+                }
+
+                .instruction-box p {
+                    margin: 0;
+                    color: rgba(255,255,255,0.8);
+                    font-size: 1.1em;
+                }
+
+                .stimulus-area {
+                    margin: 40px 0 20px;
+                    min-height: 200px;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                }
+
+                .sternberg-item {
+                    width: 160px;
+                    height: 160px;
+                    border-radius: 16px;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    font-size: 5em;
+                    font-weight: bold;
+                    color: #fff;
+                    border: 4px solid transparent;
+                }
+
+                .sternberg-item.probe {
+                    border-color: #fbbf24;
+                }
+
+                .status-message {
+                    min-height: 1.5em;
+                    font-size: 1.2em;
+                    color: rgba(255,255,255,0.8);
+                    margin-bottom: 20px;
+                }
+
+                .status-message.correct {
+                    color: #4ade80;
+                }
+
+                .status-message.incorrect {
+                    color: #ff6b6b;
+                }
+
+                .test-stats {
+                    display: flex;
+                    justify-content: center;
+                    gap: 30px;
+                    margin-top: 20px;
+                }
+
+                .stat {
+                    background: rgba(255,255,255,0.1);
+                    padding: 10px 20px;
+                    border-radius: 8px;
+                }
+
+                .stat-label {
+                    color: rgba(255,255,255,0.7);
+                    margin-right: 8px;
+                }
+
+                .stat-value {
+                    color: #fff;
+                    font-weight: bold;
+                    font-size: 1.2em;
+                }
+            </style>
+        `;
+
+        this.updateTimer();
+        await this.platform.delay(1000);
+        this.scheduleNextTrial();
+    }
+
+    scheduleNextTrial() {
+        if (!this.isRunning) return;
+
+        const timeElapsed = Date.now() - this.startTime;
+        this.updatePracticeFeedback();
+        const nextTrial = this.getNextTrialSpec();
+        if (timeElapsed >= this.config.duration || !nextTrial) {
+            this.complete();
+            return;
+        }
+
+        setTimeout(() => {
+            if (this.isRunning) {
+                this.startTrial();
+            }
+        }, nextTrial.interval);
+    }
+
+    // Set sizes are balanced: each appears once in every run through the
+    // list. Positive probes are drawn evenly from the serial positions.
+    generateTrialList(rng) {
+        const trials = [];
+        const shortestTrial = this.minInterval + this.retentionInterval +
+            Math.min(...this.setSizes) * (this.stimulusDuration + this.interStimulusInterval);
+        const count = this.config.targetTrials || this.estimateMaxTrials(shortestTrial);
+
+        while (trials.length < count) {
+            rng.shuffle(this.setSizes).forEach(setSize => {
+                if (trials.length >= count) return;
+
+                const items = rng.shuffle(this.itemPool);
+                const memorySet = items.slice(0, setSize);
+                const positive = rng.chance(this.positiveProbability);
+                const probePosition = positive ? rng.int(0, setSize - 1) : null;
+
+                trials.push({
+                    trial: trials.length + 1,
+                    interval: Math.round(rng.range(this.minInterval, this.maxInterval)),
+                    setSize: setSize,
+                    memorySet: memorySet,
+                    positive: positive,
+                    probe: positive ? memorySet[probePosition] : rng.pick(items.slice(setSize)),
+                    probePosition: probePosition   // Serial position (0-based) of a positive probe
+                });
+            });
+        }
+
+        return trials;
+    }
+
+    // === TRIAL ===
+
+    renderItem(item, probe = false) {
+        const itemEl = document.getElementById('sternbergItem');
+        itemEl.classList.toggle('probe', probe);
+        if (item === null) {
+            itemEl.textContent = '';
+            itemEl.style.background = 'transparent';
+        } else if (this.stimulusSet === 'colour') {
+            itemEl.textContent = '';
+            itemEl.style.background = this.colours[item].rgb;
+        } else {
+            itemEl.textContent = item;
+            itemEl.style.background = 'rgba(255,255,255,0.1)';
+        }
+    }
+
+    async startTrial() {
+        this.currentTrial++;
+        document.getElementById('trialCount').textContent = this.currentTrial;
+
+        const spec = this.getTrialSpec();
+        const trialNumber = this.currentTrial;
+        const statusEl = document.getElementById('statusMessage');
+        statusEl.className = 'status-message';
+        statusEl.textContent = 'Remember...';
+
+        this.testData.push({
+            type: 'trial_start',
+            trial: this.currentTrial,
+            timestamp: performance.now(),
+            relativeTime: performance.now() - this.startTime,
+            stimulusSet: this.stimulusSet,
+            setSize: spec.setSize,
+            memorySet: [...spec.memorySet]
+        });
+
+        // Memory set, one item at a time
+        for (let i = 0; i < spec.memorySet.length; i++) {
+            if (!this.isRunning) return;
+            this.renderItem(spec.memorySet[i]);
+            await this.platform.delay(this.stimulusDuration);
+            this.renderItem(null);
+            await this.platform.delay(this.interStimulusInterval);
+        }
+
+        // Retention interval
+        statusEl.textContent = '';
+        await this.platform.delay(this.retentionInterval);
+        if (!this.isRunning || this.currentTrial !== trialNumber) return;
+
+        this.presentProbe(spec);
+    }
+
+    presentProbe(spec) {
+        this.renderItem(spec.probe, true);
+        document.getElementById('statusMessage').textContent = 'In the set?';
+
+        this.currentStimulus = {
+            trialNumber: this.currentTrial,
+            setSize: spec.setSize,
+            positive: spec.positive,
+            probe: spec.probe,
+            probePosition: spec.probePosition
+        };
+        this.stimulusStartTime = performance.now();
+        this.waitingForResponse = true;
+
+        this.testData.push({
+            type: 'stimulus',
+            trial: this.currentTrial,
+            timestamp: this.stimulusStartTime,
+            relativeTime: this.stimulusStartTime - this.startTime,
+            setSize: spec.setSize,
+            probe: spec.probe,
+            positive: spec.positive,
+            probePosition: spec.probePosition,
+            correctButton: spec.positive ? this.yesButton : this.noButton
+        });
+
+        // Only time out this probe - a quick response may already have moved on
+        const trialNumber = this.currentTrial;
+        this.responseTimer = setTimeout(() => {
+            if (this.waitingForResponse && this.currentStimulus.trialNumber === trialNumber) {
+                this.handleTimeout();
+            }
+        }, this.responseWindow);
+    }
+
+    async handleButtonPress(buttonIndex, timestamp, buttonData) {
+        if (this.dismissInstructions()) return;
+
+        // Only the YES and NO buttons answer the probe
+        if (!this.waitingForResponse) return;
+        if (buttonIndex !== this.yesButton && buttonIndex !== this.noButton) return;
+
+        this.waitingForResponse = false;
+        clearTimeout(this.responseTimer);
+        const responseTime = timestamp;
+        const reactionTime = responseTime - this.stimulusStartTime;
+        const stimulus = this.currentStimulus;
+        const answer = buttonIndex === this.yesButton;
+        const correct = answer === stimulus.positive;
+
+        this.logTrial(stimulus, correct, reactionTime);
+        this.showFeedback(correct ? '✓' : '✗', correct);
+
+        this.testData.push({
+            type: 'response',
+            trial: stimulus.trialNumber,
+            timestamp: responseTime,
+            relativeTime: responseTime - this.startTime,
+            button: buttonIndex,
+            answer: answer ? 'yes' : 'no',
+            setSize: stimulus.setSize,
+            positive: stimulus.positive,
+            probePosition: stimulus.probePosition,
+            correct: correct,
+            reactionTime: reactionTime
+        });
+
+        this.endTrial();
+    }
+
+    handleTimeout() {
+        this.waitingForResponse = false;
+        const stimulus = this.currentStimulus;
+
+        this.logTrial(stimulus, false, null);
+        this.showFeedback('Too slow!', false);
+
+        this.testData.push({
+            type: 'timeout',
+            trial: stimulus.trialNumber,
+            timestamp: performance.now(),
+            relativeTime: performance.now() - this.startTime,
+            setSize: stimulus.setSize,
+            positive: stimulus.positive,
+            correct: false
+        });
+
+        this.endTrial();
+    }
+
+    logTrial(stimulus, correct, reactionTime) {
+        this.trialLog.push({
+            trial: stimulus.trialNumber,
+            setSize: stimulus.setSize,
+            positive: stimulus.positive,
+            probePosition: stimulus.probePosition,
+            correct: correct,
+            reactionTime: reactionTime
+        });
+        document.getElementById('correctCount').textContent = this.trialLog.filter(t => t.correct).length;
+    }
+
+    showFeedback(text, correct) {
+        const statusEl = document.getElementById('statusMessage');
+        statusEl.textContent = text;
+        statusEl.className = `status-message ${correct ? 'correct' : 'incorrect'}`;
+    }
+
+    endTrial() {
+        setTimeout(() => {
+            this.renderItem(null);
+            document.getElementById('sternbergItem').textContent = '+';
+            document.getElementById('statusMessage').textContent = '';
+            this.scheduleNextTrial();
+        }, this.feedbackDuration);
+    }
+
+    updateTimer() {
+        if (!this.isRunning) return;
+
+        const elapsed = Date.now() - this.startTime;
+        const remaining = Math.max(0, this.config.duration - elapsed);
+        const seconds = Math.floor(remaining / 1000);
+        const minutes = Math.floor(seconds / 60);
+        const secs = seconds % 60;
+
+        const timeDisplay = document.getElementById('timeRemaining');
+        if (timeDisplay) {
+            timeDisplay.textContent = `${minutes}:${secs.toString().padStart(2, '0')}`;
+        }
+
+        if (remaining > 0) {
+            setTimeout(() => this.updateTimer(), 100);
+        }
+    }
+
+    resetTrialState() {
+        super.resetTrialState();
+        clearTimeout(this.responseTimer);
+        this.currentStimulus = null;
+        this.waitingForResponse = false;
+        this.trialLog = [];
+    }
+
+    // === METRICS ===
+
+    meanRT(trials) {
+        const rts = trials.filter(t => t.correct && t.reactionTime > 100).map(t => t.reactionTime);
+        return rts.length > 0 ? rts.reduce((a, b) => a + b, 0) / rts.length : null;
+    }
+
+    accuracy(trials) {
+        return trials.length > 0 ? trials.filter(t => t.correct).length / trials.length * 100 : null;
+    }
+
+    // Least-squares line through [x, y] points; null with fewer than two x values
+    static regression(points) {
+        const xs = new Set(points.map(p => p[0]));
+        if (xs.size < 2) return null;
+
+        const meanX = points.reduce((sum, p) => sum + p[0], 0) / points.length;
+        const meanY = points.reduce((sum, p) => sum + p[1], 0) / points.length;
+        const sxy = points.reduce((sum, p) => sum + (p[0] - meanX) * (p[1] - meanY), 0);
+        const sxx = points.reduce((sum, p) => sum + (p[0] - meanX) ** 2, 0);
+        const slope = sxy / sxx;
+        return { slope: slope, intercept: meanY - slope * meanX };
+    }
+
+    // Mean correct RT at each set size, and the RT x set-size line through them
+    scanningFunction(trials) {
+        const bySetSize = {};
+        const points = [];
+        this.setSizes.slice().sort((a, b) => a - b).forEach(setSize => {
+            const rt = this.meanRT(trials.filter(t => t.setSize === setSize));
+            bySetSize[setSize] = rt;
+            if (rt !== null) points.push([setSize, rt]);
+        });
+        return { bySetSize: bySetSize, line: SternbergTest.regression(points) };
+    }
+
+    calculateMetrics() {
+        const positive = this.trialLog.filter(t => t.positive);
+        const negative = this.trialLog.filter(t => !t.positive);
+
+        const format = (value, digits = 2) => value !== null && value !== undefined ? value.toFixed(digits) : null;
+        const lineValue = (line, key) => format(line ? line[key] : null);
+
+        const all = this.scanningFunction(this.trialLog);
+        const yes = this.scanningFunction(positive);
+        const no = this.scanningFunction(negative);
+
+        const bySetSize = {};
+        Object.keys(all.bySetSize).forEach(setSize => {
+            const trials = this.trialLog.filter(t => t.setSize === Number(setSize));
+            bySetSize[setSize] = {
+                trials: trials.length,
+                accuracy: format(this.accuracy(trials)),
+                meanRT: format(all.bySetSize[setSize]),
+                positiveRT: format(yes.bySetSize[setSize]),
+                negativeRT: format(no.bySetSize[setSize])
+            };
+        });
+
+        return {
+            testName: 'Sternberg Memory Scanning',
+            totalTrials: this.currentTrial,
+            stimulusSet: this.stimulusSet,
+            accuracy: format(this.accuracy(this.trialLog)),
+            positiveAccuracy: format(this.accuracy(positive)),
+            negativeAccuracy: format(this.accuracy(negative)),
+            meanRT: format(this.meanRT(this.trialLog)),
+            // ms per item scanned, and the set-size-independent remainder
+            // (encoding and response)
+            scanningSlope: lineValue(all.line, 'slope'),
+            scanningIntercept: lineValue(all.line, 'intercept'),
+            positiveSlope: lineValue(yes.line, 'slope'),
+            positiveIntercept: lineValue(yes.line, 'intercept'),
+            negativeSlope: lineValue(no.line, 'slope'),
+            negativeIntercept: lineValue(no.line, 'intercept'),
+            // Around 1 for exhaustive scanning, around 2 for self-terminating
+            negativePositiveSlopeRatio: format(yes.line && no.line && yes.line.slope > 0 ?
+                no.line.slope / yes.line.slope : null),
+            bySetSize: bySetSize,
+            errors: this.trialLog.filter(t => !t.correct).length
+        };
+    }
+
+    destroy() {
+        super.destroy();
+        clearTimeout(this.responseTimer);
+    }
+}
+
+// === PLUGIN ===
+
+TestRegistry.register({
+    id: 'sternberg',
+    testClass: SternbergTest,
+    buttonConfigs: ['all_four'],
+    defaults: {
+        name: 'Sternberg Memory Scanning',
+        suite: null,
+        duration: 300000,       // 5 minutes
+        stimulusSet: 'digit',   // 'digit' or 'colour' (colour sets hold at most 3 of the 4 button colours)
+        setSizes: [1, 2, 3, 4, 5, 6],
+        targetProbability: 0.5, // Share of positive probes (probe was in the set)
+        stimulusDuration: 1000, // Per memory item
+        interStimulusInterval: 200,
+        retentionInterval: 2000,
+        responseWindow: 3000,
+        minInterval: 1000,      // Between trials
+        maxInterval: 1500,
+        buttonConfig: 'all_four',
+        description: 'Remember a short set of items, then answer whether a probe item was in the set',
+        cognitiveConstruct: 'Short-Term Memory Scanning'
+    },
+    parameters: {
+        targetTrials: { type: 'integer', minimum: 1, label: 'Target trials', step: 1 },
+        stimulusSet: { enum: ['digit', 'colour'] },
+        setSizes: { type: 'array', minItems: 1, items: { type: 'integer', minimum: 1, maximum: 6 } },
+        targetProbability: { type: 'number', minimum: 0, maximum: 1 },
+        stimulusDuration: { type: 'integer', minimum: 0, label: 'Stimulus duration (ms)', step: 100 },
+        interStimulusInterval: { type: 'integer', minimum: 0, label: 'ISI (ms)', step: 100 },
+        retentionInterval: { type: 'integer', minimum: 0, label: 'Retention interval (ms)', step: 100 },
+        responseWindow: { type: 'integer', minimum: 0, label: 'Response window (ms)', step: 100 },
+        minInterval: { type: 'integer', minimum: 0, label: 'Min ISI (ms)', step: 100 },
+        maxInterval: { type: 'integer', minimum: 0, label: 'Max ISI (ms)', step: 100 }
+    },
+    // Colour sets leave one of the four button colours for negative probes
+    validate: params => (params.stimulusSet === 'colour' && params.setSizes.some(size => size > 3) ?
+        ['setSizes cannot exceed 3 with the colour stimulus set'] : []),
+    metrics: {
+        accuracy: '%',
+        positiveAccuracy: '%',
+        negativeAccuracy: '%',
+        meanRT: 'ms',
+        scanningSlope: 'ms/item',
+        scanningIntercept: 'ms',
+        positiveSlope: 'ms/item',
+        positiveIntercept: 'ms',
+        negativeSlope: 'ms/item',
+        negativeIntercept: 'ms',
+        negativePositiveSlopeRatio: 'ratio',
+        errors: 'count'
+    },
+    summarize: metrics => ({
+        accuracy_percent: metrics.accuracy,
+        mean_rt_ms: metrics.meanRT
+    })
+});
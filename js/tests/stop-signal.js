@@ -0,0 +1,555 @@
+// js/tests/stop-signal.js - Stop-Signal Task with SSRT Estimation
+
+class StopSignalTest extends CognitionTestBase {
+    constructor(config, platform) {
+        super(config, platform);
+
+        // Go task: two-choice arrow discrimination on the outer buttons
+        this.directions = {
+            left: { arrow: '←', buttonIndex: 0, buttonName: 'Green Button 1' },
+            right: { arrow: '→', buttonIndex: 3, buttonName: 'Green Button 2' }
+        };
+
+        this.stopSignalProbability = config.stopSignalProbability ?? 0.25;
+        this.stopSignalModality = config.stopSignalModality || 'visual';  // 'visual' or 'auditory'
+        this.stopToneFrequency = 750;
+
+        // Stop-signal delay staircase: +step after a successful stop, -step
+        // after a failed one, converging on p(respond|signal) = 0.5
+        this.initialStopSignalDelay = config.initialStopSignalDelay ?? 250;
+        this.stopSignalDelayStep = config.stopSignalDelayStep || 50;
+
+        // Timing
+        this.stimulusDuration = config.stimulusDuration || 1500;  // Go response deadline
+        this.minInterval = config.minInterval || 1000;
+        this.maxInterval = config.maxInterval || 1500;
+        this.feedbackDuration = 500;
+
+        this.currentStimulus = null;
+        this.stimulusStartTime = null;
+        this.waitingForResponse = false;
+        this.stopSignalTimer = null;
+        this.stopSignalDelay = this.initialStopSignalDelay;
+
+        // One entry per completed trial:
+        // { trial, isStop, stopSignalDelay, responded, correct, reactionTime }
+        this.trialLog = [];
+    }
+
+    async setupLEDPatterns() {
+        await this.platform.setAllLEDs(false);
+    }
+
+    async runTest() {
+        const testContent = this.getDisplay();
+        const stopInstruction = this.stopSignalModality === 'auditory' ?
+            'If you hear a BEEP, do not press anything' :
+            'If the arrow turns RED, do not press anything';
+
+        testContent.innerHTML = `
+            <div class="stop-signal-test">
+                <div class="instruction-box">
+                    <h3>Press the button the arrow points to - as fast as you can</h3>
+                    <p>${stopInstruction}</p>
+                    <p class="sub-instruction">Don't wait for the stop signal - it won't always be possible to stop</p>
+                </div>
+
+                <div class="stop-keys">
+                    <div class="stop-key"><span class="key-symbol">←</span><span>${this.directions.left.buttonName}</span></div>
+                    <div class="stop-key"><span class="key-symbol">→</span><span>${this.directions.right.buttonName}</span></div>
+                </div>
+
+                <div class="stimulus-area">
+                    <div class="go-stimulus" id="goStimulus">+</div>
+                </div>
+
+                <div class="feedback-display" id="feedbackDisplay"></div>
+
+                <div class="test-stats">
+                    <div class="stat">
+                        <span class="stat-label">Trial:</span>
+                        <span class="stat-value" id="trialCount">0</span>
+                    </div>
+                    <div class="stat">
+                        <span class="stat-label">Time:</span>
+                        <span class="stat-value" id="timeRemaining"></span>
+                    </div>
+                </div>
+            </div>
+
+            <style>
+                .stop-signal-test {
+                    text-align: center;
+                    padding: 20px;
+                }
+
+                .instruction-box {
+                    background: rgba(255,255,255,0.1);
+                    padding: 15px;
+                    border-radius: 10px;
+                    margin-bottom: 20px;
+                }
+
+                .instruction-box h3 {
+                    margin: 0 0 10px 0;
+                    color: #fff;
+                    font-size: 1.3em;
+                }
+
+                .instruction-box p {
+                    margin: 0;
+                    color: rgba(255,255,255,0.8);
+                }
+
+                .instruction-box .sub-instruction {
+                    margin-top: 8px;
+                    font-size: 0.9em;
+                    font-style: italic;
+                }
+
+                .stop-keys {
+                    display: flex;
+                    justify-content: center;
+                    gap: 20px;
+                }
+
+                .stop-key {
+                    display: flex;
+                    flex-direction: column;
+                    align-items: center;
+                    gap: 5px;
+                    padding: 10px 15px;
+                    background: rgba(255,255,255,0.1);
+                    border-radius: 8px;
+                    min-width: 110px;
+                }
+
+                .key-symbol {
+                    font-size: 32px;
+                }
+
+                .stimulus-area {
+                    margin: 40px 0;
+                    min-height: 150px;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                }
+
+                .go-stimulus {
+                    font-size: 100px;
+                    color: #fff;
+                    transition: none;
+                }
+
+                .go-stimulus.stop {
+                    color: #ff6b6b;
+                }
+
+                .feedback-display {
+                    min-height: 40px;
+                    font-size: 1.3em;
+                    font-weight: bold;
+                }
+
+                .feedback-display.correct { color: #4ade80; }
+                .feedback-display.incorrect { color: #ff6b6b; }
+
+                .test-stats {
+                    display: flex;
+                    justify-content: center;
+                    gap: 30px;
+                    margin-top: 20px;
+                }
+
+                .stat {
+                    background: rgba(255,255,255,0.1);
+                    padding: 10px 20px;
+                    border-radius: 8px;
+                }
+
+                .stat-label {
+                    color: rgba(255,255,255,0.7);
+                    margin-right: 8px;
+                }
+
+                .stat-value {
+                    color: #fff;
+                    font-weight: bold;
+                    font-size: 1.2em;
+                }
+            </style>
+        `;
+
+        if (this.stopSignalModality === 'auditory' && !this.getAudioContext()) {
+            console.warn('Stop-signal: no audio context, falling back to visual stop signals');
+            this.stopSignalModality = 'visual';
+        }
+
+        this.updateTimer();
+        await this.platform.delay(1000);
+        this.scheduleNextStimulus();
+    }
+
+    scheduleNextStimulus() {
+        if (!this.isRunning) return;
+
+        const timeElapsed = Date.now() - this.startTime;
+        this.updatePracticeFeedback();
+        const nextTrial = this.getNextTrialSpec();
+        if (timeElapsed >= this.config.duration || !nextTrial) {
+            this.complete();
+            return;
+        }
+
+        setTimeout(() => {
+            if (this.isRunning) {
+                this.presentStimulus();
+            }
+        }, nextTrial.interval);
+    }
+
+    // The stop-signal delay is not part of the list - it depends on
+    // performance and is recorded per trial instead
+    generateTrialList(rng) {
+        const trials = [];
+        const count = this.config.targetTrials ||
+            this.estimateMaxTrials(this.minInterval + this.feedbackDuration);
+
+        for (let i = 1; i <= count; i++) {
+            trials.push({
+                trial: i,
+                interval: Math.round(rng.range(this.minInterval, this.maxInterval)),
+                direction: rng.chance(0.5) ? 'left' : 'right',
+                isStop: rng.chance(this.stopSignalProbability)
+            });
+        }
+
+        return trials;
+    }
+
+    async presentStimulus() {
+        this.currentTrial++;
+        document.getElementById('trialCount').textContent = this.currentTrial;
+
+        const spec = this.getTrialSpec();
+        const direction = this.directions[spec.direction];
+
+        this.currentStimulus = {
+            trialNumber: this.currentTrial,
+            direction: spec.direction,
+            correctButton: direction.buttonIndex,
+            isStop: spec.isStop,
+            stopSignalDelay: spec.isStop ? this.stopSignalDelay : null,
+            stopSignalOnset: null
+        };
+
+        const goStimulus = document.getElementById('goStimulus');
+        goStimulus.textContent = direction.arrow;
+        goStimulus.classList.remove('stop');
+        document.getElementById('feedbackDisplay').textContent = '';
+
+        this.stimulusStartTime = performance.now();
+        this.waitingForResponse = true;
+
+        this.testData.push({
+            type: 'stimulus',
+            trial: this.currentTrial,
+            timestamp: this.stimulusStartTime,
+            relativeTime: this.stimulusStartTime - this.startTime,
+            direction: spec.direction,
+            correctButton: direction.buttonIndex,
+            isStop: spec.isStop,
+            stopSignalDelay: this.currentStimulus.stopSignalDelay,
+            stopSignalModality: spec.isStop ? this.stopSignalModality : null
+        });
+
+        if (spec.isStop) {
+            this.scheduleStopSignal(this.currentStimulus);
+        }
+
+        // Only time out this trial - a quick response may already have moved on
+        const trialNumber = this.currentTrial;
+        setTimeout(() => {
+            if (this.waitingForResponse && this.currentStimulus.trialNumber === trialNumber) {
+                this.handleTimeout();
+            }
+        }, this.stimulusDuration);
+    }
+
+    scheduleStopSignal(stimulus) {
+        const onsetTime = this.stimulusStartTime + stimulus.stopSignalDelay;
+
+        if (this.stopSignalModality === 'auditory') {
+            // Scheduled on the audio clock now, so the tone is not late by a timer tick
+            stimulus.stopSignalOnset = this.scheduleTone(onsetTime, this.stopToneFrequency, 100);
+            return;
+        }
+
+        this.stopSignalTimer = setTimeout(() => {
+            this.stopSignalTimer = null;
+            if (!this.waitingForResponse || this.currentStimulus !== stimulus) return;
+            document.getElementById('goStimulus').classList.add('stop');
+            stimulus.stopSignalOnset = performance.now();
+        }, stimulus.stopSignalDelay);
+    }
+
+    clearStopSignal() {
+        if (this.stopSignalTimer) {
+            clearTimeout(this.stopSignalTimer);
+            this.stopSignalTimer = null;
+        }
+    }
+
+    // One-up/one-down tracking of the stop-signal delay
+    updateStopSignalDelay(stopped) {
+        const maxDelay = Math.max(0, this.stimulusDuration - this.stopSignalDelayStep);
+        const next = this.stopSignalDelay + (stopped ? this.stopSignalDelayStep : -this.stopSignalDelayStep);
+        this.stopSignalDelay = Math.min(maxDelay, Math.max(0, next));
+    }
+
+    async handleButtonPress(buttonIndex, timestamp, buttonData) {
+        if (this.dismissInstructions()) return;
+
+        if (!this.waitingForResponse) return;
+
+        this.waitingForResponse = false;
+        this.clearStopSignal();
+        const responseTime = timestamp;
+        const reactionTime = responseTime - this.stimulusStartTime;
+        const stimulus = this.currentStimulus;
+        const correctChoice = buttonIndex === stimulus.correctButton;
+        // Any press on a stop trial is a failed stop
+        const correct = !stimulus.isStop && correctChoice;
+
+        if (stimulus.isStop) {
+            this.updateStopSignalDelay(false);
+            this.showFeedback('Stop!', false);
+        } else {
+            this.showFeedback(correctChoice ? '✓' : '✗', correctChoice);
+        }
+
+        this.logTrial(stimulus, true, correct, correctChoice, reactionTime);
+
+        this.testData.push({
+            type: 'response',
+            trial: stimulus.trialNumber,
+            timestamp: responseTime,
+            relativeTime: responseTime - this.startTime,
+            button: buttonIndex,
+            direction: stimulus.direction,
+            isStop: stimulus.isStop,
+            stopSignalDelay: stimulus.stopSignalDelay,
+            // Press came before the stop signal was presented
+            beforeStopSignal: stimulus.isStop ?
+                stimulus.stopSignalOnset === null || responseTime < stimulus.stopSignalOnset : null,
+            correctChoice: correctChoice,
+            correct: correct,
+            reactionTime: reactionTime
+        });
+
+        this.endTrial();
+    }
+
+    handleTimeout() {
+        this.waitingForResponse = false;
+        this.clearStopSignal();
+        const stimulus = this.currentStimulus;
+
+        if (stimulus.isStop) {
+            this.updateStopSignalDelay(true);
+            this.showFeedback('✓ Stopped', true);
+        } else {
+            this.showFeedback('Too slow!', false);
+        }
+
+        this.logTrial(stimulus, false, stimulus.isStop, null, null);
+
+        this.testData.push({
+            type: stimulus.isStop ? 'no_response' : 'timeout',
+            trial: stimulus.trialNumber,
+            timestamp: performance.now(),
+            relativeTime: performance.now() - this.startTime,
+            direction: stimulus.direction,
+            isStop: stimulus.isStop,
+            stopSignalDelay: stimulus.stopSignalDelay,
+            correct: stimulus.isStop
+        });
+
+        this.endTrial();
+    }
+
+    logTrial(stimulus, responded, correct, correctChoice, reactionTime) {
+        this.trialLog.push({
+            trial: stimulus.trialNumber,
+            isStop: stimulus.isStop,
+            stopSignalDelay: stimulus.stopSignalDelay,
+            responded: responded,
+            correct: correct,
+            correctChoice: correctChoice,
+            reactionTime: reactionTime
+        });
+    }
+
+    showFeedback(text, correct) {
+        const feedbackDisplay = document.getElementById('feedbackDisplay');
+        feedbackDisplay.textContent = text;
+        feedbackDisplay.className = `feedback-display ${correct ? 'correct' : 'incorrect'}`;
+    }
+
+    endTrial() {
+        setTimeout(() => {
+            const goStimulus = document.getElementById('goStimulus');
+            goStimulus.textContent = '+';
+            goStimulus.classList.remove('stop');
+            document.getElementById('feedbackDisplay').textContent = '';
+            this.scheduleNextStimulus();
+        }, this.feedbackDuration);
+    }
+
+    updateTimer() {
+        if (!this.isRunning) return;
+
+        const elapsed = Date.now() - this.startTime;
+        const remaining = Math.max(0, this.config.duration - elapsed);
+        const seconds = Math.floor(remaining / 1000);
+        const minutes = Math.floor(seconds / 60);
+        const secs = seconds % 60;
+
+        const timeDisplay = document.getElementById('timeRemaining');
+        if (timeDisplay) {
+            timeDisplay.textContent = `${minutes}:${secs.toString().padStart(2, '0')}`;
+        }
+
+        if (remaining > 0) {
+            setTimeout(() => this.updateTimer(), 100);
+        }
+    }
+
+    resetTrialState() {
+        super.resetTrialState();
+        this.clearStopSignal();
+        this.currentStimulus = null;
+        this.waitingForResponse = false;
+        this.stopSignalDelay = this.initialStopSignalDelay;
+        this.trialLog = [];
+    }
+
+    // === METRICS ===
+
+    /**
+     * SSRT by the integration method with go omissions replaced by the
+     * slowest go RT (Verbruggen et al., 2019): the nth go RT, where n is
+     * p(respond|signal) times the number of go trials, minus the mean SSD.
+     */
+    static integrationSSRT(goTrials, stopTrials) {
+        const goRTs = goTrials.filter(t => t.responded).map(t => t.reactionTime);
+        if (goRTs.length === 0 || stopTrials.length === 0) return null;
+
+        const maxRT = Math.max(...goRTs);
+        const distribution = goTrials
+            .map(t => t.responded ? t.reactionTime : maxRT)
+            .sort((a, b) => a - b);
+
+        const pRespond = stopTrials.filter(t => t.responded).length / stopTrials.length;
+        const index = Math.min(distribution.length - 1,
+            Math.max(0, Math.ceil(pRespond * distribution.length) - 1));
+        const meanSSD = stopTrials.reduce((sum, t) => sum + t.stopSignalDelay, 0) / stopTrials.length;
+
+        return distribution[index] - meanSSD;
+    }
+
+    calculateMetrics() {
+        const goTrials = this.trialLog.filter(t => !t.isStop);
+        const stopTrials = this.trialLog.filter(t => t.isStop);
+        const signalRespond = stopTrials.filter(t => t.responded);
+
+        const mean = values => values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+        const rate = (count, total) => total > 0 ? count / total * 100 : null;
+        const format = (value, digits = 2) => value !== null ? value.toFixed(digits) : null;
+
+        // Go RT includes choice errors, as the race model assumes
+        const goRT = mean(goTrials.filter(t => t.responded).map(t => t.reactionTime));
+        const signalRespondRT = mean(signalRespond.map(t => t.reactionTime));
+        const pRespondSignal = stopTrials.length > 0 ? signalRespond.length / stopTrials.length : null;
+
+        // The race model needs failed stops to be faster than go responses;
+        // if they are not, the SSRT estimate should not be used
+        const raceModelViolation = goRT !== null && signalRespondRT !== null ?
+            signalRespondRT >= goRT : null;
+
+        return {
+            testName: 'Stop-Signal Task',
+            totalTrials: this.currentTrial,
+            stopSignalModality: this.stopSignalModality,
+            goTrials: goTrials.length,
+            stopTrials: stopTrials.length,
+            goRT: format(goRT),
+            goAccuracy: format(rate(goTrials.filter(t => t.correct).length,
+                goTrials.filter(t => t.responded).length)),
+            goOmissionRate: format(rate(goTrials.filter(t => !t.responded).length, goTrials.length)),
+            goChoiceErrorRate: format(rate(goTrials.filter(t => t.responded && !t.correctChoice).length,
+                goTrials.length)),
+            pRespondSignal: format(pRespondSignal, 3),
+            meanSSD: format(mean(stopTrials.map(t => t.stopSignalDelay))),
+            signalRespondRT: format(signalRespondRT),
+            ssrt: format(StopSignalTest.integrationSSRT(goTrials, stopTrials)),
+            raceModelViolation: raceModelViolation
+        };
+    }
+
+    destroy() {
+        super.destroy();
+        this.clearStopSignal();
+    }
+}
+
+// === PLUGIN ===
+
+TestRegistry.register({
+    id: 'stop-signal',
+    testClass: StopSignalTest,
+    buttonConfigs: ['all_four'],
+    defaults: {
+        name: 'Stop-Signal Task',
+        suite: null,
+        duration: 240000,       // 4 minutes
+        targetTrials: 96,
+        stopSignalProbability: 0.25,
+        stopSignalModality: 'visual',   // 'visual' (arrow turns red) or 'auditory' (beep)
+        initialStopSignalDelay: 250,    // Tracked 1-up/1-down from here
+        stopSignalDelayStep: 50,
+        stimulusDuration: 1500, // Go response deadline
+        minInterval: 1000,
+        maxInterval: 1500,
+        buttonConfig: 'all_four',
+        description: 'Press the button the arrow points to, but stop yourself when the stop signal appears',
+        cognitiveConstruct: 'Response Inhibition (Action Cancellation)'
+    },
+    parameters: {
+        targetTrials: { type: 'integer', minimum: 1, label: 'Target trials', step: 1 },
+        stopSignalProbability: { type: 'number', minimum: 0, maximum: 1, label: 'Stop-signal probability', step: 0.05 },
+        stopSignalModality: { enum: ['visual', 'auditory'] },
+        initialStopSignalDelay: { type: 'integer', minimum: 0, label: 'Initial stop-signal delay (ms)', step: 50 },
+        stopSignalDelayStep: { type: 'integer', minimum: 1, label: 'SSD step (ms)', step: 10 },
+        stimulusDuration: { type: 'integer', minimum: 0, label: 'Stimulus duration (ms)', step: 100 },
+        minInterval: { type: 'integer', minimum: 0, label: 'Min ISI (ms)', step: 100 },
+        maxInterval: { type: 'integer', minimum: 0, label: 'Max ISI (ms)', step: 100 }
+    },
+    validate: params => (params.initialStopSignalDelay >= params.stimulusDuration ?
+        [`initialStopSignalDelay (${params.initialStopSignalDelay}) must be shorter than stimulusDuration (${params.stimulusDuration})`] : []),
+    metrics: {
+        goRT: 'ms',
+        goAccuracy: '%',
+        goOmissionRate: '%',
+        goChoiceErrorRate: '%',
+        pRespondSignal: 'proportion',
+        meanSSD: 'ms',
+        signalRespondRT: 'ms',
+        ssrt: 'ms',
+        raceModelViolation: 'flag'
+    },
+    summarize: metrics => ({
+        mean_rt_ms: metrics.goRT
+    })
+});
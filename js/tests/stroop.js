@@ -43,14 +43,14 @@ class StroopTest extends CognitionTestBase {
             neutral: 'neutral'          // Neutral stimulus (colored shape)
         };
         
-        this.currentTrial = null;
+        this.currentStimulus = null;
         this.stimulusStartTime = null;
         this.waitingForResponse = false;
         
         // Timing
-        this.stimulusDuration = 3000; // 3 seconds to respond
-        this.minInterval = 800;
-        this.maxInterval = 1500;
+        this.stimulusDuration = config.stimulusDuration || 2500; // Time to respond; adaptive
+        this.minInterval = config.minInterval ?? 500;
+        this.maxInterval = config.maxInterval ?? 1000;
         
         // Performance tracking by condition
         this.congruentCorrect = 0;
@@ -65,20 +65,27 @@ class StroopTest extends CognitionTestBase {
         this.neutralIncorrect = 0;
         this.neutralRTs = [];
         
-        // Trial distribution (equal)
-        this.trialTypeDistribution = [
-            this.trialTypes.congruent,
-            this.trialTypes.incongruent,
-            this.trialTypes.neutral
-        ];
+        // Trial type proportions, keyed by trial type
+        this.trialTypeDistribution = config.trialTypes || {
+            congruent: 0.33,
+            incongruent: 0.34,
+            neutral: 0.33
+        };
     }
 
     async setupLEDPatterns() {
         await this.platform.setAllLEDs(false);
     }
 
+    // Shorter response deadlines make the colour harder to name in time
+    getAdaptiveParameters() {
+        return {
+            stimulusDuration: { min: 400, max: 4000, step: 100, harder: 'decrease' }
+        };
+    }
+
     async runTest() {
-        const testContent = document.getElementById('testContent');
+        const testContent = this.getDisplay();
         testContent.innerHTML = `
             <div class="stroop-test">
                 <div class="instruction-box">
@@ -423,12 +430,14 @@ class StroopTest extends CognitionTestBase {
         if (!this.isRunning) return;
         
         const timeElapsed = Date.now() - this.startTime;
-        if (timeElapsed >= this.config.duration) {
+        this.updatePracticeFeedback();
+        const nextTrial = this.getNextTrialSpec();
+        if (timeElapsed >= this.config.duration || !nextTrial) {
             this.complete();
             return;
         }
 
-        const interval = Math.random() * (this.maxInterval - this.minInterval) + this.minInterval;
+        const interval = nextTrial.interval;
         
         setTimeout(() => {
             if (this.isRunning) {
@@ -437,51 +446,71 @@ class StroopTest extends CognitionTestBase {
         }, interval);
     }
 
-    async presentStimulus() {
-        this.currentTrial++;
-        document.getElementById('trialCount').textContent = this.currentTrial;
-        
-        // Randomly select trial type
-        const trialType = this.trialTypeDistribution[
-            Math.floor(Math.random() * this.trialTypeDistribution.length)
-        ];
+    generateTrialList(rng) {
+        const trials = [];
+        const count = this.config.targetTrials || this.estimateMaxTrials(this.minInterval);
         
-        // Generate stimulus based on trial type
-        let word, inkColor, correctButton;
-        
-        if (trialType === this.trialTypes.congruent) {
-            // Word matches ink color
-            const color = this.colorMappings[Math.floor(Math.random() * this.colorMappings.length)];
-            word = color.name;
-            inkColor = color.rgb;
-            correctButton = color.buttonIndex;
+        for (let i = 1; i <= count; i++) {
+            // Trial type in the configured proportions
+            const trialType = rng.weighted(this.trialTypeDistribution);
             
-        } else if (trialType === this.trialTypes.incongruent) {
-            // Word conflicts with ink color
-            const wordColor = this.colorMappings[Math.floor(Math.random() * this.colorMappings.length)];
-            let inkColorObj;
-            do {
-                inkColorObj = this.colorMappings[Math.floor(Math.random() * this.colorMappings.length)];
-            } while (inkColorObj.buttonIndex === wordColor.buttonIndex);
+            // Generate stimulus based on trial type
+            let word, inkColor, correctButton;
             
-            word = wordColor.name;
-            inkColor = inkColorObj.rgb;
-            correctButton = inkColorObj.buttonIndex;
+            if (trialType === this.trialTypes.congruent) {
+                // Word matches ink color
+                const color = rng.pick(this.colorMappings);
+                word = color.name;
+                inkColor = color.rgb;
+                correctButton = color.buttonIndex;
+                
+            } else if (trialType === this.trialTypes.incongruent) {
+                // Word conflicts with ink color
+                const wordColor = rng.pick(this.colorMappings);
+                const inkColorObj = rng.pick(this.colorMappings.filter(c => c.name !== wordColor.name));
+                
+                word = wordColor.name;
+                inkColor = inkColorObj.rgb;
+                correctButton = inkColorObj.buttonIndex;
+                
+            } else {
+                // Neutral - show colored shape (XXXX)
+                const color = rng.pick(this.colorMappings);
+                word = '████';
+                inkColor = color.rgb;
+                correctButton = color.buttonIndex;
+            }
             
-        } else {
-            // Neutral - show colored shape (XXXX)
-            const color = this.colorMappings[Math.floor(Math.random() * this.colorMappings.length)];
-            word = '████';
-            inkColor = color.rgb;
-            correctButton = color.buttonIndex;
+            trials.push({
+                trial: i,
+                interval: Math.round(rng.range(this.minInterval, this.maxInterval)),
+                type: trialType,
+                word: word,
+                inkColor: inkColor,
+                correctButton: correctButton
+            });
         }
         
-        this.currentTrial = {
+        return trials;
+    }
+
+    async presentStimulus() {
+        this.currentTrial++;
+        document.getElementById('trialCount').textContent = this.currentTrial;
+        
+        // Stimulus from the pre-generated list
+        const spec = this.getTrialSpec();
+        const { type: trialType, word, inkColor, correctButton } = spec;
+        
+        const stimulusDuration = this.adaptiveValue('stimulusDuration', this.stimulusDuration);
+        
+        this.currentStimulus = {
             trialNumber: this.currentTrial,
             type: trialType,
             word: word,
             inkColor: inkColor,
-            correctButton: correctButton
+            correctButton: correctButton,
+            stimulusDuration: stimulusDuration
         };
         
         this.stimulusStartTime = performance.now();
@@ -504,36 +533,40 @@ class StroopTest extends CognitionTestBase {
         // Record stimulus
         this.testData.push({
             type: 'stimulus',
-            trial: this.currentTrial.trialNumber,
+            trial: this.currentStimulus.trialNumber,
             timestamp: this.stimulusStartTime,
             relativeTime: this.stimulusStartTime - this.startTime,
             trialType: trialType,
             word: word,
             inkColorRGB: inkColor,
-            correctButton: correctButton
+            correctButton: correctButton,
+            stimulusDuration: stimulusDuration
         });
         
         // Timeout if no response
+        const trialNumber = this.currentTrial;
         setTimeout(() => {
-            if (this.waitingForResponse) {
+            if (this.waitingForResponse && this.currentTrial === trialNumber) {
                 this.handleTimeout();
             }
-        }, this.stimulusDuration);
+        }, stimulusDuration);
     }
 
     async handleButtonPress(buttonIndex, timestamp, buttonData) {
+        if (this.dismissInstructions()) return;
+        
         if (!this.waitingForResponse) return;
         
         this.waitingForResponse = false;
         const responseTime = timestamp;
         const reactionTime = responseTime - this.stimulusStartTime;
         
-        const correct = buttonIndex === this.currentTrial.correctButton;
+        const correct = buttonIndex === this.currentStimulus.correctButton;
         
         const feedbackDisplay = document.getElementById('feedbackDisplay');
         
         // Turn off LED
-        await this.platform.setLED(this.currentTrial.correctButton + 1, false);
+        await this.platform.setLED(this.currentStimulus.correctButton + 1, false);
         
         if (correct) {
             feedbackDisplay.textContent = `✓ Correct! ${reactionTime.toFixed(0)}ms`;
@@ -541,10 +574,10 @@ class StroopTest extends CognitionTestBase {
             await this.platform.flashLED(buttonIndex + 1, 1, 100);
             
             // Record by condition
-            if (this.currentTrial.type === this.trialTypes.congruent) {
+            if (this.currentStimulus.type === this.trialTypes.congruent) {
                 this.congruentCorrect++;
                 this.congruentRTs.push(reactionTime);
-            } else if (this.currentTrial.type === this.trialTypes.incongruent) {
+            } else if (this.currentStimulus.type === this.trialTypes.incongruent) {
                 this.incongruentCorrect++;
                 this.incongruentRTs.push(reactionTime);
             } else {
@@ -558,26 +591,28 @@ class StroopTest extends CognitionTestBase {
             await this.platform.flashLED(2, 2, 100); // Red LED flash
             
             // Record by condition
-            if (this.currentTrial.type === this.trialTypes.congruent) {
+            if (this.currentStimulus.type === this.trialTypes.congruent) {
                 this.congruentIncorrect++;
-            } else if (this.currentTrial.type === this.trialTypes.incongruent) {
+            } else if (this.currentStimulus.type === this.trialTypes.incongruent) {
                 this.incongruentIncorrect++;
             } else {
                 this.neutralIncorrect++;
             }
         }
         
+        this.updateStaircase(correct);
+        
         // Update statistics
         this.updateStatistics();
         
         // Record response
         this.testData.push({
             type: 'response',
-            trial: this.currentTrial.trialNumber,
+            trial: this.currentStimulus.trialNumber,
             timestamp: responseTime,
             relativeTime: responseTime - this.startTime,
             button: buttonIndex,
-            trialType: this.currentTrial.type,
+            trialType: this.currentStimulus.type,
             correct: correct,
             reactionTime: reactionTime
         });
@@ -599,26 +634,27 @@ class StroopTest extends CognitionTestBase {
         feedbackDisplay.className = 'feedback-display incorrect';
         
         // Turn off LED
-        await this.platform.setLED(this.currentTrial.correctButton + 1, false);
+        await this.platform.setLED(this.currentStimulus.correctButton + 1, false);
         
         // Count as incorrect for the condition
-        if (this.currentTrial.type === this.trialTypes.congruent) {
+        if (this.currentStimulus.type === this.trialTypes.congruent) {
             this.congruentIncorrect++;
-        } else if (this.currentTrial.type === this.trialTypes.incongruent) {
+        } else if (this.currentStimulus.type === this.trialTypes.incongruent) {
             this.incongruentIncorrect++;
         } else {
             this.neutralIncorrect++;
         }
         
+        this.updateStaircase(false);
         this.updateStatistics();
         
         // Record timeout
         this.testData.push({
             type: 'timeout',
-            trial: this.currentTrial.trialNumber,
+            trial: this.currentStimulus.trialNumber,
             timestamp: performance.now(),
             relativeTime: performance.now() - this.startTime,
-            trialType: this.currentTrial.type
+            trialType: this.currentStimulus.type
         });
         
         setTimeout(() => {
@@ -697,6 +733,21 @@ class StroopTest extends CognitionTestBase {
         }
     }
 
+    resetTrialState() {
+        super.resetTrialState();
+        this.currentStimulus = null;
+        this.waitingForResponse = false;
+        this.congruentCorrect = 0;
+        this.congruentIncorrect = 0;
+        this.congruentRTs = [];
+        this.incongruentCorrect = 0;
+        this.incongruentIncorrect = 0;
+        this.incongruentRTs = [];
+        this.neutralCorrect = 0;
+        this.neutralIncorrect = 0;
+        this.neutralRTs = [];
+    }
+
     calculateMetrics() {
         const congruentTotal = this.congruentCorrect + this.congruentIncorrect;
         const incongruentTotal = this.incongruentCorrect + this.incongruentIncorrect;
@@ -740,3 +791,64 @@ class StroopTest extends CognitionTestBase {
         };
     }
 }
+
+// === PLUGIN ===
+
+TestRegistry.register({
+    id: 'stroop',
+    testClass: StroopTest,
+    buttonConfigs: ['all_four'],
+    defaults: {
+        name: 'Stroop Test',
+        suite: 'reaction-inhibition',
+        duration: 90000,        // 1.5 minutes
+        targetTrials: 36,       // ~2.5 sec per trial
+        trialTypes: {
+            congruent: 0.33,    // Word matches color
+            incongruent: 0.34,  // Word conflicts with color
+            neutral: 0.33       // Colored rectangles
+        },
+        stimulusDuration: 2500,
+        minInterval: 500,
+        maxInterval: 1000,
+        practice: {
+            trials: 8,
+            criterion: 0.75,    // Repeat practice until 75% correct...
+            maxBlocks: 3        // ...up to 3 times
+        },
+        buttonConfig: 'all_four',
+        description: 'Press the button matching the COLOR of the text, ignore what the word says',
+        cognitiveConstruct: 'Cognitive Control / Selective Attention'
+    },
+    parameters: {
+        targetTrials: { type: 'integer', minimum: 1, label: 'Target trials', step: 1 },
+        trialTypes: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                congruent: { type: 'number', minimum: 0, maximum: 1 },
+                incongruent: { type: 'number', minimum: 0, maximum: 1 },
+                neutral: { type: 'number', minimum: 0, maximum: 1 }
+            }
+        },
+        stimulusDuration: { type: 'integer', minimum: 0, label: 'Stimulus duration (ms)', step: 100 },
+        minInterval: { type: 'integer', minimum: 0, label: 'Min ISI (ms)', step: 100 },
+        maxInterval: { type: 'integer', minimum: 0, label: 'Max ISI (ms)', step: 100 }
+    },
+    validate: params => {
+        const total = Object.values(params.trialTypes).reduce((sum, p) => sum + p, 0);
+        return Math.abs(total - 1) > 0.01 ?
+            [`trialTypes proportions must add up to 1 (got ${total.toFixed(2)})`] : [];
+    },
+    metrics: {
+        congruentAccuracy: '%',
+        incongruentAccuracy: '%',
+        neutralAccuracy: '%',
+        congruentAvgRT: 'ms',
+        incongruentAvgRT: 'ms',
+        neutralAvgRT: 'ms',
+        stroopEffect: 'ms',
+        facilitationEffect: 'ms',
+        interferencePercent: '%'
+    }
+});
@@ -0,0 +1,589 @@
+// js/tests/task-switching.js - Cued Task-Switching Test (Parity / Magnitude)
+
+class TaskSwitchingTest extends CognitionTestBase {
+    constructor(config, platform) {
+        super(config, platform);
+
+        // Each task has its own pair of buttons, so a press on the other
+        // task's pair is recorded as a task-set error rather than a slip
+        this.tasks = {
+            parity: {
+                cue: 'ODD / EVEN',
+                rgb: '#60a5fa',
+                buttons: { odd: 0, even: 1 },
+                answer: digit => digit % 2 === 1 ? 'odd' : 'even'
+            },
+            magnitude: {
+                cue: 'LOW / HIGH',
+                rgb: '#fbbf24',
+                buttons: { low: 2, high: 3 },
+                answer: digit => digit < 5 ? 'low' : 'high'
+            }
+        };
+        this.digits = [1, 2, 3, 4, 6, 7, 8, 9];
+
+        // 'parity' and 'magnitude' are single-task (pure) blocks, 'mixed'
+        // alternates between them under the cue
+        this.blocks = config.blocks || ['parity', 'magnitude', 'mixed', 'mixed', 'magnitude', 'parity'];
+        this.trialsPerBlock = config.trialsPerBlock || 16;
+        this.switchProbability = config.switchProbability ?? 0.5;
+        this.cueTargetInterval = config.cueTargetInterval ?? 600;
+
+        // Timing
+        this.stimulusDuration = config.stimulusDuration || 3000;  // Response deadline
+        this.minInterval = config.minInterval || 400;
+        this.maxInterval = config.maxInterval || 800;
+        this.blockBreak = config.blockBreak || 4000;
+        this.feedbackDuration = 500;
+
+        this.currentStimulus = null;
+        this.stimulusStartTime = null;
+        this.waitingForResponse = false;
+
+        // One entry per completed trial:
+        // { trial, block, task, transition, correct, taskError, reactionTime, previousCorrect }
+        this.trialLog = [];
+    }
+
+    async setupLEDPatterns() {
+        await this.platform.setAllLEDs(false);
+    }
+
+    async runTest() {
+        const testContent = this.getDisplay();
+        testContent.innerHTML = `
+            <div class="task-switching-test">
+                <div class="instruction-box">
+                    <h3 id="blockInstruction">Get ready...</h3>
+                    <p>The word above the number tells you which question to answer</p>
+                </div>
+
+                <div class="task-keys">
+                    <div class="task-key-group" style="border-color: ${this.tasks.parity.rgb}">
+                        <span class="task-key-title" style="color: ${this.tasks.parity.rgb}">ODD / EVEN</span>
+                        <span>Button 1: Odd &nbsp;·&nbsp; Button 2: Even</span>
+                    </div>
+                    <div class="task-key-group" style="border-color: ${this.tasks.magnitude.rgb}">
+                        <span class="task-key-title" style="color: ${this.tasks.magnitude.rgb}">LOW / HIGH</span>
+                        <span>Button 3: Below 5 &nbsp;·&nbsp; Button 4: Above 5</span>
+                    </div>
+                </div>
+
+                <div class="stimulus-area">
+                    <div class="task-cue" id="taskCue"></div>
+                    <div class="task-digit" id="taskDigit">+</div>
+                </div>
+
+                <div class="feedback-display" id="feedbackDisplay"></div>
+
+                <div class="test-stats">
+                    <div class="stat">
+                        <span class="stat-label">Block:</span>
+                        <span class="stat-value" id="blockCount">0</span>
+                    </div>
+                    <div class="stat">
+                        <span class="stat-label">Trial:</span>
+                        <span class="stat-value" id="trialCount">0</span>
+                    </div>
+                    <div class="stat">
+                        <span class="stat-label">Time:</span>
+                        <span class="stat-value" id="timeRemaining"></span>
+                    </div>
+                </div>
+            </div>
+
+            <style>
+                .task-switching-test {
+                    text-align: center;
+                    padding: 20px;
+                }
+
+                .instruction-box {
+                    background: rgba(255,255,255,0.1);
+                    padding: 15px;
+                    border-radius: 10px;
+                    margin-bottom: 20px;
+                }
+
+                .instruction-box h3 {
+                    margin: 0 0 10px 0;
+                    color: #fff;
+                    font-size: 1.3em;
+                }
+
+                .instruction-box p {
+                    margin: 0;
+                    color: rgba(255,255,255,0.8);
+                }
+
+                .task-keys {
+                    display: flex;
+                    justify-content: center;
+                    gap: 20px;
+                    flex-wrap: wrap;
+                }
+
+                .task-key-group {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 5px;
+                    padding: 10px 15px;
+                    background: rgba(255,255,255,0.1);
+                    border: 2px solid;
+                    border-radius: 8px;
+                }
+
+                .task-key-title {
+                    font-weight: bold;
+                    font-size: 1.1em;
+                }
+
+                .stimulus-area {
+                    margin: 30px 0;
+                    min-height: 180px;
+                    display: flex;
+                    flex-direction: column;
+                    align-items: center;
+                    justify-content: center;
+                    gap: 10px;
+                }
+
+                .task-cue {
+                    min-height: 40px;
+                    font-size: 1.8em;
+                    font-weight: bold;
+                }
+
+                .task-digit {
+                    font-size: 96px;
+                    font-weight: bold;
+                    color: #fff;
+                }
+
+                .feedback-display {
+                    min-height: 40px;
+                    font-size: 1.3em;
+                    font-weight: bold;
+                }
+
+                .feedback-display.correct { color: #4ade80; }
+                .feedback-display.incorrect { color: #ff6b6b; }
+
+                .test-stats {
+                    display: flex;
+                    justify-content: center;
+                    gap: 30px;
+                    margin-top: 20px;
+                }
+
+                .stat {
+                    background: rgba(255,255,255,0.1);
+                    padding: 10px 20px;
+                    border-radius: 8px;
+                }
+
+                .stat-label {
+                    color: rgba(255,255,255,0.7);
+                    margin-right: 8px;
+                }
+
+                .stat-value {
+                    color: #fff;
+                    font-weight: bold;
+                    font-size: 1.2em;
+                }
+            </style>
+        `;
+
+        this.updateTimer();
+        await this.platform.delay(1000);
+        this.scheduleNextTrial();
+    }
+
+    generateTrialList(rng) {
+        const trials = [];
+        const taskNames = Object.keys(this.tasks);
+
+        this.blocks.forEach((blockType, blockIndex) => {
+            let previousTask = null;
+
+            for (let i = 0; i < this.trialsPerBlock; i++) {
+                let task;
+                let transition;
+                if (blockType !== 'mixed') {
+                    task = blockType;
+                    transition = 'pure';
+                } else if (previousTask === null) {
+                    // First mixed trial has no preceding task to switch from
+                    task = rng.pick(taskNames);
+                    transition = 'first';
+                } else if (rng.chance(this.switchProbability)) {
+                    task = taskNames.find(name => name !== previousTask);
+                    transition = 'switch';
+                } else {
+                    task = previousTask;
+                    transition = 'repeat';
+                }
+                previousTask = task;
+
+                const digit = rng.pick(this.digits);
+                const answer = this.tasks[task].answer(digit);
+
+                trials.push({
+                    trial: trials.length + 1,
+                    block: blockIndex + 1,
+                    blockType: blockType,
+                    interval: Math.round(rng.range(this.minInterval, this.maxInterval)),
+                    task: task,
+                    transition: transition,
+                    digit: digit,
+                    correctButton: this.tasks[task].buttons[answer]
+                });
+            }
+        });
+
+        return trials;
+    }
+
+    scheduleNextTrial() {
+        if (!this.isRunning) return;
+
+        const timeElapsed = Date.now() - this.startTime;
+        this.updatePracticeFeedback();
+        const nextTrial = this.getNextTrialSpec();
+        if (timeElapsed >= this.config.duration || !nextTrial) {
+            this.complete();
+            return;
+        }
+
+        const previous = this.getTrialSpec();
+        const delay = !previous || previous.block !== nextTrial.block ?
+            this.startBlock(nextTrial) : nextTrial.interval;
+
+        setTimeout(() => {
+            if (this.isRunning) {
+                this.presentCue();
+            }
+        }, delay);
+    }
+
+    // Tell the participant which task(s) the coming block needs and return
+    // how long to wait before its first trial
+    startBlock(spec) {
+        const instructions = {
+            parity: 'ODD / EVEN only - buttons 1 and 2',
+            magnitude: 'LOW / HIGH only - buttons 3 and 4',
+            mixed: 'MIXED - follow the word above each number'
+        };
+
+        document.getElementById('blockCount').textContent = spec.block;
+        document.getElementById('blockInstruction').textContent = instructions[spec.blockType];
+
+        this.testData.push({
+            type: 'block_start',
+            trial: spec.trial,
+            timestamp: performance.now(),
+            relativeTime: performance.now() - this.startTime,
+            block: spec.block,
+            blockType: spec.blockType
+        });
+
+        return this.blockBreak;
+    }
+
+    // === TRIAL ===
+
+    presentCue() {
+        this.currentTrial++;
+        document.getElementById('trialCount').textContent = this.currentTrial;
+
+        const spec = this.getTrialSpec();
+        const previous = this.trialLog[this.trialLog.length - 1] || null;
+        const task = this.tasks[spec.task];
+
+        this.currentStimulus = {
+            trialNumber: this.currentTrial,
+            block: spec.block,
+            blockType: spec.blockType,
+            task: spec.task,
+            transition: spec.transition,
+            digit: spec.digit,
+            correctButton: spec.correctButton,
+            // Previous trial in the same block, for excluding post-error trials
+            previousCorrect: previous && previous.block === spec.block ? previous.correct : null
+        };
+
+        const cue = document.getElementById('taskCue');
+        cue.textContent = task.cue;
+        cue.style.color = task.rgb;
+        document.getElementById('taskDigit').textContent = '';
+        document.getElementById('feedbackDisplay').textContent = '';
+
+        const cueTime = performance.now();
+        this.testData.push({
+            type: 'trial_start',
+            trial: this.currentTrial,
+            timestamp: cueTime,
+            relativeTime: cueTime - this.startTime,
+            block: spec.block,
+            task: spec.task,
+            transition: spec.transition,
+            cueTargetInterval: this.cueTargetInterval
+        });
+
+        const trialNumber = this.currentTrial;
+        setTimeout(() => {
+            if (this.isRunning && this.currentStimulus.trialNumber === trialNumber) {
+                this.presentTarget();
+            }
+        }, this.cueTargetInterval);
+    }
+
+    presentTarget() {
+        const stimulus = this.currentStimulus;
+        document.getElementById('taskDigit').textContent = stimulus.digit;
+
+        this.stimulusStartTime = performance.now();
+        this.waitingForResponse = true;
+
+        this.testData.push({
+            type: 'stimulus',
+            trial: stimulus.trialNumber,
+            timestamp: this.stimulusStartTime,
+            relativeTime: this.stimulusStartTime - this.startTime,
+            block: stimulus.block,
+            blockType: stimulus.blockType,
+            task: stimulus.task,
+            transition: stimulus.transition,
+            digit: stimulus.digit,
+            correctButton: stimulus.correctButton
+        });
+
+        // Only time out this trial - a quick response may already have moved on
+        const trialNumber = stimulus.trialNumber;
+        setTimeout(() => {
+            if (this.waitingForResponse && this.currentStimulus.trialNumber === trialNumber) {
+                this.handleTimeout();
+            }
+        }, this.stimulusDuration);
+    }
+
+    async handleButtonPress(buttonIndex, timestamp, buttonData) {
+        if (this.dismissInstructions()) return;
+
+        if (!this.waitingForResponse) return;
+
+        this.waitingForResponse = false;
+        const responseTime = timestamp;
+        const reactionTime = responseTime - this.stimulusStartTime;
+        const stimulus = this.currentStimulus;
+        const correct = buttonIndex === stimulus.correctButton;
+        // Answered the other task's question instead of the cued one
+        const taskError = !Object.values(this.tasks[stimulus.task].buttons).includes(buttonIndex);
+
+        this.logTrial(stimulus, correct, taskError, reactionTime);
+        this.showFeedback(correct ? '✓' : '✗', correct);
+
+        this.testData.push({
+            type: 'response',
+            trial: stimulus.trialNumber,
+            timestamp: responseTime,
+            relativeTime: responseTime - this.startTime,
+            button: buttonIndex,
+            block: stimulus.block,
+            blockType: stimulus.blockType,
+            task: stimulus.task,
+            transition: stimulus.transition,
+            digit: stimulus.digit,
+            correctButton: stimulus.correctButton,
+            previousCorrect: stimulus.previousCorrect,
+            correct: correct,
+            taskError: taskError,
+            reactionTime: reactionTime
+        });
+
+        this.endTrial();
+    }
+
+    handleTimeout() {
+        this.waitingForResponse = false;
+        const stimulus = this.currentStimulus;
+
+        this.logTrial(stimulus, false, false, null);
+        this.showFeedback('Too slow!', false);
+
+        this.testData.push({
+            type: 'timeout',
+            trial: stimulus.trialNumber,
+            timestamp: performance.now(),
+            relativeTime: performance.now() - this.startTime,
+            block: stimulus.block,
+            blockType: stimulus.blockType,
+            task: stimulus.task,
+            transition: stimulus.transition,
+            previousCorrect: stimulus.previousCorrect
+        });
+
+        this.endTrial();
+    }
+
+    logTrial(stimulus, correct, taskError, reactionTime) {
+        this.trialLog.push({
+            trial: stimulus.trialNumber,
+            block: stimulus.block,
+            task: stimulus.task,
+            transition: stimulus.transition,
+            previousCorrect: stimulus.previousCorrect,
+            correct: correct,
+            taskError: taskError,
+            reactionTime: reactionTime
+        });
+    }
+
+    showFeedback(text, correct) {
+        const feedbackDisplay = document.getElementById('feedbackDisplay');
+        feedbackDisplay.textContent = text;
+        feedbackDisplay.className = `feedback-display ${correct ? 'correct' : 'incorrect'}`;
+    }
+
+    endTrial() {
+        setTimeout(() => {
+            document.getElementById('taskCue').textContent = '';
+            document.getElementById('taskDigit').textContent = '+';
+            document.getElementById('feedbackDisplay').textContent = '';
+            this.scheduleNextTrial();
+        }, this.feedbackDuration);
+    }
+
+    updateTimer() {
+        if (!this.isRunning) return;
+
+        const elapsed = Date.now() - this.startTime;
+        const remaining = Math.max(0, this.config.duration - elapsed);
+        const seconds = Math.floor(remaining / 1000);
+        const minutes = Math.floor(seconds / 60);
+        const secs = seconds % 60;
+
+        const timeDisplay = document.getElementById('timeRemaining');
+        if (timeDisplay) {
+            timeDisplay.textContent = `${minutes}:${secs.toString().padStart(2, '0')}`;
+        }
+
+        if (remaining > 0) {
+            setTimeout(() => this.updateTimer(), 100);
+        }
+    }
+
+    resetTrialState() {
+        super.resetTrialState();
+        this.currentStimulus = null;
+        this.waitingForResponse = false;
+        this.trialLog = [];
+    }
+
+    // === METRICS ===
+
+    // RT means use correct trials that follow a correct trial, so error
+    // recovery does not inflate the costs
+    meanRT(trials) {
+        const rts = trials
+            .filter(t => t.correct && t.previousCorrect !== false && t.reactionTime > 100)
+            .map(t => t.reactionTime);
+        return rts.length > 0 ? rts.reduce((a, b) => a + b, 0) / rts.length : null;
+    }
+
+    errorRate(trials) {
+        return trials.length > 0 ? trials.filter(t => !t.correct).length / trials.length * 100 : null;
+    }
+
+    calculateMetrics() {
+        const byTransition = transition => this.trialLog.filter(t => t.transition === transition);
+        const pure = byTransition('pure');
+        const repeat = byTransition('repeat');
+        const switched = byTransition('switch');
+
+        const difference = (a, b) => a !== null && b !== null ? a - b : null;
+        const format = (value, digits = 2) => value !== null ? value.toFixed(digits) : null;
+
+        const pureRT = this.meanRT(pure);
+        const repeatRT = this.meanRT(repeat);
+        const switchRT = this.meanRT(switched);
+
+        const pureErrorRate = this.errorRate(pure);
+        const repeatErrorRate = this.errorRate(repeat);
+        const switchErrorRate = this.errorRate(switched);
+        const accuracy = this.errorRate(this.trialLog);
+
+        return {
+            testName: 'Task Switching',
+            totalTrials: this.currentTrial,
+            accuracy: format(accuracy !== null ? 100 - accuracy : null),
+            pureRT: format(pureRT),
+            repeatRT: format(repeatRT),
+            switchRT: format(switchRT),
+            pureErrorRate: format(pureErrorRate),
+            repeatErrorRate: format(repeatErrorRate),
+            switchErrorRate: format(switchErrorRate),
+            // Local cost: switch vs repeat trials within mixed blocks
+            switchCost: format(difference(switchRT, repeatRT)),
+            // Global cost: repeat trials in mixed blocks vs single-task blocks
+            mixingCost: format(difference(repeatRT, pureRT)),
+            errorSwitchCost: format(difference(switchErrorRate, repeatErrorRate)),
+            errorMixingCost: format(difference(repeatErrorRate, pureErrorRate)),
+            parityRT: format(this.meanRT(this.trialLog.filter(t => t.task === 'parity'))),
+            magnitudeRT: format(this.meanRT(this.trialLog.filter(t => t.task === 'magnitude'))),
+            taskErrors: this.trialLog.filter(t => t.taskError).length,
+            timeouts: this.trialLog.filter(t => t.reactionTime === null).length,
+            cueTargetInterval: this.cueTargetInterval,
+            switchProbability: this.switchProbability
+        };
+    }
+}
+
+// === PLUGIN ===
+
+TestRegistry.register({
+    id: 'task-switching',
+    testClass: TaskSwitchingTest,
+    buttonConfigs: ['all_four'],
+    defaults: {
+        name: 'Task Switching',
+        suite: null,
+        duration: 300000,       // 5 minutes (upper limit)
+        blocks: ['parity', 'magnitude', 'mixed', 'mixed', 'magnitude', 'parity'],
+        trialsPerBlock: 16,
+        switchProbability: 0.5, // Chance a mixed-block trial changes task
+        cueTargetInterval: 600, // Task cue shown this long before the digit
+        stimulusDuration: 3000, // Response deadline
+        minInterval: 400,
+        maxInterval: 800,
+        blockBreak: 4000,
+        buttonConfig: 'all_four',
+        description: 'Judge each number as odd/even or low/high, following the cue above it',
+        cognitiveConstruct: 'Cognitive Flexibility'
+    },
+    parameters: {
+        blocks: { type: 'array', minItems: 1, items: { enum: ['parity', 'magnitude', 'mixed'] } },
+        trialsPerBlock: { type: 'integer', minimum: 1, label: 'Trials per block', step: 1 },
+        switchProbability: { type: 'number', minimum: 0, maximum: 1, label: 'Switch probability', step: 0.05 },
+        cueTargetInterval: { type: 'integer', minimum: 0, label: 'Cue-target interval (ms)', step: 100 },
+        stimulusDuration: { type: 'integer', minimum: 0, label: 'Stimulus duration (ms)', step: 100 },
+        minInterval: { type: 'integer', minimum: 0, label: 'Min ISI (ms)', step: 100 },
+        maxInterval: { type: 'integer', minimum: 0, label: 'Max ISI (ms)', step: 100 },
+        blockBreak: { type: 'integer', minimum: 0, label: 'Block break (ms)', step: 500 }
+    },
+    metrics: {
+        accuracy: '%',
+        pureRT: 'ms',
+        repeatRT: 'ms',
+        switchRT: 'ms',
+        switchCost: 'ms',
+        mixingCost: 'ms',
+        errorSwitchCost: '%',
+        errorMixingCost: '%',
+        timeouts: 'count'
+    },
+    summarize: metrics => ({
+        accuracy_percent: metrics.accuracy
+    })
+});
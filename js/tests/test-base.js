@@ -4,17 +4,54 @@ class CognitionTestBase {
     constructor(config, platform) {
         this.config = config;
         this.platform = platform;
-        this.testData = [];
+        
+        // Optional hook set by the runner: called with the trial record
+        // (toTrialRecord) of each entry as it is logged to testData, so
+        // trials can be journalled to the database while the test runs
+        this.recordTrial = null;
+        this.testData = this.createTestData();
         this.startTime = null;
         this.isRunning = false;
         this.currentTrial = 0;
         this.metrics = {};
+        
+        // Seeded randomisation - the whole trial sequence is drawn from this
+        // before the test starts, so a run can be reproduced from its seed
+        this.seed = config.seed !== undefined ? config.seed : SeededRandom.generateSeed();
+        this.rng = new SeededRandom(this.seed);
+        this.trialList = [];
+        this.mainTrialList = [];
+        
+        // Optional practice block: { trials, criterion, maxBlocks }
+        this.practiceConfig = config.practice || null;
+        this.practiceComplete = !this.practiceConfig;
+        this.isPractice = false;
+        this.practiceBlock = 0;
+        this.practiceData = [];
+        this.practiceResults = [];
+        
+        // Optional adaptive difficulty: { parameter, procedure, ... } - see
+        // getAdaptiveParameters() and js/core/staircase.js
+        this.staircase = null;
+        
+        // Settles with complete()'s results when the main block ends - see run()
+        this.completion = new Promise((resolve, reject) => {
+            this.resolveCompletion = resolve;
+            this.rejectCompletion = reject;
+        });
     }
 
     async initialize() {
         console.log(`Initializing ${this.config.name}...`);
         this.startTime = Date.now();
         
+        // Pre-generate the full trial list before anything is shown
+        this.trialList = this.generateTrialList(this.rng);
+        this.mainTrialList = this.trialList;
+        console.log(`Generated ${this.trialList.length} trials (seed ${this.seed})`);
+        
+        this.staircase = this.createStaircase();
+        
         // Setup LED patterns based on button configuration
         await this.setupLEDPatterns();
         
@@ -22,6 +59,16 @@ class CognitionTestBase {
         await this.showInstructions();
     }
 
+    /**
+     * Run the whole test - instructions, practice and main block - and
+     * resolve with complete()'s results, or null if it was stopped early
+     * with destroy(). This is how the app and SessionController run tests.
+     */
+    async run() {
+        await this.initialize();
+        return this.completion;
+    }
+
     async setupLEDPatterns() {
         // Override in subclasses
         switch(this.config.buttonConfig) {
@@ -40,19 +87,14 @@ class CognitionTestBase {
 
     async showInstructions() {
         // Display test instructions
-        const instructionsHTML = `
-            <div class="test-instructions">
-                <h2>${this.config.name}</h2>
-                <p>${this.config.description}</p>
-                <p><strong>Duration:</strong> ${Math.floor(this.config.duration / 60000)} minutes</p>
-                <p><strong>Press any button when ready to begin</strong></p>
-            </div>
-        `;
-        
-        const testContent = document.getElementById('testContent');
-        if (testContent) {
-            testContent.innerHTML = instructionsHTML;
-        }
+        this.showScreen({
+            title: this.config.name,
+            lines: [
+                this.config.description,
+                `Duration: ${Math.floor(this.config.duration / 60000)} minutes`
+            ],
+            prompt: 'Press any button when ready to begin'
+        });
         
         // Wait for button press to start
         return new Promise((resolve) => {
@@ -60,26 +102,79 @@ class CognitionTestBase {
         });
     }
 
-    handleButtonPress(buttonData) {
-        if (this.instructionResolver) {
-            this.instructionResolver();
-            this.instructionResolver = null;
-            this.start();
-        } else if (this.isRunning) {
-            this.recordResponse(buttonData);
+    // === DISPLAY ===
+
+    // The element a running test draws into: the renderer's layer over the
+    // canvas, or #testContent when the platform has no renderer
+    getDisplay() {
+        const renderer = this.platform.renderer;
+        return renderer ? renderer.content : document.getElementById('testContent');
+    }
+
+    // A text screen between blocks: { title, lines, prompt }, drawn on the
+    // renderer's canvas when there is one
+    showScreen(screen) {
+        if (this.platform.renderer) {
+            this.platform.renderer.drawScreen(screen);
+            return;
+        }
+        
+        const testContent = document.getElementById('testContent');
+        if (testContent) {
+            testContent.innerHTML = `
+                <div class="test-instructions">
+                    <h2>${screen.title}</h2>
+                    ${(screen.lines || []).map(line => `<p>${line}</p>`).join('')}
+                    ${screen.prompt ? `<p><strong>${screen.prompt}</strong></p>` : ''}
+                </div>
+            `;
         }
     }
 
-    handleButtonRelease(buttonData) {
+    // Shows the display layer before a block's runTest() draws into it
+    showDisplay() {
+        if (this.platform.renderer) {
+            this.platform.renderer.showContent();
+        }
+    }
+
+    // Input from hardware buttons or their keyboard fallback: buttonIndex is
+    // 0-based (button 1 is index 0), timestamp is performance.now()
+    handleButtonPress(buttonIndex, timestamp, buttonData = {}) {
+        if (this.dismissInstructions()) return;
+        
+        if (this.isRunning) {
+            this.recordResponse(buttonIndex, timestamp, buttonData);
+        }
+    }
+
+    // Any button press moves on from an instruction or practice summary screen.
+    // Returns true if the press was used for that.
+    dismissInstructions() {
+        if (!this.instructionResolver) return false;
+        
+        this.instructionResolver();
+        this.instructionResolver = null;
+        this.start().catch(error => this.rejectCompletion(error));
+        return true;
+    }
+
+    handleButtonRelease(buttonIndex, timestamp, buttonData = {}) {
         // Override in subclasses if needed
     }
 
     async start() {
+        if (!this.practiceComplete) {
+            await this.startPracticeBlock();
+            return;
+        }
+        
         console.log(`Starting ${this.config.name}...`);
         this.isRunning = true;
         this.startTime = Date.now();
         
         // Start test-specific logic
+        this.showDisplay();
         await this.runTest();
     }
 
@@ -88,13 +183,32 @@ class CognitionTestBase {
         throw new Error('runTest() must be implemented by subclass');
     }
 
-    recordResponse(buttonData) {
+    // testData array whose push() also hands trial records to recordTrial
+    createTestData() {
+        const testData = [];
+        testData.push = (...entries) => {
+            entries.forEach(entry => this.journalEntry(entry));
+            return Array.prototype.push.apply(testData, entries);
+        };
+        return testData;
+    }
+
+    journalEntry(entry) {
+        if (!this.recordTrial) return;
+        
+        // Practice entries are only marked as such when their block ends
+        const record = CognitionTestBase.toTrialRecord(this.isPractice ?
+            { ...entry, practice: true, practiceBlock: this.practiceBlock } : entry);
+        if (record) this.recordTrial(record);
+    }
+
+    recordResponse(buttonIndex, timestamp, buttonData = {}) {
         const dataPoint = {
             trial: this.currentTrial,
             timestamp: Date.now(),
             relativeTime: Date.now() - this.startTime,
-            button: buttonData.button,
-            ...buttonData
+            ...buttonData,
+            button: buttonIndex
         };
         
         this.testData.push(dataPoint);
@@ -105,7 +219,307 @@ class CognitionTestBase {
         return {};
     }
 
+    resetTrialState() {
+        // Override in subclasses to also clear their own counters - called
+        // between practice and the main block so metrics only see main trials
+        this.testData = this.createTestData();
+        this.currentTrial = 0;
+        this.trialList = this.mainTrialList;
+        
+        // Keep the level reached in practice but start a fresh track, so the
+        // threshold and reversals only reflect main trials
+        if (this.staircase) {
+            this.staircase.reset();
+        }
+    }
+
+    // === ADAPTIVE DIFFICULTY ===
+
+    /**
+     * Parameters this test can adapt, keyed by config name:
+     * { name: { start, min, max, step, harder: 'decrease' | 'increase' } }.
+     * start defaults to the configured value. Override in subclasses.
+     */
+    getAdaptiveParameters() {
+        return {};
+    }
+
+    createStaircase() {
+        const adaptive = this.config.adaptive;
+        if (!adaptive) return null;
+
+        const parameter = this.getAdaptiveParameters()[adaptive.parameter];
+        if (!parameter) {
+            console.warn(`${this.config.name} cannot adapt "${adaptive.parameter}" - running with fixed parameters`);
+            return null;
+        }
+
+        return new Staircase({
+            ...parameter,
+            start: this.config[adaptive.parameter] ?? parameter.start,
+            ...adaptive
+        });
+    }
+
+    // The value to use for `name` on the current trial
+    adaptiveValue(name, fixedValue) {
+        return this.staircase && this.staircase.parameter === name ? this.staircase.value : fixedValue;
+    }
+
+    // Feed a trial outcome to the staircase; subclasses call this once per
+    // scored trial
+    updateStaircase(correct) {
+        if (this.staircase) {
+            this.staircase.update(correct, this.currentTrial);
+        }
+    }
+
+    // === PRACTICE BLOCKS ===
+
+    static CORRECT_OUTCOMES = ['hit', 'correct_rejection', 'go_hit', 'nogo_hit'];
+
+    // Whether a recorded data point is a correct (true) or incorrect (false)
+    // response; null for entries that are not responses, such as stimuli
+    static scoreEntry(entry) {
+        if (entry.correct !== undefined) return !!entry.correct;
+        if (entry.type === 'timeout' || entry.type === 'false_alarm') return false;
+        if (entry.outcome) return CognitionTestBase.CORRECT_OUTCOMES.includes(entry.outcome);
+        return null;
+    }
+
+    // Proportion of trials with at least one correct and no incorrect response
+    static scoreTrials(entries) {
+        const trials = new Map();
+        entries.forEach(entry => {
+            if (!entry.trial) return;
+            const scores = trials.get(entry.trial) || [];
+            const score = CognitionTestBase.scoreEntry(entry);
+            if (score !== null) scores.push(score);
+            trials.set(entry.trial, scores);
+        });
+        
+        if (trials.size === 0) return 0;
+        
+        const correct = [...trials.values()]
+            .filter(scores => scores.length > 0 && scores.every(Boolean)).length;
+        return correct / trials.size;
+    }
+
+    // === TRIAL RECORDS ===
+
+    // Entries that mark a stimulus or the start of a trial, round or block;
+    // they stay in rawData but are not stored as trials
+    static MARKER_TYPES = ['stimulus', 'trial_start', 'round_start', 'block_start'];
+    
+    // Entries logged when no response came in time; the rest are responses
+    static NO_RESPONSE_TYPES = ['timeout', 'no_response'];
+
+    /**
+     * The one trial record every test is stored as: a row of the trials
+     * table in CognitionDatabase.recordTrials() column names, with the full
+     * entry kept in extra_data. Returns null for markers.
+     */
+    static toTrialRecord(entry) {
+        if (!entry.trial || CognitionTestBase.MARKER_TYPES.includes(entry.type)) return null;
+        
+        return {
+            trial_number: entry.trial,
+            stimulus_type: typeof entry.trialType === 'string' ? entry.trialType : (entry.type || null),
+            reaction_time_ms: entry.reactionTime ?? entry.responseTime ?? null,
+            is_correct: CognitionTestBase.scoreEntry(entry),
+            actual_response: CognitionTestBase.NO_RESPONSE_TYPES.includes(entry.type) ? 'none' : 'response',
+            button_pressed: entry.button ?? null,
+            response_time: entry.timestamp ?? null,
+            is_practice: !!entry.practice,
+            extra_data: entry
+        };
+    }
+
+    // One record per response, timeout or miss in a run's rawData
+    static toTrialRecords(rawData = []) {
+        return rawData
+            .map(entry => CognitionTestBase.toTrialRecord(entry))
+            .filter(Boolean);
+    }
+
+    // Practice trials come from their own seed stream, so the main trial
+    // list is the same whether or not practice was run
+    generatePracticeTrialList(block) {
+        const rng = new SeededRandom(`${this.seed}:practice:${block}`);
+        return this.generateTrialList(rng)
+            .slice(0, this.practiceConfig.trials || 5)
+            .map(trial => ({ ...trial, practice: true }));
+    }
+
+    async startPracticeBlock() {
+        this.practiceBlock++;
+        this.isPractice = true;
+        this.resetTrialState();
+        this.trialList = this.generatePracticeTrialList(this.practiceBlock);
+        
+        console.log(`Starting ${this.config.name} practice block ${this.practiceBlock}...`);
+        this.isRunning = true;
+        this.startTime = Date.now();
+        
+        this.showDisplay();
+        await this.runTest();
+    }
+
+    // Called by subclass schedulers between trials: shows practice progress
+    // and whether the previous trial was correct. Does nothing outside practice.
+    updatePracticeFeedback() {
+        if (!this.isPractice) return;
+        
+        const testContent = this.getDisplay();
+        if (!testContent) return;
+        
+        let banner = document.getElementById('practiceBanner');
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.id = 'practiceBanner';
+            banner.style.cssText = 'background: rgba(251,191,36,0.2); border: 2px solid #fbbf24; ' +
+                'border-radius: 8px; padding: 10px; margin-bottom: 15px; font-weight: bold; text-align: center;';
+            testContent.prepend(banner);
+        }
+        
+        const total = this.trialList.length;
+        let feedback = '';
+        if (this.currentTrial > 0) {
+            const lastTrial = this.testData.filter(d => d.trial === this.currentTrial);
+            feedback = CognitionTestBase.scoreTrials(lastTrial) === 1 ? ' · ✓ Correct' : ' · ✗ Incorrect';
+        }
+        
+        banner.textContent = `PRACTICE · Trial ${Math.min(this.currentTrial + 1, total)} of ${total}${feedback}`;
+    }
+
+    async completePracticeBlock() {
+        this.isRunning = false;
+        await this.platform.setAllLEDs(false);
+        
+        const entries = this.testData.map(entry => ({
+            ...entry,
+            practice: true,
+            practiceBlock: this.practiceBlock
+        }));
+        this.practiceData.push(...entries);
+        
+        const accuracy = CognitionTestBase.scoreTrials(entries);
+        const criterion = this.practiceConfig.criterion ?? null;
+        const passed = criterion === null || accuracy >= criterion;
+        const maxBlocks = this.practiceConfig.maxBlocks || 3;
+        
+        this.practiceResults.push({
+            block: this.practiceBlock,
+            trials: this.currentTrial,
+            accuracy: accuracy,
+            criterion: criterion,
+            passed: passed
+        });
+        
+        // Continue to the main block once the criterion is met, or after the
+        // last allowed attempt (recorded as not passed)
+        this.practiceComplete = passed || this.practiceBlock >= maxBlocks;
+        this.isPractice = false;
+        this.resetTrialState();
+        
+        console.log(`Practice block ${this.practiceBlock}: ${(accuracy * 100).toFixed(0)}% correct`);
+        return this.showPracticeSummary(accuracy, criterion);
+    }
+
+    async showPracticeSummary(accuracy, criterion) {
+        const lines = [`You got ${Math.round(accuracy * 100)}% correct.`];
+        let prompt;
+        if (!this.practiceComplete) {
+            lines.push(`You need ${Math.round(criterion * 100)}% correct to continue.`);
+            prompt = 'Press any button to practise again';
+        } else {
+            prompt = 'Press any button to start the real test';
+        }
+        
+        this.showScreen({ title: 'Practice Complete', lines, prompt });
+        
+        return new Promise((resolve) => {
+            this.instructionResolver = resolve;
+        });
+    }
+
+    // === AUDIO ===
+
+    // The platform's context, so tones share a clock with the music
+    getAudioContext() {
+        return this.platform.audioContext || null;
+    }
+
+    /**
+     * Play a short sine tone at a performance.now() time, scheduled on the
+     * audio clock. Returns the time the tone will be heard (including output
+     * latency), or null when there is no audio context.
+     */
+    scheduleTone(time, frequency, duration = 50, volume = 0.5) {
+        const audioContext = this.getAudioContext();
+        if (!audioContext) return null;
+        
+        const when = audioContext.currentTime + Math.max(0, time - performance.now()) / 1000;
+        const oscillator = audioContext.createOscillator();
+        const gain = audioContext.createGain();
+        
+        oscillator.frequency.value = frequency;
+        gain.gain.setValueAtTime(volume, when);
+        gain.gain.exponentialRampToValueAtTime(0.001, when + duration / 1000);
+        
+        oscillator.connect(gain);
+        gain.connect(audioContext.destination);
+        oscillator.start(when);
+        oscillator.stop(when + duration / 1000 + 0.01);
+        
+        const latency = ((audioContext.baseLatency || 0) + (audioContext.outputLatency || 0)) * 1000;
+        return Math.max(time, performance.now()) + latency;
+    }
+
+    // === SEEDED TRIAL GENERATION ===
+
+    generateTrialList(rng) {
+        // Override in subclasses - draw every random decision (trial types,
+        // intervals, stimuli) from rng, never from Math.random()
+        return [];
+    }
+
+    // Upper bound on how many trials fit in the configured duration
+    estimateMaxTrials(minTrialDuration) {
+        return Math.ceil(this.config.duration / minTrialDuration) + 1;
+    }
+
+    getTrialSpec(trialNumber = this.currentTrial) {
+        return this.trialList[trialNumber - 1] || null;
+    }
+
+    getNextTrialSpec() {
+        return this.getTrialSpec(this.currentTrial + 1);
+    }
+
+    // Config as stored in test_runs.config_json, including the seed and
+    // generated trial list needed to reproduce the run
+    getRunConfig() {
+        return {
+            ...this.config,
+            seed: this.seed,
+            trialList: this.trialList
+        };
+    }
+
+    // Subclasses call complete() without awaiting it, so a failure here
+    // (e.g. in calculateMetrics) is passed on to run() rather than lost
     async complete() {
+        try {
+            return await (this.isPractice ? this.completePracticeBlock() : this.completeMainBlock());
+        } catch (error) {
+            this.isRunning = false;
+            this.rejectCompletion(error);
+            return null;
+        }
+    }
+
+    async completeMainBlock() {
         this.isRunning = false;
         
         // Turn off LEDs
@@ -114,21 +528,42 @@ class CognitionTestBase {
         // Calculate final metrics
         this.metrics = this.calculateMetrics();
         
+        const staircase = this.staircase ? this.staircase.getSummary() : null;
+        if (staircase) {
+            this.metrics.adaptiveParameter = staircase.parameter;
+            this.metrics.threshold = staircase.threshold;
+            this.metrics.reversalCount = staircase.reversals.length;
+            this.metrics.finalValue = staircase.finalValue;
+        }
+        
         // Show completion animation
         await this.platform.onGameWin();
         
-        return {
+        const results = {
             testName: this.config.name,
             startTime: this.startTime,
             endTime: Date.now(),
             duration: Date.now() - this.startTime,
-            rawData: this.testData,
+            rawData: [...this.practiceData, ...this.testData],
             metrics: this.metrics,
-            config: this.config
+            practice: this.practiceResults,
+            config: this.getRunConfig(),
+            seed: this.seed,
+            staircase: staircase
         };
+        
+        this.resolveCompletion(results);
+        return results;
     }
 
+    // Stop the test early; run() then resolves with null
     destroy() {
         this.isRunning = false;
+        
+        if (this.instructionResolver) {
+            this.instructionResolver();
+            this.instructionResolver = null;
+        }
+        this.resolveCompletion(null);
     }
 }
\ No newline at end of file
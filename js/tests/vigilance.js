@@ -4,6 +4,10 @@ class VigilanceTest extends CognitionTestBase {
     constructor(config, platform) {
         super(config, platform);
         
+        // 'detection' - press for rare double flashes among single flashes
+        // 'pvt' - Psychomotor Vigilance Task: respond to every stimulus
+        this.mode = config.mode || 'detection';
+        
         this.targetProbability = 0.15; // 15% of stimuli are targets
         this.stimulusInterval = null;
         this.isTarget = false;
@@ -14,10 +18,30 @@ class VigilanceTest extends CognitionTestBase {
         this.intervalMax = 3000; // 3 seconds
         this.responseWindow = 1500; // 1.5 seconds to respond
         
+        if (this.mode === 'pvt') {
+            // Standard PVT: 2-10 s random foreperiods, 30 s before a
+            // non-response counts as a lapse
+            this.intervalMin = config.minInterval || 2000;
+            this.intervalMax = config.maxInterval || 10000;
+            this.responseWindow = config.responseWindow || 30000;
+            this.lapseThreshold = config.lapseThreshold || 500;
+            this.falseStartThreshold = 100; // Faster than this is anticipation
+            this.binDuration = 60000;       // Time-on-task bins
+            this.feedbackDuration = 1000;   // Counter stays on screen
+        }
+        
+        this.foreperiodTimer = null;
+        this.counterFrame = null;
+        this.stimulusElapsed = null;
+        
         this.hits = 0;
         this.misses = 0;
         this.falseAlarms = 0;
         this.correctRejections = 0;
+        
+        // PVT: one entry per stimulus { trial, onset, reactionTime }, plus false starts
+        this.pvtTrials = [];
+        this.falseStarts = 0;
     }
 
     async setupLEDPatterns() {
@@ -25,7 +49,11 @@ class VigilanceTest extends CognitionTestBase {
     }
 
     async runTest() {
-        const testContent = document.getElementById('testContent');
+        if (this.mode === 'pvt') {
+            return this.runPVT();
+        }
+        
+        const testContent = this.getDisplay();
         testContent.innerHTML = `
             <div class="vigilance-test">
                 <div class="instruction-box">
@@ -202,26 +230,52 @@ class VigilanceTest extends CognitionTestBase {
         if (!this.isRunning) return;
         
         const timeElapsed = Date.now() - this.startTime;
-        if (timeElapsed >= this.config.duration) {
+        this.updatePracticeFeedback();
+        const nextTrial = this.getNextTrialSpec();
+        if (timeElapsed >= this.config.duration || !nextTrial) {
             this.complete();
             return;
         }
 
-        const interval = Math.random() * (this.intervalMax - this.intervalMin) + this.intervalMin;
+        const interval = nextTrial.interval;
         
-        setTimeout(() => {
+        this.foreperiodTimer = setTimeout(() => {
+            this.foreperiodTimer = null;
             if (this.isRunning) {
-                this.presentStimulus();
+                if (this.mode === 'pvt') {
+                    this.presentPVTStimulus();
+                } else {
+                    this.presentStimulus();
+                }
             }
         }, interval);
     }
 
+    generateTrialList(rng) {
+        const trials = [];
+        const count = this.estimateMaxTrials(this.intervalMin);
+        
+        for (let i = 1; i <= count; i++) {
+            const trial = {
+                trial: i,
+                interval: Math.round(rng.range(this.intervalMin, this.intervalMax))
+            };
+            // Every PVT stimulus needs a response
+            if (this.mode !== 'pvt') {
+                trial.isTarget = rng.chance(this.targetProbability);
+            }
+            trials.push(trial);
+        }
+        
+        return trials;
+    }
+
     async presentStimulus() {
         this.currentTrial++;
         document.getElementById('trialCount').textContent = this.currentTrial;
         
-        // Determine if this is a target trial
-        this.isTarget = Math.random() < this.targetProbability;
+        // Target or non-target, from the pre-generated list
+        this.isTarget = this.getTrialSpec().isTarget;
         
         this.stimulusStartTime = performance.now();
         this.waitingForResponse = true;
@@ -280,6 +334,13 @@ class VigilanceTest extends CognitionTestBase {
     }
 
     async handleButtonPress(buttonIndex, timestamp, buttonData) {
+        if (this.dismissInstructions()) return;
+        
+        if (this.mode === 'pvt') {
+            this.handlePVTPress(buttonIndex, timestamp);
+            return;
+        }
+        
         if (!this.waitingForResponse) {
             // Response outside of window
             return;
@@ -385,7 +446,348 @@ class VigilanceTest extends CognitionTestBase {
         }
     }
 
+    resetTrialState() {
+        super.resetTrialState();
+        this.clearTimers();
+        this.isTarget = false;
+        this.waitingForResponse = false;
+        this.hits = 0;
+        this.misses = 0;
+        this.falseAlarms = 0;
+        this.correctRejections = 0;
+        this.pvtTrials = [];
+        this.falseStarts = 0;
+    }
+
+    clearTimers() {
+        if (this.foreperiodTimer) {
+            clearTimeout(this.foreperiodTimer);
+            this.foreperiodTimer = null;
+        }
+        this.stopCounter();
+    }
+
+    // === PVT MODE ===
+
+    async runPVT() {
+        const testContent = this.getDisplay();
+        testContent.innerHTML = `
+            <div class="vigilance-test pvt">
+                <div class="instruction-box">
+                    <h3>Press ANY button as soon as the counter starts</h3>
+                    <p>Don't press before it appears</p>
+                </div>
+                
+                <div class="stimulus-area">
+                    <div class="pvt-counter" id="pvtCounter"></div>
+                </div>
+                
+                <div class="pvt-message" id="pvtMessage"></div>
+                
+                <div class="progress-info">
+                    <div class="stat">
+                        <span class="stat-label">Trial:</span>
+                        <span class="stat-value" id="trialCount">0</span>
+                    </div>
+                    <div class="stat">
+                        <span class="stat-label">Time:</span>
+                        <span class="stat-value" id="timeRemaining"></span>
+                    </div>
+                </div>
+            </div>
+            
+            <style>
+                .vigilance-test {
+                    text-align: center;
+                    padding: 20px;
+                }
+                
+                .instruction-box {
+                    background: rgba(255,255,255,0.1);
+                    padding: 20px;
+                    border-radius: 10px;
+                    margin-bottom: 40px;
+                }
+                
+                .instruction-box h3 {
+                    margin: 0 0 10px 0;
+                    color: #4ade80;
+                    font-size: 1.4em;
+                }
+                
+                .instruction-box p {
+                    margin: 0;
+                    color: #ff6b6b;
+                    font-size: 1.1em;
+                }
+                
+                .stimulus-area {
+                    margin: 50px 0;
+                    min-height: 200px;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                }
+                
+                .pvt-counter {
+                    min-width: 300px;
+                    min-height: 120px;
+                    font-family: 'Courier New', monospace;
+                    font-size: 100px;
+                    font-weight: bold;
+                    color: #fbbf24;
+                    background: rgba(0,0,0,0.4);
+                    border-radius: 10px;
+                }
+                
+                .pvt-message {
+                    min-height: 40px;
+                    font-size: 1.3em;
+                    font-weight: bold;
+                    color: #ff6b6b;
+                }
+                
+                .progress-info {
+                    display: flex;
+                    justify-content: center;
+                    gap: 30px;
+                    margin-top: 30px;
+                }
+                
+                .progress-info .stat {
+                    background: rgba(255,255,255,0.1);
+                    padding: 10px 20px;
+                    border-radius: 8px;
+                }
+                
+                .progress-info .stat-label {
+                    color: rgba(255,255,255,0.7);
+                    margin-right: 8px;
+                }
+                
+                .progress-info .stat-value {
+                    color: #fff;
+                    font-weight: bold;
+                    font-size: 1.2em;
+                }
+            </style>
+        `;
+
+        this.updateTimer();
+        await this.platform.delay(2000);
+        this.scheduleNextStimulus();
+    }
+
+    async presentPVTStimulus() {
+        this.currentTrial++;
+        document.getElementById('trialCount').textContent = this.currentTrial;
+        document.getElementById('pvtMessage').textContent = '';
+        
+        this.stimulusStartTime = performance.now();
+        // Time into the test for the time-on-task bins, on the same clock as startTime
+        this.stimulusElapsed = Date.now() - this.startTime;
+        this.waitingForResponse = true;
+        this.startCounter();
+        await this.platform.setLED(1, true);
+        
+        this.testData.push({
+            type: 'stimulus',
+            trial: this.currentTrial,
+            timestamp: this.stimulusStartTime,
+            relativeTime: this.stimulusStartTime - this.startTime,
+            foreperiod: this.getTrialSpec().interval
+        });
+        
+        const trialNumber = this.currentTrial;
+        setTimeout(() => {
+            if (this.waitingForResponse && this.currentTrial === trialNumber) {
+                this.handlePVTTimeout();
+            }
+        }, this.responseWindow);
+    }
+
+    // Running millisecond counter from stimulus onset
+    startCounter() {
+        const counter = document.getElementById('pvtCounter');
+        const tick = () => {
+            counter.textContent = Math.round(performance.now() - this.stimulusStartTime);
+            this.counterFrame = typeof requestAnimationFrame !== 'undefined' ?
+                requestAnimationFrame(tick) : setTimeout(tick, 16);
+        };
+        tick();
+    }
+
+    stopCounter() {
+        if (this.counterFrame === null) return;
+        if (typeof cancelAnimationFrame !== 'undefined') {
+            cancelAnimationFrame(this.counterFrame);
+        } else {
+            clearTimeout(this.counterFrame);
+        }
+        this.counterFrame = null;
+    }
+
+    handlePVTPress(buttonIndex, timestamp) {
+        if (!this.isRunning) return;
+        
+        if (this.waitingForResponse) {
+            this.waitingForResponse = false;
+            this.stopCounter();
+            this.platform.setLED(1, false);
+            
+            const reactionTime = timestamp - this.stimulusStartTime;
+            const falseStart = reactionTime < this.falseStartThreshold;
+            const lapse = reactionTime > this.lapseThreshold;
+            
+            // The counter freezes on the participant's RT
+            document.getElementById('pvtCounter').textContent = Math.round(reactionTime);
+            
+            this.logPVTTrial(reactionTime, falseStart);
+            this.testData.push({
+                type: 'response',
+                trial: this.currentTrial,
+                timestamp: timestamp,
+                relativeTime: timestamp - this.startTime,
+                button: buttonIndex,
+                reactionTime: reactionTime,
+                outcome: falseStart ? 'false_start' : lapse ? 'lapse' : 'hit',
+                correct: !falseStart && !lapse
+            });
+            
+            this.endPVTTrial();
+            return;
+        }
+        
+        // A press during the foreperiod is a false start - the foreperiod restarts
+        if (this.foreperiodTimer) {
+            clearTimeout(this.foreperiodTimer);
+            this.foreperiodTimer = null;
+            this.falseStarts++;
+            
+            document.getElementById('pvtMessage').textContent = 'FALSE START';
+            this.testData.push({
+                type: 'false_start',
+                trial: this.currentTrial + 1,
+                timestamp: timestamp,
+                relativeTime: timestamp - this.startTime,
+                button: buttonIndex,
+                outcome: 'false_start',
+                correct: false
+            });
+            
+            this.endPVTTrial();
+        }
+    }
+
+    handlePVTTimeout() {
+        this.waitingForResponse = false;
+        this.stopCounter();
+        this.platform.setLED(1, false);
+        
+        this.logPVTTrial(null, false);
+        document.getElementById('pvtMessage').textContent = 'Press as soon as the counter starts!';
+        
+        this.testData.push({
+            type: 'timeout',
+            trial: this.currentTrial,
+            timestamp: performance.now(),
+            relativeTime: performance.now() - this.startTime,
+            outcome: 'lapse'
+        });
+        
+        this.endPVTTrial();
+    }
+
+    logPVTTrial(reactionTime, falseStart) {
+        this.pvtTrials.push({
+            trial: this.currentTrial,
+            onset: this.stimulusElapsed,
+            reactionTime: reactionTime,
+            falseStart: falseStart
+        });
+    }
+
+    endPVTTrial() {
+        setTimeout(() => {
+            document.getElementById('pvtCounter').textContent = '';
+            document.getElementById('pvtMessage').textContent = '';
+            this.scheduleNextStimulus();
+        }, this.feedbackDuration);
+    }
+
+    calculatePVTMetrics() {
+        // Valid responses exclude anticipations; non-responses count as lapses
+        const valid = this.pvtTrials.filter(t => t.reactionTime !== null && !t.falseStart);
+        const rts = valid.map(t => t.reactionTime).sort((a, b) => a - b);
+        const lapses = this.pvtTrials.filter(t => t.reactionTime === null || t.reactionTime > this.lapseThreshold);
+        const falseStarts = this.falseStarts + this.pvtTrials.filter(t => t.falseStart).length;
+        
+        const mean = values => values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+        const format = (value, digits = 2) => value !== null ? value.toFixed(digits) : null;
+        
+        const median = rts.length > 0 ?
+            (rts[Math.floor((rts.length - 1) / 2)] + rts[Math.ceil((rts.length - 1) / 2)]) / 2 : null;
+        // Response speed in 1/s, less skewed by lapses than raw RT
+        const reciprocal = mean(rts.map(rt => 1000 / rt));
+        const tenth = Math.max(1, Math.round(rts.length * 0.1));
+        const fastest = rts.length > 0 ? rts.slice(0, tenth) : [];
+        const slowest = rts.length > 0 ? rts.slice(-tenth) : [];
+        
+        // Time on task: performance per minute of the test, and the slope of
+        // mean RT over the bins (ms per minute, positive = slowing)
+        const bins = [];
+        this.pvtTrials.forEach(t => {
+            const index = Math.floor(t.onset / this.binDuration);
+            bins[index] = bins[index] || [];
+            bins[index].push(t);
+        });
+        const timeOnTask = [];
+        for (let i = 0; i < bins.length; i++) {
+            const binTrials = bins[i] || [];
+            const binRTs = binTrials.filter(t => t.reactionTime !== null && !t.falseStart).map(t => t.reactionTime);
+            timeOnTask.push({
+                minute: i + 1,
+                trials: binTrials.length,
+                meanRT: format(mean(binRTs)),
+                reciprocalRT: format(mean(binRTs.map(rt => 1000 / rt)), 3),
+                lapses: binTrials.filter(t => t.reactionTime === null || t.reactionTime > this.lapseThreshold).length
+            });
+        }
+        
+        const points = timeOnTask.filter(b => b.meanRT !== null).map(b => [b.minute, parseFloat(b.meanRT)]);
+        let decrement = null;
+        if (points.length >= 2) {
+            const meanX = mean(points.map(p => p[0]));
+            const meanY = mean(points.map(p => p[1]));
+            const sxy = points.reduce((sum, p) => sum + (p[0] - meanX) * (p[1] - meanY), 0);
+            const sxx = points.reduce((sum, p) => sum + (p[0] - meanX) ** 2, 0);
+            decrement = sxy / sxx;
+        }
+        
+        return {
+            testName: 'Psychomotor Vigilance Task',
+            mode: 'pvt',
+            totalTrials: this.currentTrial,
+            meanRT: format(mean(rts)),
+            medianRT: format(median),
+            meanReciprocalRT: format(reciprocal, 3),
+            fastest10PercentRT: format(mean(fastest)),
+            slowest10PercentRT: format(mean(slowest)),
+            slowest10PercentReciprocalRT: format(mean(slowest.map(rt => 1000 / rt)), 3),
+            lapses: lapses.length,
+            lapseThreshold: this.lapseThreshold,
+            lapseRate: format(this.pvtTrials.length > 0 ? lapses.length / this.pvtTrials.length * 100 : null),
+            falseStarts: falseStarts,
+            timeOnTask: timeOnTask,
+            timeOnTaskDecrement: format(decrement)
+        };
+    }
+
     calculateMetrics() {
+        if (this.mode === 'pvt') {
+            return this.calculatePVTMetrics();
+        }
+        
         const totalTargets = this.hits + this.misses;
         const totalNonTargets = this.falseAlarms + this.correctRejections;
         
@@ -431,4 +833,86 @@ class VigilanceTest extends CognitionTestBase {
         
         return p < 0.5 ? -z : z;
     }
+
+    destroy() {
+        super.destroy();
+        this.clearTimers();
+    }
 }
+
+// === PLUGIN ===
+
+TestRegistry.register({
+    id: 'vigilance',
+    testClass: VigilanceTest,
+    buttonConfigs: ['single'],
+    defaults: {
+        name: 'Sustained Attention',
+        suite: null,
+        mode: 'detection',      // Rare double flashes among single flashes
+        duration: 600000,       // 10 minutes
+        buttonConfig: 'single',
+        description: 'Monitor for rare target stimuli over extended period',
+        cognitiveConstruct: 'Sustained Attention'
+    },
+    parameters: {
+        mode: { enum: ['detection', 'pvt'] }
+    },
+    metrics: {
+        hits: 'count',
+        misses: 'count',
+        falseAlarms: 'count',
+        correctRejections: 'count',
+        hitRate: '%',
+        falseAlarmRate: '%',
+        dPrime: 'd-prime',
+        criterion: 'c'
+    },
+    summarize: metrics => ({
+        omission_errors: metrics.misses,
+        commission_errors: metrics.falseAlarms
+    })
+});
+
+TestRegistry.register({
+    id: 'pvt',
+    testClass: VigilanceTest,
+    buttonConfigs: ['single'],
+    defaults: {
+        name: 'Psychomotor Vigilance Task',
+        suite: null,
+        mode: 'pvt',
+        duration: 300000,       // 5 minutes (PVT-B); 600000 for the standard 10 minute PVT
+        minInterval: 2000,      // Random foreperiod, 2-10 s
+        maxInterval: 10000,
+        responseWindow: 30000,  // No response by then counts as a lapse
+        lapseThreshold: 500,
+        buttonConfig: 'single',
+        description: 'Press as soon as the millisecond counter starts',
+        cognitiveConstruct: 'Sustained Attention / Fatigue'
+    },
+    parameters: {
+        mode: { enum: ['detection', 'pvt'] },
+        minInterval: { type: 'integer', minimum: 0, label: 'Min ISI (ms)', step: 100 },
+        maxInterval: { type: 'integer', minimum: 0, label: 'Max ISI (ms)', step: 100 },
+        responseWindow: { type: 'integer', minimum: 0, label: 'Response window (ms)', step: 100 },
+        lapseThreshold: { type: 'integer', minimum: 100, label: 'Lapse threshold (ms)', step: 50 }
+    },
+    metrics: {
+        meanRT: 'ms',
+        medianRT: 'ms',
+        meanReciprocalRT: '1/s',
+        fastest10PercentRT: 'ms',
+        slowest10PercentRT: 'ms',
+        slowest10PercentReciprocalRT: '1/s',
+        lapses: 'count',
+        lapseRate: '%',
+        falseStarts: 'count',
+        timeOnTaskDecrement: 'ms'
+    },
+    summarize: metrics => ({
+        mean_rt_ms: metrics.meanRT,
+        median_rt_ms: metrics.medianRT,
+        commission_errors: metrics.falseStarts
+    })
+});
@@ -13,10 +13,18 @@ const createCsvWriter = require('csv-writer').createObjectCsvWriter;
 const CognitionDatabase = require('./db/CognitionDatabase');
 let db = null;
 
+// ========================================
+// STUDY PROTOCOL
+// ========================================
+const protocolLoader = require('./config/protocol-loader');
+const TestRegistry = require('./js/core/test-registry');
+let activeProtocol = null;   // { protocol, hash, file }
+
 // Data storage paths
 const dataDir = path.join(__dirname, 'data');
 const sessionsFile = path.join(dataDir, 'sessions.json');
 const participantsFile = path.join(dataDir, 'participants.json');
+const protocolSettingsFile = path.join(dataDir, 'active_protocol.json');
 
 let mainWindow;
 let currentSession = null;
@@ -45,6 +53,75 @@ async function initializeDatabase() {
     }
 }
 
+// ========================================
+// PROTOCOL LOADING
+// ========================================
+
+// Load the protocol chosen last time, falling back to the bundled default
+function initializeProtocol() {
+    let protocolFile = protocolLoader.DEFAULT_PROTOCOL_FILE;
+    
+    if (fs.existsSync(protocolSettingsFile)) {
+        try {
+            protocolFile = JSON.parse(fs.readFileSync(protocolSettingsFile, 'utf8')).file || protocolFile;
+        } catch (error) {
+            console.warn('Could not read protocol settings:', error.message);
+        }
+    }
+    
+    try {
+        activeProtocol = protocolLoader.loadProtocol(protocolFile);
+    } catch (error) {
+        console.error('❌ Protocol load failed:', error.message);
+        dialog.showErrorBox('Study Protocol', `${error.message}\n\nUsing the default protocol instead.`);
+        activeProtocol = protocolLoader.loadProtocol(protocolLoader.DEFAULT_PROTOCOL_FILE);
+    }
+    
+    console.log(`✅ Protocol loaded: ${activeProtocol.protocol.name} v${activeProtocol.protocol.version} (${activeProtocol.hash.slice(0, 12)})`);
+}
+
+function getProtocolInfo() {
+    if (!activeProtocol) return null;
+    return {
+        id: activeProtocol.protocol.id,
+        version: activeProtocol.protocol.version,
+        hash: activeProtocol.hash
+    };
+}
+
+// Make a protocol active and remember it for the next start
+function setActiveProtocol(loaded) {
+    activeProtocol = loaded;
+    fs.writeFileSync(protocolSettingsFile, JSON.stringify({ file: loaded.file }, null, 2));
+}
+
+async function loadProtocolFile() {
+    const { filePaths } = await dialog.showOpenDialog(mainWindow, {
+        title: 'Load Study Protocol',
+        defaultPath: protocolLoader.PROTOCOLS_DIR,
+        filters: [
+            { name: 'Protocol Files', extensions: ['json'] },
+            { name: 'All Files', extensions: ['*'] }
+        ],
+        properties: ['openFile']
+    });
+
+    if (filePaths && filePaths.length > 0) {
+        try {
+            setActiveProtocol(protocolLoader.loadProtocol(filePaths[0]));
+            
+            await dialog.showMessageBox(mainWindow, {
+                type: 'info',
+                title: 'Protocol Loaded',
+                message: `Loaded ${activeProtocol.protocol.name} (v${activeProtocol.protocol.version}).\nThe app will now reload.`
+            });
+            mainWindow.reload();
+        } catch (error) {
+            dialog.showErrorBox('Protocol Error', error.message);
+        }
+    }
+}
+
 // ========================================
 // HARDWARE CONTROLLER CLASS (NodeMCU)
 // ========================================
@@ -198,6 +275,7 @@ class HardwareController {
 async function createWindow() {
     // Initialize database first
     await initializeDatabase();
+    initializeProtocol();
     
     mainWindow = new BrowserWindow({
         width: 1400,
@@ -251,6 +329,15 @@ function createApplicationMenu() {
                     click: () => exportSessionData()
                 },
                 { type: 'separator' },
+                {
+                    label: 'Load Study Protocol...',
+                    click: () => loadProtocolFile()
+                },
+                {
+                    label: 'Edit Study Protocol',
+                    click: () => mainWindow.webContents.send('show-protocol-editor')
+                },
+                { type: 'separator' },
                 {
                     label: 'Export Raw Data (CSV)',
                     click: () => exportRawData()
@@ -437,7 +524,7 @@ ipcMain.handle('db:getAllParticipants', async () => {
 ipcMain.handle('db:createSession', async (event, participantId, deviceInfo) => {
     try {
         if (!db) return { success: false, error: 'Database not initialized' };
-        return { success: true, result: db.createSession(participantId, deviceInfo) };
+        return { success: true, result: db.createSession(participantId, deviceInfo, getProtocolInfo()) };
     } catch (error) {
         return { success: false, error: error.message };
     }
@@ -453,19 +540,39 @@ ipcMain.handle('db:endSession', async (event, sessionId, notes) => {
     }
 });
 
-ipcMain.handle('db:createTestRun', async (event, sessionId, testType, musicCondition, config) => {
+ipcMain.handle('db:markSessionResumed', async (event, sessionId) => {
+    try {
+        if (!db) return { success: false, error: 'Database not initialized' };
+        db.markSessionResumed(sessionId);
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('db:setSessionConditionOrder', async (event, sessionId, assignment) => {
+    try {
+        if (!db) return { success: false, error: 'Database not initialized' };
+        db.setSessionConditionOrder(sessionId, assignment);
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('db:createTestRun', async (event, sessionId, testType, musicCondition, config, staircase) => {
     try {
         if (!db) return { success: false, error: 'Database not initialized' };
-        return { success: true, result: db.createTestRun(sessionId, testType, musicCondition, config) };
+        return { success: true, result: db.createTestRun(sessionId, testType, musicCondition, config, staircase) };
     } catch (error) {
         return { success: false, error: error.message };
     }
 });
 
-ipcMain.handle('db:endTestRun', async (event, testRunId, trialCount) => {
+ipcMain.handle('db:endTestRun', async (event, testRunId, trialCount, config, staircase) => {
     try {
         if (!db) return { success: false, error: 'Database not initialized' };
-        db.endTestRun(testRunId, trialCount);
+        db.endTestRun(testRunId, trialCount, config, staircase);
         return { success: true };
     } catch (error) {
         return { success: false, error: error.message };
@@ -492,10 +599,10 @@ ipcMain.handle('db:recordTrials', async (event, testRunId, trials) => {
     }
 });
 
-ipcMain.handle('db:createTestSummary', async (event, testRunId) => {
+ipcMain.handle('db:createTestSummary', async (event, testRunId, mapped) => {
     try {
         if (!db) return { success: false, error: 'Database not initialized' };
-        return { success: true, result: db.createTestSummary(testRunId) };
+        return { success: true, result: db.createTestSummary(testRunId, mapped) };
     } catch (error) {
         return { success: false, error: error.message };
     }
@@ -575,7 +682,7 @@ ipcMain.handle('db:getOverviewStats', async () => {
         const participants = db.db.exec("SELECT COUNT(*) as count FROM participants")[0]?.values[0][0] || 0;
         const sessions = db.db.exec("SELECT COUNT(*) as count FROM sessions")[0]?.values[0][0] || 0;
         const testRuns = db.db.exec("SELECT COUNT(*) as count FROM test_runs")[0]?.values[0][0] || 0;
-        const totalTrials = db.db.exec("SELECT COUNT(*) as count FROM trials")[0]?.values[0][0] || 0;
+        const totalTrials = db.db.exec("SELECT COUNT(*) as count FROM trials WHERE is_practice = 0")[0]?.values[0][0] || 0;
         
         return { 
             success: true, 
@@ -923,6 +1030,66 @@ ipcMain.handle('chase-leds', async (event, rounds, speed) => {
     return { success: false, error: 'Hardware not connected' };
 });
 
+// ========================================
+// TEST PLUGIN IPC HANDLERS
+// ========================================
+
+// Test plugin scripts for the renderer to load, relative to index.html
+ipcMain.handle('get-test-plugins', async () => {
+    try {
+        const files = TestRegistry.listPluginFiles(path.join(__dirname, 'js', 'tests'));
+        return { success: true, files: files.map(file => `js/tests/${file}`) };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// ========================================
+// PROTOCOL IPC HANDLERS
+// ========================================
+
+ipcMain.handle('get-protocol', async () => {
+    if (!activeProtocol) {
+        return { success: false, error: 'No protocol loaded' };
+    }
+    return {
+        success: true,
+        protocol: activeProtocol.protocol,
+        hash: activeProtocol.hash,
+        file: activeProtocol.file
+    };
+});
+
+ipcMain.handle('validate-protocol', async (event, protocol) => {
+    try {
+        const { valid, errors } = protocolLoader.validateProtocol(protocol);
+        return { success: true, valid, errors };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('save-protocol', async (event, protocol) => {
+    try {
+        const { valid, errors } = protocolLoader.validateProtocol(protocol);
+        if (!valid) {
+            return { success: false, error: 'Protocol is invalid', errors };
+        }
+        
+        setActiveProtocol(protocolLoader.saveProtocol(protocol));
+        console.log(`✅ Protocol saved: ${activeProtocol.file}`);
+        return {
+            success: true,
+            protocol: activeProtocol.protocol,
+            hash: activeProtocol.hash,
+            file: activeProtocol.file
+        };
+    } catch (error) {
+        console.error('Error saving protocol:', error);
+        return { success: false, error: error.message };
+    }
+});
+
 // ========================================
 // SESSION IPC HANDLERS
 // ========================================
@@ -935,6 +1102,7 @@ ipcMain.handle('create-session', async (event, participantData) => {
             participant: participantData,
             startTime: new Date().toISOString(),
             status: 'active',
+            protocol: getProtocolInfo(),
             tests: [],
             calibration: null,
             environment: {
@@ -970,6 +1138,66 @@ ipcMain.handle('update-session', async (event, sessionData) => {
     }
 });
 
+ipcMain.handle('get-resumable-sessions', async () => {
+    try {
+        if (!fs.existsSync(sessionsFile)) {
+            return { success: true, sessions: [] };
+        }
+        
+        const summaries = JSON.parse(fs.readFileSync(sessionsFile, 'utf8'));
+        const resumable = [];
+        
+        for (const summary of summaries) {
+            if (summary.status !== 'active') continue;
+            
+            const sessionFile = path.join(dataDir, `session_${summary.id}.json`);
+            if (!fs.existsSync(sessionFile)) continue;
+            
+            const session = JSON.parse(fs.readFileSync(sessionFile, 'utf8'));
+            const checkpoint = session.checkpoint;
+            if (!checkpoint || !checkpoint.testQueue) continue;
+            
+            const completed = checkpoint.completedTests || [];
+            if (completed.length >= checkpoint.testQueue.length) continue;
+            
+            resumable.push({
+                id: session.id,
+                participantCode: session.participant?.participant_code || session.participantId,
+                startTime: session.startTime,
+                lastModified: summary.lastModified,
+                completedCount: completed.length,
+                totalCount: checkpoint.testQueue.length,
+                resumeCount: session.resumeCount || 0
+            });
+        }
+        
+        resumable.sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
+        return { success: true, sessions: resumable };
+    } catch (error) {
+        console.error('Error listing resumable sessions:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('resume-session', async (event, sessionId) => {
+    try {
+        const sessionFile = path.join(dataDir, `session_${sessionId}.json`);
+        if (!fs.existsSync(sessionFile)) {
+            throw new Error(`Session ${sessionId} not found`);
+        }
+        
+        currentSession = JSON.parse(fs.readFileSync(sessionFile, 'utf8'));
+        currentSession.resumeCount = (currentSession.resumeCount || 0) + 1;
+        currentSession.resumedAt = [...(currentSession.resumedAt || []), new Date().toISOString()];
+        
+        await saveSession(currentSession);
+        return { success: true, session: currentSession };
+    } catch (error) {
+        console.error('Error resuming session:', error);
+        return { success: false, error: error.message };
+    }
+});
+
 ipcMain.handle('save-test-data', async (event, testData) => {
     try {
         if (!currentSession) {
@@ -986,6 +1214,8 @@ ipcMain.handle('save-test-data', async (event, testData) => {
             buttonConfig: testData.buttonConfig,
             rawData: testData.rawData,
             metrics: testData.metrics,
+            config: testData.config,
+            seed: testData.seed,
             calibration: testData.calibration,
             timestamp: new Date().toISOString()
         };
@@ -1021,6 +1251,7 @@ async function saveSession(session) {
         startTime: session.startTime,
         status: session.status,
         testCount: session.tests.length,
+        completedCount: session.checkpoint ? (session.checkpoint.completedTests || []).length : null,
         lastModified: new Date().toISOString()
     };
     